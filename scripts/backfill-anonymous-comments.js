@@ -0,0 +1,108 @@
+/**
+ * Anonymous Comment Backfill Script
+ *
+ * Moves the author of anonymous comments made before authors were kept
+ * private out of the public comment document. Each such comment gets a
+ * private record at anonymousComments/{commentId} (see
+ * src/firebase/comments.js), its `userId` is cleared and `isPoster` is set
+ * so the "Poster" badge keeps working. Records kept under
+ * users/{userId}/anonymousComments by earlier versions are moved there too.
+ *
+ * Usage:
+ *   GOOGLE_APPLICATION_CREDENTIALS=./service-account.json \
+ *   REACT_APP_FIREBASE_PROJECT_ID=your-project-id \
+ *   npm run backfill:anonymous-comments -- [--dry-run]
+ *
+ * The script is idempotent: anonymous comments without a userId and
+ * records already moved are skipped, so it is safe to run more than once.
+ */
+
+const admin = require('firebase-admin');
+
+// Photos are read in pages to keep memory use low
+const PAGE_SIZE = 400;
+
+// Most writes Firestore accepts in one batch - each comment needs two
+const BATCH_LIMIT = 500;
+
+const dryRun = process.argv.includes('--dry-run');
+
+admin.initializeApp({
+  credential: admin.credential.applicationDefault(),
+  projectId: process.env.FIREBASE_PROJECT_ID || process.env.REACT_APP_FIREBASE_PROJECT_ID,
+});
+
+const db = admin.firestore();
+
+async function backfill() {
+  let lastDoc = null;
+  let scanned = 0;
+  let updated = 0;
+  let batch = db.batch();
+  let batchSize = 0;
+
+  while (true) {
+    let pageQuery = db.collection('photos').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) {
+      pageQuery = pageQuery.startAfter(lastDoc);
+    }
+
+    const snapshot = await pageQuery.get();
+    if (snapshot.empty) break;
+
+    for (const photo of snapshot.docs) {
+      const comments = await photo.ref.collection('comments').where('isAnonymous', '==', true).get();
+
+      for (const comment of comments.docs) {
+        scanned += 1;
+        const userId = comment.get('userId');
+        if (!userId) continue;
+
+        if (batchSize + 2 > BATCH_LIMIT) {
+          if (!dryRun) await batch.commit();
+          batch = db.batch();
+          batchSize = 0;
+        }
+        batch.set(db.doc(`anonymousComments/${comment.id}`), {
+          userId,
+          photoId: photo.id,
+          createdAt: comment.get('createdAt') || admin.firestore.FieldValue.serverTimestamp(),
+        });
+        batch.update(comment.ref, { userId: null, isPoster: userId === photo.get('userId') });
+        batchSize += 2;
+        updated += 1;
+      }
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  // Records of the earlier per-user layout - the collection group also holds the new top-level records
+  const records = await db.collectionGroup('anonymousComments').get();
+  let moved = 0;
+  for (const record of records.docs) {
+    const owner = record.ref.parent.parent;
+    if (!owner) continue;
+
+    if (batchSize + 2 > BATCH_LIMIT) {
+      if (!dryRun) await batch.commit();
+      batch = db.batch();
+      batchSize = 0;
+    }
+    batch.set(db.doc(`anonymousComments/${record.id}`), { userId: owner.id, ...record.data() });
+    batch.delete(record.ref);
+    batchSize += 2;
+    moved += 1;
+  }
+
+  if (batchSize > 0 && !dryRun) {
+    await batch.commit();
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Scanned ${scanned} anonymous comments, moved the author of ${updated} and ${moved} older records.`);
+}
+
+backfill().catch((error) => {
+  console.error('Anonymous comment backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+/**
+ * Confirmation Author Backfill Script
+ *
+ * Moves the author of confirmations made before authors were kept private
+ * into a private record at photos/{photoId}/confirmations/{id}/private/author
+ * (see src/firebase/photoPublisher.js). The `userEmail` field is removed
+ * from every confirmation, and anonymous confirmations also lose their
+ * `userId` and `username`.
+ *
+ * Usage:
+ *   GOOGLE_APPLICATION_CREDENTIALS=./service-account.json \
+ *   REACT_APP_FIREBASE_PROJECT_ID=your-project-id \
+ *   npm run backfill:confirmation-authors -- [--dry-run]
+ *
+ * The script is idempotent: confirmations that already have an author
+ * record are skipped, so it is safe to run more than once.
+ */
+
+const admin = require('firebase-admin');
+
+// Photos are read in pages to keep memory use low
+const PAGE_SIZE = 400;
+
+// Most writes Firestore accepts in one batch - each confirmation needs two
+const BATCH_LIMIT = 500;
+
+const dryRun = process.argv.includes('--dry-run');
+
+admin.initializeApp({
+  credential: admin.credential.applicationDefault(),
+  projectId: process.env.FIREBASE_PROJECT_ID || process.env.REACT_APP_FIREBASE_PROJECT_ID,
+});
+
+const db = admin.firestore();
+
+async function backfill() {
+  let lastDoc = null;
+  let scanned = 0;
+  let updated = 0;
+  let batch = db.batch();
+  let batchSize = 0;
+
+  while (true) {
+    let pageQuery = db.collection('photos').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) {
+      pageQuery = pageQuery.startAfter(lastDoc);
+    }
+
+    const snapshot = await pageQuery.get();
+    if (snapshot.empty) break;
+
+    for (const photo of snapshot.docs) {
+      const confirmations = await photo.ref.collection('confirmations').get();
+
+      for (const confirmation of confirmations.docs) {
+        scanned += 1;
+        const authorRef = confirmation.ref.collection('private').doc('author');
+        if ((await authorRef.get()).exists) continue;
+
+        const userId = confirmation.get('userId');
+        if (!userId) continue;
+
+        if (batchSize + 2 > BATCH_LIMIT) {
+          if (!dryRun) await batch.commit();
+          batch = db.batch();
+          batchSize = 0;
+        }
+        batch.set(authorRef, {
+          userId,
+          createdAt: confirmation.get('createdAt') || admin.firestore.FieldValue.serverTimestamp(),
+        });
+        batch.update(confirmation.ref, {
+          userEmail: admin.firestore.FieldValue.delete(),
+          ...(confirmation.get('isAnonymous') ? { userId: null, username: null } : {}),
+        });
+        batchSize += 2;
+        updated += 1;
+      }
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  if (batchSize > 0 && !dryRun) {
+    await batch.commit();
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Scanned ${scanned} confirmations, moved the author of ${updated}.`);
+}
+
+backfill().catch((error) => {
+  console.error('Confirmation author backfill failed:', error);
+  process.exit(1);
+});
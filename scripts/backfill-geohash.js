@@ -0,0 +1,80 @@
+/**
+ * Geohash Backfill Script
+ *
+ * Rewrites `location.geohash` on existing photo documents. Older uploads
+ * stored the placeholder string "lat,lng" instead of a real geohash, which
+ * makes them invisible to the radius queries in src/firebase/nearby.js.
+ *
+ * Usage:
+ *   GOOGLE_APPLICATION_CREDENTIALS=./service-account.json \
+ *   REACT_APP_FIREBASE_PROJECT_ID=your-project-id \
+ *   npm run backfill:geohash -- [--dry-run]
+ *
+ * The script is idempotent: documents that already carry the correct
+ * geohash are skipped, so it is safe to run more than once.
+ */
+
+const admin = require('firebase-admin');
+const { geohashForLocation } = require('geofire-common');
+
+// Documents are read and written in pages to stay within batch limits
+const PAGE_SIZE = 400;
+
+const dryRun = process.argv.includes('--dry-run');
+
+admin.initializeApp({
+  credential: admin.credential.applicationDefault(),
+  projectId: process.env.FIREBASE_PROJECT_ID || process.env.REACT_APP_FIREBASE_PROJECT_ID,
+});
+
+const db = admin.firestore();
+
+async function backfill() {
+  let lastDoc = null;
+  let scanned = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  while (true) {
+    let pageQuery = db.collection('photos').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) {
+      pageQuery = pageQuery.startAfter(lastDoc);
+    }
+
+    const snapshot = await pageQuery.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    let batchSize = 0;
+
+    for (const doc of snapshot.docs) {
+      scanned += 1;
+      const { latitude, longitude, geohash } = doc.get('location') || {};
+
+      // Documents without usable coordinates cannot be geohashed
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) {
+        skipped += 1;
+        continue;
+      }
+
+      const expected = geohashForLocation([latitude, longitude]);
+      if (geohash === expected) continue;
+
+      batch.update(doc.ref, { 'location.geohash': expected });
+      batchSize += 1;
+    }
+
+    if (batchSize > 0 && !dryRun) {
+      await batch.commit();
+    }
+    updated += batchSize;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Scanned ${scanned} photos, updated ${updated}, skipped ${skipped} without coordinates.`);
+}
+
+backfill().catch((error) => {
+  console.error('Geohash backfill failed:', error);
+  process.exit(1);
+});
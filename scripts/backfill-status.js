@@ -0,0 +1,75 @@
+/**
+ * Status Backfill Script
+ *
+ * Sets the lifecycle `status` on photo documents created before statuses
+ * were added - they carry 'active' or nothing. The feed only lists posts
+ * whose status is one of the listed statuses (see src/config/status.js),
+ * so those documents would no longer appear. They become 'reported', the
+ * status the app already shows for them.
+ *
+ * Usage:
+ *   GOOGLE_APPLICATION_CREDENTIALS=./service-account.json \
+ *   REACT_APP_FIREBASE_PROJECT_ID=your-project-id \
+ *   npm run backfill:status -- [--dry-run]
+ *
+ * The script is idempotent: documents that already carry a lifecycle
+ * status are skipped, so it is safe to run more than once.
+ */
+
+const admin = require('firebase-admin');
+
+// Documents are read and written in pages to stay within batch limits
+const PAGE_SIZE = 400;
+
+// Must match the IDs of POST_STATUSES and DEFAULT_STATUS in src/config/status.js
+const POST_STATUS_IDS = ['reported', 'acknowledged', 'help-dispatched', 'resolved', 'relocated', 'not-found', 'removed'];
+const DEFAULT_STATUS = 'reported';
+
+const dryRun = process.argv.includes('--dry-run');
+
+admin.initializeApp({
+  credential: admin.credential.applicationDefault(),
+  projectId: process.env.FIREBASE_PROJECT_ID || process.env.REACT_APP_FIREBASE_PROJECT_ID,
+});
+
+const db = admin.firestore();
+
+async function backfill() {
+  let lastDoc = null;
+  let scanned = 0;
+  let updated = 0;
+
+  while (true) {
+    let pageQuery = db.collection('photos').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) {
+      pageQuery = pageQuery.startAfter(lastDoc);
+    }
+
+    const snapshot = await pageQuery.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    let batchSize = 0;
+
+    for (const doc of snapshot.docs) {
+      scanned += 1;
+      if (POST_STATUS_IDS.includes(doc.get('status'))) continue;
+
+      batch.update(doc.ref, { status: DEFAULT_STATUS });
+      batchSize += 1;
+    }
+
+    if (batchSize > 0 && !dryRun) {
+      await batch.commit();
+    }
+    updated += batchSize;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Scanned ${scanned} photos, set status on ${updated}.`);
+}
+
+backfill().catch((error) => {
+  console.error('Status backfill failed:', error);
+  process.exit(1);
+});
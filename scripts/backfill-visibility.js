@@ -0,0 +1,75 @@
+/**
+ * Visibility Backfill Script
+ *
+ * Sets `visibility` on photo documents created before consent was recorded.
+ * The feed, map and nearby queries ask for `visibility == 'public'` (see
+ * src/firebase/consent.js), so documents without the field would no longer
+ * be listed. Posts whose consent status requires limited visibility get
+ * 'limited', every other post 'public'.
+ *
+ * Usage:
+ *   GOOGLE_APPLICATION_CREDENTIALS=./service-account.json \
+ *   REACT_APP_FIREBASE_PROJECT_ID=your-project-id \
+ *   npm run backfill:visibility -- [--dry-run]
+ *
+ * The script is idempotent: documents that already carry a visibility are
+ * skipped, so it is safe to run more than once.
+ */
+
+const admin = require('firebase-admin');
+
+// Documents are read and written in pages to stay within batch limits
+const PAGE_SIZE = 400;
+
+// Must match the consent statuses with visibility 'limited' in src/config/consent.js
+const LIMITED_CONSENT_STATUSES = ['not-possible'];
+
+const dryRun = process.argv.includes('--dry-run');
+
+admin.initializeApp({
+  credential: admin.credential.applicationDefault(),
+  projectId: process.env.FIREBASE_PROJECT_ID || process.env.REACT_APP_FIREBASE_PROJECT_ID,
+});
+
+const db = admin.firestore();
+
+async function backfill() {
+  let lastDoc = null;
+  let scanned = 0;
+  let updated = 0;
+
+  while (true) {
+    let pageQuery = db.collection('photos').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) {
+      pageQuery = pageQuery.startAfter(lastDoc);
+    }
+
+    const snapshot = await pageQuery.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    let batchSize = 0;
+
+    for (const doc of snapshot.docs) {
+      scanned += 1;
+      if (doc.get('visibility')) continue;
+
+      const visibility = LIMITED_CONSENT_STATUSES.includes(doc.get('consentStatus')) ? 'limited' : 'public';
+      batch.update(doc.ref, { visibility });
+      batchSize += 1;
+    }
+
+    if (batchSize > 0 && !dryRun) {
+      await batch.commit();
+    }
+    updated += batchSize;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Scanned ${scanned} photos, set visibility on ${updated}.`);
+}
+
+backfill().catch((error) => {
+  console.error('Visibility backfill failed:', error);
+  process.exit(1);
+});
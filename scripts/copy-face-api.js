@@ -0,0 +1,20 @@
+/**
+ * Face Detection Library Copy
+ *
+ * Copies the prebuilt browser bundle of @vladmandic/face-api into
+ * public/vendor, from where src/utils/faceDetection.js loads it at runtime.
+ * The bundle carries an esbuild `require` shim that webpack reports as a
+ * "Critical dependency" warning (an error on CI builds), so it is served
+ * as-is instead of being bundled.
+ *
+ * Runs automatically before `npm start` and `npm run build`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const source = require.resolve('@vladmandic/face-api/dist/face-api.esm.js');
+const targetDir = path.join(__dirname, '..', 'public', 'vendor');
+
+fs.mkdirSync(targetDir, { recursive: true });
+fs.copyFileSync(source, path.join(targetDir, 'face-api.esm.js'));
@@ -1,6 +1,8 @@
 import React from 'react';
 import { Routes, Route } from 'react-router-dom';
 import { AuthProvider } from './contexts/AuthContext';
+import { UploadQueueProvider } from './contexts/UploadQueueContext';
+import { LikesProvider } from './contexts/LikesContext';
 import Navbar from './components/Navbar';
 import HomePage from './pages/HomePage';
 import AuthPage from './pages/AuthPage';
@@ -9,6 +11,9 @@ import ProtectedRoute from './components/ProtectedRoute';
 import AboutPage from './pages/AboutPage';
 import ContactPage from './pages/ContactPage';
 import DonatePage from './pages/DonatePage';
+import MapPage from './pages/MapPage';
+import PendingUploadsPage from './pages/PendingUploadsPage';
+import PhotoDetailPage from './pages/PhotoDetailPage';
 import PrivacyPolicyPage from './pages/PrivacyPolicyPage';
 import TermsOfServicePage from './pages/TermsOfServicePage';
 import DisclaimerPage from './pages/DisclaimerPage';
@@ -23,6 +28,8 @@ import Footer from './components/Footer';
  * 
  * Features:
  * - Authentication context provider
+ * - Offline upload queue provider
+ * - Likes provider with the user's liked posts
  * - React Router setup with all page routes
  * - Consistent layout with navbar and footer
  * - Responsive design structure
@@ -31,46 +38,68 @@ function App() {
   return (
     // Authentication context provider - wraps entire app
     <AuthProvider>
-      {/* Main app container with flexbox layout */}
-      <div className="min-h-screen flex flex-col">
-        {/* Navigation bar - fixed at top */}
-        <Navbar />
-        
-        {/* Main content area - grows to fill available space */}
-        <main className="flex-grow">
-          {/* React Router routes configuration */}
-          <Routes>
-            {/* Home page - landing page with photo feed */}
-            <Route path="/" element={<HomePage />} />
-            
-            {/* Authentication page - login/signup */}
-            <Route path="/auth" element={<AuthPage />} />
-            
-            {/* User profile completion page */}
-            <Route 
-              path="/complete-profile" 
-              element={
-                <ProtectedRoute requireProfile={false}>
-                  <UserProfileCompletion />
-                </ProtectedRoute>
-              } 
-            />
-            
-            {/* Information pages */}
-            <Route path="/about" element={<AboutPage />} />
-            <Route path="/contact" element={<ContactPage />} />
-            <Route path="/donate" element={<DonatePage />} />
-            
-            {/* Legal pages */}
-            <Route path="/privacy-policy" element={<PrivacyPolicyPage />} />
-            <Route path="/terms-of-service" element={<TermsOfServicePage />} />
-            <Route path="/disclaimer" element={<DisclaimerPage />} />
-          </Routes>
-        </main>
-        
-        {/* Footer - fixed at bottom */}
-        <Footer />
-      </div>
+      {/* Offline upload queue - needs the signed-in user */}
+      <UploadQueueProvider>
+        {/* Liked posts of the signed-in user */}
+        <LikesProvider>
+          {/* Main app container with flexbox layout */}
+          <div className="min-h-screen flex flex-col">
+            {/* Navigation bar - fixed at top */}
+            <Navbar />
+          
+            {/* Main content area - grows to fill available space */}
+            <main className="flex-grow">
+              {/* React Router routes configuration */}
+              <Routes>
+                {/* Home page - landing page with photo feed */}
+                <Route path="/" element={<HomePage />} />
+              
+                {/* Map page - every geotagged photo on an interactive map */}
+                <Route path="/map" element={<MapPage />} />
+              
+                {/* Post detail page - target of shared links and QR codes */}
+                <Route path="/photo/:id" element={<PhotoDetailPage />} />
+              
+                {/* Posts waiting to upload - queued while offline */}
+                <Route 
+                  path="/pending-uploads" 
+                  element={
+                    <ProtectedRoute>
+                      <PendingUploadsPage />
+                    </ProtectedRoute>
+                  } 
+                />
+              
+                {/* Authentication page - login/signup */}
+                <Route path="/auth" element={<AuthPage />} />
+              
+                {/* User profile completion page */}
+                <Route 
+                  path="/complete-profile" 
+                  element={
+                    <ProtectedRoute requireProfile={false}>
+                      <UserProfileCompletion />
+                    </ProtectedRoute>
+                  } 
+                />
+              
+                {/* Information pages */}
+                <Route path="/about" element={<AboutPage />} />
+                <Route path="/contact" element={<ContactPage />} />
+                <Route path="/donate" element={<DonatePage />} />
+              
+                {/* Legal pages */}
+                <Route path="/privacy-policy" element={<PrivacyPolicyPage />} />
+                <Route path="/terms-of-service" element={<TermsOfServicePage />} />
+                <Route path="/disclaimer" element={<DisclaimerPage />} />
+              </Routes>
+            </main>
+          
+            {/* Footer - fixed at bottom */}
+            <Footer />
+          </div>
+        </LikesProvider>
+      </UploadQueueProvider>
     </AuthProvider>
   );
 }
@@ -0,0 +1,31 @@
+import React, { useEffect, useState } from 'react';
+
+/**
+ * Blob Image Component
+ *
+ * Renders an image held in memory (a File or Blob) through a temporary
+ * object URL. The URL is created when the blob changes and revoked when
+ * it is replaced or the component unmounts, so previews do not leak memory.
+ *
+ * @param {Object} props - Component props
+ * @param {Blob} props.blob - Image data to display
+ * @param {string} [props.alt] - Alternative text
+ * @param {string} [props.className] - Classes for the img element
+ */
+const BlobImage = ({ blob, alt = '', className = '' }) => {
+  const [url, setUrl] = useState(null);  // Object URL for the current blob
+
+  useEffect(() => {
+    if (!blob) {
+      setUrl(null);
+      return;
+    }
+    const objectUrl = URL.createObjectURL(blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [blob]);
+
+  return url ? <img src={url} alt={alt} className={className} /> : null;
+};
+
+export default BlobImage;
@@ -0,0 +1,37 @@
+import React, { useEffect, useRef } from 'react';
+import { decode, isBlurhashValid } from 'blurhash';
+
+/**
+ * Blurhash Placeholder Component
+ *
+ * Paints a blurred preview of a photo from its BlurHash string. Cards show
+ * it underneath the real image so slow connections see the photo's colours
+ * and shapes straight away instead of an empty box.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.hash - BlurHash string stored on the photo document
+ * @param {string} [props.className] - Classes for the canvas element
+ */
+const BlurhashPlaceholder = ({ hash, className = '' }) => {
+  const canvasRef = useRef();
+
+  /**
+   * Decodes the hash into a tiny bitmap; CSS scales it up to fill the card
+   */
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !isBlurhashValid(hash).result) return;
+
+    const width = 32;
+    const height = 32;
+    const pixels = decode(hash, width, height);
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(width, height);
+    imageData.data.set(pixels);
+    context.putImageData(imageData, 0, 0);
+  }, [hash]);
+
+  return <canvas ref={canvasRef} width={32} height={32} className={className} aria-hidden="true" />;
+};
+
+export default BlurhashPlaceholder;
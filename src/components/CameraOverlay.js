@@ -0,0 +1,75 @@
+import React, { useState, useEffect } from 'react';
+import { CAMERA_LEVEL_TOLERANCE_DEG } from '../config/upload';
+
+/**
+ * Camera Overlay Component
+ *
+ * Composition aids drawn over the live camera feed: a rule-of-thirds grid
+ * and a level that shows how far the phone is tilted from straight. The
+ * level reads gravity from devicemotion events; tilt is measured against
+ * the nearest horizontal or vertical, so it works in portrait and landscape.
+ *
+ * Features:
+ * - Rule-of-thirds grid
+ * - Level line that turns green when the camera is straight
+ * - Renders nothing for the level on devices without a motion sensor
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.showGrid - Draw the grid
+ * @param {boolean} props.showLevel - Draw the level
+ */
+const CameraOverlay = ({ showGrid, showLevel }) => {
+  const [tilt, setTilt] = useState(null);  // Degrees from straight, or null before the first reading
+
+  /**
+   * Effect to follow the device's tilt while the level is shown
+   */
+  useEffect(() => {
+    if (!showLevel) {
+      setTilt(null);
+      return;
+    }
+
+    const handleMotion = (event) => {
+      const gravity = event.accelerationIncludingGravity;
+      if (!gravity || gravity.x === null || gravity.y === null) return;
+      const angle = (Math.atan2(gravity.x, gravity.y) * 180) / Math.PI;
+      // Fold into -45..45 - the deviation from the closest right angle
+      setTilt((((angle + 45) % 90) + 90) % 90 - 45);
+    };
+
+    window.addEventListener('devicemotion', handleMotion);
+    return () => window.removeEventListener('devicemotion', handleMotion);
+  }, [showLevel]);
+
+  const isLevel = tilt !== null && Math.abs(tilt) <= CAMERA_LEVEL_TOLERANCE_DEG;
+
+  return (
+    <div className="absolute inset-0 overflow-hidden pointer-events-none rounded-xl">
+      {/* Rule-of-thirds grid */}
+      {showGrid && (
+        <>
+          <div className="absolute inset-y-0 border-l left-1/3 border-white/40" />
+          <div className="absolute inset-y-0 border-l left-2/3 border-white/40" />
+          <div className="absolute inset-x-0 border-t top-1/3 border-white/40" />
+          <div className="absolute inset-x-0 border-t top-2/3 border-white/40" />
+        </>
+      )}
+
+      {/* Level line through the centre */}
+      {showLevel && tilt !== null && (
+        <div className="absolute inset-0 flex items-center justify-center">
+          <div
+            className={`w-1/2 h-0.5 transition-colors duration-200 ${isLevel ? 'bg-green-400' : 'bg-yellow-300'}`}
+            style={{ transform: `rotate(${-tilt}deg)` }}
+          />
+          <span className={`absolute mt-8 text-xs font-medium ${isLevel ? 'text-green-300' : 'text-yellow-200'}`}>
+            {isLevel ? 'Level' : `${Math.abs(tilt).toFixed(0)}°`}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CameraOverlay;
@@ -0,0 +1,135 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Scissors, Trash2, AlertTriangle } from 'lucide-react';
+import { formatBytes } from '../utils/image';
+import { formatDuration } from '../utils/video';
+import { VIDEO_MIN_DURATION_S } from '../config/upload';
+
+/**
+ * Clip Trimmer Component
+ *
+ * Preview and trim step for a clip recorded in the camera view. The preview
+ * loops over the selected section; the cut itself happens when the post is
+ * shared (see trimVideo in utils/video.js), so moving the handles is free.
+ *
+ * Features:
+ * - Looping preview of the kept section
+ * - Start and end handles with a minimum clip length
+ * - Clip length and size readout
+ * - Reminder that faces in clips cannot be blurred
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.clip - Recorded clip {blob, duration, start, end}
+ * @param {function} props.onChange - Called with {start, end} when the handles move
+ * @param {function} props.onRemove - Called when the user discards the clip
+ */
+const ClipTrimmer = ({ clip, onChange, onRemove }) => {
+  const [url, setUrl] = useState(null);  // Object URL for the recorded clip
+  const videoRef = useRef(null);         // Preview video element
+
+  const { duration, start, end } = clip;
+  const isTrimmed = start > 0 || end < duration;
+
+  /**
+   * Creates the preview URL and revokes it when the clip changes
+   */
+  useEffect(() => {
+    const objectUrl = URL.createObjectURL(clip.blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [clip.blob]);
+
+  /**
+   * Restarts the preview from the new start point when the handles move
+   */
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = start;
+    }
+  }, [start, end]);
+
+  /**
+   * Keeps playback inside the selected section
+   */
+  const handleTimeUpdate = () => {
+    const video = videoRef.current;
+    if (video && (video.currentTime >= end || video.currentTime < start)) {
+      video.currentTime = start;
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="relative">
+        {url && (
+          <video
+            ref={videoRef}
+            src={url}
+            autoPlay
+            loop
+            muted
+            playsInline
+            onTimeUpdate={handleTimeUpdate}
+            className="w-full bg-black aspect-video rounded-xl"
+          />
+        )}
+        {/* Discard clip button */}
+        <button
+          onClick={onRemove}
+          className="absolute flex items-center justify-center w-8 h-8 text-white transition-colors duration-300 rounded-full top-2 right-2 bg-black/50 hover:bg-black/70"
+          aria-label="Discard clip"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Trim handles */}
+      <div className="p-3 space-y-2 border border-gray-200 rounded-xl">
+        <div className="flex items-center justify-between text-sm">
+          <span className="flex items-center space-x-2 font-medium text-gray-700">
+            <Scissors className="w-4 h-4" />
+            <span>Trim clip</span>
+          </span>
+          <span className="text-gray-500">
+            {formatDuration(start)} – {formatDuration(end)} ({formatDuration(end - start)})
+          </span>
+        </div>
+        <label className="block text-xs text-gray-600">
+          Start
+          <input
+            type="range"
+            min={0}
+            max={duration}
+            step={0.1}
+            value={start}
+            onChange={(e) => onChange({ start: Math.min(Number(e.target.value), end - VIDEO_MIN_DURATION_S), end })}
+            className="w-full accent-primary-600"
+          />
+        </label>
+        <label className="block text-xs text-gray-600">
+          End
+          <input
+            type="range"
+            min={0}
+            max={duration}
+            step={0.1}
+            value={end}
+            onChange={(e) => onChange({ start, end: Math.max(Number(e.target.value), start + VIDEO_MIN_DURATION_S) })}
+            className="w-full accent-primary-600"
+          />
+        </label>
+        <p className="text-xs text-gray-500">
+          Recorded {formatDuration(duration)} · {formatBytes(clip.blob.size)}
+          {isTrimmed && ' · the clip is cut when you share it'}
+        </p>
+      </div>
+
+      {/* Clips are not redacted - remind the user before they share */}
+      <div className="flex items-start p-3 space-x-2 text-xs text-yellow-800 bg-yellow-50 rounded-xl">
+        <AlertTriangle className="flex-shrink-0 w-4 h-4 mt-0.5" />
+        <span>Faces cannot be blurred in clips. Keep faces out of frame or trim those parts away. Clips are recorded without sound.</span>
+      </div>
+    </div>
+  );
+};
+
+export default ClipTrimmer;
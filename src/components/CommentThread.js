@@ -0,0 +1,343 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { collection, query, where, orderBy, onSnapshot } from 'firebase/firestore';
+import { MessageCircle, Loader2, Pencil, Trash2, Flag, EyeOff, User } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { db } from '../firebase/config';
+import { addComment, editComment, deleteComment, reportComment } from '../firebase/comments';
+import { useAuth } from '../contexts/AuthContext';
+import { COMMENT_MAX_LENGTH, COMMENT_HIDE_REPORT_COUNT, COMMENT_REPORT_REASONS } from '../config/comments';
+import { formatTimestamp, toDate } from '../utils/time';
+
+/**
+ * A single comment with its author, edit, delete and report actions
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Photo document the comment belongs to
+ * @param {Object} props.comment - Comment document with `id`
+ * @param {boolean} props.isAuthor - Whether the signed-in user wrote the comment
+ */
+const CommentItem = ({ post, comment, isAuthor }) => {
+  const { currentUser, isCaseReviewer } = useAuth();
+  const [isEditing, setIsEditing] = useState(false);    // Inline editor open
+  const [draft, setDraft] = useState(comment.text);     // Text in the inline editor
+  const [isReporting, setIsReporting] = useState(false); // Report reasons shown
+  const [isBusy, setIsBusy] = useState(false);          // True while a change is saved
+
+  const isHidden = (comment.reportCount || 0) >= COMMENT_HIDE_REPORT_COUNT;
+  const createdAt = toDate(comment.createdAt);
+
+  /**
+   * Runs a comment change with a busy state and error toast
+   *
+   * @param {function} change - Async change to run
+   * @param {string} success - Message shown when it worked
+   * @returns {Promise<boolean>} True if the change was saved
+   */
+  const runChange = async (change, success) => {
+    setIsBusy(true);
+    try {
+      await change();
+      toast.success(success);
+      return true;
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      toast.error(error.message || 'Something went wrong. Please try again.');
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  /**
+   * Saves the edited text
+   */
+  const handleSave = async () => {
+    if (await runChange(() => editComment(post.id, comment.id, draft), 'Comment updated')) {
+      setIsEditing(false);
+    }
+  };
+
+  /**
+   * Confirms and deletes the comment
+   */
+  const handleDelete = () => {
+    if (!window.confirm('Delete this comment?')) return;
+    runChange(() => deleteComment(post.id, comment.id), 'Comment deleted');
+  };
+
+  /**
+   * Reports the comment with the chosen reason
+   *
+   * @param {string} reason - Reason ID (see config/comments.js)
+   */
+  const handleReport = async (reason) => {
+    await runChange(
+      () => reportComment(post.id, comment.id, { reporterId: currentUser.uid, reason }),
+      'Thanks - moderators will review this comment'
+    );
+    setIsReporting(false);
+  };
+
+  // Heavily reported comments are hidden, except from their author, moderators and NGOs
+  if (isHidden && !isAuthor && !isCaseReviewer()) {
+    return (
+      <li className="flex items-center space-x-2 text-xs text-gray-400">
+        <EyeOff className="w-3 h-3" />
+        <span>Comment hidden after reports</span>
+      </li>
+    );
+  }
+
+  return (
+    <li className="flex items-start space-x-3">
+      <div className="flex items-center justify-center flex-shrink-0 w-8 h-8 rounded-full bg-gradient-to-r from-primary-500 to-primary-600">
+        <User className="w-4 h-4 text-white" />
+      </div>
+      <div className="flex-1 min-w-0">
+        <div className="flex flex-wrap items-center gap-x-2 text-xs text-gray-500">
+          <span className="text-sm font-medium text-gray-900">
+            {comment.isAnonymous ? 'Anonymous' : (comment.authorName || 'Unknown User')}
+          </span>
+          {/* Comments made before isPoster was stored are matched by author */}
+          {(comment.isPoster || comment.userId === post.userId) && (
+            <span className="px-2 py-0.5 font-semibold rounded-full bg-primary-100 text-primary-700">Poster</span>
+          )}
+          <span title={createdAt ? createdAt.toLocaleString() : undefined}>{formatTimestamp(comment.createdAt)}</span>
+          {comment.editedAt && <span>· edited</span>}
+          {isHidden && <span className="text-red-600">· hidden after {comment.reportCount} reports</span>}
+        </div>
+
+        {isEditing ? (
+          <div className="mt-2 space-y-2">
+            <textarea
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              className="h-20 text-sm resize-none input-field"
+              maxLength={COMMENT_MAX_LENGTH}
+            />
+            <div className="flex space-x-2">
+              <button onClick={handleSave} disabled={isBusy} className="text-sm btn-primary disabled:opacity-50">
+                Save
+              </button>
+              <button
+                onClick={() => { setIsEditing(false); setDraft(comment.text); }}
+                disabled={isBusy}
+                className="text-sm btn-secondary"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        ) : (
+          <p className="mt-1 text-sm leading-relaxed text-gray-700 break-words whitespace-pre-line">{comment.text}</p>
+        )}
+
+        {/* Author actions, or reporting for other signed-in users */}
+        {!isEditing && currentUser && (
+          <div className="flex items-center mt-1 space-x-3 text-xs text-gray-500">
+            {isAuthor ? (
+              <>
+                <button onClick={() => setIsEditing(true)} disabled={isBusy} className="flex items-center space-x-1 hover:text-primary-600">
+                  <Pencil className="w-3 h-3" />
+                  <span>Edit</span>
+                </button>
+                <button onClick={handleDelete} disabled={isBusy} className="flex items-center space-x-1 hover:text-red-600">
+                  <Trash2 className="w-3 h-3" />
+                  <span>Delete</span>
+                </button>
+              </>
+            ) : (
+              <button onClick={() => setIsReporting(!isReporting)} disabled={isBusy} className="flex items-center space-x-1 hover:text-red-600">
+                <Flag className="w-3 h-3" />
+                <span>Report</span>
+              </button>
+            )}
+          </div>
+        )}
+        {isReporting && (
+          <div className="flex flex-wrap gap-2 mt-2">
+            {COMMENT_REPORT_REASONS.map((reason) => (
+              <button
+                key={reason.id}
+                onClick={() => handleReport(reason.id)}
+                disabled={isBusy}
+                className="px-3 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-200 rounded-full hover:border-red-300 hover:text-red-600"
+              >
+                {reason.label}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Comment Thread Component
+ *
+ * Notes from volunteers on a post, e.g. "dropped off blankets at 10pm",
+ * oldest first so the thread reads like a log.
+ *
+ * Features:
+ * - Real-time comments from the post's `comments` subcollection
+ * - Anonymous comments - posters of anonymous posts always comment anonymously
+ * - Edit and delete by the author
+ * - Reporting with a reason; heavily reported comments are hidden
+ * - The post owner is notified of new comments
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Photo document with `id`
+ */
+const CommentThread = ({ post }) => {
+  // ===== STATE MANAGEMENT =====
+  const { currentUser, userProfile } = useAuth();
+  const [comments, setComments] = useState(null);      // Comments, null while loading
+  const [text, setText] = useState('');                // New comment text
+  const [isAnonymous, setIsAnonymous] = useState(false); // Hide the author's name
+  const [isPosting, setIsPosting] = useState(false);   // True while the comment is saved
+  const [ownAnonymousIds, setOwnAnonymousIds] = useState(new Set()); // The user's anonymous comments on this post
+
+  // A named comment by the poster would reveal who shared an anonymous post
+  const mustBeAnonymous = Boolean(currentUser && post.isAnonymous && post.userId === currentUser.uid);
+
+  // ===== FIRESTORE DATA FETCHING =====
+
+  /**
+   * Listens to the comments so new ones appear live
+   */
+  useEffect(() => {
+    const q = query(collection(db, 'photos', post.id, 'comments'), orderBy('createdAt', 'asc'));
+    const unsubscribe = onSnapshot(
+      q,
+      (snapshot) => {
+        setComments(snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() })));
+      },
+      (error) => {
+        console.error('Error fetching comments:', error);
+        setComments([]);
+      }
+    );
+    return () => unsubscribe();
+  }, [post.id]);
+
+  const userId = currentUser ? currentUser.uid : null;
+
+  /**
+   * Listens to the user's private records of their anonymous comments on
+   * this post - those comments carry no author ID
+   */
+  useEffect(() => {
+    if (!userId) {
+      setOwnAnonymousIds(new Set());
+      return undefined;
+    }
+    const q = query(collection(db, 'anonymousComments'), where('userId', '==', userId), where('photoId', '==', post.id));
+    const unsubscribe = onSnapshot(
+      q,
+      (snapshot) => setOwnAnonymousIds(new Set(snapshot.docs.map((entry) => entry.id))),
+      (error) => console.error('Error fetching your anonymous comments:', error)
+    );
+    return () => unsubscribe();
+  }, [post.id, userId]);
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Posts the new comment
+   *
+   * @param {Event} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsPosting(true);
+    try {
+      await addComment(post, {
+        author: { id: currentUser.uid, name: userProfile?.username || currentUser.displayName || null },
+        text,
+        isAnonymous: mustBeAnonymous || isAnonymous,
+      });
+      setText('');
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      toast.error(error.message || 'Failed to post your comment. Please try again.');
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  // ===== RENDER =====
+
+  return (
+    <div id="comments" className="p-6 space-y-4 bg-white shadow-md rounded-2xl">
+      <h2 className="flex items-center space-x-2 text-lg font-semibold text-gray-900">
+        <MessageCircle className="w-5 h-5 text-primary-600" />
+        <span>Comments{comments && comments.length > 0 ? ` (${comments.length})` : ''}</span>
+      </h2>
+
+      {comments === null ? (
+        <div className="flex items-center space-x-2 text-sm text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          <span>Loading comments...</span>
+        </div>
+      ) : comments.length === 0 ? (
+        <p className="text-sm text-gray-500">No comments yet. Share what you did or anything responders should know.</p>
+      ) : (
+        <ul className="space-y-4">
+          {comments.map((comment) => (
+            <CommentItem
+              key={comment.id}
+              post={post}
+              comment={comment}
+              isAuthor={Boolean(userId && (comment.userId === userId || ownAnonymousIds.has(comment.id)))}
+            />
+          ))}
+        </ul>
+      )}
+
+      {currentUser ? (
+        <form onSubmit={handleSubmit} className="pt-4 space-y-3 border-t border-gray-100">
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="e.g. Dropped off blankets at 10pm, he prefers Tamil"
+            className="h-20 text-sm resize-none input-field"
+            maxLength={COMMENT_MAX_LENGTH}
+          />
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            {mustBeAnonymous ? (
+              <span className="flex items-center space-x-2 text-xs text-gray-500">
+                <EyeOff className="w-4 h-4" />
+                <span>Your post is anonymous, so your comments are too</span>
+              </span>
+            ) : (
+              <button
+                type="button"
+                onClick={() => setIsAnonymous(!isAnonymous)}
+                className="flex items-center space-x-2 text-sm text-gray-600"
+              >
+                {isAnonymous ? <EyeOff className="w-4 h-4" /> : <User className="w-4 h-4" />}
+                <span>{isAnonymous ? 'Your name will be hidden' : 'Your username will be shown'}</span>
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={isPosting || !text.trim()}
+              className="flex items-center space-x-2 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isPosting && <Loader2 className="w-4 h-4 animate-spin" />}
+              <span>Post Comment</span>
+            </button>
+          </div>
+        </form>
+      ) : (
+        <p className="pt-4 text-sm text-gray-500 border-t border-gray-100">
+          <Link to="/auth" className="font-medium text-primary-600 hover:text-primary-700">Sign in</Link> to leave a comment.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { FileSignature, ChevronDown, Loader2, ExternalLink } from 'lucide-react';
+import { getConsentRecord } from '../firebase/consent';
+import { getConsentStatus } from '../config/consent';
+import { formatTimestamp } from '../utils/time';
+
+/**
+ * Consent Record Component
+ *
+ * Consent status of a post for moderators, NGOs and the poster. The badge
+ * comes from the public `consentStatus` field; the private note and consent
+ * photo are only fetched when the record is expanded.
+ *
+ * Features:
+ * - Consent status badge
+ * - Expandable private note and link to the consent photo
+ * - Fallback for posts made before consent was recorded
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Photo document with `id` and `consentStatus`
+ */
+const ConsentRecord = ({ post }) => {
+  const [isOpen, setIsOpen] = useState(false);      // Private details expanded
+  const [record, setRecord] = useState(undefined);  // Private record; undefined until loaded, null if missing
+  const [error, setError] = useState(null);         // Load error message
+
+  const status = getConsentStatus(post.consentStatus);
+
+  /**
+   * Expands the record, loading the private details on first open
+   */
+  const toggleOpen = async () => {
+    setIsOpen(!isOpen);
+    if (isOpen || record !== undefined) return;
+
+    try {
+      setRecord(await getConsentRecord(post.id));
+    } catch (loadError) {
+      console.error('Error loading consent record:', loadError);
+      setError('The consent record could not be loaded');
+    }
+  };
+
+  if (!status) {
+    return (
+      <div className="flex items-center space-x-1 text-xs text-gray-500">
+        <FileSignature className="w-3 h-3" />
+        <span>Consent not recorded</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <button
+        onClick={toggleOpen}
+        className={`flex items-center space-x-1 px-2 py-1 text-xs font-medium rounded-full ${status.className}`}
+        aria-expanded={isOpen}
+      >
+        <FileSignature className="w-3 h-3" />
+        <span>{status.label}</span>
+        <ChevronDown className={`w-3 h-3 transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="p-3 space-y-2 text-xs text-gray-700 rounded-lg bg-gray-50">
+          {error ? (
+            <p className="text-red-600">{error}</p>
+          ) : record === undefined ? (
+            <span className="flex items-center space-x-1 text-gray-500">
+              <Loader2 className="w-3 h-3 animate-spin" />
+              <span>Loading...</span>
+            </span>
+          ) : record === null ? (
+            <p className="text-gray-500">No private consent details were added.</p>
+          ) : (
+            <>
+              <p>{record.note || 'No note was added.'}</p>
+              {record.photoUrl && (
+                <a
+                  href={record.photoUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center space-x-1 font-medium text-primary-600 hover:text-primary-700"
+                >
+                  <span>View consent photo</span>
+                  <ExternalLink className="w-3 h-3" />
+                </a>
+              )}
+              <p className="text-gray-500">Recorded {formatTimestamp(record.recordedAt).toLowerCase()}</p>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConsentRecord;
@@ -0,0 +1,344 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { X, User, EyeOff, Replace, ScanFace, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { editPost } from '../firebase/postEditing';
+import { validateImageFile } from '../utils/fileValidation';
+import { createRenditions, getPostImages, getImageSources } from '../utils/image';
+import { summarizeRedactions } from '../utils/redaction';
+import { IMAGE_QUALITY, IMAGE_RENDITIONS } from '../config/upload';
+import { NEED_CATEGORIES } from '../config/needs';
+import { getConsentStatus } from '../config/consent';
+import RedactionEditor from './RedactionEditor';
+
+/**
+ * Edit Post Dialog Component
+ *
+ * Lets the person who shared a post fix its description, need tags and
+ * anonymity, and replace photos with new ones that go through the
+ * redaction editor. Every save is kept as a version (see
+ * firebase/postEditing.js).
+ *
+ * Features:
+ * - Description, need tags and anonymity, pre-filled from the post
+ * - Replace any photo - faces are detected and can be hidden before saving
+ * - Posts without consent need hidden areas on every replacement photo
+ * - Upload progress while replacement photos are sent
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Photo document with `id`
+ * @param {function} props.onClose - Called when the dialog is dismissed or the edit is saved
+ */
+const EditPostDialog = ({ post, onClose }) => {
+  // ===== STATE MANAGEMENT =====
+  const { currentUser } = useAuth();
+  const [description, setDescription] = useState(post.description || '');
+  const [tags, setTags] = useState(post.tags || []);
+  const [isAnonymous, setIsAnonymous] = useState(Boolean(post.isAnonymous));
+  const [replacements, setReplacements] = useState({});     // Image index -> {file, redactions, previewUrl}
+  const [redactingIndex, setRedactingIndex] = useState(null); // Image open in the redaction editor
+  const [isSaving, setIsSaving] = useState(false);          // True while the edit is prepared and saved
+  const [uploadProgress, setUploadProgress] = useState(0);  // Replacement upload progress (0-1)
+  const fileInputRef = useRef(null);
+  const replaceIndexRef = useRef(null);                     // Image the file picker replaces
+  const replacementsRef = useRef(replacements);             // Latest replacements for cleanup
+  replacementsRef.current = replacements;
+
+  const images = getPostImages(post);
+  const requiresRedaction = Boolean(getConsentStatus(post.consentStatus)?.requiresRedaction);
+
+  /**
+   * Revokes replacement previews when the dialog closes
+   */
+  useEffect(() => () => {
+    Object.values(replacementsRef.current).forEach((replacement) => URL.revokeObjectURL(replacement.previewUrl));
+  }, []);
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Opens the file picker for one of the post's photos
+   *
+   * @param {number} index - Position of the photo to replace
+   */
+  const handleReplaceClick = (index) => {
+    replaceIndexRef.current = index;
+    fileInputRef.current?.click();
+  };
+
+  /**
+   * Checks the chosen file and opens it in the redaction editor
+   *
+   * @param {Event} event - File input change event
+   */
+  const handleFileSelect = async (event) => {
+    const [selected] = event.target.files;
+    event.target.value = '';
+    const index = replaceIndexRef.current;
+    if (!selected || index === null) return;
+
+    try {
+      const file = await validateImageFile(selected);
+      setReplacements((current) => {
+        if (current[index]) URL.revokeObjectURL(current[index].previewUrl);
+        return { ...current, [index]: { file, redactions: [], previewUrl: URL.createObjectURL(file) } };
+      });
+      setRedactingIndex(index);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  /**
+   * Drops a replacement and keeps the photo already on the post
+   *
+   * @param {number} index - Position of the photo
+   */
+  const handleUndoReplace = (index) => {
+    setReplacements((current) => {
+      const { [index]: removed, ...rest } = current;
+      if (removed) URL.revokeObjectURL(removed.previewUrl);
+      return rest;
+    });
+  };
+
+  /**
+   * Saves the edit as a new version of the post
+   */
+  const handleSave = async () => {
+    const pending = Object.entries(replacements);
+    if (requiresRedaction && pending.some(([, replacement]) => replacement.redactions.length === 0)) {
+      toast.error('This post has no consent - hide faces and identifying details in every new photo');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const prepared = [];
+      for (const [index, replacement] of pending) {
+        const processed = await createRenditions(replacement.file, {
+          sizes: IMAGE_RENDITIONS,
+          quality: IMAGE_QUALITY,
+          redactions: replacement.redactions,
+        });
+        prepared.push({
+          index: Number(index),
+          image: {
+            renditions: processed.renditions,
+            blurhash: processed.blurhash,
+            phash: processed.phash,
+            redaction: summarizeRedactions(replacement.redactions),
+          },
+        });
+      }
+
+      await editPost(post.id, {
+        changes: { description: description.trim() || null, tags, isAnonymous },
+        replacements: prepared,
+        editorId: currentUser.uid,
+      }, { onProgress: setUploadProgress });
+
+      toast.success('Post updated');
+      onClose();
+    } catch (error) {
+      console.error('Error editing post:', error);
+      toast.error(error.message || 'Failed to update the post. Please try again.');
+    } finally {
+      setIsSaving(false);
+      setUploadProgress(0);
+    }
+  };
+
+  // ===== RENDER =====
+
+  const redacting = redactingIndex !== null ? replacements[redactingIndex] : null;
+
+  return (
+    <div className="modal-overlay" onClick={isSaving ? undefined : onClose}>
+      <div className="modal-content max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-center justify-between flex-shrink-0 p-6 bg-white border-b border-gray-200 rounded-t-2xl">
+          <h2 className="text-2xl font-bold text-gray-900">Edit Post</h2>
+          <button
+            onClick={onClose}
+            disabled={isSaving}
+            className="flex items-center justify-center w-8 h-8 transition-colors duration-200 bg-gray-100 rounded-full hover:bg-gray-200"
+            aria-label="Close"
+          >
+            <X className="w-5 h-5 text-gray-600" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto scrollbar-thin">
+          <div className="p-6 space-y-6">
+            {redacting ? (
+              <RedactionEditor
+                key={redactingIndex}
+                file={redacting.file}
+                redactions={redacting.redactions}
+                onChange={(regions) => setReplacements((current) => ({
+                  ...current,
+                  [redactingIndex]: { ...current[redactingIndex], redactions: regions },
+                }))}
+                onDone={() => setRedactingIndex(null)}
+              />
+            ) : (
+              <>
+                {/* Photos - each can be swapped for a newly redacted one */}
+                {images.length > 0 && (
+                  <div className="space-y-3">
+                    <h3 className="text-lg font-semibold text-gray-900">Photos</h3>
+                    <div className="grid grid-cols-2 gap-3">
+                      {images.map((image, index) => {
+                        const replacement = replacements[index];
+                        return (
+                          <div key={image.path || index} className="space-y-2">
+                            <div className="relative overflow-hidden rounded-xl aspect-square">
+                              {replacement ? (
+                                <img src={replacement.previewUrl} alt={`Replacement for sighting ${index + 1}`} className="object-cover w-full h-full" />
+                              ) : (
+                                <img {...getImageSources(image)} sizes="200px" alt={`Sighting ${index + 1}`} className="object-cover w-full h-full" />
+                              )}
+                              {replacement && (
+                                <span className="absolute bottom-0 left-0 right-0 px-2 py-1 text-xs text-white bg-black/60">
+                                  New photo · {replacement.redactions.length} area{replacement.redactions.length === 1 ? '' : 's'} hidden when saved
+                                </span>
+                              )}
+                            </div>
+                            {replacement ? (
+                              <div className="flex space-x-2">
+                                <button
+                                  type="button"
+                                  onClick={() => setRedactingIndex(index)}
+                                  className="flex items-center justify-center flex-1 space-x-1 text-xs btn-secondary"
+                                >
+                                  <ScanFace className="w-3 h-3" />
+                                  <span>Hide areas</span>
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => handleUndoReplace(index)}
+                                  className="text-xs btn-secondary"
+                                  aria-label="Keep the current photo"
+                                >
+                                  <X className="w-3 h-3" />
+                                </button>
+                              </div>
+                            ) : (
+                              <button
+                                type="button"
+                                onClick={() => handleReplaceClick(index)}
+                                className="flex items-center justify-center w-full space-x-1 text-xs btn-secondary"
+                              >
+                                <Replace className="w-3 h-3" />
+                                <span>Replace</span>
+                              </button>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      accept="image/*,.heic,.heif"
+                      onChange={handleFileSelect}
+                      className="hidden"
+                    />
+                  </div>
+                )}
+
+                {/* Need tags */}
+                <div className="space-y-3">
+                  <h3 className="text-lg font-semibold text-gray-900">Needs</h3>
+                  <div className="flex flex-wrap gap-2">
+                    {NEED_CATEGORIES.map((category) => {
+                      const isSelected = tags.includes(category.id);
+                      return (
+                        <button
+                          key={category.id}
+                          type="button"
+                          onClick={() => setTags(isSelected
+                            ? tags.filter((id) => id !== category.id)
+                            : [...tags, category.id])}
+                          className={`px-3 py-1 text-sm font-medium rounded-full border transition-colors duration-300 ${
+                            isSelected
+                              ? 'bg-primary-600 border-primary-600 text-white'
+                              : 'bg-white border-gray-200 text-gray-700 hover:border-primary-300'
+                          }`}
+                        >
+                          {category.label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+
+                {/* Description */}
+                <div className="space-y-3">
+                  <h3 className="text-lg font-semibold text-gray-900">Description</h3>
+                  <textarea
+                    value={description}
+                    onChange={(e) => setDescription(e.target.value)}
+                    placeholder="Add any additional details about this location..."
+                    className="h-24 resize-none input-field"
+                    maxLength={500}
+                  />
+                  <div className="text-xs text-right text-gray-500">
+                    {description.length}/500
+                  </div>
+                </div>
+
+                {/* Anonymity */}
+                <div className="flex items-center justify-between p-4 bg-gray-50 rounded-xl">
+                  <div className="flex items-center space-x-3">
+                    {isAnonymous ? <EyeOff className="w-5 h-5 text-gray-600" /> : <User className="w-5 h-5 text-gray-600" />}
+                    <div>
+                      <p className="font-medium text-gray-900">{isAnonymous ? 'Shown Anonymously' : 'Shown as Yourself'}</p>
+                      <p className="text-sm text-gray-600">
+                        {isAnonymous ? 'Your identity will be hidden' : 'Your name will be visible'}
+                      </p>
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setIsAnonymous(!isAnonymous)}
+                    className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors duration-300 ${
+                      isAnonymous ? 'bg-primary-600' : 'bg-gray-300'
+                    }`}
+                    aria-label="Toggle anonymity"
+                  >
+                    <span
+                      className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform duration-300 ${
+                        isAnonymous ? 'translate-x-6' : 'translate-x-1'
+                      }`}
+                    />
+                  </button>
+                </div>
+
+                {isSaving && Object.keys(replacements).length > 0 && (
+                  <div className="w-full h-2 overflow-hidden bg-gray-200 rounded-full">
+                    <div
+                      className="h-full transition-all duration-300 bg-primary-600"
+                      style={{ width: `${Math.round(uploadProgress * 100)}%` }}
+                    />
+                  </div>
+                )}
+
+                <button
+                  onClick={handleSave}
+                  disabled={isSaving}
+                  className="flex items-center justify-center w-full space-x-2 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSaving && <Loader2 className="w-4 h-4 animate-spin" />}
+                  <span>{isSaving ? 'Saving...' : 'Save Changes'}</span>
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EditPostDialog;
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Link } from 'react-router-dom';
+import { LocateFixed } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { getPostStatus } from '../config/status';
+import FieldCheckDialog from './FieldCheckDialog';
+
+/**
+ * Field Check Button Component
+ *
+ * "Still here?" button that opens the field check dialog for a post.
+ * Signed-out visitors are sent to sign in; closed posts and posts without
+ * a location show nothing.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Photo document with `id` and `location`
+ * @param {string} [props.className] - Button classes
+ */
+const FieldCheckButton = ({ post, className = 'btn-secondary' }) => {
+  const { currentUser } = useAuth();
+  const [isOpen, setIsOpen] = useState(false);  // Dialog visibility
+
+  if (!post.location || getPostStatus(post.status).isClosed) return null;
+
+  if (!currentUser) {
+    return (
+      <Link to="/auth" className={`flex items-center space-x-2 ${className}`} title="Sign in to check this post">
+        <LocateFixed className="w-4 h-4" />
+        <span>Still here?</span>
+      </Link>
+    );
+  }
+
+  return (
+    <>
+      <button onClick={() => setIsOpen(true)} className={`flex items-center space-x-2 ${className}`}>
+        <LocateFixed className="w-4 h-4" />
+        <span>Still here?</span>
+      </button>
+
+      {/* Portalled so the dialog is not clipped by the card */}
+      {isOpen && createPortal(
+        <FieldCheckDialog post={post} onClose={() => setIsOpen(false)} />,
+        document.body
+      )}
+    </>
+  );
+};
+
+export default FieldCheckButton;
@@ -0,0 +1,543 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { distanceBetween } from 'geofire-common';
+import { X, LocateFixed, CheckCircle2, XCircle, ImagePlus, Loader2, User, EyeOff, ScanFace, AlertTriangle, Lock, Camera } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { useUploadQueue, isRetryableUploadError } from '../contexts/UploadQueueContext';
+import { publishPhoto } from '../firebase/photoPublisher';
+import { validateImageFile } from '../utils/fileValidation';
+import { createRenditions, sanitizeImage } from '../utils/image';
+import { summarizeRedactions } from '../utils/redaction';
+import { IMAGE_QUALITY, IMAGE_RENDITIONS } from '../config/upload';
+import { CONSENT_STATUSES, CONSENT_NOTE_MAX_LENGTH, CONSENT_PHOTO_MAX_DIMENSION, getConsentStatus } from '../config/consent';
+import RedactionEditor from './RedactionEditor';
+import BlobImage from './BlobImage';
+import {
+  FIELD_CHECK_PRESENCE,
+  FIELD_CHECK_MAX_DISTANCE_M,
+  FIELD_CHECK_MAX_ACCURACY_M,
+  FIELD_CHECK_LOCATION_TIMEOUT_MS,
+  FIELD_CHECK_NOTE_MAX_LENGTH,
+} from '../config/freshness';
+
+// Icon and selected style per presence answer
+const PRESENCE_STYLES = {
+  'still-here': { icon: CheckCircle2, className: 'bg-green-600 border-green-600 text-white' },
+  'no-longer-here': { icon: XCircle, className: 'bg-gray-700 border-gray-700 text-white' },
+};
+
+/**
+ * Formats a distance in metres for display
+ *
+ * @param {number} metres - Distance in metres
+ * @returns {string} e.g. "85 m" or "1.2 km"
+ */
+const formatDistance = (metres) => (
+  metres < 1000 ? `${Math.round(metres)} m` : `${(metres / 1000).toFixed(1)} km`
+);
+
+/**
+ * Field Check Dialog Component
+ *
+ * Lets a signed-in user standing near a post say whether the person is
+ * still there. The answer is stored as a confirmation of the post and
+ * refreshes (or lowers) its freshness score (see utils/freshness.js).
+ *
+ * Features:
+ * - Current GPS fix with the distance to the post
+ * - Only enabled within FIELD_CHECK_MAX_DISTANCE_M of the post
+ * - "Still here" / "No longer here" answer with an optional note
+ * - Optional new photo, checked in the redaction editor with consent
+ *   recorded like a new post - photos of posts without consent always
+ *   need hidden areas
+ * - Anonymous option, like a new post
+ * - Queued on the device when offline
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Photo document with `id` and `location`
+ * @param {function} props.onClose - Called when the dialog is dismissed or the check is saved
+ */
+const FieldCheckDialog = ({ post, onClose }) => {
+  // ===== STATE MANAGEMENT =====
+  const { currentUser, userProfile } = useAuth();
+  const { queueUpload } = useUploadQueue();               // Offline upload queue
+  const [position, setPosition] = useState(null);         // {latitude, longitude, accuracy, capturedAt}
+  const [locationError, setLocationError] = useState(null); // Message when no fix could be taken
+  const [isLocating, setIsLocating] = useState(true);     // True while waiting for GPS
+  const [presence, setPresence] = useState(null);         // Chosen presence ID
+  const [note, setNote] = useState('');                   // Optional note
+  const [photo, setPhoto] = useState(null);               // {file, previewUrl, redactions} or null
+  const [isRedacting, setIsRedacting] = useState(false);  // True while the redaction editor is open
+  const [consentStatus, setConsentStatus] = useState(null); // Consent for the new photo (see config/consent.js)
+  const [consentNote, setConsentNote] = useState('');     // Private note for moderators and NGOs
+  const [consentPhoto, setConsentPhoto] = useState(null); // Private photo, e.g. of a signed form
+  const [isAnonymous, setIsAnonymous] = useState(false);  // Hide the checker's name
+  const [isSaving, setIsSaving] = useState(false);        // True while the check is prepared and sent
+  const fileInputRef = useRef(null);
+  const consentPhotoInputRef = useRef(null);
+
+  const consentRules = getConsentStatus(consentStatus) || null;
+  // A post made without consent keeps its stricter rules for every new photo
+  const requiresRedaction = Boolean(getConsentStatus(post.consentStatus)?.requiresRedaction || consentRules?.requiresRedaction);
+  // Photos taken without consent stay with reviewers, so a public post can't take one
+  const isConsentAllowed = (status) => status.visibility !== 'limited' || post.visibility === 'limited';
+
+  // ===== LOCATION =====
+
+  /**
+   * Takes a fresh GPS fix - cached positions are not accepted, the check
+   * has to be made on the spot
+   */
+  const locate = useCallback(() => {
+    if (!navigator.geolocation) {
+      setLocationError('Location is not supported by this browser');
+      setIsLocating(false);
+      return;
+    }
+    setIsLocating(true);
+    setLocationError(null);
+    navigator.geolocation.getCurrentPosition(
+      (result) => {
+        setPosition({
+          latitude: result.coords.latitude,
+          longitude: result.coords.longitude,
+          accuracy: result.coords.accuracy,
+          capturedAt: new Date(result.timestamp),
+        });
+        setIsLocating(false);
+      },
+      (error) => {
+        console.error('Error getting location:', error);
+        setLocationError('Could not get your location. Please enable location access and try again.');
+        setIsLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: FIELD_CHECK_LOCATION_TIMEOUT_MS, maximumAge: 0 }
+    );
+  }, []);
+
+  useEffect(() => {
+    locate();
+  }, [locate]);
+
+  /**
+   * Revokes the photo preview when it is replaced or the dialog closes
+   */
+  useEffect(() => () => {
+    if (photo) URL.revokeObjectURL(photo.previewUrl);
+  }, [photo]);
+
+  // Distance to the post; a rough fix is given the benefit of its accuracy, up to a limit
+  const distanceM = position
+    ? distanceBetween([position.latitude, position.longitude], [post.location.latitude, post.location.longitude]) * 1000
+    : null;
+  const allowance = position ? Math.min(position.accuracy || 0, FIELD_CHECK_MAX_ACCURACY_M) : 0;
+  const isNearby = distanceM !== null && distanceM - allowance <= FIELD_CHECK_MAX_DISTANCE_M;
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Checks the chosen photo and opens it in the redaction editor
+   *
+   * @param {Event} event - File input change event
+   */
+  const handlePhotoSelect = async (event) => {
+    const [selected] = event.target.files;
+    event.target.value = '';
+    if (!selected) return;
+
+    try {
+      const file = await validateImageFile(selected);
+      setPhoto({ file, previewUrl: URL.createObjectURL(file), redactions: [] });
+      setIsRedacting(true);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  /**
+   * Drops the new photo together with its consent details
+   */
+  const handlePhotoRemove = () => {
+    setPhoto(null);
+    setIsRedacting(false);
+    setConsentStatus(null);
+    setConsentNote('');
+    setConsentPhoto(null);
+  };
+
+  /**
+   * Handles selection of the private consent photo
+   *
+   * @param {Event} event - File input change event
+   */
+  const handleConsentPhotoSelect = async (event) => {
+    const [selected] = event.target.files;
+    event.target.value = '';
+    if (!selected) return;
+
+    try {
+      setConsentPhoto(await validateImageFile(selected));
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  /**
+   * Saves the field check as a confirmation of the post
+   */
+  const handleSubmit = async () => {
+    if (!currentUser || !presence || !isNearby) return;
+
+    // A new photo needs consent recorded, and hidden faces without it
+    if (photo && !consentRules) {
+      toast.error('Please record whether the person agreed to be photographed');
+      return;
+    }
+    if (photo && !isConsentAllowed(consentRules)) {
+      toast.error('Photos taken without consent cannot be added to a public post');
+      return;
+    }
+    if (photo && requiresRedaction && photo.redactions.length === 0) {
+      toast.error('Without consent, faces must be hidden in the photo');
+      setIsRedacting(true);
+      return;
+    }
+
+    setIsSaving(true);
+
+    try {
+      let images = [];
+      let consent = null;
+      if (photo) {
+        try {
+          const processed = await createRenditions(photo.file, {
+            sizes: IMAGE_RENDITIONS,
+            quality: IMAGE_QUALITY,
+            redactions: photo.redactions,
+          });
+          images = [{
+            renditions: processed.renditions,
+            blurhash: processed.blurhash,
+            phash: processed.phash,
+            redaction: summarizeRedactions(photo.redactions),
+          }];
+        } catch (error) {
+          console.error('Error preparing field check photo:', error);
+          toast.error('The photo could not be processed. Please remove it or choose another.');
+          return;
+        }
+
+        // Private consent photo - re-encoded so its metadata is stripped
+        let preparedConsentPhoto = null;
+        if (consentPhoto && !consentRules.requiresRedaction) {
+          try {
+            preparedConsentPhoto = await sanitizeImage(consentPhoto, {
+              type: 'image/jpeg',
+              quality: IMAGE_QUALITY,
+              maxDimension: CONSENT_PHOTO_MAX_DIMENSION,
+            });
+          } catch (error) {
+            console.error('Error processing consent photo:', error);
+            toast.error('The consent photo could not be processed. Please remove it or choose another.');
+            return;
+          }
+        }
+        consent = { status: consentStatus, note: consentNote.trim() || null, photo: preparedConsentPhoto };
+      }
+
+      const submission = {
+        userId: currentUser.uid,
+        userEmail: currentUser.email,
+        username: userProfile?.username || currentUser.displayName || 'Anonymous',
+        images,
+        clip: null,
+        location: { ...position, source: 'gps' },
+        place: { state: post.state || null, district: post.district || null, city: post.city || null },
+        sightedAt: position.capturedAt,
+        description: note.trim() || null,
+        isAnonymous,
+        redaction: summarizeRedactions(photo ? photo.redactions : []),
+        consent,                                 // Null for checks without a photo
+        confirmationOf: post.id,
+        presence,
+        distanceM,
+        submittedAt: new Date(),
+      };
+
+      // No connection - keep the check on the device and send it later
+      if (!navigator.onLine) {
+        await queueUpload(submission, 'offline');
+        toast('You are offline - your check will be sent when you reconnect', { icon: '📶' });
+        onClose();
+        return;
+      }
+
+      try {
+        await publishPhoto(submission);
+      } catch (error) {
+        if (isRetryableUploadError(error)) {
+          await queueUpload(submission, error.code || 'network');
+          toast('Connection lost - your check was saved and will be sent automatically', { icon: '📶' });
+          onClose();
+          return;
+        }
+        throw error;
+      }
+
+      toast.success(presence === 'still-here' ? 'Thanks - the post is marked as still current' : 'Thanks - the post is marked as possibly outdated');
+      onClose();
+    } catch (error) {
+      console.error('Error saving field check:', error);
+      toast.error(error.message || 'Failed to save your check. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // ===== RENDER =====
+
+  return (
+    <div className="modal-overlay" onClick={isSaving ? undefined : onClose}>
+      <div className="max-w-md modal-content max-h-[90vh] overflow-y-auto scrollbar-thin" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 space-y-5">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-bold text-gray-900">Is the person still here?</h3>
+            <button
+              onClick={onClose}
+              disabled={isSaving}
+              className="flex items-center justify-center w-8 h-8 transition-colors duration-200 bg-gray-100 rounded-full hover:bg-gray-200"
+              aria-label="Close"
+            >
+              <X className="w-5 h-5 text-gray-600" />
+            </button>
+          </div>
+
+          {/* Distance to the post */}
+          <div className={`flex items-start p-3 space-x-2 text-sm rounded-xl ${
+            isNearby ? 'bg-green-50 text-green-800' : 'bg-gray-50 text-gray-700'
+          }`}>
+            {isLocating ? (
+              <Loader2 className="w-4 h-4 mt-0.5 flex-shrink-0 animate-spin" />
+            ) : (
+              <LocateFixed className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            )}
+            <div className="flex-1">
+              {isLocating && <p>Getting your location...</p>}
+              {!isLocating && locationError && <p>{locationError}</p>}
+              {!isLocating && position && (
+                <p>
+                  You are about {formatDistance(distanceM)} from this post
+                  {position.accuracy ? ` (±${Math.round(position.accuracy)} m)` : ''}.
+                  {!isNearby && ` Checks can only be made within ${formatDistance(FIELD_CHECK_MAX_DISTANCE_M)} of the location.`}
+                </p>
+              )}
+              {!isLocating && (
+                <button onClick={locate} className="mt-1 text-xs font-medium underline">
+                  Update location
+                </button>
+              )}
+            </div>
+          </div>
+
+          {/* Presence answer */}
+          <div className="grid grid-cols-2 gap-2">
+            {FIELD_CHECK_PRESENCE.map((option) => {
+              const { icon: Icon, className } = PRESENCE_STYLES[option.id];
+              return (
+                <button
+                  key={option.id}
+                  type="button"
+                  onClick={() => setPresence(option.id)}
+                  disabled={!isNearby}
+                  className={`flex flex-col items-center p-3 space-y-1 text-sm font-medium border rounded-xl transition-colors duration-300 disabled:opacity-50 disabled:cursor-not-allowed ${
+                    presence === option.id ? className : 'bg-white border-gray-200 text-gray-700 hover:border-primary-300'
+                  }`}
+                  title={option.description}
+                >
+                  <Icon className="w-5 h-5" />
+                  <span>{option.label}</span>
+                </button>
+              );
+            })}
+          </div>
+
+          {presence && (
+            <>
+              <textarea
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder={presence === 'still-here'
+                  ? 'Anything responders should know, e.g. moved to the bus stop opposite (optional)'
+                  : 'Anything you found out, e.g. taken to a shelter (optional)'}
+                className="h-20 text-sm resize-none input-field"
+                maxLength={FIELD_CHECK_NOTE_MAX_LENGTH}
+              />
+
+              {/* Optional new photo - hidden areas are burned in before upload */}
+              {photo && isRedacting && (
+                <RedactionEditor
+                  file={photo.file}
+                  redactions={photo.redactions}
+                  onChange={(regions) => setPhoto((current) => ({ ...current, redactions: regions }))}
+                  onDone={() => setIsRedacting(false)}
+                />
+              )}
+              {photo && !isRedacting && (
+                <div className="space-y-2">
+                  <div className="relative overflow-hidden rounded-xl">
+                    <img src={photo.previewUrl} alt="New sighting" className="object-cover w-full h-40" />
+                    <button
+                      onClick={handlePhotoRemove}
+                      className="absolute flex items-center justify-center w-8 h-8 text-white rounded-full top-2 right-2 bg-black/50 hover:bg-black/70"
+                      aria-label="Remove photo"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                    <p className="absolute bottom-0 left-0 right-0 px-3 py-1 text-xs text-white bg-black/50">
+                      {photo.redactions.length} area{photo.redactions.length === 1 ? '' : 's'} hidden when sent
+                    </p>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setIsRedacting(true)}
+                    className="flex items-center justify-center w-full space-x-2 text-sm btn-secondary"
+                  >
+                    <ScanFace className="w-4 h-4" />
+                    <span>Hide faces and details</span>
+                  </button>
+                </div>
+              )}
+              {!photo && (
+                <button
+                  type="button"
+                  onClick={() => fileInputRef.current?.click()}
+                  className="flex items-center justify-center w-full space-x-2 btn-secondary"
+                >
+                  <ImagePlus className="w-4 h-4" />
+                  <span>Add a new photo (optional)</span>
+                </button>
+              )}
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="image/*,.heic,.heif"
+                capture="environment"
+                onChange={handlePhotoSelect}
+                className="hidden"
+              />
+
+              {/* Consent for the new photo - required, as for a new post */}
+              {photo && !isRedacting && (
+                <div className="space-y-3">
+                  <p className="text-sm font-medium text-gray-900">Did the person agree to be photographed and posted?</p>
+                  <div className="grid grid-cols-3 gap-2">
+                    {CONSENT_STATUSES.map((status) => (
+                      <button
+                        key={status.id}
+                        type="button"
+                        onClick={() => setConsentStatus(status.id)}
+                        disabled={!isConsentAllowed(status)}
+                        className={`p-2 text-xs font-medium rounded-lg border transition-colors duration-300 disabled:opacity-50 disabled:cursor-not-allowed ${
+                          consentStatus === status.id
+                            ? 'border-primary-600 bg-primary-50 text-primary-700'
+                            : 'border-gray-200 bg-white text-gray-700 hover:border-primary-300'
+                        }`}
+                      >
+                        {status.label}
+                      </button>
+                    ))}
+                  </div>
+
+                  {post.visibility !== 'limited' && (
+                    <p className="text-xs text-gray-500">
+                      Photos taken without consent can't be added to a public post - share them as a new post instead.
+                    </p>
+                  )}
+
+                  {requiresRedaction && (
+                    <div className="flex items-start p-3 space-x-2 text-xs text-yellow-800 bg-yellow-50 rounded-xl">
+                      <AlertTriangle className="flex-shrink-0 w-4 h-4 mt-0.5" />
+                      <p>
+                        {consentRules?.requiresRedaction ? 'Without consent' : 'This post has no consent, so'}
+                        {' '}faces must be hidden in the photo.
+                        {photo.redactions.length === 0 && ' Nothing is hidden yet.'}
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Private consent details - never shown on the post */}
+                  {consentRules && (
+                    <div className="p-3 space-y-3 border border-gray-200 rounded-xl">
+                      <p className="flex items-center space-x-2 text-xs font-medium text-gray-700">
+                        <Lock className="w-3 h-3" />
+                        <span>Private - only moderators and partner NGOs can see these</span>
+                      </p>
+                      <textarea
+                        value={consentNote}
+                        onChange={(e) => setConsentNote(e.target.value)}
+                        placeholder={consentRules.requiresRedaction
+                          ? 'Why could consent not be asked for? (optional)'
+                          : 'How was consent given? (optional)'}
+                        className="h-16 text-sm resize-none input-field"
+                        maxLength={CONSENT_NOTE_MAX_LENGTH}
+                      />
+                      {!consentRules.requiresRedaction && (
+                        consentPhoto ? (
+                          <div className="flex items-center space-x-3">
+                            <BlobImage blob={consentPhoto} alt="Consent" className="object-cover w-12 h-12 rounded-lg" />
+                            <span className="flex-1 text-xs text-gray-600 truncate">{consentPhoto.name}</span>
+                            <button
+                              onClick={() => setConsentPhoto(null)}
+                              className="text-xs font-medium text-red-600 hover:text-red-700"
+                            >
+                              Remove
+                            </button>
+                          </div>
+                        ) : (
+                          <button
+                            onClick={() => consentPhotoInputRef.current?.click()}
+                            className="flex items-center space-x-2 text-sm font-medium text-primary-600 hover:text-primary-700"
+                          >
+                            <Camera className="w-4 h-4" />
+                            <span>{consentStatus === 'written' ? 'Attach photo of the signed consent' : 'Attach a consent photo (optional)'}</span>
+                          </button>
+                        )
+                      )}
+                      <input
+                        ref={consentPhotoInputRef}
+                        type="file"
+                        accept="image/*,.heic,.heif"
+                        onChange={handleConsentPhotoSelect}
+                        className="hidden"
+                      />
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <button
+                type="button"
+                onClick={() => setIsAnonymous(!isAnonymous)}
+                className="flex items-center space-x-2 text-sm text-gray-600"
+              >
+                {isAnonymous ? <EyeOff className="w-4 h-4" /> : <User className="w-4 h-4" />}
+                <span>{isAnonymous ? 'Your name will be hidden' : 'Your username will be shown'}</span>
+              </button>
+            </>
+          )}
+
+          <button
+            onClick={handleSubmit}
+            disabled={!presence || !isNearby || isSaving || isRedacting}
+            className="flex items-center justify-center w-full space-x-2 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSaving && <Loader2 className="w-4 h-4 animate-spin" />}
+            <span>{isSaving ? 'Saving...' : 'Send Check'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FieldCheckDialog;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { collection, query, orderBy, limit, onSnapshot } from 'firebase/firestore';
+import { LocateFixed, CheckCircle2, XCircle, Loader2, Copy } from 'lucide-react';
+import { db } from '../firebase/config';
+import { getImageSources } from '../utils/image';
+import { formatTimestamp } from '../utils/time';
+import FieldCheckButton from './FieldCheckButton';
+import FreshnessBadge from './FreshnessBadge';
+
+// Most recent checks shown on the post page
+const FIELD_CHECK_LIST_LIMIT = 10;
+
+/**
+ * Field Check List Component
+ *
+ * Recent confirmations of a post - "still here" and "no longer here"
+ * checks from people nearby, and duplicate uploads added as sightings -
+ * with the freshness of the post and a button to add a check.
+ *
+ * Features:
+ * - Real-time list from the post's `confirmations` subcollection, newest first
+ * - Presence, distance from the post, time, checker and note per entry
+ * - Thumbnail of a new photo when one was added
+ * - Freshness badge and "Still here?" button
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Photo document with `id`
+ */
+const FieldCheckList = ({ post }) => {
+  const [checks, setChecks] = useState(null);  // Confirmations, null while loading
+
+  /**
+   * Listens to the latest confirmations so new checks appear live
+   */
+  useEffect(() => {
+    const q = query(
+      collection(db, 'photos', post.id, 'confirmations'),
+      orderBy('createdAt', 'desc'),
+      limit(FIELD_CHECK_LIST_LIMIT)
+    );
+    const unsubscribe = onSnapshot(
+      q,
+      (snapshot) => {
+        setChecks(snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() })));
+      },
+      (error) => {
+        console.error('Error fetching field checks:', error);
+        setChecks([]);
+      }
+    );
+    return () => unsubscribe();
+  }, [post.id]);
+
+  return (
+    <div className="p-6 space-y-4 bg-white shadow-md rounded-2xl">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h2 className="flex items-center space-x-2 text-lg font-semibold text-gray-900">
+          <LocateFixed className="w-5 h-5 text-primary-600" />
+          <span>Field Checks</span>
+          <FreshnessBadge post={post} />
+        </h2>
+        <FieldCheckButton post={post} />
+      </div>
+
+      {checks === null && (
+        <div className="flex items-center space-x-2 text-sm text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          <span>Loading checks...</span>
+        </div>
+      )}
+      {checks && checks.length === 0 && (
+        <p className="text-sm text-gray-500">
+          Nobody has checked this location since it was posted. If you are nearby, let responders know whether the person is still there.
+        </p>
+      )}
+      {checks && checks.length > 0 && (
+        <ul className="space-y-3">
+          {checks.map((check) => {
+            const isGone = check.presence === 'no-longer-here';
+            const Icon = check.source === 'duplicate-upload' ? Copy : (isGone ? XCircle : CheckCircle2);
+            const image = check.images && check.images[0];
+            return (
+              <li key={check.id} className="flex items-start space-x-3">
+                <Icon className={`w-5 h-5 mt-0.5 flex-shrink-0 ${isGone ? 'text-gray-500' : 'text-green-600'}`} />
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-gray-900">
+                    {check.source === 'duplicate-upload' ? 'Seen again in a new upload' : (isGone ? 'No longer here' : 'Still here')}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatTimestamp(check.sightedAt || check.createdAt)}
+                    {' · '}{check.isAnonymous ? 'Anonymous' : (check.username || 'Unknown User')}
+                    {Number.isFinite(check.distanceM) && ` · ${check.distanceM} m away`}
+                  </p>
+                  {check.description && (
+                    <p className="mt-1 text-sm leading-relaxed text-gray-700">{check.description}</p>
+                  )}
+                </div>
+                {image && (
+                  <img
+                    {...getImageSources(image)}
+                    sizes="64px"
+                    alt="Sighting"
+                    loading="lazy"
+                    className="flex-shrink-0 object-cover w-16 h-16 rounded-lg"
+                  />
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default FieldCheckList;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { computeFreshness } from '../utils/freshness';
+import { formatTimestamp } from '../utils/time';
+
+/**
+ * Freshness Badge Component
+ *
+ * Coloured pill saying how likely the person is still at the location
+ * (see utils/freshness.js). Nothing is shown for closed posts.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Photo document
+ * @param {string} [props.className] - Extra classes for positioning
+ */
+const FreshnessBadge = ({ post, className = '' }) => {
+  const freshness = computeFreshness(post);
+  if (!freshness) return null;
+
+  const { level, lastSeenAt, isReportedGone } = freshness;
+  const title = isReportedGone
+    ? `Reported gone since the last sighting ${formatTimestamp(lastSeenAt).toLowerCase()}`
+    : `Last seen here ${formatTimestamp(lastSeenAt).toLowerCase()}`;
+
+  return (
+    <span
+      className={`inline-flex items-center px-3 py-1 text-xs font-semibold rounded-full ${level.className} ${className}`}
+      title={title}
+    >
+      {isReportedGone ? 'Reported gone' : level.label}
+    </span>
+  );
+};
+
+export default FreshnessBadge;
@@ -1,5 +1,21 @@
-import React, { useState } from 'react';
-import { MapPin, Clock, User, ExternalLink, Heart, Share2 } from 'lucide-react';
+import React, { useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { MapPin, Clock, User, Users, ExternalLink, Heart, AlertTriangle, UserCheck, Lock, ArrowRight, MessageCircle } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { useLikes } from '../contexts/LikesContext';
+import { observeView, countView } from '../utils/viewTracking';
+import { formatTimestamp } from '../utils/time';
+import { formatPlaceName } from '../utils/reverseGeocode';
+import { getPostImages } from '../utils/image';
+import { getNeedCategory, getUrgencyLevel } from '../config/needs';
+import PhotoCarousel from './PhotoCarousel';
+import ConsentRecord from './ConsentRecord';
+import ShareActions from './ShareActions';
+import StatusBadge from './StatusBadge';
+import FreshnessBadge from './FreshnessBadge';
+import FieldCheckButton from './FieldCheckButton';
+import PostOwnerActions from './PostOwnerActions';
+import VersionHistory from './VersionHistory';
 
 /**
  * Image Card Component
@@ -9,11 +25,23 @@ import { MapPin, Clock, User, ExternalLink, Heart, Share2 } from 'lucide-react';
  * a photo with metadata and provides actions for user engagement.
  * 
  * Features:
- * - Image loading states with skeleton and error handling
+ * - Swipeable photo carousel with page indicator for multi-photo posts
+ * - Inline playback of the post's video clip
+ * - Image loading states with blurred placeholder, skeleton and error handling
+ * - Responsive srcset with native lazy loading
  * - Location data with Google Maps integration
- * - User interaction (like, share)
+ * - User interaction (like, share, copy link, QR code) - likes are saved per user
+ * - View counted once the card has been on screen for a moment
+ * - Edit and delete for the poster, with the edit history
+ * - Link to the post's detail page (/photo/:id)
  * - Responsive design with hover effects
  * - Timestamp formatting
+ * - Need category chips, urgency badge and people count
+ * - Lifecycle status badge (reported, acknowledged, help dispatched, ...)
+ * - Freshness badge and "Still here?" field check for people nearby
+ * - Count of confirmations from other volunteers
+ * - Comment count linking to the thread on the detail page
+ * - Consent status for moderators, NGOs and the poster
  * - Accessibility features
  * 
  * @param {Object} props - Component props
@@ -21,36 +49,24 @@ import { MapPin, Clock, User, ExternalLink, Heart, Share2 } from 'lucide-react';
  */
 const ImageCard = ({ post }) => {
   // ===== STATE MANAGEMENT =====
-  const [imageLoaded, setImageLoaded] = useState(false);  // Image loading state
-  const [imageError, setImageError] = useState(false);    // Image error state
-  const [isLiked, setIsLiked] = useState(false);          // Like button state
+  const { currentUser, isCaseReviewer } = useAuth();      // Authentication context
+  const { isLiked, isLikePending, toggleLike } = useLikes();  // Liked posts of the current user
+  const cardRef = useRef(null);                           // Card element, watched for views
+  const liked = isLiked(post.id);
+
+  const urgencyLevel = getUrgencyLevel(post.urgency);     // Undefined for older posts
+  const isOwnPost = Boolean(currentUser && post.userId === currentUser.uid);
+  const canSeeConsent = isCaseReviewer() || isOwnPost;    // Consent is shown to reviewers and the poster
+
+  // ===== VIEW TRACKING =====
 
-  // ===== UTILITY FUNCTIONS =====
-  
   /**
-   * Formats timestamp into human-readable relative time
-   * Converts Firestore timestamp to "X hours/days ago" format
-   * 
-   * @param {Object} timestamp - Firestore timestamp object
-   * @returns {string} Formatted time string
+   * Counts a view once the card has actually been seen - posters do not count their own
    */
-  const formatTimestamp = (timestamp) => {
-    if (!timestamp) return 'Recently';
-    
-    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);  // Handle both Firestore timestamp and regular Date
-    const now = new Date();
-    const diffInHours = Math.floor((now - date) / (1000 * 60 * 60));  // Calculate hours difference
-    
-    // Return appropriate time format based on duration
-    if (diffInHours < 1) {
-      return 'Just now';
-    } else if (diffInHours < 24) {
-      return `${diffInHours} hour${diffInHours > 1 ? 's' : ''} ago`;
-    } else {
-      const diffInDays = Math.floor(diffInHours / 24);
-      return `${diffInDays} day${diffInDays > 1 ? 's' : ''} ago`;
-    }
-  };
+  useEffect(() => {
+    if (isOwnPost) return undefined;
+    return observeView(cardRef.current, () => countView(post.id));
+  }, [post.id, isOwnPost]);
 
   // ===== EVENT HANDLERS =====
   
@@ -67,89 +83,57 @@ const ImageCard = ({ post }) => {
   };
 
   /**
-   * Toggles the like state for the post
-   * TODO: Integrate with backend to persist likes
+   * Likes the post, or removes the like
    */
   const handleLike = () => {
-    setIsLiked(!isLiked);
-  };
-
-  /**
-   * Handles sharing the post
-   * Uses native Web Share API if available, otherwise copies URL to clipboard
-   */
-  const handleShare = () => {
-    if (navigator.share) {
-      // Use native sharing on mobile devices
-      navigator.share({
-        title: 'Destitutes of India',
-        text: 'Check out this location that needs attention',
-        url: window.location.href
-      });
-    } else {
-      // Fallback to clipboard copy
-      navigator.clipboard.writeText(window.location.href);
-    }
+    toggleLike(post.id);
   };
 
   // ===== RENDER =====
   
   return (
-    <div className="image-card group">
+    <div ref={cardRef} className="image-card group">
       {/* Image container with loading states and overlays */}
       <div className="relative overflow-hidden rounded-t-2xl">
-        {/* Loading skeleton - shown while image is loading */}
-        {!imageLoaded && !imageError && (
-          <div className="absolute inset-0 flex items-center justify-center bg-gray-200 animate-pulse">
-            <div className="loading-spinner"></div>
-          </div>
-        )}
-        
-        {/* Error state - shown when image fails to load */}
-        {imageError ? (
-          <div className="flex items-center justify-center bg-gray-200 aspect-video">
-            <div className="text-center text-gray-500">
-              <div className="flex items-center justify-center w-16 h-16 mx-auto mb-2 bg-gray-300 rounded-full">
-                <MapPin className="w-8 h-8 text-gray-400" />
-              </div>
-              <p className="text-sm">Image unavailable</p>
-            </div>
-          </div>
-        ) : (
-          <img
-            src={post.imageURL}
-            alt="Location"
-            className={`w-full aspect-video object-cover transition-all duration-500 ${
-              imageLoaded ? 'opacity-100 scale-100' : 'opacity-0 scale-105'
-            } group-hover:scale-105`}
-            onLoad={() => setImageLoaded(true)}
-            onError={() => setImageError(true)}
-          />
-        )}
+        {/* Photos and clip - swipeable when the post has several */}
+        <PhotoCarousel
+          images={getPostImages(post)}
+          video={post.video}
+          sizes="(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw"
+        />
 
         {/* Overlay with gradient */}
-        <div className="absolute inset-0 transition-opacity duration-300 opacity-0 bg-gradient-to-t from-black/50 via-transparent to-transparent group-hover:opacity-100"></div>
+        <div className="absolute inset-0 transition-opacity duration-300 opacity-0 pointer-events-none bg-gradient-to-t from-black/50 via-transparent to-transparent group-hover:opacity-100"></div>
 
         {/* Action buttons overlay */}
         <div className="absolute flex space-x-2 transition-all duration-300 transform translate-y-2 opacity-0 top-4 right-4 group-hover:opacity-100 group-hover:translate-y-0">
           <button
             onClick={handleLike}
+            disabled={isLikePending(post.id)}
             className={`w-10 h-10 rounded-full flex items-center justify-center backdrop-blur-sm transition-all duration-300 ${
-              isLiked 
+              liked 
                 ? 'bg-red-500 text-white' 
                 : 'bg-white/20 text-white hover:bg-white/30'
             }`}
+            aria-label={liked ? 'Unlike' : 'Like'}
+            aria-pressed={liked}
           >
-            <Heart className={`w-5 h-5 ${isLiked ? 'fill-current' : ''}`} />
-          </button>
-          <button
-            onClick={handleShare}
-            className="flex items-center justify-center w-10 h-10 text-white transition-all duration-300 rounded-full bg-white/20 backdrop-blur-sm hover:bg-white/30"
-          >
-            <Share2 className="w-5 h-5" />
+            <Heart className={`w-5 h-5 ${liked ? 'fill-current' : ''}`} />
           </button>
+          {/* Share, copy link and QR code - all point at the post's detail page */}
+          <ShareActions post={post} />
+          {/* Edit and delete - only rendered for the poster */}
+          <PostOwnerActions post={post} />
         </div>
 
+        {/* Urgency badge - always visible so emergencies stand out in the feed */}
+        {urgencyLevel && (
+          <div className={`absolute top-4 left-4 flex items-center space-x-1 px-3 py-1 text-xs font-semibold rounded-full shadow ${urgencyLevel.className}`}>
+            {urgencyLevel.id === 'emergency' && <AlertTriangle className="w-3 h-3" />}
+            <span>{urgencyLevel.label}</span>
+          </div>
+        )}
+
         {/* Location badge */}
         {post.location && (
           <div className="absolute bottom-4 left-4">
@@ -172,12 +156,13 @@ const ImageCard = ({ post }) => {
           <div className="flex items-center space-x-2">
             <MapPin className="w-4 h-4 text-primary-600" />
             <span className="text-sm font-medium text-gray-700">
-              {post.location ? `${post.location.latitude.toFixed(4)}, ${post.location.longitude.toFixed(4)}` : 'Unknown Location'}
+              {formatPlaceName(post)
+                || (post.location ? `${post.location.latitude.toFixed(4)}, ${post.location.longitude.toFixed(4)}` : 'Unknown Location')}
             </span>
           </div>
           <div className="flex items-center space-x-2 text-gray-500">
             <Clock className="w-4 h-4" />
-            <span className="text-sm">{formatTimestamp(post.createdAt)}</span>
+            <span className="text-sm">{formatTimestamp(post.sightedAt || post.createdAt)}</span>
           </div>
         </div>
 
@@ -194,6 +179,11 @@ const ImageCard = ({ post }) => {
               {post.isAnonymous ? 'Shared anonymously' : 'Shared publicly'}
             </p>
           </div>
+          {/* Where the sighting stands and how recently the person was seen there */}
+          <div className="flex flex-wrap justify-end gap-1 ml-auto">
+            <FreshnessBadge post={post} />
+            <StatusBadge status={post.status} />
+          </div>
         </div>
 
         {/* Description */}
@@ -203,7 +193,7 @@ const ImageCard = ({ post }) => {
           </p>
         )}
 
-        {/* Tags */}
+        {/* Tags - need categories, shown by label */}
         {post.tags && post.tags.length > 0 && (
           <div className="flex flex-wrap gap-2">
             {post.tags.map((tag, index) => (
@@ -211,11 +201,75 @@ const ImageCard = ({ post }) => {
                 key={index}
                 className="px-3 py-1 text-xs font-medium rounded-full bg-primary-100 text-primary-700"
               >
-                {tag}
+                {getNeedCategory(tag)?.label || tag}
               </span>
             ))}
           </div>
         )}
+
+        {/* Approximate number of people */}
+        {post.peopleCount > 0 && (
+          <div className="flex items-center mt-3 space-x-1 text-xs text-gray-500">
+            <Users className="w-3 h-3" />
+            <span>About {post.peopleCount} {post.peopleCount === 1 ? 'person' : 'people'}</span>
+          </div>
+        )}
+
+        {/* Sightings of the same person added as confirmations */}
+        {post.confirmationCount > 0 && (
+          <div className="flex items-center mt-2 space-x-1 text-xs text-gray-500">
+            <UserCheck className="w-3 h-3" />
+            <span>
+              Confirmed by {post.confirmationCount} other sighting{post.confirmationCount === 1 ? '' : 's'}
+              {post.lastConfirmedAt && `, last ${formatTimestamp(post.lastConfirmedAt).toLowerCase()}`}
+            </span>
+          </div>
+        )}
+
+        {/* Likes from signed-in users */}
+        {post.likes > 0 && (
+          <div className="flex items-center mt-2 space-x-1 text-xs text-gray-500">
+            <Heart className={`w-3 h-3 ${liked ? 'text-red-500 fill-current' : ''}`} />
+            <span>{post.likes} like{post.likes === 1 ? '' : 's'}</span>
+          </div>
+        )}
+
+        {/* Comments live on the detail page */}
+        {post.commentCount > 0 && (
+          <Link
+            to={`/photo/${post.id}#comments`}
+            className="flex items-center mt-2 space-x-1 text-xs text-gray-500 hover:text-primary-600"
+          >
+            <MessageCircle className="w-3 h-3" />
+            <span>{post.commentCount} comment{post.commentCount === 1 ? '' : 's'}</span>
+          </Link>
+        )}
+
+        {/* Detail page with the full-size image, map and metadata, and the field check */}
+        <div className="flex flex-wrap items-center justify-between gap-2 mt-4">
+          <Link
+            to={`/photo/${post.id}`}
+            className="inline-flex items-center space-x-1 text-sm font-medium text-primary-600 hover:text-primary-700"
+          >
+            <span>View details</span>
+            <ArrowRight className="w-4 h-4" />
+          </Link>
+          <FieldCheckButton post={post} className="text-sm font-medium text-gray-600 hover:text-primary-600" />
+        </div>
+
+        {/* Consent status and limited visibility - for moderators, NGOs and the poster */}
+        {canSeeConsent && (
+          <div className="pt-3 mt-3 space-y-2 border-t border-gray-100">
+            {post.visibility === 'limited' && (
+              <div className="flex items-center space-x-1 text-xs text-gray-500">
+                <Lock className="w-3 h-3" />
+                <span>Only visible to the poster, moderators and partner NGOs</span>
+              </div>
+            )}
+            <ConsentRecord post={post} />
+            <VersionHistory post={post} />
+          </div>
+        )}
       </div>
     </div>
   );
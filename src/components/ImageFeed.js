@@ -1,7 +1,11 @@
 import React, { useState, useEffect } from 'react';
-import { collection, query, orderBy, limit, onSnapshot } from 'firebase/firestore';
+import { collection, query, where, orderBy, limit, onSnapshot } from 'firebase/firestore';
 import { db } from '../firebase/config';
+import { useAuth } from '../contexts/AuthContext';
+import { visibilityConstraints } from '../firebase/consent';
 import ImageCard from './ImageCard';
+import { NEED_CATEGORIES, URGENCY_LEVELS } from '../config/needs';
+import { LISTED_STATUSES } from '../config/status';
 import { Loader2 } from 'lucide-react';
 
 /**
@@ -17,33 +21,49 @@ import { Loader2 } from 'lucide-react';
  * - Error handling with retry functionality
  * - Empty state with call-to-action
  * - Responsive grid layout
+ * - Filtering by need category and urgency
  * - Automatic cleanup of listeners
  * 
  * Data Flow:
- * 1. Sets up Firestore listener on component mount
- * 2. Listens for changes in the 'posts' collection
+ * 1. Sets up Firestore listener on mount and whenever a filter changes
+ * 2. Listens for changes in the 'photos' collection, filtered by need
+ *    category, urgency and visibility in the query itself (see the
+ *    composite indexes in FIREBASE_SETUP.md)
  * 3. Orders posts by timestamp (newest first)
  * 4. Limits to 50 posts for performance
  * 5. Updates state when data changes
- * 6. Cleans up listener on unmount
+ * 6. Cleans up listener on unmount or filter change
  */
 const ImageFeed = () => {
   // ===== STATE MANAGEMENT =====
   const [photos, setPhotos] = useState([]);      // Array of photo objects
   const [loading, setLoading] = useState(true); // Loading state
   const [error, setError] = useState(null);     // Error state
+  const [categoryFilter, setCategoryFilter] = useState(null);  // Need category ID to show, or null for all
+  const [urgencyFilter, setUrgencyFilter] = useState(null);    // Urgency ID to show, or null for all
+  const { isCaseReviewer } = useAuth();                        // Viewer, for posts with limited visibility
+
+  const isReviewer = isCaseReviewer();
 
   // ===== FIRESTORE DATA FETCHING =====
   
   /**
    * Sets up real-time listener for posts from Firestore
-   * Fetches posts ordered by timestamp (newest first)
+   * Fetches the newest posts matching the selected filters, so older
+   * matches are not missed behind the 50-post limit
    * Automatically updates when new posts are added
    */
   useEffect(() => {
-    // Create Firestore query for photos - start with a simple query
+    // Filters are applied by Firestore before the limit; posts with limited
+    // visibility are only fetched for moderators and NGOs, removed posts never
+    const filters = [...visibilityConstraints(isReviewer), where('status', 'in', LISTED_STATUSES)];
+    if (categoryFilter) filters.push(where('tags', 'array-contains', categoryFilter));
+    if (urgencyFilter) filters.push(where('urgency', '==', urgencyFilter));
+
     const q = query(
       collection(db, 'photos'),       // Collection name
+      ...filters,
+      orderBy('createdAt', 'desc'),   // Newest first
       limit(50)                       // Limit to 50 photos for performance
     );
 
@@ -60,14 +80,6 @@ const ImageFeed = () => {
           });
         });
         
-        // Sort by createdAt if available, otherwise by document ID
-        photosData.sort((a, b) => {
-          if (a.createdAt && b.createdAt) {
-            return b.createdAt.toDate ? b.createdAt.toDate() - a.createdAt.toDate() : b.createdAt - a.createdAt;
-          }
-          return b.id.localeCompare(a.id); // Fallback to document ID
-        });
-        
         setPhotos(photosData);
         setLoading(false);
       },
@@ -80,9 +92,9 @@ const ImageFeed = () => {
       }
     );
 
-    // Cleanup function - unsubscribe when component unmounts
+    // Cleanup function - unsubscribe when component unmounts or the filters change
     return () => unsubscribe();
-  }, []);
+  }, [categoryFilter, urgencyFilter, isReviewer]);
 
   // ===== RENDER STATES =====
   
@@ -129,8 +141,8 @@ const ImageFeed = () => {
     );
   }
 
-  // Empty state - show when no photos are available
-  if (photos.length === 0) {
+  // Empty state - show when no photos are available at all
+  if (photos.length === 0 && !categoryFilter && !urgencyFilter) {
     return (
       <div className="py-12 text-center">
         <div className="max-w-md mx-auto">
@@ -161,6 +173,20 @@ const ImageFeed = () => {
     );
   }
 
+  // ===== FILTERING =====
+  
+  /**
+   * Returns chip classes for a filter option
+   *
+   * @param {boolean} isSelected - Whether the option is active
+   * @returns {string} Tailwind classes
+   */
+  const chipClassName = (isSelected) => `px-3 py-1 text-sm font-medium rounded-full border transition-colors duration-300 ${
+    isSelected
+      ? 'bg-primary-600 border-primary-600 text-white'
+      : 'bg-white border-gray-200 text-gray-700 hover:border-primary-300'
+  }`;
+
   // ===== MAIN RENDER =====
   
   // Success state - render photos grid
@@ -170,12 +196,54 @@ const ImageFeed = () => {
       <h2 className="text-2xl font-bold text-gray-900">
         Recent Photos
       </h2>
-      {/* Responsive grid layout for photos */}
-      <div className="grid grid-cols-1 gap-6 md:grid-cols-2 lg:grid-cols-3">
-        {photos.map((photo) => (
-          <ImageCard key={photo.id} post={photo} />
-        ))}
+
+      {/* Filters - tap a selected chip again to clear it */}
+      <div className="space-y-3">
+        <div className="flex flex-wrap gap-2">
+          {URGENCY_LEVELS.map((level) => (
+            <button
+              key={level.id}
+              onClick={() => setUrgencyFilter(urgencyFilter === level.id ? null : level.id)}
+              className={chipClassName(urgencyFilter === level.id)}
+            >
+              {level.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex flex-wrap gap-2">
+          {NEED_CATEGORIES.map((category) => (
+            <button
+              key={category.id}
+              onClick={() => setCategoryFilter(categoryFilter === category.id ? null : category.id)}
+              className={chipClassName(categoryFilter === category.id)}
+            >
+              {category.label}
+            </button>
+          ))}
+        </div>
       </div>
+
+      {/* Responsive grid layout for photos */}
+      {photos.length > 0 ? (
+        <div className="grid grid-cols-1 gap-6 md:grid-cols-2 lg:grid-cols-3">
+          {photos.map((photo) => (
+            <ImageCard key={photo.id} post={photo} />
+          ))}
+        </div>
+      ) : (
+        <div className="py-12 text-center text-gray-600">
+          <p className="mb-4">No recent photos match these filters.</p>
+          <button
+            onClick={() => {
+              setCategoryFilter(null);
+              setUrgencyFilter(null);
+            }}
+            className="btn-secondary"
+          >
+            Clear Filters
+          </button>
+        </div>
+      )}
     </div>
   );
 };
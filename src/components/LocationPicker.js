@@ -0,0 +1,83 @@
+import React, { useEffect, useMemo } from 'react';
+import { MapContainer, TileLayer, Marker, Circle, useMap } from 'react-leaflet';
+import '../utils/leafletSetup';
+import { TILE_LAYER } from '../config/map';
+
+/**
+ * Keeps the marker in view when the position changes from outside the map
+ * (for example a more accurate GPS fix arriving)
+ *
+ * @param {Array<number>} position - [latitude, longitude] of the marker
+ */
+const KeepInView = ({ position }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!map.getBounds().contains(position)) {
+      map.panTo(position);
+    }
+  }, [map, position]);
+
+  return null;
+};
+
+/**
+ * Location Picker Component
+ *
+ * A small map with a draggable pin used to correct a GPS position before
+ * posting. Dense markets, indoor spots and flyovers often produce fixes that
+ * are off by tens or hundreds of metres; dragging the pin fixes that.
+ *
+ * Features:
+ * - Draggable marker at the current position
+ * - Accuracy circle around GPS-derived positions
+ * - Configurable tile source (see src/config/map.js)
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.location - Current location {latitude, longitude, accuracy, source}
+ * @param {function} props.onChange - Called with {latitude, longitude} when the pin is dropped
+ */
+const LocationPicker = ({ location, onChange }) => {
+  const { latitude, longitude, accuracy, source } = location;
+  const position = useMemo(() => [latitude, longitude], [latitude, longitude]);
+
+  // Marker drag handler - reports the new position to the parent
+  const eventHandlers = useMemo(() => ({
+    dragend: (event) => {
+      const { lat, lng } = event.target.getLatLng();
+      onChange({ latitude: lat, longitude: lng });
+    },
+  }), [onChange]);
+
+  return (
+    // z-0 keeps the map panes below the modal's own overlays
+    <div className="relative z-0 overflow-hidden border border-gray-200 rounded-xl">
+      <MapContainer
+        center={position}
+        zoom={17}
+        scrollWheelZoom={false}
+        className="w-full h-48"
+      >
+        <TileLayer
+          url={TILE_LAYER.url}
+          attribution={TILE_LAYER.attribution}
+          maxZoom={TILE_LAYER.maxZoom}
+        />
+        <KeepInView position={position} />
+
+        {/* Accuracy radius - only meaningful for unadjusted GPS fixes */}
+        {source === 'gps' && Number.isFinite(accuracy) && (
+          <Circle
+            center={position}
+            radius={accuracy}
+            pathOptions={{ color: '#2563eb', fillOpacity: 0.1, weight: 1 }}
+          />
+        )}
+
+        <Marker position={position} draggable eventHandlers={eventHandlers} />
+      </MapContainer>
+    </div>
+  );
+};
+
+export default LocationPicker;
@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { Menu, X, User, LogOut, Camera, Heart } from 'lucide-react';
+import { Menu, X, User, LogOut, Camera, Heart, UploadCloud } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { useUploadQueue } from '../contexts/UploadQueueContext';
+import NotificationsMenu from './NotificationsMenu';
 
 /**
  * Navigation Bar Component
@@ -17,10 +19,13 @@ import { useAuth } from '../contexts/AuthContext';
  * - Active page highlighting
  * - Smooth animations and transitions
  * - Glass morphism effects
+ * - Pending uploads indicator while queued posts wait for a connection
+ * - Notifications menu, e.g. for comments on the user's posts
  */
 const Navbar = () => {
   // ===== HOOKS AND STATE =====
   const { currentUser, userProfile, logout } = useAuth();  // Authentication context
+  const { pendingUploads } = useUploadQueue();         // Posts waiting to upload
   const [isOpen, setIsOpen] = useState(false);        // Mobile menu open state
   const [isScrolled, setIsScrolled] = useState(false); // Scroll position state
   const location = useLocation();                      // Current route location
@@ -98,6 +103,14 @@ const Navbar = () => {
             >
               Home
             </Link>
+            <Link
+              to="/map"
+              className={`nav-link text-white hover:text-primary-200 transition-all duration-300 ${
+                isActive('/map') ? 'text-primary-200' : ''
+              }`}
+            >
+              Map
+            </Link>
             <Link
               to="/about"
               className={`nav-link text-white hover:text-primary-200 transition-all duration-300 ${
@@ -126,6 +139,21 @@ const Navbar = () => {
             {/* User Menu */}
             {currentUser ? (
               <div className="flex items-center space-x-4">
+                {/* Comments on the user's posts */}
+                <NotificationsMenu />
+                {/* Queued posts - only shown while something is waiting */}
+                {pendingUploads.length > 0 && (
+                  <Link
+                    to="/pending-uploads"
+                    className="relative text-white hover:text-primary-200 transition-colors duration-300"
+                    title="Pending uploads"
+                  >
+                    <UploadCloud className="w-5 h-5" />
+                    <span className="absolute -top-2 -right-2 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-primary-500 text-white text-[10px] font-semibold flex items-center justify-center">
+                      {pendingUploads.length}
+                    </span>
+                  </Link>
+                )}
                 <div className="flex items-center space-x-2 bg-white/10 rounded-full px-4 py-2 backdrop-blur-sm">
                   <div className="w-8 h-8 bg-gradient-to-r from-primary-500 to-primary-600 rounded-full flex items-center justify-center">
                     <User className="w-4 h-4 text-white" />
@@ -186,6 +214,15 @@ const Navbar = () => {
               >
                 Home
               </Link>
+              <Link
+                to="/map"
+                className={`block text-white hover:text-primary-200 transition-colors duration-300 ${
+                  isActive('/map') ? 'text-primary-200' : ''
+                }`}
+                onClick={() => setIsOpen(false)}
+              >
+                Map
+              </Link>
               <Link
                 to="/about"
                 className={`block text-white hover:text-primary-200 transition-colors duration-300 ${
@@ -218,6 +255,7 @@ const Navbar = () => {
               {currentUser ? (
                 <div className="pt-4 border-t border-white/20 space-y-4">
                   <div className="flex items-center space-x-3">
+                    <NotificationsMenu onNavigate={() => setIsOpen(false)} />
                     <div className="w-8 h-8 bg-gradient-to-r from-primary-500 to-primary-600 rounded-full flex items-center justify-center">
                       <User className="w-4 h-4 text-white" />
                     </div>
@@ -230,6 +268,16 @@ const Navbar = () => {
                       </span>
                     </div>
                   </div>
+                  {pendingUploads.length > 0 && (
+                    <Link
+                      to="/pending-uploads"
+                      className="flex items-center space-x-2 text-white hover:text-primary-200 transition-colors duration-300"
+                      onClick={() => setIsOpen(false)}
+                    >
+                      <UploadCloud className="w-4 h-4" />
+                      <span className="text-sm">Pending uploads ({pendingUploads.length})</span>
+                    </Link>
+                  )}
                   <button
                     onClick={handleLogout}
                     className="flex items-center space-x-2 text-white hover:text-primary-200 transition-colors duration-300"
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { collection, query, orderBy, limit, onSnapshot } from 'firebase/firestore';
+import { Bell, MessageCircle } from 'lucide-react';
+import { db } from '../firebase/config';
+import { markNotificationsRead } from '../firebase/notifications';
+import { useAuth } from '../contexts/AuthContext';
+import { formatTimestamp } from '../utils/time';
+
+// Most recent notifications listed in the menu
+const NOTIFICATION_LIST_LIMIT = 20;
+
+/**
+ * Notifications Menu Component
+ *
+ * Bell in the navbar with the signed-in user's notifications, e.g. new
+ * comments on their posts (see firebase/notifications.js).
+ *
+ * Features:
+ * - Real-time list of the latest notifications
+ * - Unread count badge
+ * - Opening the menu marks the listed notifications as read
+ * - Each entry links to the comments of the post
+ *
+ * @param {Object} props - Component props
+ * @param {function} [props.onNavigate] - Called when an entry is followed, e.g. to close the mobile menu
+ */
+const NotificationsMenu = ({ onNavigate }) => {
+  // ===== STATE MANAGEMENT =====
+  const { currentUser } = useAuth();
+  const [notifications, setNotifications] = useState([]);  // Latest notifications, newest first
+  const [isOpen, setIsOpen] = useState(false);             // Dropdown visibility
+
+  const userId = currentUser ? currentUser.uid : null;
+  const unread = notifications.filter((notification) => !notification.read);
+
+  // ===== FIRESTORE DATA FETCHING =====
+
+  /**
+   * Listens to the user's latest notifications
+   */
+  useEffect(() => {
+    if (!userId) {
+      setNotifications([]);
+      return undefined;
+    }
+
+    const q = query(
+      collection(db, 'users', userId, 'notifications'),
+      orderBy('createdAt', 'desc'),
+      limit(NOTIFICATION_LIST_LIMIT)
+    );
+    const unsubscribe = onSnapshot(
+      q,
+      (snapshot) => {
+        setNotifications(snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() })));
+      },
+      (error) => {
+        console.error('Error fetching notifications:', error);
+      }
+    );
+    return () => unsubscribe();
+  }, [userId]);
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Opens or closes the menu - opening marks everything listed as read
+   */
+  const handleToggle = () => {
+    if (!isOpen && unread.length > 0) {
+      markNotificationsRead(userId, unread.map((notification) => notification.id)).catch((error) => {
+        console.error('Error marking notifications read:', error);
+      });
+    }
+    setIsOpen(!isOpen);
+  };
+
+  /**
+   * Closes the menu after following a notification
+   */
+  const handleNavigate = () => {
+    setIsOpen(false);
+    if (onNavigate) onNavigate();
+  };
+
+  // ===== RENDER =====
+
+  if (!userId) return null;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={handleToggle}
+        className="relative text-white hover:text-primary-200 transition-colors duration-300"
+        title="Notifications"
+        aria-label="Notifications"
+        aria-expanded={isOpen}
+      >
+        <Bell className="w-5 h-5" />
+        {unread.length > 0 && (
+          <span className="absolute -top-2 -right-2 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-500 text-white text-[10px] font-semibold flex items-center justify-center">
+            {unread.length}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-50 mt-3 overflow-hidden bg-white shadow-xl w-72 rounded-xl">
+          <p className="px-4 py-3 text-sm font-semibold text-gray-900 border-b border-gray-100">Notifications</p>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-sm text-center text-gray-500">Nothing yet</p>
+          ) : (
+            <ul className="overflow-y-auto max-h-80">
+              {notifications.map((notification) => (
+                <li key={notification.id}>
+                  <Link
+                    to={`/photo/${notification.photoId}#comments`}
+                    onClick={handleNavigate}
+                    className={`flex items-start px-4 py-3 space-x-3 hover:bg-gray-50 ${notification.read ? '' : 'bg-primary-50'}`}
+                  >
+                    <MessageCircle className="w-4 h-4 mt-0.5 flex-shrink-0 text-primary-600" />
+                    <div className="min-w-0">
+                      <p className="text-sm text-gray-900">
+                        <span className="font-medium">{notification.actorName || 'Someone'}</span> commented on your post
+                      </p>
+                      {notification.excerpt && (
+                        <p className="text-xs text-gray-600 truncate">"{notification.excerpt}"</p>
+                      )}
+                      <p className="text-xs text-gray-400">{formatTimestamp(notification.createdAt)}</p>
+                    </div>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationsMenu;
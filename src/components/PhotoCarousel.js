@@ -0,0 +1,256 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { MapPin, ChevronLeft, ChevronRight, Play } from 'lucide-react';
+import { getImageSources } from '../utils/image';
+import { formatDuration } from '../utils/video';
+import BlurhashPlaceholder from './BlurhashPlaceholder';
+
+/**
+ * A single carousel slide with its own loading and error state
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.image - Image entry from getPostImages
+ * @param {string} props.sizes - Value for the img sizes attribute
+ * @param {string} props.alt - Alternative text
+ * @param {'cover'|'contain'} props.fit - Crop to the frame, or show the whole image
+ */
+const CarouselSlide = ({ image, sizes, alt, fit }) => {
+  const [imageLoaded, setImageLoaded] = useState(false);  // Image loading state
+  const [imageError, setImageError] = useState(false);    // Image error state
+
+  // Responsive image candidates - small/medium renditions plus the full image
+  const imageSources = getImageSources(image);
+
+  return (
+    <div className="relative w-full overflow-hidden shrink-0 snap-center">
+      {/* Loading placeholder - blurred preview when available, skeleton otherwise */}
+      {!imageLoaded && !imageError && (
+        image.blurhash ? (
+          <BlurhashPlaceholder hash={image.blurhash} className="absolute inset-0 w-full h-full" />
+        ) : (
+          <div className="absolute inset-0 flex items-center justify-center bg-gray-200 animate-pulse">
+            <div className="loading-spinner"></div>
+          </div>
+        )
+      )}
+
+      {/* Error state - shown when image fails to load */}
+      {imageError ? (
+        <div className="flex items-center justify-center bg-gray-200 aspect-video">
+          <div className="text-center text-gray-500">
+            <div className="flex items-center justify-center w-16 h-16 mx-auto mb-2 bg-gray-300 rounded-full">
+              <MapPin className="w-8 h-8 text-gray-400" />
+            </div>
+            <p className="text-sm">Image unavailable</p>
+          </div>
+        </div>
+      ) : (
+        <img
+          src={imageSources.src}
+          srcSet={imageSources.srcSet}
+          sizes={sizes}
+          loading="lazy"
+          decoding="async"
+          alt={alt}
+          draggable={false}
+          className={`w-full aspect-video transition-all duration-500 ${
+            imageLoaded ? 'opacity-100 scale-100' : 'opacity-0 scale-105'
+          } ${fit === 'contain' ? 'object-contain bg-black' : 'object-cover group-hover:scale-105'}`}
+          onLoad={() => setImageLoaded(true)}
+          onError={() => setImageError(true)}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * A carousel slide playing a post's clip inline
+ * Nothing is downloaded until the user taps play; the poster frame is shown
+ * instead. Playback pauses when the user swipes to another slide.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.video - Clip from the photo document
+ * @param {boolean} props.isActive - Whether this slide is in view
+ * @param {string} props.alt - Accessible label
+ */
+const VideoSlide = ({ video, isActive, alt }) => {
+  const [isPlaying, setIsPlaying] = useState(false);  // Playback state
+  const videoRef = useRef(null);                      // Video element
+
+  /**
+   * Pauses the clip when it is swiped out of view
+   */
+  useEffect(() => {
+    if (!isActive && videoRef.current) {
+      videoRef.current.pause();
+    }
+  }, [isActive]);
+
+  /**
+   * Starts or pauses playback
+   */
+  const togglePlayback = () => {
+    const element = videoRef.current;
+    if (!element) return;
+    if (element.paused) {
+      element.play().catch((error) => console.error('Error playing clip:', error));
+    } else {
+      element.pause();
+    }
+  };
+
+  return (
+    <div className="relative w-full overflow-hidden bg-black shrink-0 snap-center">
+      <video
+        ref={videoRef}
+        src={video.url}
+        poster={video.poster ? getImageSources(video.poster).src : undefined}
+        muted
+        loop
+        playsInline
+        preload="none"
+        aria-label={alt}
+        onPlay={() => setIsPlaying(true)}
+        onPause={() => setIsPlaying(false)}
+        onClick={togglePlayback}
+        className="object-contain w-full bg-black cursor-pointer aspect-video"
+      />
+
+      {/* Play button with the clip length - hidden while playing */}
+      {!isPlaying && (
+        <button
+          onClick={togglePlayback}
+          className="absolute flex flex-col items-center -translate-x-1/2 -translate-y-1/2 top-1/2 left-1/2"
+          aria-label="Play clip"
+        >
+          <span className="flex items-center justify-center text-white transition-colors duration-300 rounded-full w-14 h-14 bg-black/50 hover:bg-black/70">
+            <Play className="w-6 h-6 ml-1 fill-current" />
+          </span>
+          {video.duration > 0 && (
+            <span className="px-2 py-0.5 mt-2 text-xs font-medium text-white rounded-full bg-black/50">
+              Clip · {formatDuration(video.duration)}
+            </span>
+          )}
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Photo Carousel Component
+ *
+ * Shows the images of a post - and its clip, if it has one - in a
+ * horizontally swipeable strip. Uses native scroll snapping, so touch
+ * swipes, trackpads and keyboard scrolling all work without custom
+ * gesture handling.
+ *
+ * Features:
+ * - Swipe/scroll between images with snap points
+ * - Page indicator dots (tap to jump) for posts with several images
+ * - Previous/next arrows on hover for mouse users
+ * - Per-image blurhash placeholder, lazy loading and error state
+ * - Inline clip playback after the photos
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.images - Image entries from getPostImages
+ * @param {Object} [props.video] - Clip from the photo document, shown last
+ * @param {string} [props.sizes] - Value for the img sizes attribute
+ * @param {string} [props.alt] - Alternative text for every image
+ * @param {'cover'|'contain'} [props.fit='cover'] - Crop images to the frame (cards) or show them whole (detail page)
+ */
+const PhotoCarousel = ({ images, video = null, sizes = '100vw', alt = 'Location', fit = 'cover' }) => {
+  const [activeIndex, setActiveIndex] = useState(0);  // Image currently in view
+  const scrollerRef = useRef(null);                   // Scroll-snap container
+
+  const slideCount = images.length + (video ? 1 : 0);
+  const hasMultiple = slideCount > 1;
+
+  /**
+   * Tracks the visible image as the user swipes
+   */
+  const handleScroll = () => {
+    const scroller = scrollerRef.current;
+    if (!scroller || scroller.clientWidth === 0) return;
+    setActiveIndex(Math.round(scroller.scrollLeft / scroller.clientWidth));
+  };
+
+  /**
+   * Scrolls to an image by index
+   *
+   * @param {number} index - Image to show
+   */
+  const goTo = (index) => {
+    const scroller = scrollerRef.current;
+    if (!scroller) return;
+    const target = Math.max(0, Math.min(slideCount - 1, index));
+    scroller.scrollTo({ left: target * scroller.clientWidth, behavior: 'smooth' });
+  };
+
+  return (
+    <div className="relative">
+      <div
+        ref={scrollerRef}
+        onScroll={hasMultiple ? handleScroll : undefined}
+        className="flex overflow-x-auto snap-x snap-mandatory scrollbar-none"
+      >
+        {images.map((image, index) => (
+          <CarouselSlide
+            key={image.path || image.url || index}
+            image={image}
+            sizes={sizes}
+            fit={fit}
+            alt={hasMultiple ? `${alt} (${index + 1} of ${slideCount})` : alt}
+          />
+        ))}
+        {video && (
+          <VideoSlide
+            video={video}
+            isActive={activeIndex === images.length}
+            alt={hasMultiple ? `Clip (${slideCount} of ${slideCount})` : 'Clip'}
+          />
+        )}
+      </div>
+
+      {hasMultiple && (
+        <>
+          {/* Previous/next arrows - mouse users cannot swipe */}
+          {activeIndex > 0 && (
+            <button
+              onClick={() => goTo(activeIndex - 1)}
+              className="absolute flex items-center justify-center w-8 h-8 text-white transition-opacity duration-300 -translate-y-1/2 rounded-full opacity-0 left-2 top-1/2 bg-black/40 hover:bg-black/60 group-hover:opacity-100"
+              aria-label="Previous photo"
+            >
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+          )}
+          {activeIndex < slideCount - 1 && (
+            <button
+              onClick={() => goTo(activeIndex + 1)}
+              className="absolute flex items-center justify-center w-8 h-8 text-white transition-opacity duration-300 -translate-y-1/2 rounded-full opacity-0 right-2 top-1/2 bg-black/40 hover:bg-black/60 group-hover:opacity-100"
+              aria-label="Next photo"
+            >
+              <ChevronRight className="w-5 h-5" />
+            </button>
+          )}
+
+          {/* Page indicator */}
+          <div className="absolute flex items-center px-2 py-1 space-x-1 rounded-full bottom-4 right-4 bg-black/40">
+            {Array.from({ length: slideCount }, (_, index) => (
+              <button
+                key={index}
+                onClick={() => goTo(index)}
+                className={`w-2 h-2 rounded-full transition-colors duration-300 ${
+                  index === activeIndex ? 'bg-white' : 'bg-white/50'
+                }`}
+                aria-label={`Show photo ${index + 1}`}
+              />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PhotoCarousel;
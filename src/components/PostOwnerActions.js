@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Pencil, Trash2, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { deletePost } from '../firebase/postEditing';
+import EditPostDialog from './EditPostDialog';
+
+/**
+ * Post Owner Actions Component
+ *
+ * Edit and delete buttons, shown only to the person who shared the post.
+ *
+ * Features:
+ * - Edit dialog for description, tags, anonymity and photo replacement
+ * - Delete with confirmation - also removes the photos, clip, comments and
+ *   confirmations
+ * - Round icon buttons over a card image, or labelled buttons in a toolbar
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Photo document with `id`
+ * @param {'overlay'|'toolbar'} [props.variant='overlay'] - Button style
+ * @param {function} [props.onDeleted] - Called after the post was deleted
+ */
+const PostOwnerActions = ({ post, variant = 'overlay', onDeleted }) => {
+  const { currentUser } = useAuth();
+  const [isEditing, setIsEditing] = useState(false);    // Edit dialog visibility
+  const [isDeleting, setIsDeleting] = useState(false);  // True while the post is deleted
+
+  if (!currentUser || post.userId !== currentUser.uid) return null;
+
+  /**
+   * Confirms and deletes the post
+   */
+  const handleDelete = async () => {
+    if (!window.confirm('Delete this post? Its photos, comments and confirmations will be removed and this cannot be undone.')) return;
+
+    setIsDeleting(true);
+    try {
+      await deletePost(post, currentUser.uid);
+      toast.success('Post deleted');
+      if (onDeleted) onDeleted();
+    } catch (error) {
+      console.error('Error deleting post:', error);
+      toast.error(error.message || 'Failed to delete the post. Please try again.');
+      setIsDeleting(false);
+    }
+  };
+
+  const actions = [
+    { label: 'Edit', icon: Pencil, onClick: () => setIsEditing(true) },
+    { label: 'Delete', icon: isDeleting ? Loader2 : Trash2, onClick: handleDelete },
+  ];
+
+  return (
+    <>
+      {actions.map(({ label, icon: Icon, onClick }) => (
+        variant === 'overlay' ? (
+          <button
+            key={label}
+            onClick={onClick}
+            disabled={isDeleting}
+            className="flex items-center justify-center w-10 h-10 text-white transition-all duration-300 rounded-full bg-white/20 backdrop-blur-sm hover:bg-white/30"
+            aria-label={label}
+            title={label}
+          >
+            <Icon className={`w-5 h-5 ${Icon === Loader2 ? 'animate-spin' : ''}`} />
+          </button>
+        ) : (
+          <button
+            key={label}
+            onClick={onClick}
+            disabled={isDeleting}
+            className="flex items-center space-x-2 btn-secondary"
+          >
+            <Icon className={`w-4 h-4 ${Icon === Loader2 ? 'animate-spin' : ''}`} />
+            <span>{label}</span>
+          </button>
+        )
+      ))}
+
+      {/* Portalled - the card overlay is transformed, which would trap a fixed dialog inside it */}
+      {isEditing && createPortal(
+        <EditPostDialog post={post} onClose={() => setIsEditing(false)} />,
+        document.body
+      )}
+    </>
+  );
+};
+
+export default PostOwnerActions;
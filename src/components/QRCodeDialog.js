@@ -0,0 +1,67 @@
+import React from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { X, Link2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { getPostUrl, copyPostLink } from '../utils/share';
+
+/**
+ * QR Code Dialog Component
+ *
+ * Shows a QR code for a post's detail page, so a volunteer can hand the
+ * sighting to someone standing next to them or print it on a flyer.
+ *
+ * Features:
+ * - QR code of the post's deep link
+ * - Link text with a copy button
+ * - Closes on backdrop click
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.postId - Photo document ID
+ * @param {function} props.onClose - Called when the dialog is dismissed
+ */
+const QRCodeDialog = ({ postId, onClose }) => {
+  const url = getPostUrl(postId);
+
+  /**
+   * Copies the link and reports the result
+   */
+  const handleCopy = () => {
+    copyPostLink(postId)
+      .then(() => toast.success('Link copied'))
+      .catch(() => toast.error('Could not copy the link'));
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="max-w-sm modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="p-6 text-center">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-bold text-gray-900">Scan to open this post</h3>
+            <button
+              onClick={onClose}
+              className="flex items-center justify-center w-8 h-8 transition-colors duration-200 bg-gray-100 rounded-full hover:bg-gray-200"
+              aria-label="Close"
+            >
+              <X className="w-5 h-5 text-gray-600" />
+            </button>
+          </div>
+
+          <div className="inline-block p-4 bg-white border border-gray-200 rounded-xl">
+            <QRCodeSVG value={url} size={200} level="M" includeMargin={false} />
+          </div>
+
+          <p className="mt-4 text-xs text-gray-500 break-all">{url}</p>
+          <button
+            onClick={handleCopy}
+            className="flex items-center justify-center w-full mt-4 space-x-2 btn-secondary"
+          >
+            <Link2 className="w-4 h-4" />
+            <span>Copy Link</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QRCodeDialog;
@@ -0,0 +1,384 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { ScanFace, Square, Paintbrush, Undo2, Trash2, Loader2, Check } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { decodeImage, drawScaled } from '../utils/image';
+import { applyRedactions } from '../utils/redaction';
+import { detectFaces } from '../utils/faceDetection';
+
+// Longest edge (pixels) of the editing canvas
+const EDITOR_MAX_DIMENSION = 1024;
+
+// Brush diameter range as a fraction of the image's longest edge
+const BRUSH_SIZE_MIN = 0.02;
+const BRUSH_SIZE_MAX = 0.12;
+
+// Boxes smaller than this (fraction of each side) count as a tap, not a drag
+const TAP_THRESHOLD = 0.01;
+
+// Incrementing ID for regions created in this session
+let nextRegionId = 1;
+
+/**
+ * Creates a region ID that is unique within the page
+ *
+ * @returns {string} Region ID
+ */
+const createRegionId = () => `region-${nextRegionId++}`;
+
+/**
+ * Redaction Editor Component
+ *
+ * In-modal editor for hiding faces, number plates and other identifying
+ * features before a photo is posted. A face detector bundled with the app
+ * runs on the device and adds blur boxes over every face it finds; users
+ * can remove those, draw more boxes or paint over any area by hand.
+ *
+ * The editor only produces a list of regions - they are burned into the
+ * uploaded pixels by createRenditions (utils/image.js).
+ *
+ * Features:
+ * - Automatic on-device face detection with suggested boxes
+ * - Box and brush tools with blur or pixelate effect
+ * - Live preview of the redacted result
+ * - Tap a box to remove it, undo and clear all
+ *
+ * @param {Object} props - Component props
+ * @param {File|Blob} props.file - Image being edited
+ * @param {Array<Object>} props.redactions - Current regions (see utils/redaction.js)
+ * @param {function} props.onChange - Called with the updated region list
+ * @param {function} props.onDone - Called when the user closes the editor
+ */
+const RedactionEditor = ({ file, redactions, onChange, onDone }) => {
+  // ===== STATE =====
+  const [base, setBase] = useState(null);              // Downscaled unredacted canvas for display
+  const [tool, setTool] = useState('box');             // 'box' | 'brush'
+  const [effect, setEffect] = useState('blur');        // 'blur' | 'pixelate'
+  const [brushSize, setBrushSize] = useState(0.05);    // Brush diameter (fraction of longest edge)
+  const [draft, setDraft] = useState(null);            // Region being drawn
+  const [isDetecting, setIsDetecting] = useState(false); // True while the face detector runs
+
+  const canvasRef = useRef(null);       // Visible editing canvas
+  const imageRef = useRef(null);        // Decoded full-resolution image
+  const redactionsRef = useRef(redactions);  // Latest regions for async callbacks
+  redactionsRef.current = redactions;
+
+  // ===== FACE DETECTION =====
+
+  /**
+   * Runs the face detector and replaces earlier suggestions with new boxes
+   * Manually drawn regions are kept.
+   *
+   * @param {Object} image - Decoded image to analyse
+   */
+  const runDetection = useCallback(async (image) => {
+    setIsDetecting(true);
+    try {
+      const faces = await detectFaces(image);
+      const manual = redactionsRef.current.filter((region) => region.source !== 'detected');
+      const detected = faces.map((face) => ({
+        id: createRegionId(),
+        type: 'box',
+        effect,
+        source: 'detected',
+        x: face.x,
+        y: face.y,
+        width: face.width,
+        height: face.height,
+      }));
+      onChange([...manual, ...detected]);
+
+      if (detected.length > 0) {
+        toast.success(`${detected.length} face${detected.length === 1 ? '' : 's'} found and hidden - check for any that were missed`);
+      } else {
+        toast('No faces found - draw over any faces or identifying details by hand', { icon: '🔍' });
+      }
+    } catch (error) {
+      console.error('Error detecting faces:', error);
+      toast.error('Face detection failed. You can still hide areas by hand.');
+    } finally {
+      setIsDetecting(false);
+    }
+  }, [effect, onChange]);
+
+  // Latest detection callback, so a new effect or onChange does not reload the image
+  const runDetectionRef = useRef(runDetection);
+  runDetectionRef.current = runDetection;
+
+  /**
+   * Decodes the image when the editor opens and runs face detection
+   * if nothing has been redacted yet
+   */
+  useEffect(() => {
+    let cancelled = false;
+    let decoded = null;
+
+    decodeImage(file)
+      .then((image) => {
+        if (cancelled) {
+          image.release();
+          return;
+        }
+        decoded = image;
+        imageRef.current = image;
+        setBase(drawScaled(image, EDITOR_MAX_DIMENSION));
+        if (redactionsRef.current.length === 0) {
+          runDetectionRef.current(image);
+        }
+      })
+      .catch((error) => {
+        console.error('Error opening image for redaction:', error);
+        toast.error('This image could not be opened for editing.');
+      });
+
+    return () => {
+      cancelled = true;
+      imageRef.current = null;
+      if (decoded) decoded.release();
+    };
+  }, [file]);
+
+  // ===== RENDERING =====
+
+  /**
+   * Redraws the preview whenever regions change
+   * Effects are rendered exactly as they will be burned in; outlines are
+   * drawn on top for editing only.
+   */
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !base) return;
+
+    canvas.width = base.width;
+    canvas.height = base.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(base, 0, 0);
+
+    const regions = draft ? [...redactions, draft] : redactions;
+    applyRedactions(canvas, regions.filter((region) => region.type === 'box' || region.points.length > 0));
+
+    // Outlines - yellow for detected faces, white for manual boxes
+    context.lineWidth = Math.max(2, canvas.width / 400);
+    context.setLineDash([context.lineWidth * 3, context.lineWidth * 2]);
+    regions.forEach((region) => {
+      if (region.type !== 'box') return;
+      context.strokeStyle = region.source === 'detected' ? '#facc15' : '#ffffff';
+      context.strokeRect(
+        region.x * canvas.width,
+        region.y * canvas.height,
+        region.width * canvas.width,
+        region.height * canvas.height
+      );
+    });
+  }, [base, redactions, draft]);
+
+  // ===== POINTER HANDLING =====
+
+  /**
+   * Converts a pointer event into normalised image coordinates
+   *
+   * @param {PointerEvent} event - Pointer event on the canvas
+   * @returns {{x: number, y: number}} Position (0-1) within the image
+   */
+  const toImagePoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width)),
+      y: Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height)),
+    };
+  };
+
+  const handlePointerDown = (event) => {
+    if (!base) return;
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const point = toImagePoint(event);
+
+    if (tool === 'box') {
+      setDraft({
+        id: createRegionId(),
+        type: 'box',
+        effect,
+        source: 'manual',
+        origin: point,
+        x: point.x,
+        y: point.y,
+        width: 0,
+        height: 0,
+      });
+    } else {
+      setDraft({
+        id: createRegionId(),
+        type: 'brush',
+        effect,
+        source: 'manual',
+        points: [point],
+        size: brushSize,
+      });
+    }
+  };
+
+  const handlePointerMove = (event) => {
+    if (!draft) return;
+    const point = toImagePoint(event);
+
+    if (draft.type === 'box') {
+      setDraft({
+        ...draft,
+        x: Math.min(draft.origin.x, point.x),
+        y: Math.min(draft.origin.y, point.y),
+        width: Math.abs(point.x - draft.origin.x),
+        height: Math.abs(point.y - draft.origin.y),
+      });
+    } else {
+      setDraft({ ...draft, points: [...draft.points, point] });
+    }
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    const { origin, ...region } = draft;
+    setDraft(null);
+
+    // A tap on an existing box removes it
+    if (region.type === 'box' && region.width < TAP_THRESHOLD && region.height < TAP_THRESHOLD) {
+      const hit = [...redactions].reverse().find((candidate) => (
+        candidate.type === 'box' &&
+        origin.x >= candidate.x && origin.x <= candidate.x + candidate.width &&
+        origin.y >= candidate.y && origin.y <= candidate.y + candidate.height
+      ));
+      if (hit) {
+        onChange(redactions.filter((candidate) => candidate.id !== hit.id));
+      }
+      return;
+    }
+
+    onChange([...redactions, region]);
+  };
+
+  // ===== RENDER =====
+
+  return (
+    <div className="space-y-3">
+      {/* Editing canvas */}
+      <div className="relative overflow-hidden bg-gray-900 rounded-xl">
+        {base ? (
+          <canvas
+            ref={canvasRef}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            className={`w-full h-auto touch-none ${tool === 'brush' ? 'cursor-crosshair' : 'cursor-cell'}`}
+          />
+        ) : (
+          <div className="flex items-center justify-center h-64">
+            <Loader2 className="w-8 h-8 text-white animate-spin" />
+          </div>
+        )}
+
+        {isDetecting && (
+          <div className="absolute flex items-center px-3 py-1 space-x-2 text-xs text-white rounded-full top-3 left-3 bg-black/60">
+            <Loader2 className="w-3 h-3 animate-spin" />
+            <span>Looking for faces...</span>
+          </div>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500">
+        {tool === 'box'
+          ? 'Drag to cover a face, number plate or other detail. Tap a box to remove it.'
+          : 'Paint over anything that could identify the person or place.'}
+      </p>
+
+      {/* Tool selection */}
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="flex overflow-hidden border border-gray-200 rounded-lg">
+          <button
+            type="button"
+            onClick={() => setTool('box')}
+            className={`flex items-center space-x-1 px-3 py-2 text-sm ${tool === 'box' ? 'bg-primary-600 text-white' : 'bg-white text-gray-700'}`}
+          >
+            <Square className="w-4 h-4" />
+            <span>Box</span>
+          </button>
+          <button
+            type="button"
+            onClick={() => setTool('brush')}
+            className={`flex items-center space-x-1 px-3 py-2 text-sm ${tool === 'brush' ? 'bg-primary-600 text-white' : 'bg-white text-gray-700'}`}
+          >
+            <Paintbrush className="w-4 h-4" />
+            <span>Brush</span>
+          </button>
+        </div>
+
+        <div className="flex overflow-hidden border border-gray-200 rounded-lg">
+          {['blur', 'pixelate'].map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setEffect(option)}
+              className={`px-3 py-2 text-sm capitalize ${effect === option ? 'bg-primary-600 text-white' : 'bg-white text-gray-700'}`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+
+        {tool === 'brush' && (
+          <label className="flex items-center space-x-2 text-sm text-gray-600">
+            <span>Size</span>
+            <input
+              type="range"
+              min={BRUSH_SIZE_MIN}
+              max={BRUSH_SIZE_MAX}
+              step={0.01}
+              value={brushSize}
+              onChange={(e) => setBrushSize(Number(e.target.value))}
+            />
+          </label>
+        )}
+      </div>
+
+      {/* Actions */}
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={() => imageRef.current && runDetection(imageRef.current)}
+          disabled={isDetecting || !base}
+          className="flex items-center px-3 py-2 space-x-1 text-sm text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          <ScanFace className="w-4 h-4" />
+          <span>Detect Faces</span>
+        </button>
+        <button
+          type="button"
+          onClick={() => onChange(redactions.slice(0, -1))}
+          disabled={redactions.length === 0}
+          className="flex items-center px-3 py-2 space-x-1 text-sm text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          <Undo2 className="w-4 h-4" />
+          <span>Undo</span>
+        </button>
+        <button
+          type="button"
+          onClick={() => onChange([])}
+          disabled={redactions.length === 0}
+          className="flex items-center px-3 py-2 space-x-1 text-sm text-gray-700 bg-white border border-gray-200 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          <Trash2 className="w-4 h-4" />
+          <span>Clear</span>
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          disabled={isDetecting}
+          className="flex items-center ml-auto space-x-1 text-sm btn-primary disabled:opacity-50"
+        >
+          <Check className="w-4 h-4" />
+          <span>Done</span>
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RedactionEditor;
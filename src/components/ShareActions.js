@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Share2, Link2, QrCode } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { sharePost, copyPostLink } from '../utils/share';
+import QRCodeDialog from './QRCodeDialog';
+
+/**
+ * Share Actions Component
+ *
+ * Share, copy-link and QR buttons for a post. All three point at the post's
+ * detail page (/photo/:id).
+ *
+ * Features:
+ * - Native share sheet with a copy-link fallback
+ * - Copy link to clipboard
+ * - QR code dialog
+ * - Round icon buttons over a card image, or labelled buttons in a toolbar
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Photo document with `id`
+ * @param {'overlay'|'toolbar'} [props.variant='overlay'] - Button style
+ */
+const ShareActions = ({ post, variant = 'overlay' }) => {
+  const [showQRCode, setShowQRCode] = useState(false);  // QR dialog visibility
+
+  /**
+   * Opens the share sheet, or copies the link where sharing is unsupported
+   */
+  const handleShare = () => {
+    sharePost(post)
+      .then((result) => {
+        if (result === 'copied') toast.success('Link copied');
+      })
+      .catch(() => toast.error('Could not share this post'));
+  };
+
+  /**
+   * Copies the post's link
+   */
+  const handleCopy = () => {
+    copyPostLink(post.id)
+      .then(() => toast.success('Link copied'))
+      .catch(() => toast.error('Could not copy the link'));
+  };
+
+  const actions = [
+    { label: 'Share', icon: Share2, onClick: handleShare },
+    { label: 'Copy Link', icon: Link2, onClick: handleCopy },
+    { label: 'QR Code', icon: QrCode, onClick: () => setShowQRCode(true) },
+  ];
+
+  return (
+    <>
+      {actions.map(({ label, icon: Icon, onClick }) => (
+        variant === 'overlay' ? (
+          <button
+            key={label}
+            onClick={onClick}
+            className="flex items-center justify-center w-10 h-10 text-white transition-all duration-300 rounded-full bg-white/20 backdrop-blur-sm hover:bg-white/30"
+            aria-label={label}
+            title={label}
+          >
+            <Icon className="w-5 h-5" />
+          </button>
+        ) : (
+          <button
+            key={label}
+            onClick={onClick}
+            className="flex items-center space-x-2 btn-secondary"
+          >
+            <Icon className="w-4 h-4" />
+            <span>{label}</span>
+          </button>
+        )
+      ))}
+
+      {/* Portalled - the card overlay is transformed, which would trap a fixed dialog inside it */}
+      {showQRCode && createPortal(
+        <QRCodeDialog postId={post.id} onClose={() => setShowQRCode(false)} />,
+        document.body
+      )}
+    </>
+  );
+};
+
+export default ShareActions;
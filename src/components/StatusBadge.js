@@ -0,0 +1,27 @@
+import React from 'react';
+import { getPostStatus } from '../config/status';
+
+/**
+ * Status Badge Component
+ *
+ * Coloured pill with the lifecycle status of a post (see config/status.js).
+ * Posts created before the lifecycle existed show as reported.
+ *
+ * @param {Object} props - Component props
+ * @param {string} [props.status] - Stored status of the post
+ * @param {string} [props.className] - Extra classes for positioning
+ */
+const StatusBadge = ({ status, className = '' }) => {
+  const definition = getPostStatus(status);
+
+  return (
+    <span
+      className={`inline-flex items-center px-3 py-1 text-xs font-semibold rounded-full ${definition.className} ${className}`}
+      title={definition.description}
+    >
+      {definition.label}
+    </span>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { collection, query, orderBy, onSnapshot } from 'firebase/firestore';
+import { History, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { db } from '../firebase/config';
+import { changePostStatus } from '../firebase/status';
+import { useAuth } from '../contexts/AuthContext';
+import { getPostStatus, getNextStatuses, STATUS_NOTE_MAX_LENGTH } from '../config/status';
+import { formatTimestamp, toDate } from '../utils/time';
+import StatusBadge from './StatusBadge';
+
+// Readable names for the roles stored on timeline entries
+const ACTOR_ROLE_LABELS = {
+  poster: 'Poster',
+  moderator: 'Moderator',
+  ngo: 'NGO',
+};
+
+/**
+ * Status Timeline Component
+ *
+ * Every status change of a post, oldest first, so donors and reporters can
+ * follow what happened after a sighting was shared. Moderators and NGOs
+ * also get a form to move the post to its next status.
+ *
+ * Features:
+ * - Real-time timeline from the post's `timeline` subcollection
+ * - Actor, role, time and note for each change
+ * - Fallback first entry for posts created before the timeline existed
+ * - Status change form for case reviewers, limited to allowed transitions
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Photo document with `id`
+ */
+const StatusTimeline = ({ post }) => {
+  // ===== STATE MANAGEMENT =====
+  const { currentUser, userProfile, isCaseReviewer } = useAuth();
+  const [entries, setEntries] = useState(null);        // Timeline entries, null while loading
+  const [nextStatus, setNextStatus] = useState(null);  // Status chosen in the form
+  const [note, setNote] = useState('');                // Note for the change
+  const [isSaving, setIsSaving] = useState(false);     // True while the change is written
+
+  const nextStatuses = getNextStatuses(post.status);
+  const canUpdate = isCaseReviewer() && nextStatuses.length > 0;
+
+  // ===== FIRESTORE DATA FETCHING =====
+
+  /**
+   * Listens to the timeline so changes by other reviewers appear live
+   */
+  useEffect(() => {
+    const q = query(collection(db, 'photos', post.id, 'timeline'), orderBy('createdAt', 'asc'));
+    const unsubscribe = onSnapshot(
+      q,
+      (snapshot) => {
+        setEntries(snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() })));
+      },
+      (error) => {
+        console.error('Error fetching timeline:', error);
+        setEntries([]);
+      }
+    );
+    return () => unsubscribe();
+  }, [post.id]);
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Saves the chosen status with the note
+   */
+  const handleSubmit = async () => {
+    if (!nextStatus) return;
+    setIsSaving(true);
+    try {
+      await changePostStatus(post.id, {
+        status: nextStatus,
+        note: note.trim() || null,
+        actor: {
+          id: currentUser.uid,
+          name: userProfile?.username || currentUser.displayName || null,
+          role: userProfile.role,
+        },
+      });
+      toast.success(`Marked as ${getPostStatus(nextStatus).label.toLowerCase()}`);
+      setNextStatus(null);
+      setNote('');
+    } catch (error) {
+      console.error('Error changing status:', error);
+      toast.error(error.message || 'Failed to update the status. Please try again.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // ===== RENDER =====
+
+  // Posts from before the timeline have no entries - show when they were reported
+  const shownEntries = entries && entries.length === 0
+    ? [{
+      id: 'reported',
+      status: 'reported',
+      actorName: post.isAnonymous ? null : post.username,
+      actorRole: 'poster',
+      createdAt: post.createdAt,
+    }]
+    : entries;
+
+  return (
+    <div className="p-6 space-y-4 bg-white shadow-md rounded-2xl">
+      <h2 className="flex items-center space-x-2 text-lg font-semibold text-gray-900">
+        <History className="w-5 h-5 text-primary-600" />
+        <span>Timeline</span>
+      </h2>
+
+      {shownEntries === null ? (
+        <div className="flex items-center space-x-2 text-sm text-gray-500">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          <span>Loading timeline...</span>
+        </div>
+      ) : (
+        <ol className="ml-2 space-y-4 border-l border-gray-200">
+          {shownEntries.map((entry) => {
+            const createdAt = toDate(entry.createdAt);
+            return (
+              <li key={entry.id} className="relative pl-5">
+                <span className="absolute w-3 h-3 bg-white border-2 rounded-full -left-1.5 top-1.5 border-primary-500" />
+                <div className="flex flex-wrap items-center gap-2">
+                  <StatusBadge status={entry.status} />
+                  <span className="text-xs text-gray-500" title={createdAt ? createdAt.toLocaleString() : undefined}>
+                    {formatTimestamp(entry.createdAt)}
+                  </span>
+                </div>
+                <p className="mt-1 text-xs text-gray-500">
+                  by {entry.actorName || 'Anonymous'}
+                  {ACTOR_ROLE_LABELS[entry.actorRole] && ` · ${ACTOR_ROLE_LABELS[entry.actorRole]}`}
+                </p>
+                {entry.note && (
+                  <p className="mt-1 text-sm leading-relaxed text-gray-700">{entry.note}</p>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {/* Status change form - moderators and NGOs only */}
+      {canUpdate && (
+        <div className="pt-4 space-y-3 border-t border-gray-100">
+          <p className="text-sm font-medium text-gray-700">Update status</p>
+          <div className="flex flex-wrap gap-2">
+            {nextStatuses.map((status) => (
+              <button
+                key={status.id}
+                type="button"
+                onClick={() => setNextStatus(status.id === nextStatus ? null : status.id)}
+                className={`px-3 py-1 text-sm font-medium rounded-full border transition-colors duration-300 ${
+                  nextStatus === status.id
+                    ? 'bg-primary-600 border-primary-600 text-white'
+                    : 'bg-white border-gray-200 text-gray-700 hover:border-primary-300'
+                }`}
+                title={status.description}
+              >
+                {status.id === 'reported' ? 'Reopen' : status.label}
+              </button>
+            ))}
+          </div>
+          {nextStatus && (
+            <>
+              <p className="text-xs text-gray-500">{getPostStatus(nextStatus).description}</p>
+              <textarea
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="Add a note, e.g. who responded or where the person went (optional)"
+                className="h-20 text-sm resize-none input-field"
+                maxLength={STATUS_NOTE_MAX_LENGTH}
+              />
+              <button
+                onClick={handleSubmit}
+                disabled={isSaving}
+                className="flex items-center justify-center w-full space-x-2 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSaving && <Loader2 className="w-4 h-4 animate-spin" />}
+                <span>Mark as {getPostStatus(nextStatus).label}</span>
+              </button>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StatusTimeline;
@@ -1,11 +1,42 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { X, Camera, Upload, MapPin, User, EyeOff, AlertTriangle, CheckCircle } from 'lucide-react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { X, Camera, Upload, MapPin, User, EyeOff, AlertTriangle, CheckCircle, Loader2, Pause, Play, ScanFace, ShieldCheck, ChevronLeft, ChevronRight, Plus, Video, Square, Copy, FileClock, SwitchCamera, Flashlight, FlashlightOff, Grid, Crosshair, ZoomIn, Lock } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
-import { storage, db } from '../firebase/config';
-import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
-import { collection, addDoc, serverTimestamp } from 'firebase/firestore';
+import { useUploadQueue, isRetryableUploadError } from '../contexts/UploadQueueContext';
+import { publishPhoto } from '../firebase/photoPublisher';
+import { findLikelyDuplicates } from '../firebase/duplicates';
+import { reverseGeocode, formatPlaceName } from '../utils/reverseGeocode';
+import { readPhotoMetadata } from '../utils/exif';
+import { validateImageFile } from '../utils/fileValidation';
+import { createRenditions, sanitizeImage, extensionForType, formatBytes, getPostImages, getImageSources } from '../utils/image';
+import { summarizeRedactions } from '../utils/redaction';
+import { saveDraft, loadDraft, clearDraft } from '../utils/uploadDraft';
+import { loadCameraPreferences, saveCameraPreferences } from '../utils/cameraPreferences';
+import { getRecorderMimeType, trimVideo, createVideoPoster, formatDuration } from '../utils/video';
+import { toDateTimeLocalValue, formatTimestamp } from '../utils/time';
+import {
+  LOCATION_ACCURACY_THRESHOLD_M,
+  LOCATION_WATCH_TIMEOUT_MS,
+  IMAGE_QUALITY,
+  IMAGE_RENDITIONS,
+  MAX_PHOTOS_PER_POST,
+  VIDEO_MAX_DURATION_S,
+  VIDEO_MAX_BYTES,
+  VIDEO_BITS_PER_SECOND,
+  DRAFT_SAVE_DELAY_MS,
+  CAMERA_RESOLUTIONS,
+} from '../config/upload';
+import { NEED_CATEGORIES, URGENCY_LEVELS, DEFAULT_URGENCY, PEOPLE_COUNT_MAX } from '../config/needs';
+import { CONSENT_STATUSES, CONSENT_NOTE_MAX_LENGTH, CONSENT_PHOTO_MAX_DIMENSION, getConsentStatus } from '../config/consent';
+import LocationPicker from './LocationPicker';
+import RedactionEditor from './RedactionEditor';
+import BlobImage from './BlobImage';
+import ClipTrimmer from './ClipTrimmer';
+import CameraOverlay from './CameraOverlay';
 import toast from 'react-hot-toast';
 
+// Incrementing ID for photos added in this session
+let nextPhotoId = 1;
+
 /**
  * UploadModal Component
  * 
@@ -15,9 +46,23 @@ import toast from 'react-hot-toast';
  * 
  * Features:
  * - Camera capture with live preview
+ * - Camera switching, torch, zoom, resolution and grid/level overlays (last camera remembered)
  * - File upload from device gallery
- * - GPS location capture
+ * - Multiple photos per post with reordering and removal
+ * - Short silent video clip recording with duration/size caps, preview and trim
+ * - EXIF location and capture time pre-fill for gallery photos
+ * - GPS location capture with accuracy refinement and manual pin adjustment
+ * - Metadata stripping (EXIF/XMP/IPTC) before upload
+ * - Face and identifying-feature redaction (on-device detection, blur/pixelate)
+ * - Client-side downscaling and WebP/JPEG compression with size feedback
+ * - Small/medium/full renditions and a BlurHash placeholder per upload
+ * - Need categories, urgency and approximate number of people
+ * - Duplicate detection against recent nearby posts, with the option to confirm the existing post
  * - Optional description and anonymous posting
+ * - Consent capture with a private note or photo; stricter rules without consent
+ * - Resumable uploads with progress, pause/resume/cancel and automatic retries
+ * - Offline queueing - posts made without a connection upload later
+ * - Draft autosave to IndexedDB with a resume prompt after closing or a crash
  * - Form validation and user feedback
  * - Responsive design with scroll support
  * 
@@ -27,32 +72,92 @@ import toast from 'react-hot-toast';
 const UploadModal = ({ isOpen, onClose }) => {
   // ===== HOOKS AND STATE =====
   const { currentUser, userProfile } = useAuth();  // Authentication context
+  const { queueUpload } = useUploadQueue();        // Offline upload queue
   
   // File handling states
-  const [selectedFile, setSelectedFile] = useState(null);        // Stores the selected image file
-  const [preview, setPreview] = useState(null);                  // URL for image preview display
+  // Each photo: {id, file, redactions, processed: {renditions, blurhash} | null, failed}
+  const [photos, setPhotos] = useState([]);                      // Ordered photos of the post, cover first
+  const [activePhotoId, setActivePhotoId] = useState(null);      // Photo shown in the large preview
+  const [redactingPhotoId, setRedactingPhotoId] = useState(null); // Photo open in the redaction editor
+  const [metadataPhotoId, setMetadataPhotoId] = useState(null);  // Photo whose metadata pre-filled the form
+  const [clip, setClip] = useState(null);                        // Recorded clip {blob, mimeType, duration, start, end}
   
   // User preferences and privacy
   const [isAnonymous, setIsAnonymous] = useState(false);         // Toggle for anonymous posting
   const [description, setDescription] = useState('');            // User's description text
   
+  // What is needed - fixed taxonomy responders can filter on (see config/needs.js)
+  const [needs, setNeeds] = useState([]);                        // Selected need category IDs
+  const [urgency, setUrgency] = useState(DEFAULT_URGENCY);       // 'routine' | 'soon' | 'emergency'
+  const [peopleCount, setPeopleCount] = useState(1);             // Approximate number of people ('' while typing)
+  
+  // Consent of the photographed person (see config/consent.js)
+  const [consentStatus, setConsentStatus] = useState(null);      // 'verbal' | 'written' | 'not-possible', required to post
+  const [consentNote, setConsentNote] = useState('');            // Private note for moderators and NGOs
+  const [consentPhoto, setConsentPhoto] = useState(null);        // Private photo, e.g. of a signed form
+  
   // Modal and UI states
   const [showWarning, setShowWarning] = useState(false);         // Controls warning modal visibility
   const [isUploading, setIsUploading] = useState(false);         // Loading state during upload
+  const [uploadProgress, setUploadProgress] = useState(0);       // Overall upload progress (0-1)
+  const [isUploadPaused, setIsUploadPaused] = useState(false);   // True while the user has paused the upload
+  const [isPreparingClip, setIsPreparingClip] = useState(false); // True while the clip is trimmed before upload
+  
+  // Duplicate detection - recent nearby posts that look like the same scene
+  const [isCheckingDuplicates, setIsCheckingDuplicates] = useState(false); // True while nearby posts are compared
+  const [isCheckingFiles, setIsCheckingFiles] = useState(false); // True while gallery files are validated/converted
+  const [duplicateMatches, setDuplicateMatches] = useState(null); // Likely duplicates offered to the user, or null
+  const [confirmationOf, setConfirmationOf] = useState(null);    // Existing post ID this upload confirms, if chosen
+  
+  // Drafts - the form is saved on the device and offered for resuming (see utils/uploadDraft.js)
+  const [draftStatus, setDraftStatus] = useState('checking');    // 'checking' | 'prompt' | 'ready'
+  const [savedDraft, setSavedDraft] = useState(null);            // Stored draft awaiting the resume prompt
   
   // Location services
-  const [location, setLocation] = useState(null);                // GPS coordinates {latitude, longitude}
+  const [location, setLocation] = useState(null);                // Location fix {latitude, longitude, accuracy, altitude, capturedAt, source}
+  const [isLocating, setIsLocating] = useState(false);           // True while GPS accuracy is being refined
+  const [exifLocation, setExifLocation] = useState(null);        // Location embedded in the selected photo, if any
+  
+  // Sighting time - when the person was seen, which may differ from upload time
+  const [sightedAt, setSightedAt] = useState(null);              // Date of the sighting
+  const [sightedAtSource, setSightedAtSource] = useState(null);  // 'exif' | 'capture' | 'manual'
+  const [place, setPlace] = useState(null);                      // Resolved {state, district, city} for the location
   
   // Camera functionality
   const [showCamera, setShowCamera] = useState(false);           // Toggle camera view
   const [stream, setStream] = useState(null);                    // Camera media stream
   const [cameraError, setCameraError] = useState(null);          // Camera error state
   const [isVideoPlaying, setIsVideoPlaying] = useState(false);   // Track if video is actually playing
+  const [isRecording, setIsRecording] = useState(false);         // True while a clip is being recorded
+  const [recordingElapsed, setRecordingElapsed] = useState(0);   // Seconds recorded so far
+  const [cameras, setCameras] = useState([]);                    // Available cameras {deviceId, label}
+  const [activeDeviceId, setActiveDeviceId] = useState(null);    // Camera currently streaming
+  const [cameraCapabilities, setCameraCapabilities] = useState({}); // {torch, zoom: {min, max, step} | null} of the active camera
+  const [isTorchOn, setIsTorchOn] = useState(false);             // Torch state, where supported
+  const [zoom, setZoom] = useState(null);                        // Current zoom level, where supported
+  const [cameraPreferences, setCameraPreferences] = useState(loadCameraPreferences); // Remembered camera, resolution and overlays
 
   // ===== REFS FOR DOM ELEMENTS =====
   const fileInputRef = useRef();                                 // Hidden file input element
+  const consentPhotoInputRef = useRef();                         // Hidden file input for the consent photo
   const videoRef = useRef();                                     // Video element for camera preview
   const canvasRef = useRef();                                    // Canvas for capturing camera frames
+  const locationWatchRef = useRef(null);                         // Active geolocation watch ID
+  const locationTimeoutRef = useRef(null);                       // Timer that ends location refinement
+  const uploadSessionRef = useRef(null);                         // Active upload session controls
+  const recorderRef = useRef(null);                              // Active MediaRecorder for clips
+  const recordingTimerRef = useRef(null);                        // Interval updating the recording timer
+
+  // ===== DERIVED STATE =====
+  const activePhoto = photos.find((photo) => photo.id === activePhotoId) || photos[0] || null;
+  const redactingPhoto = photos.find((photo) => photo.id === redactingPhotoId) || null;
+  const isRedacting = redactingPhoto !== null;
+  // Photos still waiting for compression - the one being redacted waits for the editor to close
+  const nextPhotoToProcess = photos.find((photo) => !photo.processed && !photo.failed && photo.id !== redactingPhotoId);
+  const isProcessing = photos.some((photo) => !photo.processed && !photo.failed);
+  const redactionCount = photos.reduce((total, photo) => total + photo.redactions.length, 0);
+  const consentRules = getConsentStatus(consentStatus) || null;   // Selected consent status definition
+  const unredactedPhotoCount = photos.filter((photo) => photo.redactions.length === 0).length;
 
   // ===== EFFECTS =====
   
@@ -79,6 +184,65 @@ const UploadModal = ({ isOpen, onClose }) => {
     }
   }, [showCamera, stream]);
 
+  /**
+   * Effect to resolve the captured location into a readable place name
+   * Uses the bundled offline datasets - no network request is made
+   */
+  useEffect(() => {
+    if (!location) {
+      setPlace(null);
+      return;
+    }
+
+    let cancelled = false;
+    reverseGeocode(location)
+      .then((result) => {
+        if (!cancelled) setPlace(result);
+      })
+      .catch((error) => {
+        console.error('Error resolving place name:', error);
+      });
+
+    return () => { cancelled = true; };
+  }, [location]);
+
+  /**
+   * Updates one photo in the list, keeping the others untouched
+   *
+   * @param {number} id - Photo ID
+   * @param {Object} changes - Fields to overwrite
+   */
+  const updatePhoto = useCallback((id, changes) => {
+    setPhotos((current) => current.map((photo) => (photo.id === id ? { ...photo, ...changes } : photo)));
+  }, []);
+
+  /**
+   * Effect to compress photos one at a time as soon as they are added
+   * Runs ahead of the upload so the user can see the size saving.
+   * Changing a photo's redactions clears its output, which queues it again;
+   * results for an outdated version of a photo are discarded so an
+   * unredacted image is never posted.
+   */
+  useEffect(() => {
+    if (!nextPhotoToProcess) return;
+
+    let cancelled = false;
+    const { id, file, redactions } = nextPhotoToProcess;
+    createRenditions(file, { sizes: IMAGE_RENDITIONS, quality: IMAGE_QUALITY, redactions })
+      .then((result) => {
+        if (!cancelled) updatePhoto(id, { processed: result });
+      })
+      .catch((error) => {
+        console.error('Error compressing image:', error);
+        if (!cancelled) {
+          updatePhoto(id, { failed: true });
+          toast.error('A photo could not be processed. Please remove it or try a different photo.');
+        }
+      });
+
+    return () => { cancelled = true; };
+  }, [nextPhotoToProcess, updatePhoto]);
+
   /**
    * Effect to check camera availability on component mount
    */
@@ -89,9 +253,96 @@ const UploadModal = ({ isOpen, onClose }) => {
     }
   }, []);
 
+  /**
+   * Effect to look for a saved draft the first time the modal opens
+   * Autosave stays off until the user has answered the resume prompt,
+   * so the empty form cannot overwrite the stored draft.
+   */
+  useEffect(() => {
+    if (!isOpen || !currentUser || draftStatus !== 'checking') return;
+
+    let cancelled = false;
+    loadDraft(currentUser.uid)
+      .then((draft) => {
+        if (cancelled) return;
+        setSavedDraft(draft);
+        setDraftStatus(draft ? 'prompt' : 'ready');
+      })
+      .catch((error) => {
+        console.error('Error loading draft:', error);
+        if (!cancelled) setDraftStatus('ready');
+      });
+
+    return () => { cancelled = true; };
+  }, [isOpen, currentUser, draftStatus]);
+
+  /**
+   * Effect to autosave the form shortly after every change
+   * An empty form removes the draft, which also happens after a post is sent.
+   */
+  useEffect(() => {
+    if (draftStatus !== 'ready' || !currentUser || isUploading) return;
+
+    const timer = setTimeout(() => {
+      const hasContent = photos.length > 0 || clip || description.trim();
+      const saved = hasContent
+        ? saveDraft(currentUser.uid, {
+          photos: photos.map((photo) => ({ file: photo.file, redactions: photo.redactions })),
+          metadataPhotoIndex: photos.findIndex((photo) => photo.id === metadataPhotoId),
+          clip,
+          location,
+          exifLocation,
+          place,
+          sightedAt,
+          sightedAtSource,
+          description,
+          needs,
+          urgency,
+          peopleCount,
+          isAnonymous,
+          consentStatus,
+          consentNote,
+          consentPhoto,
+        })
+        : clearDraft(currentUser.uid);
+      saved.catch((error) => console.error('Error saving draft:', error));
+    }, DRAFT_SAVE_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [
+    draftStatus, currentUser, isUploading, photos, metadataPhotoId, clip, location, exifLocation,
+    place, sightedAt, sightedAtSource, description, needs, urgency, peopleCount, isAnonymous,
+    consentStatus, consentNote, consentPhoto,
+  ]);
+
+  /**
+   * Stops an in-progress location refinement
+   * Clears the geolocation watch and its timeout
+   */
+  const stopLocationWatch = useCallback(() => {
+    if (locationWatchRef.current !== null) {
+      navigator.geolocation.clearWatch(locationWatchRef.current);
+      locationWatchRef.current = null;
+    }
+    if (locationTimeoutRef.current !== null) {
+      clearTimeout(locationTimeoutRef.current);
+      locationTimeoutRef.current = null;
+    }
+    setIsLocating(false);
+  }, []);
+
+  /**
+   * Effect to stop location refinement when the component unmounts
+   */
+  useEffect(() => stopLocationWatch, [stopLocationWatch]);
+
   /**
    * Captures the user's current GPS location using the browser's geolocation API
    * This is required for all photo uploads to ensure proper location tagging
+   *
+   * Keeps refining with watchPosition until a fix meets
+   * LOCATION_ACCURACY_THRESHOLD_M or LOCATION_WATCH_TIMEOUT_MS elapses,
+   * always keeping the most accurate fix received so far.
    */
   const getCurrentLocation = () => {
     // Check if geolocation is supported by the browser
@@ -105,47 +356,156 @@ const UploadModal = ({ isOpen, onClose }) => {
       icon: '📍',
       duration: 3000,
     });
-    
-    // Request current position with high accuracy
-    navigator.geolocation.getCurrentPosition(
-      // Success callback - location captured
+
+    stopLocationWatch();
+    setIsLocating(true);
+    let bestFix = null;  // Most accurate fix received during this session
+
+    // Watch position updates - each fix may be more accurate than the last
+    locationWatchRef.current = navigator.geolocation.watchPosition(
+      // Success callback - a new fix arrived
       (position) => {
-        const { latitude, longitude } = position.coords;
-        setLocation({ latitude, longitude });
-        toast.success('Location captured successfully!');
+        const { latitude, longitude, accuracy, altitude, altitudeAccuracy } = position.coords;
+        if (bestFix && accuracy >= bestFix.accuracy) return;
+
+        bestFix = {
+          latitude,
+          longitude,
+          accuracy,                                  // Horizontal accuracy in metres
+          altitude,                                  // Metres above WGS84 ellipsoid, null if unavailable
+          altitudeAccuracy,                          // Metres, null if unavailable
+          capturedAt: new Date(position.timestamp),  // Time the fix was taken
+          source: 'gps',                             // 'gps' or 'manual' once the pin is dragged
+        };
+        setLocation(bestFix);
+
+        // Good enough - stop refining
+        if (accuracy <= LOCATION_ACCURACY_THRESHOLD_M) {
+          stopLocationWatch();
+          toast.success(`Location captured (±${Math.round(accuracy)} m)`);
+        }
       },
       // Error callback - location capture failed
       (error) => {
         console.error('Error getting location:', error);
-        toast.error('Failed to get location. Please enable location access.');
+        if (!bestFix) {
+          stopLocationWatch();
+          toast.error('Failed to get location. Please enable location access.');
+        }
       },
-      // Geolocation options for better accuracy
+      // Geolocation options for best accuracy
       {
         enableHighAccuracy: true,  // Use GPS for highest accuracy
-        timeout: 10000,           // Wait up to 10 seconds
-        maximumAge: 60000         // Accept cached location up to 1 minute old
+        timeout: 10000,           // Wait up to 10 seconds per fix
+        maximumAge: 0             // Always ask for a fresh fix
       }
     );
+
+    // Give up refining after the timeout and keep the best fix
+    locationTimeoutRef.current = setTimeout(() => {
+      stopLocationWatch();
+      if (bestFix) {
+        toast(`Best accuracy ±${Math.round(bestFix.accuracy)} m. Drag the pin to correct the spot if needed.`, {
+          icon: '📍',
+        });
+      } else {
+        toast.error('Failed to get location. Please enable location access.');
+      }
+    }, LOCATION_WATCH_TIMEOUT_MS);
+  };
+
+  /**
+   * Applies a manual pin adjustment from the location picker
+   * Stops GPS refinement so later fixes do not overwrite the user's choice
+   *
+   * @param {Object} position - New position {latitude, longitude}
+   */
+  const handlePinMove = useCallback(({ latitude, longitude }) => {
+    stopLocationWatch();
+    setLocation((current) => ({
+      ...current,
+      latitude,
+      longitude,
+      source: 'manual',
+      // Remember where the pin started: 'gps' or 'exif'
+      adjustedFrom: current.source === 'manual' ? current.adjustedFrom : current.source,
+    }));
+  }, [stopLocationWatch]);
+
+  /**
+   * Saves camera choices for this and future sessions
+   *
+   * @param {Object} changes - Preference fields to overwrite (see utils/cameraPreferences.js)
+   */
+  const updateCameraPreferences = (changes) => {
+    setCameraPreferences((current) => ({ ...current, ...changes }));
+    saveCameraPreferences(changes);
   };
 
   /**
    * Initializes the device camera for live photo capture
-   * Requests camera permissions and sets up video stream
+   * Requests camera permissions and sets up video stream. Opens the
+   * remembered camera when there is one, otherwise the rear camera, and
+   * reads which of torch and zoom the camera supports.
+   *
+   * @param {Object} [options] - Camera to open
+   * @param {string|null} [options.deviceId] - Specific camera, defaults to the remembered one
+   * @param {string} [options.resolution] - Resolution ID from CAMERA_RESOLUTIONS
    */
-  const startCamera = async () => {
+  const startCamera = async ({
+    deviceId = cameraPreferences.deviceId,
+    resolution = cameraPreferences.resolution,
+  } = {}) => {
     try {
       // Clear any previous errors and reset states
       setCameraError(null);
       setIsVideoPlaying(false);
       
-      // Request camera access with rear camera preference
-      const mediaStream = await navigator.mediaDevices.getUserMedia({ 
-        video: { 
-          facingMode: 'environment',  // Use rear camera if available
-          width: { ideal: 1280 },
-          height: { ideal: 720 }
-        } 
-      });
+      // Release the current camera first - many phones cannot open two at once
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+      
+      const size = CAMERA_RESOLUTIONS.find((option) => option.id === resolution) || CAMERA_RESOLUTIONS[0];
+      const sizeConstraints = {
+        width: { ideal: size.width },
+        height: { ideal: size.height }
+      };
+      
+      // Request camera access - a chosen camera, or the rear camera if available
+      let mediaStream;
+      try {
+        mediaStream = await navigator.mediaDevices.getUserMedia({
+          video: deviceId
+            ? { ...sizeConstraints, deviceId: { exact: deviceId } }
+            : { ...sizeConstraints, facingMode: 'environment' }
+        });
+      } catch (error) {
+        // The remembered camera may be gone (e.g. an unplugged webcam) - fall back to the default
+        if (!deviceId || !['OverconstrainedError', 'NotFoundError', 'NotReadableError'].includes(error.name)) {
+          throw error;
+        }
+        mediaStream = await navigator.mediaDevices.getUserMedia({
+          video: { ...sizeConstraints, facingMode: 'environment' }
+        });
+      }
+      
+      // Torch and zoom are only offered where the camera track supports them
+      const [track] = mediaStream.getVideoTracks();
+      const settings = track.getSettings ? track.getSettings() : {};
+      const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+      const zoomRange = capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min ? capabilities.zoom : null;
+      setCameraCapabilities({ torch: !!capabilities.torch, zoom: zoomRange });
+      setIsTorchOn(false);
+      setZoom(zoomRange ? settings.zoom ?? zoomRange.min : null);
+      setActiveDeviceId(settings.deviceId || null);
+      updateCameraPreferences({ deviceId: settings.deviceId || null, resolution });
+      
+      // Camera names are only available once permission has been granted
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      setCameras(devices
+        .filter((device) => device.kind === 'videoinput')
+        .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Camera ${index + 1}` })));
       
       // Store the stream and show camera interface
       setStream(mediaStream);
@@ -159,6 +519,81 @@ const UploadModal = ({ isOpen, onClose }) => {
     }
   };
 
+  /**
+   * Moves to the next available camera (e.g. rear -> front -> wide)
+   */
+  const switchCamera = () => {
+    const index = cameras.findIndex((camera) => camera.deviceId === activeDeviceId);
+    const next = cameras[(index + 1) % cameras.length];
+    if (next) startCamera({ deviceId: next.deviceId });
+  };
+
+  /**
+   * Reopens the current camera at another resolution
+   *
+   * @param {string} resolution - Resolution ID from CAMERA_RESOLUTIONS
+   */
+  const changeResolution = (resolution) => {
+    startCamera({ deviceId: activeDeviceId, resolution });
+  };
+
+  /**
+   * Applies an advanced constraint (torch, zoom) to the active camera
+   *
+   * @param {Object} constraint - e.g. {torch: true} or {zoom: 2}
+   * @returns {Promise<void>}
+   */
+  const applyTrackConstraint = (constraint) => {
+    const track = stream && stream.getVideoTracks()[0];
+    if (!track) return Promise.resolve();
+    return track.applyConstraints({ advanced: [constraint] });
+  };
+
+  /**
+   * Turns the torch on or off - useful for night outreach
+   */
+  const toggleTorch = () => {
+    applyTrackConstraint({ torch: !isTorchOn })
+      .then(() => setIsTorchOn(!isTorchOn))
+      .catch((error) => {
+        console.error('Error switching torch:', error);
+        toast.error('The torch could not be switched');
+      });
+  };
+
+  /**
+   * Sets the camera zoom level
+   *
+   * @param {number} value - Zoom level within the camera's range
+   */
+  const changeZoom = (value) => {
+    setZoom(value);
+    applyTrackConstraint({ zoom: value }).catch((error) => {
+      console.error('Error changing zoom:', error);
+    });
+  };
+
+  /**
+   * Shows or hides the level overlay
+   * iOS only delivers motion events after the user grants permission.
+   */
+  const toggleLevel = async () => {
+    const showLevel = !cameraPreferences.showLevel;
+    if (showLevel && typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+      try {
+        const permission = await DeviceMotionEvent.requestPermission();
+        if (permission !== 'granted') {
+          toast.error('Motion access is needed for the level');
+          return;
+        }
+      } catch (error) {
+        console.error('Error requesting motion access:', error);
+        return;
+      }
+    }
+    updateCameraPreferences({ showLevel });
+  };
+
   /**
    * Captures a still image from the live camera stream
    * Converts the video frame to a file and creates a preview
@@ -180,13 +615,109 @@ const UploadModal = ({ isOpen, onClose }) => {
         // Create a file from the blob
         const file = new File([blob], 'captured-photo.jpg', { type: 'image/jpeg' });
         
-        // Update state with captured image
-        setSelectedFile(file);
-        setPreview(URL.createObjectURL(blob));
+        // Add the capture to the post
+        const [added] = addPhotos([file]);
+        if (!added) return;
         
-        // Stop camera after capture
-        stopCamera();
-      }, 'image/jpeg', 0.8);  // JPEG format with 80% quality
+        // The first capture was taken right now, at the current position
+        if (added.isFirst) {
+          setMetadataPhotoId(added.id);
+          setExifLocation(null);
+          setSightedAt(new Date());
+          setSightedAtSource('capture');
+        }
+        
+        // Keep the camera open for further shots until the post is full
+        if (added.isLast) {
+          stopCamera();
+        } else {
+          toast.success(`Photo ${added.position} of up to ${MAX_PHOTOS_PER_POST} added`);
+        }
+      }, 'image/jpeg', 0.95);  // High quality - final compression happens in createRenditions
+    }
+  };
+
+  /**
+   * Records a short clip from the live camera stream
+   * Recording stops by itself at VIDEO_MAX_DURATION_S or VIDEO_MAX_BYTES;
+   * the finished clip replaces the camera view for preview and trimming.
+   * The camera stream has no audio track, so clips are silent.
+   */
+  const startRecording = () => {
+    if (!stream || recorderRef.current) return;
+
+    const mimeType = getRecorderMimeType();
+    if (mimeType === null) {
+      toast.error('Video recording is not supported on this browser');
+      return;
+    }
+
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, {
+        ...(mimeType ? { mimeType } : {}),
+        videoBitsPerSecond: VIDEO_BITS_PER_SECOND,
+      });
+    } catch (error) {
+      console.error('Error starting recorder:', error);
+      toast.error('Unable to record video on this device');
+      return;
+    }
+
+    const chunks = [];
+    let recordedBytes = 0;
+    const startedAt = new Date();
+
+    // Collect data every second so the size cap is checked while recording
+    recorder.ondataavailable = (event) => {
+      if (event.data.size === 0) return;
+      chunks.push(event.data);
+      recordedBytes += event.data.size;
+      if (recordedBytes >= VIDEO_MAX_BYTES && recorder.state === 'recording') {
+        recorder.stop();
+        toast('Clip size limit reached', { icon: 'ℹ️' });
+      }
+    };
+
+    recorder.onstop = () => {
+      clearInterval(recordingTimerRef.current);
+      recorderRef.current = null;
+      setIsRecording(false);
+
+      const blob = new Blob(chunks, { type: recorder.mimeType || mimeType || 'video/webm' });
+      if (blob.size === 0) {
+        toast.error('Recording failed. Please try again.');
+        return;
+      }
+      const duration = Math.min((Date.now() - startedAt.getTime()) / 1000, VIDEO_MAX_DURATION_S);
+      setClip({ blob, mimeType: blob.type, duration, start: 0, end: duration });
+
+      // A clip-only post was seen when recording started
+      if (photos.length === 0 && !sightedAt) {
+        setSightedAt(startedAt);
+        setSightedAtSource('capture');
+      }
+      stopCamera();
+    };
+
+    recorder.start(1000);
+    recorderRef.current = recorder;
+    setIsRecording(true);
+    setRecordingElapsed(0);
+    recordingTimerRef.current = setInterval(() => {
+      const elapsed = (Date.now() - startedAt.getTime()) / 1000;
+      setRecordingElapsed(elapsed);
+      if (elapsed >= VIDEO_MAX_DURATION_S) stopRecording();
+    }, 250);
+  };
+
+  /**
+   * Ends the current recording - the clip is saved by the recorder's stop handler
+   */
+  const stopRecording = () => {
+    const recorder = recorderRef.current;
+    if (recorder && recorder.state !== 'inactive') {
+      recorder.stop();
     }
   };
 
@@ -195,6 +726,7 @@ const UploadModal = ({ isOpen, onClose }) => {
    * Properly cleans up media resources to prevent memory leaks
    */
   const stopCamera = () => {
+    stopRecording();  // Keep what was recorded so far
     if (stream) {
       // Stop all tracks in the media stream
       stream.getTracks().forEach(track => track.stop());
@@ -203,33 +735,220 @@ const UploadModal = ({ isOpen, onClose }) => {
     setShowCamera(false);
     setIsVideoPlaying(false);
     setCameraError(null);
+    setIsTorchOn(false);  // Stopping the track turns the torch off
+  };
+
+  /**
+   * Reads EXIF metadata from a gallery photo and pre-fills location and sighting time
+   * The photo's own position is used by default; the user can switch to current GPS
+   *
+   * @param {File} file - Selected image file
+   */
+  const applyPhotoMetadata = async (file) => {
+    const { location: photoLocation, takenAt } = await readPhotoMetadata(file);
+
+    setSightedAt(takenAt);
+    setSightedAtSource(takenAt ? 'exif' : null);
+
+    if (photoLocation) {
+      const exifFix = { ...photoLocation, capturedAt: takenAt, source: 'exif' };
+      stopLocationWatch();
+      setExifLocation(exifFix);
+      setLocation(exifFix);
+      toast.success('Location read from photo');
+    } else {
+      setExifLocation(null);
+    }
+  };
+
+  /**
+   * Switches the post location back to the position stored in the photo
+   */
+  const selectExifLocation = () => {
+    stopLocationWatch();
+    setLocation(exifLocation);
+  };
+
+  /**
+   * Appends photos to the post, up to MAX_PHOTOS_PER_POST
+   *
+   * @param {Array<File>} files - Image files to add
+   * @returns {Array<{id: number, position: number, isFirst: boolean, isLast: boolean}>}
+   *   The photos that were added; extra files beyond the limit are dropped
+   */
+  const addPhotos = (files) => {
+    const remaining = MAX_PHOTOS_PER_POST - photos.length;
+    if (remaining <= 0) {
+      toast.error(`A post can have up to ${MAX_PHOTOS_PER_POST} photos`);
+      return [];
+    }
+    if (files.length > remaining) {
+      toast(`Only ${remaining} more photo${remaining === 1 ? '' : 's'} can be added to this post`, { icon: 'ℹ️' });
+    }
+
+    const added = files.slice(0, remaining).map((file) => ({
+      id: nextPhotoId++,
+      file,
+      redactions: [],    // Regions to blur/pixelate (see utils/redaction.js)
+      processed: null,   // Compressed renditions {renditions, blurhash} once ready
+      failed: false,     // True if the photo could not be processed
+    }));
+    setPhotos((current) => [...current, ...added]);
+    setActivePhotoId(added[0].id);
+
+    return added.map((photo, index) => ({
+      id: photo.id,
+      position: photos.length + index + 1,
+      isFirst: photos.length + index === 0,
+      isLast: photos.length + index + 1 === MAX_PHOTOS_PER_POST,
+    }));
   };
 
   /**
    * Handles file selection from the device gallery
-   * Validates that the selected file is an image and creates a preview
-   */
-  const handleFileSelect = (event) => {
-    const file = event.target.files[0];
-    if (file) {
-      // Check if the file is an image
-      if (file.type.startsWith('image/')) {
-        setSelectedFile(file);
-        setPreview(URL.createObjectURL(file));
-      } else {
-        toast.error('Please select an image file');
+   * Validates each file (format, animation, size and dimensions - see
+   * utils/fileValidation.js), converts HEIC photos to JPEG and adds the
+   * accepted ones to the post
+   */
+  const handleFileSelect = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';  // Allow selecting the same file again later
+    if (files.length === 0) return;
+
+    setIsCheckingFiles(true);
+    const accepted = [];  // {original, file} - the original keeps the EXIF of converted HEIC photos
+    for (const original of files) {
+      try {
+        accepted.push({ original, file: await validateImageFile(original) });
+      } catch (error) {
+        toast.error(error.message, { duration: 6000 });
+      }
+    }
+    setIsCheckingFiles(false);
+    if (accepted.length === 0) return;
+
+    const added = addPhotos(accepted.map(({ file }) => file));
+    // The first photo of the post pre-fills location and sighting time
+    if (added.length > 0 && added[0].isFirst) {
+      setMetadataPhotoId(added[0].id);
+      applyPhotoMetadata(accepted[0].original);
+    }
+  };
+
+  /**
+   * Handles selection of the private consent photo
+   * Checked like gallery photos, so a HEIC photo of a signed form is converted too
+   */
+  const handleConsentPhotoSelect = async (event) => {
+    const [file] = Array.from(event.target.files || []);
+    event.target.value = '';  // Allow selecting the same file again later
+    if (!file) return;
+
+    try {
+      setConsentPhoto(await validateImageFile(file));
+    } catch (error) {
+      toast.error(error.message, { duration: 6000 });
+    }
+  };
+
+  /**
+   * Removes a photo along with anything derived from its metadata
+   *
+   * @param {number} id - Photo ID
+   */
+  const removePhoto = (id) => {
+    setPhotos((current) => current.filter((photo) => photo.id !== id));
+    if (redactingPhotoId === id) setRedactingPhotoId(null);
+    if (activePhotoId === id) setActivePhotoId(null);
+
+    if (id === metadataPhotoId) {
+      setMetadataPhotoId(null);
+      if (sightedAtSource === 'exif' || sightedAtSource === 'capture') {
+        setSightedAt(null);
+        setSightedAtSource(null);
+      }
+      // Drop a location that came from the removed photo
+      if (location && (location.source === 'exif' || location.adjustedFrom === 'exif')) {
+        setLocation(null);
       }
+      setExifLocation(null);
     }
   };
 
+  /**
+   * Moves a photo one place earlier or later in the post
+   * The first photo is the cover shown in feeds and on the map
+   *
+   * @param {number} id - Photo ID
+   * @param {number} offset - -1 to move left, 1 to move right
+   */
+  const movePhoto = (id, offset) => {
+    setPhotos((current) => {
+      const index = current.findIndex((photo) => photo.id === id);
+      const target = index + offset;
+      if (index < 0 || target < 0 || target >= current.length) return current;
+      const reordered = [...current];
+      [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+      return reordered;
+    });
+  };
+
+  /**
+   * Restores the saved draft into the form
+   * Photos are re-processed from the original files with their redactions.
+   */
+  const resumeDraft = () => {
+    const draft = savedDraft;
+    const restored = draft.photos.map((photo) => ({
+      id: nextPhotoId++,
+      file: photo.file,
+      redactions: photo.redactions,
+      processed: null,
+      failed: false,
+    }));
+    setPhotos(restored);
+    setActivePhotoId(null);
+    setMetadataPhotoId(draft.metadataPhotoIndex >= 0 ? restored[draft.metadataPhotoIndex].id : null);
+    setClip(draft.clip);
+    setLocation(draft.location);
+    setExifLocation(draft.exifLocation);
+    setPlace(draft.place);
+    setSightedAt(draft.sightedAt);
+    setSightedAtSource(draft.sightedAtSource);
+    setDescription(draft.description);
+    setNeeds(draft.needs);
+    setUrgency(draft.urgency);
+    setPeopleCount(draft.peopleCount);
+    setIsAnonymous(draft.isAnonymous);
+    // Drafts saved before consent was recorded have no consent fields
+    setConsentStatus(draft.consentStatus || null);
+    setConsentNote(draft.consentNote || '');
+    setConsentPhoto(draft.consentPhoto || null);
+    setSavedDraft(null);
+    setDraftStatus('ready');
+  };
+
+  /**
+   * Throws the saved draft away and starts with an empty form
+   */
+  const discardDraft = () => {
+    clearDraft(currentUser.uid).catch((error) => console.error('Error discarding draft:', error));
+    setSavedDraft(null);
+    setDraftStatus('ready');
+  };
+
   /**
    * Validates the form and shows the responsibility warning modal
    * Ensures all required fields are completed before proceeding
    */
   const handleSubmit = async () => {
-    // Validate that an image has been selected
-    if (!selectedFile) {
-      toast.error('Please select an image');
+    // Validate that at least one usable image or a clip has been added
+    if (photos.length === 0 && !clip) {
+      toast.error('Please select an image or record a clip');
+      return;
+    }
+    if (photos.some((photo) => photo.failed)) {
+      toast.error('Please remove the photos that could not be processed');
       return;
     }
 
@@ -239,13 +958,91 @@ const UploadModal = ({ isOpen, onClose }) => {
       return;
     }
 
+    // Consent must be recorded; without it faces must be hidden everywhere
+    if (!consentRules) {
+      toast.error('Please record whether the person agreed to be photographed');
+      return;
+    }
+    if (consentRules.requiresRedaction) {
+      if (clip) {
+        toast.error('Clips cannot be shared without consent, as faces in clips cannot be blurred. Please remove the clip.');
+        return;
+      }
+      const unredacted = photos.find((photo) => photo.redactions.length === 0);
+      if (unredacted) {
+        toast.error('Without consent, faces must be hidden in every photo');
+        setActivePhotoId(unredacted.id);
+        setRedactingPhotoId(unredacted.id);
+        return;
+      }
+    }
+
+    // Look for the same scene posted recently nearby - skipped offline, as the check needs Firestore,
+    // and for photos without consent, which can't be added to a public post
+    const hashes = photos.map((photo) => photo.processed && photo.processed.phash).filter(Boolean);
+    if (navigator.onLine && hashes.length > 0 && consentRules.visibility !== 'limited') {
+      setIsCheckingDuplicates(true);
+      try {
+        const matches = await findLikelyDuplicates({ location, sightedAt, hashes });
+        if (matches.length > 0) {
+          setDuplicateMatches(matches.slice(0, 3));
+          return;
+        }
+      } catch (error) {
+        // The check is advisory - a failure must not block the post
+        console.error('Error checking for duplicates:', error);
+      } finally {
+        setIsCheckingDuplicates(false);
+      }
+    }
+
     // Show responsibility warning modal
+    setConfirmationOf(null);
+    setShowWarning(true);
+  };
+
+  /**
+   * Resolves the duplicate prompt and continues to the responsibility warning
+   *
+   * @param {string|null} postId - Existing post to confirm, or null to post as a new sighting
+   */
+  const resolveDuplicate = (postId) => {
+    setConfirmationOf(postId);
+    setDuplicateMatches(null);
     setShowWarning(true);
   };
 
+  /**
+   * Resets all form fields to their initial state after a post is sent or queued
+   */
+  const resetForm = () => {
+    if (currentUser) {
+      clearDraft(currentUser.uid).catch((error) => console.error('Error clearing draft:', error));
+    }
+    setPhotos([]);
+    setActivePhotoId(null);
+    setRedactingPhotoId(null);
+    setMetadataPhotoId(null);
+    setClip(null);
+    setConfirmationOf(null);
+    setLocation(null);
+    setPlace(null);
+    setExifLocation(null);
+    setSightedAt(null);
+    setSightedAtSource(null);
+    setDescription('');
+    setNeeds([]);
+    setUrgency(DEFAULT_URGENCY);
+    setPeopleCount(1);
+    setIsAnonymous(false);
+    setConsentStatus(null);
+    setConsentNote('');
+    setConsentPhoto(null);
+  };
+
   /**
    * Handles the final upload process after user confirms responsibility
-   * Uploads image to Firebase Storage and stores metadata in Firestore
+   * Publishes the post, or queues it on the device when there is no connection
    */
   const confirmUpload = async () => {
     setIsUploading(true);
@@ -256,73 +1053,197 @@ const UploadModal = ({ isOpen, onClose }) => {
         toast.error('Please sign in to upload photos');
         return;
       }
-      // Generate unique filename for the image
-      const timestamp = Date.now();
-      const filename = `photos/${currentUser.uid}/${timestamp}_${selectedFile.name}`;
-      
-      // Create storage reference
-      const storageRef = ref(storage, filename);
+      // Compressed, re-encoded renditions - re-encoding strips EXIF/XMP/IPTC metadata
+      // (camera, serials, embedded GPS); only the fields chosen below are stored
+      const images = [];
+      for (const photo of photos) {
+        try {
+          const processed = photo.processed || await createRenditions(photo.file, {
+            sizes: IMAGE_RENDITIONS,
+            quality: IMAGE_QUALITY,
+            redactions: photo.redactions,
+          });
+          images.push({
+            renditions: processed.renditions,
+            blurhash: processed.blurhash,
+            phash: processed.phash,
+            redaction: summarizeRedactions(photo.redactions),
+          });
+        } catch (error) {
+          console.error('Error compressing image:', error);
+          toast.error('A photo could not be processed. Please remove it or try a different photo.');
+          return;
+        }
+      }
       
-      // Upload image to Firebase Storage
-      const metadata = { contentType: selectedFile.type || 'image/jpeg' };
-      const uploadResult = await uploadBytes(storageRef, selectedFile, metadata);
+      // Cut the clip to the trimmed section and take its poster frame
+      let preparedClip = null;
+      if (clip) {
+        setIsPreparingClip(true);
+        try {
+          const isTrimmed = clip.start > 0 || clip.end < clip.duration;
+          const blob = isTrimmed
+            ? await trimVideo(clip.blob, {
+              start: clip.start,
+              end: clip.end,
+              mimeType: clip.mimeType,
+              bitsPerSecond: VIDEO_BITS_PER_SECOND,
+            })
+            : clip.blob;
+          if (blob.size > VIDEO_MAX_BYTES) {
+            toast.error(`The clip is larger than ${formatBytes(VIDEO_MAX_BYTES)}. Please trim it.`);
+            return;
+          }
+          const poster = await createVideoPoster(blob, { sizes: IMAGE_RENDITIONS, quality: IMAGE_QUALITY });
+          preparedClip = {
+            blob,
+            duration: clip.end - clip.start,
+            width: poster.width,
+            height: poster.height,
+            poster: { renditions: poster.renditions, blurhash: poster.blurhash, phash: poster.phash },
+          };
+        } catch (error) {
+          console.error('Error preparing clip:', error);
+          toast.error('The clip could not be processed. Please remove it or record it again.');
+          return;
+        } finally {
+          setIsPreparingClip(false);
+        }
+      }
       
-      // Get download URL for the uploaded image
-      const downloadURL = await getDownloadURL(uploadResult.ref);
+      // Private consent photo - re-encoded so its metadata is stripped like the post's photos
+      let preparedConsentPhoto = null;
+      if (consentPhoto) {
+        try {
+          preparedConsentPhoto = await sanitizeImage(consentPhoto, {
+            type: 'image/jpeg',
+            quality: IMAGE_QUALITY,
+            maxDimension: CONSENT_PHOTO_MAX_DIMENSION,
+          });
+        } catch (error) {
+          console.error('Error processing consent photo:', error);
+          toast.error('The consent photo could not be processed. Please remove it or choose another.');
+          return;
+        }
+      }
       
-      // Prepare photo data for Firestore
-      const photoData = {
+      // Everything needed to publish the post - also what gets queued offline
+      const submission = {
         userId: currentUser.uid,
         userEmail: currentUser.email,
         username: userProfile?.username || currentUser.displayName || 'Anonymous',
-        imageURL: downloadURL,
-        imagePath: filename,
-        location: {
-          latitude: location.latitude,
-          longitude: location.longitude,
-          // Add geohash for efficient geospatial queries (optional)
-          geohash: `${location.latitude.toFixed(6)},${location.longitude.toFixed(6)}`
-        },
+        images,                                  // Ordered, cover first
+        clip: preparedClip,
+        location,
+        place,
+        sightedAt,
+        sightedAtSource,
         description: description.trim() || null,
-        isAnonymous: isAnonymous,
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-        status: 'active', // Can be used for moderation
-        likes: 0,
-        views: 0
+        tags: needs,
+        urgency,
+        peopleCount: peopleCount || 1,
+        isAnonymous,
+        redaction: summarizeRedactions(photos.flatMap((photo) => photo.redactions)),
+        consent: {
+          status: consentStatus,
+          note: consentNote.trim() || null,
+          photo: preparedConsentPhoto,
+        },
+        confirmationOf,                          // Set when confirming a detected duplicate
+        submittedAt: new Date(),
       };
       
-      // Store photo metadata in Firestore
-      const docRef = await addDoc(collection(db, 'photos'), photoData);
+      // No connection - keep the post on the device and send it later
+      if (!navigator.onLine) {
+        await queueUpload(submission, 'offline');
+        toast('You are offline - your photo will be shared when you reconnect', { icon: '📶' });
+        onClose();
+        resetForm();
+        return;
+      }
+      
+      let photoId;
+      try {
+        photoId = await publishPhoto(submission, {
+          onProgress: setUploadProgress,
+          onRetry: (attempt, delay) => {
+            toast(`Connection problem - retrying in ${Math.round(delay / 1000)}s (attempt ${attempt})`, { icon: '🔄' });
+          },
+          onSession: (session) => {
+            uploadSessionRef.current = session;
+          },
+        });
+      } catch (error) {
+        // Network gave out mid-upload - queue instead of losing the post
+        if (isRetryableUploadError(error)) {
+          await queueUpload(submission, error.code || 'network');
+          toast('Connection lost - your photo was saved and will upload automatically', { icon: '📶' });
+          onClose();
+          resetForm();
+          return;
+        }
+        throw error;
+      }
       
       // Show success message and close modal
-      toast.success('Photo uploaded successfully!');
+      toast.success(confirmationOf ? 'Added as a confirmation of the existing post' : 'Photo uploaded successfully!');
       onClose();
+      resetForm();
       
-      // Reset all form fields to initial state
-      setSelectedFile(null);
-      setPreview(null);
-      setLocation(null);
-      setDescription('');
-      setIsAnonymous(false);
-      
-      console.log('Photo uploaded with ID:', docRef.id);
+      console.log('Photo uploaded with ID:', photoId);
       
     } catch (error) {
+      if (error && error.code === 'storage/canceled') {
+        toast('Upload cancelled', { icon: '✋' });
+        return;
+      }
       console.error('Error uploading photo:', error);
       const message = error && error.code ? `Upload failed: ${error.code}` : 'Failed to upload photo. Please try again.';
       toast.error(message);
     } finally {
+      uploadSessionRef.current = null;
       setIsUploading(false);
+      setUploadProgress(0);
+      setIsUploadPaused(false);
+    }
+  };
+
+  /**
+   * Pauses or resumes the active upload session
+   */
+  const toggleUploadPause = () => {
+    const session = uploadSessionRef.current;
+    if (!session) return;
+
+    if (isUploadPaused) {
+      session.resume();
+    } else {
+      session.pause();
+    }
+    setIsUploadPaused(!isUploadPaused);
+  };
+
+  /**
+   * Cancels the active upload session
+   * Files that already finished are removed by the session
+   */
+  const cancelUpload = () => {
+    if (uploadSessionRef.current) {
+      uploadSessionRef.current.cancel();
     }
   };
 
   /**
    * Handles modal closure with proper cleanup
-   * Ensures camera is stopped and resources are freed
+   * Ensures camera is stopped and resources are freed. Closing during an
+   * upload cancels it, so the user is asked first.
    */
   const handleClose = () => {
+    if (isUploading && !window.confirm('Your photo is still uploading. Cancel the upload and close?')) return;
+
     stopCamera();  // Clean up camera resources
+    stopLocationWatch();  // Stop any GPS refinement
+    cancelUpload();       // Abandon an in-progress upload
     onClose();     // Close the modal
   };
 
@@ -330,8 +1251,8 @@ const UploadModal = ({ isOpen, onClose }) => {
   if (!isOpen) return null;
 
   return (
-    // Modal overlay - clicking outside closes the modal
-    <div className="modal-overlay" onClick={handleClose}>
+    // Modal overlay - clicking outside closes the modal, except during an upload
+    <div className="modal-overlay" onClick={isUploading ? undefined : handleClose}>
       {/* Modal container with scroll support and flex layout */}
       <div className="modal-content max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
         {/* Fixed header with title and close button */}
@@ -353,27 +1274,35 @@ const UploadModal = ({ isOpen, onClose }) => {
             <div className="space-y-4">
               {/* Section header with instructions */}
               <div className="text-center">
-                <h3 className="mb-2 text-lg font-semibold text-gray-900">Capture or Upload Photo</h3>
-                <p className="text-sm text-gray-600">Take a new photo or select from your gallery</p>
+                <h3 className="mb-2 text-lg font-semibold text-gray-900">Capture or Upload Photos</h3>
+                <p className="text-sm text-gray-600">
+                  Up to {MAX_PHOTOS_PER_POST} photos - for example a wide shot for context and a close-up of the conditions
+                </p>
               </div>
 
               {/* Camera and upload buttons in a grid layout */}
               <div className="grid grid-cols-2 gap-4">
                 <button
-                  onClick={startCamera}
-                  className="flex flex-col items-center justify-center p-6 transition-all duration-300 border-2 border-dashed border-primary-300 rounded-xl hover:border-primary-500 hover:bg-primary-50 group"
+                  onClick={() => startCamera()}
+                  disabled={photos.length >= MAX_PHOTOS_PER_POST && !!clip}
+                  className="flex flex-col items-center justify-center p-6 transition-all duration-300 border-2 border-dashed border-primary-300 rounded-xl hover:border-primary-500 hover:bg-primary-50 group disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   <Camera className="w-8 h-8 mb-2 transition-transform duration-300 text-primary-600 group-hover:scale-110" />
-                  <span className="text-sm font-medium text-primary-600">Take Photo</span>
+                  <span className="text-sm font-medium text-primary-600">Take Photo or Clip</span>
                   <span className="mt-1 text-xs text-gray-500">Camera access required</span>
                 </button>
 
                 <button
                   onClick={() => fileInputRef.current?.click()}
-                  className="flex flex-col items-center justify-center p-6 transition-all duration-300 border-2 border-gray-300 border-dashed rounded-xl hover:border-primary-500 hover:bg-primary-50 group"
+                  disabled={photos.length >= MAX_PHOTOS_PER_POST || isCheckingFiles}
+                  className="flex flex-col items-center justify-center p-6 transition-all duration-300 border-2 border-gray-300 border-dashed rounded-xl hover:border-primary-500 hover:bg-primary-50 group disabled:opacity-50 disabled:cursor-not-allowed"
                 >
-                  <Upload className="w-8 h-8 mb-2 text-gray-600 transition-transform duration-300 group-hover:scale-110" />
-                  <span className="text-sm font-medium text-gray-600">Upload Photo</span>
+                  {isCheckingFiles ? (
+                    <Loader2 className="w-8 h-8 mb-2 text-gray-600 animate-spin" />
+                  ) : (
+                    <Upload className="w-8 h-8 mb-2 text-gray-600 transition-transform duration-300 group-hover:scale-110" />
+                  )}
+                  <span className="text-sm font-medium text-gray-600">{isCheckingFiles ? 'Checking Photos...' : 'Upload Photos'}</span>
                   <span className="mt-1 text-xs text-gray-500">From your gallery</span>
                 </button>
               </div>
@@ -388,7 +1317,8 @@ const UploadModal = ({ isOpen, onClose }) => {
               <input
                 ref={fileInputRef}
                 type="file"
-                accept="image/*"
+                accept="image/*,.heic,.heif"
+                multiple
                 onChange={handleFileSelect}
                 className="hidden"
               />
@@ -418,6 +1348,9 @@ const UploadModal = ({ isOpen, onClose }) => {
                   }}
                 />
                 
+                {/* Grid and level overlays */}
+                <CameraOverlay showGrid={cameraPreferences.showGrid} showLevel={cameraPreferences.showLevel} />
+                
                 {/* Camera loading indicator */}
                 {!cameraError && stream && !isVideoPlaying && (
                   <div className="absolute inset-0 flex items-center justify-center bg-gray-900/50 rounded-xl">
@@ -435,7 +1368,7 @@ const UploadModal = ({ isOpen, onClose }) => {
                       <AlertTriangle className="w-8 h-8 mx-auto mb-2 text-red-400" />
                       <p className="text-sm font-medium">{cameraError}</p>
                       <button
-                        onClick={startCamera}
+                        onClick={() => startCamera()}
                         className="px-4 py-2 mt-2 text-sm text-white transition-colors bg-red-600 rounded-lg hover:bg-red-700"
                       >
                         Retry Camera
@@ -448,16 +1381,34 @@ const UploadModal = ({ isOpen, onClose }) => {
                 <canvas ref={canvasRef} className="hidden" />
                 
                 {/* Camera controls positioned at bottom center */}
-                <div className="absolute flex space-x-4 transform -translate-x-1/2 bottom-4 left-1/2">
+                <div className="absolute flex items-center space-x-4 transform -translate-x-1/2 bottom-4 left-1/2">
                   <button
                     onClick={capturePhoto}
-                    disabled={!!cameraError || !stream}
+                    disabled={!!cameraError || !stream || isRecording || photos.length >= MAX_PHOTOS_PER_POST}
                     className="flex items-center justify-center w-16 h-16 transition-transform duration-300 bg-white rounded-full shadow-lg hover:scale-110 disabled:opacity-50 disabled:cursor-not-allowed"
+                    aria-label="Take photo"
                   >
                     <div className="w-12 h-12 rounded-full bg-primary-600"></div>
                   </button>
+                  {/* Record/stop clip - one clip per post */}
+                  <button
+                    onClick={isRecording ? stopRecording : startRecording}
+                    disabled={!!cameraError || !stream || (!!clip && !isRecording)}
+                    className="flex items-center justify-center w-12 h-12 text-white transition-transform duration-300 bg-red-600 rounded-full shadow-lg hover:scale-110 disabled:opacity-50 disabled:cursor-not-allowed"
+                    aria-label={isRecording ? 'Stop recording' : 'Record clip'}
+                  >
+                    {isRecording ? <Square className="w-5 h-5 fill-current" /> : <Video className="w-5 h-5" />}
+                  </button>
                 </div>
                 
+                {/* Recording timer with the remaining allowance */}
+                {isRecording && (
+                  <div className="absolute flex items-center px-3 py-1 space-x-2 text-sm font-medium text-white rounded-full top-4 left-4 bg-black/60">
+                    <span className="w-2 h-2 bg-red-500 rounded-full animate-pulse"></span>
+                    <span>{formatDuration(recordingElapsed)} / {formatDuration(VIDEO_MAX_DURATION_S)}</span>
+                  </div>
+                )}
+                
                 {/* Close camera button in top-right corner */}
                 <button
                   onClick={stopCamera}
@@ -466,40 +1417,257 @@ const UploadModal = ({ isOpen, onClose }) => {
                   <X className="w-5 h-5" />
                 </button>
               </div>
-            </div>
-          )}
-
-          {/* Image preview section - shown when image is selected/captured */}
-          {preview && (
-                          <div className="space-y-4">
-                <h3 className="text-lg font-semibold text-gray-900">Preview</h3>
-                <div className="relative">
-                  {/* Display the selected/captured image */}
-                  <img
-                    src={preview}
-                    alt="Preview"
-                    className="object-cover w-full aspect-video rounded-xl"
-                  />
-                  {/* Remove image button */}
+              
+              {/* Camera settings - only the controls the current camera supports are shown */}
+              <div className="flex flex-wrap items-center gap-2">
+                {cameras.length > 1 && (
                   <button
-                    onClick={() => {
-                      setSelectedFile(null);
-                      setPreview(null);
-                    }}
-                    className="absolute flex items-center justify-center w-8 h-8 text-white transition-colors duration-300 rounded-full top-2 right-2 bg-black/50 hover:bg-black/70"
+                    onClick={switchCamera}
+                    disabled={isRecording}
+                    className="flex items-center px-3 py-2 space-x-1 text-sm text-gray-700 bg-gray-100 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                    title={cameras.find((camera) => camera.deviceId === activeDeviceId)?.label}
                   >
-                    <X className="w-4 h-4" />
+                    <SwitchCamera className="w-4 h-4" />
+                    <span>Switch</span>
                   </button>
+                )}
+                {cameraCapabilities.torch && (
+                  <button
+                    onClick={toggleTorch}
+                    className={`flex items-center px-3 py-2 space-x-1 text-sm rounded-lg ${
+                      isTorchOn ? 'bg-yellow-100 text-yellow-800' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                    aria-pressed={isTorchOn}
+                  >
+                    {isTorchOn ? <Flashlight className="w-4 h-4" /> : <FlashlightOff className="w-4 h-4" />}
+                    <span>Torch</span>
+                  </button>
+                )}
+                <button
+                  onClick={() => updateCameraPreferences({ showGrid: !cameraPreferences.showGrid })}
+                  className={`flex items-center px-3 py-2 space-x-1 text-sm rounded-lg ${
+                    cameraPreferences.showGrid ? 'bg-primary-100 text-primary-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                  aria-pressed={cameraPreferences.showGrid}
+                >
+                  <Grid className="w-4 h-4" />
+                  <span>Grid</span>
+                </button>
+                <button
+                  onClick={toggleLevel}
+                  className={`flex items-center px-3 py-2 space-x-1 text-sm rounded-lg ${
+                    cameraPreferences.showLevel ? 'bg-primary-100 text-primary-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                  aria-pressed={cameraPreferences.showLevel}
+                >
+                  <Crosshair className="w-4 h-4" />
+                  <span>Level</span>
+                </button>
+                <select
+                  value={cameraPreferences.resolution}
+                  onChange={(e) => changeResolution(e.target.value)}
+                  disabled={isRecording}
+                  className="px-3 py-2 ml-auto text-sm text-gray-700 bg-gray-100 border-none rounded-lg disabled:opacity-50"
+                  aria-label="Camera resolution"
+                >
+                  {CAMERA_RESOLUTIONS.map((option) => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              
+              {/* Zoom slider */}
+              {cameraCapabilities.zoom && zoom !== null && (
+                <div className="flex items-center space-x-3">
+                  <ZoomIn className="w-4 h-4 text-gray-500" />
+                  <input
+                    type="range"
+                    min={cameraCapabilities.zoom.min}
+                    max={cameraCapabilities.zoom.max}
+                    step={cameraCapabilities.zoom.step || 0.1}
+                    value={zoom}
+                    onChange={(e) => changeZoom(Number(e.target.value))}
+                    className="flex-1 accent-primary-600"
+                    aria-label="Zoom"
+                  />
+                  <span className="w-10 text-sm text-right text-gray-600">{Number(zoom).toFixed(1)}×</span>
                 </div>
+              )}
+            </div>
+          )}
+
+          {/* Image preview section - shown once photos are selected/captured */}
+          {activePhoto && (
+            <div className="space-y-4">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-gray-900">Preview</h3>
+                <span className="text-sm text-gray-500">{photos.length}/{MAX_PHOTOS_PER_POST} photos</span>
               </div>
-            )}
+              {isRedacting ? (
+                // Redaction editor replaces the preview while open
+                <RedactionEditor
+                  key={redactingPhoto.id}
+                  file={redactingPhoto.file}
+                  redactions={redactingPhoto.redactions}
+                  onChange={(regions) => updatePhoto(redactingPhoto.id, { redactions: regions, processed: null })}
+                  onDone={() => setRedactingPhotoId(null)}
+                />
+              ) : (
+                <>
+                  <div className="relative">
+                    {/* Display the active photo - redacted version once rendered */}
+                    {activePhoto.redactions.length > 0 && !activePhoto.processed ? (
+                      <div className="flex items-center justify-center w-full bg-gray-100 aspect-video rounded-xl">
+                        <Loader2 className="w-8 h-8 animate-spin text-primary-600" />
+                      </div>
+                    ) : (
+                      <BlobImage
+                        blob={activePhoto.redactions.length > 0 ? activePhoto.processed.renditions.medium.blob : activePhoto.file}
+                        alt="Preview"
+                        className="object-cover w-full aspect-video rounded-xl"
+                      />
+                    )}
+                    {/* Remove image button */}
+                    <button
+                      onClick={() => removePhoto(activePhoto.id)}
+                      className="absolute flex items-center justify-center w-8 h-8 text-white transition-colors duration-300 rounded-full top-2 right-2 bg-black/50 hover:bg-black/70"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                  
+                  {/* Photo strip - select, reorder and remove; the first photo is the cover */}
+                  <div className="flex pb-1 space-x-2 overflow-x-auto scrollbar-thin">
+                    {photos.map((photo, index) => (
+                      <div key={photo.id} className="relative flex-shrink-0 w-24">
+                        <button
+                          onClick={() => setActivePhotoId(photo.id)}
+                          className={`block w-24 h-16 overflow-hidden rounded-lg border-2 ${
+                            photo.id === activePhoto.id ? 'border-primary-600' : 'border-transparent'
+                          }`}
+                        >
+                          <BlobImage
+                            blob={photo.processed ? photo.processed.renditions.small.blob : photo.file}
+                            alt={`Photo ${index + 1}`}
+                            className="object-cover w-full h-full"
+                          />
+                        </button>
+                        <span className="absolute px-1.5 text-[10px] font-semibold text-white rounded top-1 left-1 bg-black/60">
+                          {index === 0 ? 'Cover' : index + 1}
+                        </span>
+                        {photo.failed && (
+                          <AlertTriangle className="absolute w-4 h-4 text-red-500 top-1 right-1" />
+                        )}
+                        <div className="flex justify-between mt-1">
+                          <button
+                            onClick={() => movePhoto(photo.id, -1)}
+                            disabled={index === 0}
+                            className="p-0.5 text-gray-500 rounded hover:bg-gray-100 disabled:opacity-30"
+                            aria-label="Move photo left"
+                          >
+                            <ChevronLeft className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => removePhoto(photo.id)}
+                            className="p-0.5 text-gray-500 rounded hover:bg-gray-100"
+                            aria-label="Remove photo"
+                          >
+                            <X className="w-4 h-4" />
+                          </button>
+                          <button
+                            onClick={() => movePhoto(photo.id, 1)}
+                            disabled={index === photos.length - 1}
+                            className="p-0.5 text-gray-500 rounded hover:bg-gray-100 disabled:opacity-30"
+                            aria-label="Move photo right"
+                          >
+                            <ChevronRight className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                    {/* Add another photo from the gallery */}
+                    {photos.length < MAX_PHOTOS_PER_POST && (
+                      <button
+                        onClick={() => fileInputRef.current?.click()}
+                        disabled={isCheckingFiles}
+                        className="flex items-center justify-center flex-shrink-0 w-24 h-16 text-gray-500 border-2 border-gray-300 border-dashed rounded-lg hover:border-primary-500 hover:text-primary-600 disabled:opacity-50"
+                        aria-label="Add photo"
+                      >
+                        {isCheckingFiles ? <Loader2 className="w-5 h-5 animate-spin" /> : <Plus className="w-5 h-5" />}
+                      </button>
+                    )}
+                  </div>
+                  
+                  {/* Redaction entry point and summary for the active photo */}
+                  <div className="flex items-center justify-between p-3 border border-gray-200 rounded-xl">
+                    <div className="flex items-center space-x-2 text-sm">
+                      {activePhoto.redactions.length > 0 ? (
+                        <>
+                          <ShieldCheck className="w-5 h-5 text-green-600" />
+                          <span className="text-gray-700">
+                            {activePhoto.redactions.length} area{activePhoto.redactions.length === 1 ? '' : 's'} hidden in this photo
+                          </span>
+                        </>
+                      ) : (
+                        <>
+                          <ScanFace className="w-5 h-5 text-gray-500" />
+                          <span className="text-gray-600">Hide faces and identifying details</span>
+                        </>
+                      )}
+                    </div>
+                    <button
+                      onClick={() => setRedactingPhotoId(activePhoto.id)}
+                      className="text-sm font-medium text-primary-600 hover:text-primary-700"
+                    >
+                      {activePhoto.redactions.length > 0 ? 'Edit' : 'Redact'}
+                    </button>
+                  </div>
+                </>
+              )}
+              
+              {/* Original vs compressed size feedback for the active photo */}
+              <div className="flex items-center justify-between text-xs text-gray-600">
+                {!activePhoto.processed && !activePhoto.failed ? (
+                  <span className="flex items-center space-x-1">
+                    <Loader2 className="w-3 h-3 animate-spin" />
+                    <span>Compressing...</span>
+                  </span>
+                ) : activePhoto.processed ? (
+                  <>
+                    <span>
+                      Original {formatBytes(activePhoto.file.size)} → {formatBytes(activePhoto.processed.renditions.full.blob.size)}
+                      {' '}({extensionForType(activePhoto.processed.renditions.full.blob.type).toUpperCase()})
+                    </span>
+                    <span>{activePhoto.processed.renditions.full.width}×{activePhoto.processed.renditions.full.height}</span>
+                  </>
+                ) : (
+                  <span className="text-red-600">This photo could not be processed</span>
+                )}
+              </div>
+            </div>
+          )}
+
+          {/* Clip preview and trim - shown once a clip has been recorded */}
+          {clip && !showCamera && (
+            <div className="space-y-4">
+              <div className="flex items-center justify-between">
+                <h3 className="text-lg font-semibold text-gray-900">Clip</h3>
+                <span className="text-sm text-gray-500">Up to {formatDuration(VIDEO_MAX_DURATION_S)}</span>
+              </div>
+              <ClipTrimmer
+                clip={clip}
+                onChange={({ start, end }) => setClip((current) => ({ ...current, start, end }))}
+                onRemove={() => setClip(null)}
+              />
+            </div>
+          )}
 
           {/* Location capture section - required for all uploads */}
           <div className="space-y-3">
             <div className="flex items-center justify-between">
               <h3 className="text-lg font-semibold text-gray-900">Location</h3>
               {/* Success indicator when location is captured */}
-              {location && (
+              {location && !isLocating && (
                 <div className="flex items-center space-x-2 text-green-600">
                   <CheckCircle className="w-5 h-5" />
                   <span className="text-sm font-medium">Captured</span>
@@ -507,30 +1675,182 @@ const UploadModal = ({ isOpen, onClose }) => {
               )}
             </div>
             
-            {/* Location capture button - changes appearance based on state */}
+            {/* Location source choice - shown when the photo carries its own position */}
+            {exifLocation ? (
+              <div className="p-4 space-y-3 border rounded-xl border-primary-200 bg-primary-50">
+                <div className="text-sm text-primary-800">
+                  <p className="font-medium">This photo contains its own location</p>
+                  <p className="text-xs text-primary-700">
+                    Use where the photo was taken, or where you are right now.
+                  </p>
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                  <button
+                    onClick={selectExifLocation}
+                    className={`py-2 px-3 text-sm font-medium rounded-lg border-2 transition-colors duration-300 ${
+                      location && (location.source === 'exif' || location.adjustedFrom === 'exif')
+                        ? 'border-primary-600 bg-primary-600 text-white'
+                        : 'border-primary-300 bg-white text-primary-700 hover:border-primary-500'
+                    }`}
+                  >
+                    Photo Location
+                  </button>
+                  <button
+                    onClick={getCurrentLocation}
+                    disabled={isLocating}
+                    className={`flex items-center justify-center space-x-1 py-2 px-3 text-sm font-medium rounded-lg border-2 transition-colors duration-300 disabled:cursor-wait ${
+                      location && (location.source === 'gps' || location.adjustedFrom === 'gps')
+                        ? 'border-primary-600 bg-primary-600 text-white'
+                        : 'border-primary-300 bg-white text-primary-700 hover:border-primary-500'
+                    }`}
+                  >
+                    {isLocating && <Loader2 className="w-4 h-4 animate-spin" />}
+                    <span>Current GPS</span>
+                  </button>
+                </div>
+              </div>
+            ) : (
+            /* Location capture button - changes appearance based on state */
             <button
               onClick={getCurrentLocation}
-              disabled={!!location}
-              className={`w-full flex items-center justify-center space-x-2 py-3 px-4 rounded-xl border-2 transition-all duration-300 ${
+              disabled={isLocating}
+              className={`w-full flex items-center justify-center space-x-2 py-3 px-4 rounded-xl border-2 transition-all duration-300 disabled:cursor-wait ${
                 location
-                  ? 'border-green-200 bg-green-50 text-green-700'
+                  ? 'border-green-200 bg-green-50 text-green-700 hover:border-green-400'
                   : 'border-primary-300 bg-primary-50 text-primary-700 hover:border-primary-500 hover:bg-primary-100'
               }`}
             >
-              <MapPin className="w-5 h-5" />
+              {isLocating ? (
+                <Loader2 className="w-5 h-5 animate-spin" />
+              ) : (
+                <MapPin className="w-5 h-5" />
+              )}
               <span className="font-medium">
-                {location ? 'Location Captured' : 'Capture Current Location'}
+                {isLocating
+                  ? 'Improving Accuracy...'
+                  : location ? 'Recapture Location' : 'Capture Current Location'}
               </span>
             </button>
+            )}
             
-            {/* Display captured coordinates when available */}
+            {/* Display captured coordinates, accuracy and resolved place when available */}
+            {location && (
+              <div className="space-y-1 text-sm text-gray-600">
+                {place && formatPlaceName(place) && (
+                  <div>Place: {formatPlaceName(place)}</div>
+                )}
+                <div>Coordinates: {location.latitude.toFixed(6)}, {location.longitude.toFixed(6)}</div>
+                {Number.isFinite(location.accuracy) && (
+                  <div>GPS accuracy: ±{Math.round(location.accuracy)} m</div>
+                )}
+                {Number.isFinite(location.altitude) && (
+                  <div>Altitude: {Math.round(location.altitude)} m</div>
+                )}
+                {location.source === 'exif' && (
+                  <div className="font-medium text-primary-700">Location from photo metadata</div>
+                )}
+                {location.source === 'manual' && (
+                  <div className="font-medium text-primary-700">Pin adjusted manually</div>
+                )}
+              </div>
+            )}
+
+            {/* Draggable pin for correcting the position */}
             {location && (
-              <div className="text-sm text-gray-600">
-                Coordinates: {location.latitude.toFixed(6)}, {location.longitude.toFixed(6)}
+              <div className="space-y-2">
+                <LocationPicker location={location} onChange={handlePinMove} />
+                <p className="text-xs text-gray-500">
+                  Drag the pin if the marker is not on the exact spot.
+                </p>
               </div>
             )}
           </div>
 
+          {/* Sighting time - defaults to the photo's capture time */}
+          <div className="space-y-3">
+            <h3 className="text-lg font-semibold text-gray-900">Sighted At</h3>
+            <input
+              type="datetime-local"
+              value={toDateTimeLocalValue(sightedAt)}
+              max={toDateTimeLocalValue(new Date())}
+              onChange={(e) => {
+                setSightedAt(e.target.value ? new Date(e.target.value) : null);
+                setSightedAtSource(e.target.value ? 'manual' : null);
+              }}
+              className="input-field"
+            />
+            <p className="text-xs text-gray-500">
+              {sightedAtSource === 'exif' && 'Taken from the photo\'s metadata. '}
+              {sightedAtSource === 'capture' && 'Time the photo was captured. '}
+              {!sightedAt && 'Leave empty to use the upload time. '}
+              When did you see this person?
+            </p>
+          </div>
+
+          {/* Need categories - multi-select chips */}
+          <div className="space-y-3">
+            <h3 className="text-lg font-semibold text-gray-900">What Is Needed?</h3>
+            <div className="flex flex-wrap gap-2">
+              {NEED_CATEGORIES.map((category) => {
+                const isSelected = needs.includes(category.id);
+                return (
+                  <button
+                    key={category.id}
+                    type="button"
+                    onClick={() => setNeeds(isSelected
+                      ? needs.filter((id) => id !== category.id)
+                      : [...needs, category.id])}
+                    className={`px-3 py-1 text-sm font-medium rounded-full border transition-colors duration-300 ${
+                      isSelected
+                        ? 'bg-primary-600 border-primary-600 text-white'
+                        : 'bg-white border-gray-200 text-gray-700 hover:border-primary-300'
+                    }`}
+                  >
+                    {category.label}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+
+          {/* Urgency and approximate number of people */}
+          <div className="space-y-3">
+            <h3 className="text-lg font-semibold text-gray-900">Urgency</h3>
+            <div className="grid grid-cols-3 gap-2">
+              {URGENCY_LEVELS.map((level) => (
+                <button
+                  key={level.id}
+                  type="button"
+                  onClick={() => setUrgency(level.id)}
+                  className={`p-2 text-sm font-medium rounded-lg border transition-colors duration-300 ${
+                    urgency === level.id
+                      ? 'border-primary-600 bg-primary-50 text-primary-700'
+                      : 'border-gray-200 bg-white text-gray-700 hover:border-primary-300'
+                  }`}
+                >
+                  {level.label}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500">
+              {URGENCY_LEVELS.find((level) => level.id === urgency).description}
+            </p>
+            <label className="flex items-center justify-between">
+              <span className="text-sm font-medium text-gray-700">Approximate number of people</span>
+              <input
+                type="number"
+                min={1}
+                max={PEOPLE_COUNT_MAX}
+                value={peopleCount}
+                onChange={(e) => setPeopleCount(e.target.value === ''
+                  ? ''
+                  : Math.min(PEOPLE_COUNT_MAX, Math.max(1, Math.round(Number(e.target.value)) || 1)))}
+                onBlur={() => setPeopleCount(peopleCount || 1)}
+                className="w-24 text-center input-field"
+              />
+            </label>
+          </div>
+
           {/* Optional description field with character counter */}
           <div className="space-y-3">
             <h3 className="text-lg font-semibold text-gray-900">Description (Optional)</h3>
@@ -547,6 +1867,95 @@ const UploadModal = ({ isOpen, onClose }) => {
             </div>
           </div>
 
+          {/* Consent of the photographed person - required */}
+          <div className="space-y-3">
+            <h3 className="text-lg font-semibold text-gray-900">Consent</h3>
+            <p className="text-sm text-gray-600">Did the person agree to be photographed and posted?</p>
+            <div className="grid grid-cols-3 gap-2">
+              {CONSENT_STATUSES.map((status) => (
+                <button
+                  key={status.id}
+                  type="button"
+                  onClick={() => setConsentStatus(status.id)}
+                  className={`p-2 text-sm font-medium rounded-lg border transition-colors duration-300 ${
+                    consentStatus === status.id
+                      ? 'border-primary-600 bg-primary-50 text-primary-700'
+                      : 'border-gray-200 bg-white text-gray-700 hover:border-primary-300'
+                  }`}
+                >
+                  {status.label}
+                </button>
+              ))}
+            </div>
+            {consentRules && (
+              <p className="text-xs text-gray-500">{consentRules.description}</p>
+            )}
+
+            {/* Stricter rules when consent could not be asked for */}
+            {consentRules && consentRules.requiresRedaction && (
+              <div className="flex items-start p-3 space-x-2 text-xs text-yellow-800 bg-yellow-50 rounded-xl">
+                <AlertTriangle className="flex-shrink-0 w-4 h-4 mt-0.5" />
+                <div className="space-y-1">
+                  <p>Without consent, faces must be hidden in every photo and clips cannot be shared.</p>
+                  <p>The post will only be visible to you, moderators and partner NGOs.</p>
+                  {unredactedPhotoCount > 0 && (
+                    <p className="font-medium">
+                      {unredactedPhotoCount} photo{unredactedPhotoCount === 1 ? ' has' : 's have'} nothing hidden yet.
+                    </p>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Private consent details - never shown on the public post */}
+            {consentRules && (
+              <div className="p-3 space-y-3 border border-gray-200 rounded-xl">
+                <p className="flex items-center space-x-2 text-xs font-medium text-gray-700">
+                  <Lock className="w-3 h-3" />
+                  <span>Private - only moderators and partner NGOs can see these</span>
+                </p>
+                <textarea
+                  value={consentNote}
+                  onChange={(e) => setConsentNote(e.target.value)}
+                  placeholder={consentRules.requiresRedaction
+                    ? 'Why could consent not be asked for? (optional)'
+                    : 'How was consent given? (optional)'}
+                  className="h-20 text-sm resize-none input-field"
+                  maxLength={CONSENT_NOTE_MAX_LENGTH}
+                />
+                {!consentRules.requiresRedaction && (
+                  consentPhoto ? (
+                    <div className="flex items-center space-x-3">
+                      <BlobImage blob={consentPhoto} alt="Consent" className="object-cover w-16 h-16 rounded-lg" />
+                      <span className="flex-1 text-xs text-gray-600 truncate">{consentPhoto.name}</span>
+                      <button
+                        onClick={() => setConsentPhoto(null)}
+                        className="text-xs font-medium text-red-600 hover:text-red-700"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => consentPhotoInputRef.current?.click()}
+                      className="flex items-center space-x-2 text-sm font-medium text-primary-600 hover:text-primary-700"
+                    >
+                      <Camera className="w-4 h-4" />
+                      <span>{consentStatus === 'written' ? 'Attach photo of the signed consent' : 'Attach a consent photo (optional)'}</span>
+                    </button>
+                  )
+                )}
+                <input
+                  ref={consentPhotoInputRef}
+                  type="file"
+                  accept="image/*,.heic,.heif"
+                  onChange={handleConsentPhotoSelect}
+                  className="hidden"
+                />
+              </div>
+            )}
+          </div>
+
            {/* Privacy toggle - allows users to post anonymously */}
            <div className="flex items-center justify-between p-4 glass-card rounded-xl">
              <div className="flex items-center space-x-3">
@@ -581,24 +1990,155 @@ const UploadModal = ({ isOpen, onClose }) => {
             </button>
           </div>
 
-          {/* Submit button - disabled until all required fields are completed */}
-          <button
-            onClick={handleSubmit}
-            disabled={!selectedFile || !location || isUploading}
-            className="w-full mb-4 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            {isUploading ? (
-              <div className="flex items-center justify-center space-x-2">
-                <div className="loading-spinner"></div>
-                <span>Uploading...</span>
+          {isUploading ? (
+            /* Upload progress with pause/resume and cancel controls */
+            <div className="p-4 mb-4 space-y-3 glass-card rounded-xl">
+              <div className="flex items-center justify-between text-sm font-medium text-gray-900">
+                <span>{isPreparingClip ? 'Preparing clip...' : isUploadPaused ? 'Upload paused' : 'Uploading...'}</span>
+                <span>{Math.round(uploadProgress * 100)}%</span>
               </div>
-            ) : (
-              'Share Photo'
-            )}
-          </button>
+              <div className="w-full h-2 overflow-hidden bg-gray-200 rounded-full">
+                <div
+                  className={`h-full transition-all duration-300 ${isUploadPaused ? 'bg-yellow-500' : 'bg-primary-600'}`}
+                  style={{ width: `${Math.round(uploadProgress * 100)}%` }}
+                />
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  onClick={toggleUploadPause}
+                  className="flex items-center justify-center flex-1 py-2 space-x-2 text-sm font-medium transition-colors duration-300 border-2 rounded-lg border-primary-300 text-primary-700 hover:border-primary-500"
+                >
+                  {isUploadPaused ? <Play className="w-4 h-4" /> : <Pause className="w-4 h-4" />}
+                  <span>{isUploadPaused ? 'Resume' : 'Pause'}</span>
+                </button>
+                <button
+                  onClick={cancelUpload}
+                  className="flex items-center justify-center flex-1 py-2 space-x-2 text-sm font-medium text-red-600 transition-colors duration-300 border-2 border-red-200 rounded-lg hover:border-red-400"
+                >
+                  <X className="w-4 h-4" />
+                  <span>Cancel</span>
+                </button>
+              </div>
+            </div>
+          ) : (
+            /* Submit button - disabled until all required fields are completed */
+            <button
+              onClick={handleSubmit}
+              disabled={(photos.length === 0 && !clip) || !location || !consentStatus || isProcessing || isRedacting || isCheckingDuplicates}
+              className="w-full mb-4 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isCheckingDuplicates ? 'Checking for similar posts...' : 'Share Photo'}
+            </button>
+          )}
         </div>
         </div>
 
+        {/* Resume prompt - shown when an unfinished post was saved on this device */}
+        {draftStatus === 'prompt' && savedDraft && (
+          <div className="modal-overlay">
+            <div className="max-w-md modal-content">
+              <div className="p-6 text-center">
+                <div className="flex items-center justify-center w-16 h-16 mx-auto mb-4 rounded-full bg-primary-100">
+                  <FileClock className="w-8 h-8 text-primary-600" />
+                </div>
+                <h3 className="mb-2 text-xl font-bold text-gray-900">
+                  Resume your draft?
+                </h3>
+                <p className="mb-4 text-gray-600">
+                  You started a post {formatTimestamp(savedDraft.savedAt).toLowerCase()} that was not shared.
+                </p>
+                <div className="p-4 mb-6 space-y-1 text-sm text-left text-gray-600 rounded-lg glass-card">
+                  <p>• {savedDraft.photos.length} photo{savedDraft.photos.length === 1 ? '' : 's'}{savedDraft.clip ? ' and a clip' : ''}</p>
+                  {savedDraft.place && formatPlaceName(savedDraft.place) && <p>• {formatPlaceName(savedDraft.place)}</p>}
+                  {savedDraft.description && <p className="truncate">• "{savedDraft.description}"</p>}
+                </div>
+                <div className="flex space-x-4">
+                  <button
+                    onClick={discardDraft}
+                    className="flex-1 btn-secondary"
+                  >
+                    Start Over
+                  </button>
+                  <button
+                    onClick={resumeDraft}
+                    className="flex-1 btn-primary"
+                  >
+                    Resume
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Duplicate prompt - shown when a recent nearby post looks like the same scene */}
+        {duplicateMatches && (
+          <div className="modal-overlay">
+            <div className="max-w-md modal-content">
+              <div className="p-6">
+                <div className="flex items-center justify-center w-16 h-16 mx-auto mb-4 rounded-full bg-primary-100">
+                  <Copy className="w-8 h-8 text-primary-600" />
+                </div>
+                <h3 className="mb-2 text-xl font-bold text-center text-gray-900">
+                  Already Posted?
+                </h3>
+                <p className="mb-6 text-center text-gray-600">
+                  {duplicateMatches.length === 1 ? 'A similar photo was' : 'Similar photos were'} posted near here recently.
+                  If this is the same person, add your photo as a confirmation instead of a new post.
+                </p>
+                
+                {/* Matching posts - the user picks the one they saw */}
+                <div className="space-y-3">
+                  {duplicateMatches.map((match) => {
+                    const cover = getPostImages(match)[0] || (match.video && match.video.poster);
+                    return (
+                      <div key={match.id} className="flex p-3 space-x-3 border border-gray-200 rounded-xl">
+                        {cover && (
+                          <img
+                            src={getImageSources(cover).src}
+                            alt="Existing post"
+                            className="flex-shrink-0 object-cover w-20 h-20 rounded-lg"
+                          />
+                        )}
+                        <div className="flex-1 min-w-0 text-sm">
+                          <p className="text-gray-900 truncate">{match.description || 'No description'}</p>
+                          <p className="text-gray-500">
+                            {formatTimestamp(match.sightedAt || match.createdAt)} · {Math.round(match.distanceKm * 1000)} m away
+                          </p>
+                          {match.confirmationCount > 0 && (
+                            <p className="text-gray-500">Confirmed {match.confirmationCount} time{match.confirmationCount === 1 ? '' : 's'}</p>
+                          )}
+                          <button
+                            onClick={() => resolveDuplicate(match.id)}
+                            className="mt-1 font-medium text-primary-600 hover:text-primary-700"
+                          >
+                            Same person - add as confirmation
+                          </button>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+                
+                <div className="flex mt-6 space-x-4">
+                  <button
+                    onClick={() => setDuplicateMatches(null)}
+                    className="flex-1 btn-secondary"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={() => resolveDuplicate(null)}
+                    className="flex-1 btn-primary"
+                  >
+                    Post as New
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Responsibility warning modal - shown before final upload */}
         {showWarning && (
                       <div className="modal-overlay">
@@ -617,17 +2157,35 @@ const UploadModal = ({ isOpen, onClose }) => {
                   {/* Warning message about platform purpose */}
                   <p className="mb-6 text-gray-600">
                     By sharing this photo, you acknowledge that this platform is for awareness purposes only. 
-                    Please ensure you have the individual's consent when possible and respect their dignity.
+                    Please respect the individual's dignity.
+                    {consentRules && ` You recorded: ${consentRules.label.toLowerCase()}.`}
                   </p>
                 
                  {/* Guidelines for responsible posting */}
                  <div className="p-4 space-y-3 text-sm text-left text-gray-600 rounded-lg glass-card">
                   <p>• This platform is for raising awareness, not direct aid</p>
                   <p>• Respect the dignity and privacy of individuals</p>
+                  <p>• Blur faces, number plates and anything else that could identify someone</p>
                   <p>• Do not share photos that could cause harm or distress</p>
                   <p>• Consider the impact of your post on the community</p>
                 </div>
                 
+                {/* Nudge towards redaction when nothing has been hidden */}
+                {redactionCount === 0 && photos.length > 0 && (
+                  <div className="flex items-center justify-between p-3 mt-4 text-sm text-left text-yellow-800 rounded-lg bg-yellow-50">
+                    <span>No faces or details have been hidden in this photo.</span>
+                    <button
+                      onClick={() => {
+                        setShowWarning(false);
+                        setRedactingPhotoId(photos[0].id);
+                      }}
+                      className="ml-3 font-medium whitespace-nowrap text-primary-600 hover:text-primary-700"
+                    >
+                      Redact
+                    </button>
+                  </div>
+                )}
+                
                 {/* Action buttons for the warning modal */}
                 <div className="flex mt-6 space-x-4">
                   <button
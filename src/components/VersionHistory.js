@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { History, ChevronDown, Loader2 } from 'lucide-react';
+import { getPostVersions } from '../firebase/postEditing';
+import { getNeedCategory } from '../config/needs';
+import { formatTimestamp } from '../utils/time';
+
+// Readable names for the fields recorded on versions
+const FIELD_LABELS = {
+  description: 'description',
+  tags: 'needs',
+  isAnonymous: 'anonymity',
+  images: 'photos',
+};
+
+/**
+ * Version History Component
+ *
+ * Earlier versions of an edited post for the poster, moderators and NGOs.
+ * The entries are only fetched when the history is expanded.
+ *
+ * Features:
+ * - Number of edits and time of the last one
+ * - Per edit: changed fields and the values they replaced
+ * - Replaced photos listed by position (the old files are deleted)
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Photo document with `id` and `versionCount`
+ */
+const VersionHistory = ({ post }) => {
+  const [isOpen, setIsOpen] = useState(false);        // History expanded
+  const [versions, setVersions] = useState(undefined); // Entries; undefined until loaded
+  const [error, setError] = useState(null);           // Load error message
+
+  if (!post.versionCount) return null;
+
+  /**
+   * Expands the history, loading the entries on every open so new edits show up
+   */
+  const toggleOpen = async () => {
+    setIsOpen(!isOpen);
+    if (isOpen) return;
+
+    try {
+      setError(null);
+      setVersions(await getPostVersions(post.id));
+    } catch (loadError) {
+      console.error('Error loading versions:', loadError);
+      setError('The edit history could not be loaded');
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <button
+        onClick={toggleOpen}
+        className="flex items-center space-x-1 text-xs font-medium text-gray-600 hover:text-primary-600"
+        aria-expanded={isOpen}
+      >
+        <History className="w-3 h-3" />
+        <span>
+          Edited {post.versionCount} time{post.versionCount === 1 ? '' : 's'}
+          {post.editedAt && `, last ${formatTimestamp(post.editedAt).toLowerCase()}`}
+        </span>
+        <ChevronDown className={`w-3 h-3 transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`} />
+      </button>
+
+      {isOpen && (
+        <div className="p-3 space-y-3 text-xs text-gray-700 rounded-lg bg-gray-50">
+          {error && <p className="text-red-600">{error}</p>}
+          {!error && versions === undefined && (
+            <div className="flex items-center space-x-2 text-gray-500">
+              <Loader2 className="w-3 h-3 animate-spin" />
+              <span>Loading history...</span>
+            </div>
+          )}
+          {versions && versions.map((version) => (
+            <div key={version.id} className="pb-2 space-y-1 border-b border-gray-200 last:border-0 last:pb-0">
+              <p className="font-medium text-gray-900">
+                {formatTimestamp(version.createdAt)} · changed {version.fields.map((field) => FIELD_LABELS[field] || field).join(', ')}
+              </p>
+              {'description' in version.previous && (
+                <p>Previous description: {version.previous.description || <em>none</em>}</p>
+              )}
+              {'tags' in version.previous && (
+                <p>
+                  Previous needs: {(version.previous.tags || []).map((tag) => getNeedCategory(tag)?.label || tag).join(', ') || <em>none</em>}
+                </p>
+              )}
+              {'isAnonymous' in version.previous && (
+                <p>Previously shown {version.previous.isAnonymous ? 'anonymously' : 'with the poster\'s name'}</p>
+              )}
+              {version.replacedImages && version.replacedImages.length > 0 && (
+                <p>Replaced photo {version.replacedImages.map((image) => image.index + 1).join(', ')}</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VersionHistory;
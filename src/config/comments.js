@@ -0,0 +1,22 @@
+/**
+ * Comment Configuration
+ *
+ * Settings for the comment threads on posts (see firebase/comments.js).
+ */
+
+// Longest comment accepted
+export const COMMENT_MAX_LENGTH = 1000;
+
+// Reports after which a comment is hidden for everyone except moderators and NGOs
+export const COMMENT_HIDE_REPORT_COUNT = 3;
+
+// Reasons offered when reporting a comment - IDs are stored on the report
+export const COMMENT_REPORT_REASONS = [
+  { id: 'abusive', label: 'Abusive or hateful' },
+  { id: 'personal-info', label: 'Shares personal information' },
+  { id: 'spam', label: 'Spam or advertising' },
+  { id: 'misleading', label: 'False or misleading' },
+];
+
+// Characters of a comment quoted in the post owner's notification
+export const COMMENT_NOTIFICATION_EXCERPT_LENGTH = 120;
@@ -0,0 +1,75 @@
+/**
+ * Consent Options
+ *
+ * How the poster asked the photographed person for permission. The status ID
+ * is stored on the photo document as `consentStatus`; any note or photo of a
+ * signed form is kept in a private record only the poster, moderators and
+ * NGOs can read (see firebase/consent.js). IDs must never change once posts
+ * use them; labels can.
+ *
+ * Posts without consent follow stricter rules: every photo needs at least
+ * one redacted area, clips are not allowed (faces in clips cannot be
+ * blurred) and the post is only shown to the poster, moderators and NGOs.
+ */
+
+// ===== CONSENT STATUSES =====
+
+// className styles the badge shown to moderators and NGOs
+export const CONSENT_STATUSES = [
+  {
+    id: 'verbal',
+    label: 'Verbal consent',
+    description: 'The person agreed out loud to being photographed and posted',
+    className: 'bg-green-100 text-green-800',
+    visibility: 'public',
+    requiresRedaction: false,
+  },
+  {
+    id: 'written',
+    label: 'Written consent',
+    description: 'The person signed or wrote their agreement - attach a photo of it',
+    className: 'bg-green-100 text-green-800',
+    visibility: 'public',
+    requiresRedaction: false,
+  },
+  {
+    id: 'not-possible',
+    label: 'Consent not possible',
+    description: 'The person could not be asked, e.g. asleep, unwell or unable to communicate',
+    className: 'bg-yellow-100 text-yellow-800',
+    visibility: 'limited',
+    requiresRedaction: true,
+  },
+];
+
+// ===== CONSENT RECORD =====
+
+// Longest private note attached to the consent record
+export const CONSENT_NOTE_MAX_LENGTH = 500;
+
+// Longest edge (pixels) of a consent photo, e.g. a signed form
+export const CONSENT_PHOTO_MAX_DIMENSION = 1600;
+
+/**
+ * Looks up a consent status by ID
+ *
+ * @param {string} id - Consent status ID
+ * @returns {Object|undefined} Status definition - undefined for posts made before consent was recorded
+ */
+export const getConsentStatus = (id) => CONSENT_STATUSES.find((status) => status.id === id);
+
+/**
+ * Decides whether a post may be shown to the current viewer
+ * Posts with limited visibility are only shown to their poster and to
+ * case reviewers (moderators and NGOs). The security rules enforce the
+ * same check, so lists query for public posts only (see
+ * visibilityConstraints in firebase/consent.js).
+ *
+ * @param {Object} post - Photo document
+ * @param {Object|null} user - Signed-in Firebase user
+ * @param {boolean} isReviewer - Whether the viewer is a moderator or NGO
+ * @returns {boolean} True if the post can be listed
+ */
+export const canViewPost = (post, user, isReviewer) => (
+  post.visibility !== 'limited' || isReviewer || Boolean(user && post.userId === user.uid)
+);
@@ -0,0 +1,18 @@
+/**
+ * Engagement Configuration
+ *
+ * Settings for likes and view counts (see firebase/engagement.js).
+ */
+
+// ===== VIEWS =====
+
+// Number of counter documents views are spread across - each document
+// takes about one write per second, so busy posts need several. The
+// Firestore rules only accept shard IDs below it (see FIREBASE_SETUP.md)
+export const VIEW_COUNTER_SHARDS = 5;
+
+// Share of a card that has to be on screen for it to count as seen
+export const VIEW_MIN_VISIBLE_RATIO = 0.5;
+
+// How long the card has to stay on screen before the view is counted
+export const VIEW_MIN_VISIBLE_MS = 1000;
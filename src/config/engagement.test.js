@@ -0,0 +1,15 @@
+import fs from 'fs';
+import path from 'path';
+import { VIEW_COUNTER_SHARDS } from './engagement';
+
+describe('VIEW_COUNTER_SHARDS', () => {
+  it('matches the shard IDs the Firestore rules accept', () => {
+    const setup = fs.readFileSync(path.join(__dirname, '../../FIREBASE_SETUP.md'), 'utf8');
+    const rules = setup.match(/match \/photos\/\{photoId\}\/viewShards\/\{shardId\} \{[\s\S]*?\n {4}\}/)[0];
+    const lists = [...rules.matchAll(/shardId in (\[[^\]]*\])/g)].map(([, list]) => JSON.parse(list.replace(/'/g, '"')));
+
+    const expected = Array.from({ length: VIEW_COUNTER_SHARDS }, (_, shard) => String(shard));
+    expect(lists).toHaveLength(2);
+    lists.forEach((list) => expect(list).toEqual(expected));
+  });
+});
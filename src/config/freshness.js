@@ -0,0 +1,66 @@
+/**
+ * Freshness Configuration
+ *
+ * How recent a sighting is, so responders do not travel to a spot the
+ * person left days ago. The score (see utils/freshness.js) halves every
+ * FRESHNESS_HALF_LIFE_HOURS after the person was last seen there and is
+ * refreshed by "still here" field checks from people nearby.
+ */
+
+// ===== FIELD CHECKS =====
+
+// Presence answers for a field check - stored as `presence` on the confirmation
+export const FIELD_CHECK_PRESENCE = [
+  {
+    id: 'still-here',
+    label: 'Still here',
+    description: 'The person is at this location now',
+  },
+  {
+    id: 'no-longer-here',
+    label: 'No longer here',
+    description: 'I am at the location and the person is not there',
+  },
+];
+
+// Farthest a user can be from the post (metres, after allowing for GPS accuracy) to check it
+export const FIELD_CHECK_MAX_DISTANCE_M = 500;
+
+// GPS accuracy (metres) counted towards the distance at most - very rough fixes are not trusted
+export const FIELD_CHECK_MAX_ACCURACY_M = 200;
+
+// Give up waiting for a GPS fix after this long
+export const FIELD_CHECK_LOCATION_TIMEOUT_MS = 15000;
+
+// Longest note attached to a field check
+export const FIELD_CHECK_NOTE_MAX_LENGTH = 300;
+
+// ===== SCORING =====
+
+// Hours after which the score of an unconfirmed sighting has halved
+export const FRESHNESS_HALF_LIFE_HOURS = 48;
+
+// Multiplier applied when the latest field check says the person is gone
+export const FRESHNESS_GONE_FACTOR = 0.2;
+
+// Levels from freshest to stalest - a score at or above minScore gets the level
+export const FRESHNESS_LEVELS = [
+  {
+    id: 'fresh',
+    label: 'Fresh',
+    minScore: 0.6,
+    className: 'bg-green-100 text-green-800',
+  },
+  {
+    id: 'aging',
+    label: 'Aging',
+    minScore: 0.25,
+    className: 'bg-yellow-100 text-yellow-800',
+  },
+  {
+    id: 'stale',
+    label: 'Likely stale',
+    minScore: 0,
+    className: 'bg-gray-200 text-gray-700',
+  },
+];
@@ -0,0 +1,31 @@
+/**
+ * Map Configuration
+ *
+ * Central place for the settings used by every Leaflet map in the app.
+ * The tile source is read from environment variables so the map can be
+ * pointed at a self-hosted or local tile server (for example during field
+ * work with no internet access) without code changes.
+ *
+ * Environment variables:
+ * - REACT_APP_MAP_TILE_URL         Tile URL template ({z}/{x}/{y} placeholders)
+ * - REACT_APP_MAP_TILE_ATTRIBUTION Attribution HTML shown in the map corner
+ * - REACT_APP_MAP_MAX_ZOOM         Highest zoom level the tile server provides
+ */
+
+// Tile layer settings - defaults to the public OpenStreetMap tiles
+export const TILE_LAYER = {
+  url: process.env.REACT_APP_MAP_TILE_URL || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: process.env.REACT_APP_MAP_TILE_ATTRIBUTION
+    || '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  maxZoom: Number(process.env.REACT_APP_MAP_MAX_ZOOM) || 19,
+};
+
+// Initial view - roughly centred on India
+export const DEFAULT_CENTER = [22.5937, 78.9629];
+export const DEFAULT_ZOOM = 5;
+
+// Maximum number of photos plotted on the map at once
+export const MAP_PHOTO_LIMIT = 1000;
+
+// Radius used by the "Near me" lookup on the map page
+export const NEARBY_RADIUS_KM = 5;
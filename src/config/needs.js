@@ -0,0 +1,72 @@
+/**
+ * Need Taxonomy
+ *
+ * Fixed categories and urgency levels attached to every post so responders
+ * can filter for what they are able to help with. Category IDs are stored
+ * in the photo document's `tags` array and urgency IDs in `urgency` - IDs
+ * must never change once posts use them; labels can.
+ */
+
+// ===== NEED CATEGORIES =====
+
+export const NEED_CATEGORIES = [
+  { id: 'food', label: 'Food' },
+  { id: 'water', label: 'Water' },
+  { id: 'shelter', label: 'Shelter' },
+  { id: 'clothing', label: 'Clothing & Blankets' },
+  { id: 'medical', label: 'Medical' },
+  { id: 'elderly', label: 'Elderly' },
+  { id: 'child', label: 'Child' },
+  { id: 'disability', label: 'Disability' },
+  { id: 'mental-health', label: 'Mental Health' },
+  { id: 'substance-use', label: 'Substance Use' },
+  { id: 'hygiene', label: 'Hygiene' },
+  { id: 'documents', label: 'ID & Documents' },
+];
+
+// ===== URGENCY LEVELS =====
+
+// Ordered from least to most urgent; className styles the badge on cards
+export const URGENCY_LEVELS = [
+  {
+    id: 'routine',
+    label: 'Routine',
+    description: 'Stable for now, needs regular support',
+    className: 'bg-green-100 text-green-800',
+  },
+  {
+    id: 'soon',
+    label: 'Soon',
+    description: 'Needs help within a day or two',
+    className: 'bg-yellow-100 text-yellow-800',
+  },
+  {
+    id: 'emergency',
+    label: 'Emergency',
+    description: 'Immediate danger to health or life - also call 112',
+    className: 'bg-red-600 text-white',
+  },
+];
+
+export const DEFAULT_URGENCY = 'routine';
+
+// ===== PEOPLE COUNT =====
+
+// Upper bound for the approximate number of people in a post
+export const PEOPLE_COUNT_MAX = 100;
+
+/**
+ * Looks up a category by ID
+ *
+ * @param {string} id - Category ID
+ * @returns {Object|undefined} Category definition
+ */
+export const getNeedCategory = (id) => NEED_CATEGORIES.find((category) => category.id === id);
+
+/**
+ * Looks up an urgency level by ID
+ *
+ * @param {string} id - Urgency ID
+ * @returns {Object|undefined} Urgency definition
+ */
+export const getUrgencyLevel = (id) => URGENCY_LEVELS.find((level) => level.id === id);
@@ -0,0 +1,26 @@
+/**
+ * User Roles
+ *
+ * Optional `role` field on a user's Firestore profile (users/{uid}). Roles
+ * are assigned by an administrator in the Firebase console - users cannot
+ * change their own role (see FIREBASE_SETUP.md). Users without a role are
+ * ordinary volunteers.
+ */
+
+// ===== ROLES =====
+
+export const ROLES = {
+  MODERATOR: 'moderator',  // Reviews posts and consent records
+  NGO: 'ngo',              // Partner organisation acting on cases
+};
+
+// Roles allowed to see consent records and posts with limited visibility
+export const CASE_REVIEWER_ROLES = [ROLES.MODERATOR, ROLES.NGO];
+
+/**
+ * Checks whether a profile belongs to a case reviewer
+ *
+ * @param {Object|null} profile - User profile from Firestore
+ * @returns {boolean} True for moderators and NGOs
+ */
+export const isCaseReviewerProfile = (profile) => Boolean(profile && CASE_REVIEWER_ROLES.includes(profile.role));
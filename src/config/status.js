@@ -0,0 +1,122 @@
+/**
+ * Post Status Lifecycle
+ *
+ * Where a sighting stands, from the first report to its outcome. The status
+ * ID is stored on the photo document as `status`; every change is also
+ * recorded as an entry in the post's `timeline` subcollection (see
+ * firebase/status.js). IDs must never change once posts use them; labels can.
+ *
+ * Main path: reported → acknowledged → help dispatched → resolved.
+ * A post can also close as relocated or not found, and be reopened later.
+ * Removed is final - the post disappears from the feed and map.
+ */
+
+// ===== STATUSES =====
+
+// Ordered along the main path; className styles the badge on cards
+export const POST_STATUSES = [
+  {
+    id: 'reported',
+    label: 'Reported',
+    description: 'Shared by a volunteer, waiting for a responder',
+    className: 'bg-blue-100 text-blue-800',
+    isClosed: false,
+  },
+  {
+    id: 'acknowledged',
+    label: 'Acknowledged',
+    description: 'A moderator or NGO has seen the report',
+    className: 'bg-indigo-100 text-indigo-800',
+    isClosed: false,
+  },
+  {
+    id: 'help-dispatched',
+    label: 'Help Dispatched',
+    description: 'Someone is on the way',
+    className: 'bg-orange-100 text-orange-800',
+    isClosed: false,
+  },
+  {
+    id: 'resolved',
+    label: 'Resolved',
+    description: 'The person received help',
+    className: 'bg-green-100 text-green-800',
+    isClosed: true,
+  },
+  {
+    id: 'relocated',
+    label: 'Relocated',
+    description: 'The person moved to a shelter, hospital or other place',
+    className: 'bg-teal-100 text-teal-800',
+    isClosed: true,
+  },
+  {
+    id: 'not-found',
+    label: 'Not Found',
+    description: 'Responders could not find the person at this location',
+    className: 'bg-gray-200 text-gray-700',
+    isClosed: true,
+  },
+  {
+    id: 'removed',
+    label: 'Removed',
+    description: 'Taken down by a moderator',
+    className: 'bg-red-100 text-red-800',
+    isClosed: true,
+  },
+];
+
+// Status of a new post
+export const DEFAULT_STATUS = 'reported';
+
+// Statuses of posts shown in the feed - everything but removed. The feed
+// asks for these with an 'in' query, so every post needs a stored
+// lifecycle status (see scripts/backfill-status.js)
+export const LISTED_STATUSES = POST_STATUSES.map((status) => status.id).filter((id) => id !== 'removed');
+
+// ===== TRANSITIONS =====
+
+// Statuses reachable from each status - closed posts (except removed) can be reopened.
+// The Firestore rules hold a copy (statusTransitions in FIREBASE_SETUP.md)
+export const STATUS_TRANSITIONS = {
+  reported: ['acknowledged', 'help-dispatched', 'resolved', 'relocated', 'not-found', 'removed'],
+  acknowledged: ['help-dispatched', 'resolved', 'relocated', 'not-found', 'removed'],
+  'help-dispatched': ['resolved', 'relocated', 'not-found', 'removed'],
+  resolved: ['reported', 'removed'],
+  relocated: ['reported', 'removed'],
+  'not-found': ['reported', 'removed'],
+  removed: [],
+};
+
+// Longest note attached to a timeline entry
+export const STATUS_NOTE_MAX_LENGTH = 500;
+
+/**
+ * Maps a stored status to a lifecycle status ID
+ * Posts created before the lifecycle was added carry 'active' (or nothing),
+ * which counts as reported.
+ *
+ * @param {string|undefined} status - Stored status
+ * @returns {string} Status ID
+ */
+export const normalizeStatus = (status) => (
+  POST_STATUSES.some((definition) => definition.id === status) ? status : DEFAULT_STATUS
+);
+
+/**
+ * Looks up a status definition
+ *
+ * @param {string|undefined} status - Stored status (legacy values are normalised)
+ * @returns {Object} Status definition
+ */
+export const getPostStatus = (status) => POST_STATUSES.find((definition) => definition.id === normalizeStatus(status));
+
+/**
+ * Lists the statuses a post can move to next
+ *
+ * @param {string|undefined} status - Current stored status
+ * @returns {Array<Object>} Status definitions
+ */
+export const getNextStatuses = (status) => (
+  STATUS_TRANSITIONS[normalizeStatus(status)].map((id) => getPostStatus(id))
+);
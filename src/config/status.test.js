@@ -0,0 +1,54 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  POST_STATUSES,
+  DEFAULT_STATUS,
+  LISTED_STATUSES,
+  STATUS_TRANSITIONS,
+  normalizeStatus,
+  getNextStatuses,
+} from './status';
+
+const ids = POST_STATUSES.map((status) => status.id);
+
+describe('STATUS_TRANSITIONS', () => {
+  it('covers every status and only leads to known statuses', () => {
+    expect(Object.keys(STATUS_TRANSITIONS).sort()).toEqual([...ids].sort());
+    Object.values(STATUS_TRANSITIONS).flat().forEach((id) => expect(ids).toContain(id));
+  });
+
+  it('never stays in place', () => {
+    Object.entries(STATUS_TRANSITIONS).forEach(([from, to]) => expect(to).not.toContain(from));
+  });
+
+  it('keeps removed final and lets any other post be removed', () => {
+    expect(STATUS_TRANSITIONS.removed).toEqual([]);
+    ids.filter((id) => id !== 'removed').forEach((id) => expect(STATUS_TRANSITIONS[id]).toContain('removed'));
+  });
+
+  it('lets closed posts be reopened', () => {
+    POST_STATUSES
+      .filter((status) => status.isClosed && status.id !== 'removed')
+      .forEach((status) => expect(STATUS_TRANSITIONS[status.id]).toContain(DEFAULT_STATUS));
+  });
+
+  it('matches the copy in the Firestore rules', () => {
+    const setup = fs.readFileSync(path.join(__dirname, '../../FIREBASE_SETUP.md'), 'utf8');
+    const [, body] = setup.match(/function statusTransitions\(\) \{\s*return (\{[\s\S]*?\});/);
+    expect(JSON.parse(body.replace(/'/g, '"'))).toEqual(STATUS_TRANSITIONS);
+  });
+});
+
+describe('statuses of older posts', () => {
+  it('count as reported', () => {
+    expect(normalizeStatus('active')).toBe('reported');
+    expect(normalizeStatus(undefined)).toBe('reported');
+    expect(getNextStatuses('active').map((status) => status.id)).toEqual(STATUS_TRANSITIONS.reported);
+  });
+});
+
+describe('LISTED_STATUSES', () => {
+  it('lists every status but removed', () => {
+    expect(LISTED_STATUSES).toEqual(ids.filter((id) => id !== 'removed'));
+  });
+});
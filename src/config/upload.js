@@ -0,0 +1,125 @@
+/**
+ * Upload Configuration
+ *
+ * Tunable settings for the photo upload flow in UploadModal.
+ */
+
+// ===== LOCATION CAPTURE =====
+
+// GPS fixes at or below this accuracy (metres) are accepted immediately
+export const LOCATION_ACCURACY_THRESHOLD_M = 25;
+
+// Stop refining after this long and keep the best fix received so far
+export const LOCATION_WATCH_TIMEOUT_MS = 20000;
+
+// ===== IMAGE COMPRESSION =====
+
+// Longest edge (pixels) of the uploaded image - larger photos are downscaled
+export const IMAGE_MAX_DIMENSION = Number(process.env.REACT_APP_IMAGE_MAX_DIMENSION) || 1920;
+
+// Encoder quality (0-1) for WebP and the JPEG fallback
+export const IMAGE_QUALITY = 0.8;
+
+// Renditions generated for every upload - longest edge in pixels
+// "full" is stored at imagePath, the others next to it with a suffix
+export const IMAGE_RENDITIONS = {
+  small: 400,
+  medium: 800,
+  full: IMAGE_MAX_DIMENSION,
+};
+
+// ===== FILE VALIDATION =====
+
+// Largest gallery file accepted, before compression
+export const IMAGE_MAX_FILE_BYTES = 20 * 1024 * 1024;
+
+// Shortest edge (pixels) below which a photo is too small to be useful
+export const IMAGE_MIN_DIMENSION = 320;
+
+// Largest decoded image in pixels - bigger images exhaust memory on phones
+export const IMAGE_MAX_PIXELS = 40 * 1000 * 1000;
+
+// Widest accepted ratio between the long and short edge - rejects panoramas
+export const IMAGE_MAX_ASPECT_RATIO = 4;
+
+// ===== UPLOAD RETRIES =====
+
+// Automatic retries for transient Firebase Storage errors
+export const UPLOAD_MAX_RETRIES = 4;
+
+// First retry delay in milliseconds - doubles on every further attempt
+export const UPLOAD_RETRY_BASE_DELAY_MS = 1000;
+
+// ===== OFFLINE QUEUE =====
+
+// Queued posts are marked as failed after this many unsuccessful attempts
+// and wait for the user to retry or discard them
+export const UPLOAD_QUEUE_MAX_ATTEMPTS = 5;
+
+// In browsers without the Web Locks API, an entry another tab marked as
+// uploading is left alone for this long before it is taken over (ms)
+export const UPLOAD_QUEUE_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// ===== MULTI-PHOTO POSTS =====
+
+// Maximum number of photos in a single post
+export const MAX_PHOTOS_PER_POST = Number(process.env.REACT_APP_MAX_PHOTOS_PER_POST) || 5;
+
+// ===== VIDEO CLIPS =====
+
+// Longest clip that can be recorded, in seconds
+export const VIDEO_MAX_DURATION_S = Number(process.env.REACT_APP_VIDEO_MAX_DURATION_S) || 15;
+
+// Shortest clip that can be kept after trimming, in seconds
+export const VIDEO_MIN_DURATION_S = 1;
+
+// Recording stops once the clip reaches this size
+export const VIDEO_MAX_BYTES = 20 * 1024 * 1024;
+
+// Target encoder bitrate - roughly 3 MB for a full-length clip
+export const VIDEO_BITS_PER_SECOND = 1500000;
+
+// Frame rate used when a trimmed clip is re-encoded
+export const VIDEO_FRAME_RATE = 30;
+
+// Recorder formats in order of preference - the first one the browser supports is used
+export const VIDEO_MIME_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+  'video/mp4',
+];
+
+// ===== DUPLICATE DETECTION =====
+
+// Posts within this distance (metres) of the new one are checked for duplicates
+export const DUPLICATE_RADIUS_M = 150;
+
+// Only posts sighted within this many hours of the new one count as duplicates
+export const DUPLICATE_WINDOW_HOURS = 24;
+
+// Largest perceptual hash difference (bits out of 64) treated as the same scene
+export const DUPLICATE_MAX_HASH_DISTANCE = 12;
+
+// ===== DRAFTS =====
+
+// Unfinished posts are offered for resuming for this long - older drafts
+// are discarded so a stale location is never posted
+export const DRAFT_MAX_AGE_HOURS = Number(process.env.REACT_APP_DRAFT_MAX_AGE_HOURS) || 6;
+
+// Delay after the last change before the draft is saved
+export const DRAFT_SAVE_DELAY_MS = 1000;
+
+// ===== CAMERA =====
+
+// Resolutions offered in the camera view - the browser picks the closest the camera supports
+export const CAMERA_RESOLUTIONS = [
+  { id: 'hd', label: '720p', width: 1280, height: 720 },
+  { id: 'full-hd', label: '1080p', width: 1920, height: 1080 },
+  { id: 'uhd', label: '4K', width: 3840, height: 2160 },
+];
+
+export const DEFAULT_CAMERA_RESOLUTION = 'hd';
+
+// Tilt (degrees) within which the level overlay shows the camera as straight
+export const CAMERA_LEVEL_TOLERANCE_DEG = 2;
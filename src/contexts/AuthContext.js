@@ -9,6 +9,7 @@ import {
 } from 'firebase/auth';
 import { doc, getDoc } from 'firebase/firestore';
 import { auth, googleProvider, db } from '../firebase/config';
+import { isCaseReviewerProfile } from '../config/roles';
 
 /**
  * Authentication Context
@@ -23,6 +24,7 @@ import { auth, googleProvider, db } from '../firebase/config';
  * - User registration
  * - Automatic authentication state management
  * - Loading states for better UX
+ * - Role checks for moderators and NGOs
  */
 
 // Create React context for authentication
@@ -139,6 +141,16 @@ export function AuthProvider({ children }) {
     return userProfile && userProfile.isProfileComplete;
   }
 
+  /**
+   * Checks if the current user is a moderator or NGO
+   * Case reviewers can see consent records and posts with limited visibility.
+   *
+   * @returns {boolean} True for case reviewers
+   */
+  function isCaseReviewer() {
+    return isCaseReviewerProfile(userProfile);
+  }
+
   // ===== AUTHENTICATION STATE MANAGEMENT =====
   
   /**
@@ -179,7 +191,8 @@ export function AuthProvider({ children }) {
     logout,          // Sign-out method
     updateUserProfile, // Profile update method
     fetchUserProfile, // Fetch user profile method
-    isProfileComplete // Check if profile is complete
+    isProfileComplete, // Check if profile is complete
+    isCaseReviewer    // Check if user is a moderator or NGO
   };
 
   // ===== RENDER =====
@@ -0,0 +1,115 @@
+import React, { createContext, useContext, useEffect, useState, useCallback } from 'react';
+import { collection, onSnapshot } from 'firebase/firestore';
+import toast from 'react-hot-toast';
+import { db } from '../firebase/config';
+import { toggleLike as toggleLikeRecord } from '../firebase/engagement';
+import { useAuth } from './AuthContext';
+
+/**
+ * Likes Context
+ *
+ * Which posts the signed-in user has liked, loaded once from their like
+ * records (see firebase/engagement.js) so every card can show its liked
+ * state after a reload without a read per card.
+ *
+ * Features:
+ * - Real-time set of liked post IDs for the signed-in user
+ * - Like / unlike with a guard against double taps
+ * - Sign-in prompt for signed-out visitors
+ */
+
+// Create React context for likes
+const LikesContext = createContext();
+
+/**
+ * Custom hook to access the likes context
+ *
+ * @returns {Object} Likes context value
+ */
+export function useLikes() {
+  return useContext(LikesContext);
+}
+
+/**
+ * Likes Provider Component
+ *
+ * Must be rendered inside AuthProvider.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components to wrap
+ */
+export function LikesProvider({ children }) {
+  // ===== STATE MANAGEMENT =====
+  const { currentUser } = useAuth();
+  const [likedIds, setLikedIds] = useState(() => new Set());    // Posts liked by the current user
+  const [pendingIds, setPendingIds] = useState(() => new Set()); // Posts with a like change in flight
+
+  const userId = currentUser ? currentUser.uid : null;
+
+  // ===== FIRESTORE DATA FETCHING =====
+
+  /**
+   * Listens to the user's like records
+   */
+  useEffect(() => {
+    if (!userId) {
+      setLikedIds(new Set());
+      return undefined;
+    }
+
+    const unsubscribe = onSnapshot(
+      collection(db, 'users', userId, 'likes'),
+      (snapshot) => {
+        setLikedIds(new Set(snapshot.docs.map((record) => record.id)));
+      },
+      (error) => {
+        console.error('Error fetching likes:', error);
+      }
+    );
+    return () => unsubscribe();
+  }, [userId]);
+
+  // ===== ACTIONS =====
+
+  /**
+   * Likes or unlikes a post
+   *
+   * @param {string} photoId - Photo document ID
+   */
+  const toggleLike = useCallback(async (photoId) => {
+    if (!userId) {
+      toast.error('Please sign in to like posts');
+      return;
+    }
+
+    setPendingIds((current) => new Set(current).add(photoId));
+    try {
+      await toggleLikeRecord(photoId, userId);
+    } catch (error) {
+      console.error('Error updating like:', error);
+      toast.error(error.message || 'Could not update the like. Please try again.');
+    } finally {
+      setPendingIds((current) => {
+        const next = new Set(current);
+        next.delete(photoId);
+        return next;
+      });
+    }
+  }, [userId]);
+
+  // ===== CONTEXT VALUE =====
+
+  const value = {
+    isLiked: (photoId) => likedIds.has(photoId),          // Whether the user liked a post
+    isLikePending: (photoId) => pendingIds.has(photoId),  // Whether a like change is being saved
+    toggleLike                                            // Like or unlike a post
+  };
+
+  // ===== RENDER =====
+
+  return (
+    <LikesContext.Provider value={value}>
+      {children}
+    </LikesContext.Provider>
+  );
+}
@@ -0,0 +1,235 @@
+import React, { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+import { publishPhoto, reserveDocumentId } from '../firebase/photoPublisher';
+import { isTransientStorageError } from '../firebase/storageUpload';
+import {
+  enqueueUpload,
+  listQueuedUploads,
+  updateQueuedUpload,
+  removeQueuedUpload,
+  withQueuedUploadLock,
+  claimQueuedUpload,
+} from '../utils/uploadQueue';
+import { UPLOAD_QUEUE_MAX_ATTEMPTS } from '../config/upload';
+
+/**
+ * Upload Queue Context
+ *
+ * Keeps posts that could not be sent right away (no connection, or a
+ * network failure mid-upload) and publishes them once the device is back
+ * online. Queued posts survive page reloads because they are stored in
+ * IndexedDB (see utils/uploadQueue.js).
+ *
+ * Features:
+ * - Queue flushed on app start, on reconnect and on service worker
+ *   background sync messages
+ * - Only the signed-in user's own posts are sent
+ * - Each entry is claimed before upload, so open tabs never send it twice
+ * - Queued posts keep a document ID reserved when they were queued, so an
+ *   entry sent again after a crash never creates a second post
+ * - Posts that keep failing are marked as failed for manual retry/discard
+ * - Per-entry upload progress for the Pending Uploads page
+ */
+
+// Create React context for the upload queue
+const UploadQueueContext = createContext();
+
+// Message posted by the service worker when a background sync fires
+const PROCESS_QUEUE_MESSAGE = 'PROCESS_UPLOAD_QUEUE';
+
+/**
+ * Custom hook to access the upload queue context
+ *
+ * @returns {Object} Upload queue context value
+ */
+export function useUploadQueue() {
+  return useContext(UploadQueueContext);
+}
+
+/**
+ * Checks whether an upload failure is worth retrying automatically
+ *
+ * @param {Error} error - Error thrown while publishing
+ * @returns {boolean} True if the failure looks like a connectivity problem
+ */
+export function isRetryableUploadError(error) {
+  return !navigator.onLine || isTransientStorageError(error) || (!!error && error.code === 'unavailable');
+}
+
+/**
+ * Upload Queue Provider Component
+ *
+ * Must be rendered inside AuthProvider.
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components to wrap
+ */
+export function UploadQueueProvider({ children }) {
+  // ===== STATE MANAGEMENT =====
+  const { currentUser } = useAuth();
+  const [pendingUploads, setPendingUploads] = useState([]);  // Queue entries of the current user
+  const [progress, setProgress] = useState({});              // Upload progress (0-1) by entry ID
+  const [isSyncing, setIsSyncing] = useState(false);         // True while the queue is being processed
+  const processingRef = useRef(false);                       // Guards against overlapping runs in this tab
+
+  const userId = currentUser ? currentUser.uid : null;
+
+  // ===== QUEUE OPERATIONS =====
+
+  /**
+   * Reloads the current user's entries from IndexedDB
+   */
+  const refresh = useCallback(async () => {
+    if (!userId) {
+      setPendingUploads([]);
+      return;
+    }
+    try {
+      setPendingUploads(await listQueuedUploads(userId));
+    } catch (error) {
+      console.error('Error reading upload queue:', error);
+    }
+  }, [userId]);
+
+  /**
+   * Publishes every pending entry of the current user, oldest first
+   * Failed entries are left alone until the user retries them.
+   */
+  const processQueue = useCallback(async () => {
+    if (!userId || processingRef.current || !navigator.onLine) return;
+    processingRef.current = true;
+    setIsSyncing(true);
+
+    try {
+      const entries = await listQueuedUploads(userId);
+      for (const { id, status } of entries) {
+        // Stop early if the connection drops again - the rest stay pending
+        if (!navigator.onLine) break;
+        if (status === 'failed') continue;
+
+        // Entries another tab is sending are skipped
+        await withQueuedUploadLock(id, async (isLocked) => {
+          const entry = await claimQueuedUpload(id, isLocked);
+          if (!entry) return;
+          await refresh();
+
+          try {
+            await publishPhoto(entry.submission, {
+              onProgress: (value) => setProgress((current) => ({ ...current, [id]: value })),
+            });
+            await removeQueuedUpload(id);
+            toast.success('A queued photo has been shared');
+          } catch (error) {
+            console.error('Error uploading queued photo:', error);
+            const giveUp = !isRetryableUploadError(error) || entry.attempts >= UPLOAD_QUEUE_MAX_ATTEMPTS;
+            await updateQueuedUpload(id, {
+              status: giveUp ? 'failed' : 'pending',
+              lastError: error && error.code ? error.code : (error && error.message) || 'Upload failed',
+            });
+            if (giveUp) {
+              toast.error('A queued photo could not be uploaded. See Pending Uploads.');
+            }
+          } finally {
+            setProgress((current) => {
+              const { [id]: removed, ...rest } = current;
+              return rest;
+            });
+          }
+        });
+      }
+    } catch (error) {
+      console.error('Error processing upload queue:', error);
+    } finally {
+      processingRef.current = false;
+      setIsSyncing(false);
+      refresh();
+    }
+  }, [userId, refresh]);
+
+  /**
+   * Stores a submission for later upload
+   *
+   * @param {Object} submission - Prepared post (see firebase/photoPublisher.js)
+   * @param {string} [reason] - Why the post could not be sent right away
+   * @returns {Promise<void>}
+   */
+  const queueUpload = useCallback(async (submission, reason = null) => {
+    await enqueueUpload(reserveDocumentId(submission), reason);
+    await refresh();
+  }, [refresh]);
+
+  /**
+   * Resets a failed entry and tries to send it again
+   *
+   * @param {number} id - Entry ID
+   */
+  const retryUpload = useCallback(async (id) => {
+    await updateQueuedUpload(id, { status: 'pending', attempts: 0, lastError: null });
+    await refresh();
+    if (!navigator.onLine) {
+      toast('You are offline - the photo will upload when you reconnect', { icon: '📶' });
+      return;
+    }
+    processQueue();
+  }, [refresh, processQueue]);
+
+  /**
+   * Deletes an entry without uploading it
+   *
+   * @param {number} id - Entry ID
+   */
+  const discardUpload = useCallback(async (id) => {
+    await removeQueuedUpload(id);
+    await refresh();
+  }, [refresh]);
+
+  // ===== SYNC TRIGGERS =====
+
+  /**
+   * Flushes the queue on sign-in/app start and whenever connectivity
+   * returns or the service worker reports a background sync
+   */
+  useEffect(() => {
+    // Entries left "uploading" by a closed tab are picked up again
+    refresh().then(processQueue);
+
+    const handleServiceWorkerMessage = (event) => {
+      if (event.data && event.data.type === PROCESS_QUEUE_MESSAGE) {
+        processQueue();
+      }
+    };
+
+    window.addEventListener('online', processQueue);
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
+    }
+
+    return () => {
+      window.removeEventListener('online', processQueue);
+      if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.removeEventListener('message', handleServiceWorkerMessage);
+      }
+    };
+  }, [refresh, processQueue]);
+
+  // ===== CONTEXT VALUE =====
+
+  const value = {
+    pendingUploads,  // Queue entries of the current user
+    progress,        // Upload progress by entry ID
+    isSyncing,       // True while the queue is being processed
+    queueUpload,     // Store a post for later upload
+    retryUpload,     // Retry a failed entry
+    discardUpload,   // Remove an entry without uploading
+    processQueue     // Flush the queue now
+  };
+
+  // ===== RENDER =====
+
+  return (
+    <UploadQueueContext.Provider value={value}>
+      {children}
+    </UploadQueueContext.Provider>
+  );
+}
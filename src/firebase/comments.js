@@ -0,0 +1,176 @@
+import { doc, collection, updateDoc, writeBatch, runTransaction, increment, serverTimestamp } from 'firebase/firestore';
+import { db } from './config';
+import { newNotificationRef } from './notifications';
+import { COMMENT_MAX_LENGTH, COMMENT_NOTIFICATION_EXCERPT_LENGTH } from '../config/comments';
+
+/**
+ * Comments
+ *
+ * Notes from volunteers on a post ("dropped off blankets at 10pm"), stored
+ * in the post's `comments` subcollection. The post keeps a `commentCount`
+ * and the `lastCommentId` of the comment added or removed with its last
+ * change, which the security rules use to tie the count to a comment. The
+ * post owner gets a notification for every comment by someone
+ * else, written in the same batch. Each report of a comment is a document
+ * in its `reports` subcollection keyed by the reporter, so a user can
+ * report a comment only once.
+ *
+ * Anonymous comments carry no author ID. The author is recorded privately
+ * at anonymousComments/{commentId} ({userId, photoId, createdAt}), written
+ * in the same batch as the comment, which lets them edit or delete it and
+ * is what the security rules check instead. Only the author can read the
+ * record; being keyed by the comment, it is removed by whoever deletes the
+ * comment.
+ *
+ * Comment shape:
+ * {
+ *   userId,            // Author - used by the security rules, null for anonymous comments
+ *   authorName,        // Display name, or null for anonymous comments
+ *   isAnonymous,
+ *   isPoster,          // Written by the person who shared the post
+ *   text,
+ *   reportCount,       // Number of reports (see config/comments.js)
+ *   createdAt,
+ *   editedAt           // Null until the author edits the comment
+ * }
+ */
+
+/**
+ * Returns the private authorship record of an anonymous comment
+ *
+ * @param {string} commentId - Comment ID
+ * @returns {DocumentReference} Record reference
+ */
+export const anonymousCommentRef = (commentId) => doc(db, 'anonymousComments', commentId);
+
+/**
+ * Trims a comment and checks its length
+ *
+ * @param {string} text - Comment text as typed
+ * @returns {string} Trimmed text
+ * @throws {Error} If the comment is empty or too long
+ */
+function cleanCommentText(text) {
+  const cleaned = (text || '').trim();
+  if (!cleaned) {
+    throw new Error('Please write a comment first');
+  }
+  if (cleaned.length > COMMENT_MAX_LENGTH) {
+    throw new Error(`Comments can be at most ${COMMENT_MAX_LENGTH} characters long`);
+  }
+  return cleaned;
+}
+
+/**
+ * Adds a comment to a post and notifies the post owner
+ *
+ * @param {Object} post - Photo document with `id` and `userId`
+ * @param {Object} comment - The comment
+ * @param {Object} comment.author - {id, name} of the user commenting
+ * @param {string} comment.text - Comment text
+ * @param {boolean} comment.isAnonymous - Hide the author's name
+ * @returns {Promise<string>} ID of the new comment
+ * @throws {Error} If the text is empty or too long
+ */
+export async function addComment(post, { author, text, isAnonymous }) {
+  const cleaned = cleanCommentText(text);
+  const photoRef = doc(db, 'photos', post.id);
+  const commentRef = doc(collection(photoRef, 'comments'));
+  const authorName = isAnonymous ? null : (author.name || null);
+
+  const batch = writeBatch(db);
+  batch.set(commentRef, {
+    userId: isAnonymous ? null : author.id,
+    authorName,
+    isAnonymous,
+    isPoster: author.id === post.userId,
+    text: cleaned,
+    reportCount: 0,
+    createdAt: serverTimestamp(),
+    editedAt: null,
+  });
+  batch.update(photoRef, { commentCount: increment(1), lastCommentId: commentRef.id });
+  if (isAnonymous) {
+    batch.set(anonymousCommentRef(commentRef.id), { userId: author.id, photoId: post.id, createdAt: serverTimestamp() });
+  }
+
+  // The owner does not need to hear about their own comments
+  if (post.userId && post.userId !== author.id) {
+    batch.set(newNotificationRef(post.userId), {
+      type: 'comment',
+      photoId: post.id,
+      commentId: commentRef.id,
+      actorId: isAnonymous ? null : author.id,
+      actorName: authorName,
+      excerpt: cleaned.slice(0, COMMENT_NOTIFICATION_EXCERPT_LENGTH),
+      read: false,
+      createdAt: serverTimestamp(),
+    });
+  }
+  await batch.commit();
+
+  return commentRef.id;
+}
+
+/**
+ * Changes the text of a comment
+ *
+ * @param {string} photoId - Photo document ID
+ * @param {string} commentId - Comment ID
+ * @param {string} text - New text
+ * @returns {Promise<void>}
+ * @throws {Error} If the text is empty or too long
+ */
+export async function editComment(photoId, commentId, text) {
+  await updateDoc(doc(db, 'photos', photoId, 'comments', commentId), {
+    text: cleanCommentText(text),
+    editedAt: serverTimestamp(),
+  });
+}
+
+/**
+ * Deletes a comment and lowers the post's comment count
+ * The authorship record of an anonymous comment goes with it, whoever
+ * deletes the comment - deleting a record that does not exist is a no-op.
+ *
+ * @param {string} photoId - Photo document ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<void>}
+ */
+export async function deleteComment(photoId, commentId) {
+  const photoRef = doc(db, 'photos', photoId);
+  const batch = writeBatch(db);
+  batch.delete(doc(photoRef, 'comments', commentId));
+  batch.update(photoRef, { commentCount: increment(-1), lastCommentId: commentId });
+  batch.delete(anonymousCommentRef(commentId));
+  await batch.commit();
+}
+
+/**
+ * Reports a comment for moderation
+ *
+ * @param {string} photoId - Photo document ID
+ * @param {string} commentId - Comment ID
+ * @param {Object} report - The report
+ * @param {string} report.reporterId - User reporting the comment
+ * @param {string} report.reason - Reason ID (see config/comments.js)
+ * @returns {Promise<void>}
+ * @throws {Error} If the comment is gone or the user already reported it
+ */
+export async function reportComment(photoId, commentId, { reporterId, reason }) {
+  const commentRef = doc(db, 'photos', photoId, 'comments', commentId);
+  const reportRef = doc(commentRef, 'reports', reporterId);
+
+  await runTransaction(db, async (transaction) => {
+    const [comment, report] = await Promise.all([transaction.get(commentRef), transaction.get(reportRef)]);
+    if (!comment.exists()) {
+      throw new Error('This comment no longer exists');
+    }
+    if (report.exists()) {
+      throw new Error('You have already reported this comment');
+    }
+
+    transaction.set(reportRef, { reporterId, reason, createdAt: serverTimestamp() });
+    transaction.update(commentRef, { reportCount: increment(1) });
+  });
+}
@@ -0,0 +1,91 @@
+import { doc, getDoc, where, serverTimestamp } from 'firebase/firestore';
+import { ref, getDownloadURL } from 'firebase/storage';
+import { db, storage } from './config';
+
+/**
+ * Consent Records
+ *
+ * The consent status of a post is public (`consentStatus` on the photo
+ * document), but the poster's note and any photo of a signed form are
+ * private. They live in a `private/consent` document under the post (or
+ * under a confirmation) and the photo in Storage under consent/{userId}/
+ * (confirmations/{photoId}/{confirmationId}/ for a confirmation), both
+ * readable only by the poster, moderators and NGOs.
+ *
+ * The author of a confirmation is kept the same way, in a `private/author`
+ * document ({userId, createdAt}), so anonymous confirmations don't name
+ * their author publicly.
+ *
+ * Record shape:
+ * {
+ *   userId,            // Poster - used by the security rules
+ *   status,            // Consent status ID (see config/consent.js)
+ *   note,              // Private note, or null
+ *   photoPath,         // Storage path of the consent photo, or null
+ *   recordedAt         // When the post was submitted
+ * }
+ */
+
+/**
+ * Query constraints that limit a list of posts to those the viewer may read
+ * Posts without consent have `visibility: 'limited'` and are only readable
+ * by their poster, moderators and NGOs. The security rules reject any query
+ * that could return one to someone else, so lists for everyone but
+ * moderators and NGOs must ask for public posts only.
+ *
+ * @param {boolean} isReviewer - Whether the viewer is a moderator or NGO
+ * @returns {Array<QueryConstraint>} Constraints to spread into query()
+ */
+export const visibilityConstraints = (isReviewer) => (
+  isReviewer ? [] : [where('visibility', '==', 'public')]
+);
+
+/**
+ * Returns the private consent document under a post or confirmation
+ *
+ * @param {DocumentReference} parentRef - Photo or confirmation document
+ * @returns {DocumentReference} Consent record reference
+ */
+export const consentRecordRef = (parentRef) => doc(parentRef, 'private', 'consent');
+
+/**
+ * Returns the private author document under a confirmation
+ *
+ * @param {DocumentReference} parentRef - Confirmation document
+ * @returns {DocumentReference} Author record reference
+ */
+export const authorRecordRef = (parentRef) => doc(parentRef, 'private', 'author');
+
+/**
+ * Builds the private consent record for a submission
+ *
+ * @param {Object} submission - Prepared post (see firebase/photoPublisher.js)
+ * @param {string|null} photoPath - Storage path of the uploaded consent photo
+ * @returns {Object} Consent record data
+ */
+export function toConsentRecord(submission, photoPath) {
+  return {
+    userId: submission.userId,
+    status: submission.consent.status,
+    note: submission.consent.note || null,
+    photoPath: photoPath || null,
+    recordedAt: submission.submittedAt || serverTimestamp(),
+  };
+}
+
+/**
+ * Fetches the consent record of a post for review
+ * Only succeeds for the poster, moderators and NGOs.
+ *
+ * @param {string} photoId - Photo document ID
+ * @returns {Promise<Object|null>} Record with a `photoUrl` for the consent
+ *   photo (or null), or null when the post has no record
+ */
+export async function getConsentRecord(photoId) {
+  const snapshot = await getDoc(consentRecordRef(doc(db, 'photos', photoId)));
+  if (!snapshot.exists()) return null;
+
+  const record = snapshot.data();
+  const photoUrl = record.photoPath ? await getDownloadURL(ref(storage, record.photoPath)) : null;
+  return { ...record, photoUrl };
+}
@@ -0,0 +1,73 @@
+import { getPhotosNearby } from './nearby';
+import { getPostImages } from '../utils/image';
+import { hammingDistance } from '../utils/perceptualHash';
+import { toDate } from '../utils/time';
+import { getPostStatus } from '../config/status';
+import {
+  DUPLICATE_RADIUS_M,
+  DUPLICATE_WINDOW_HOURS,
+  DUPLICATE_MAX_HASH_DISTANCE,
+} from '../config/upload';
+
+/**
+ * Duplicate Sighting Detection
+ *
+ * Volunteers often photograph the same person at the same corner on the
+ * same day. Before a post is shared, its perceptual hashes are compared
+ * with recent posts close by; a match is offered to the user as an
+ * existing post they can confirm instead of posting again.
+ *
+ * A post is a likely duplicate when it is:
+ * 1. Within DUPLICATE_RADIUS_M of the new location
+ * 2. Sighted within DUPLICATE_WINDOW_HOURS of the new sighting
+ * 3. Visually similar - any pair of images (photos or clip poster) is at
+ *    most DUPLICATE_MAX_HASH_DISTANCE bits apart
+ * 4. Still open - not resolved, relocated, not found or removed
+ */
+
+/**
+ * Collects the perceptual hashes stored on a photo document
+ * Posts created before hashing was added have none and never match.
+ *
+ * @param {Object} post - Photo document
+ * @returns {Array<string>} Hex hashes of every image and the clip poster
+ */
+function getPostHashes(post) {
+  const images = [...getPostImages(post)];
+  if (post.video && post.video.poster) images.push(post.video.poster);
+  return images.map((image) => image.phash).filter(Boolean);
+}
+
+/**
+ * Finds recent nearby posts that look like the same scene
+ *
+ * @param {Object} sighting - The post about to be shared
+ * @param {Object} sighting.location - {latitude, longitude}
+ * @param {Date|null} sighting.sightedAt - When the person was seen (defaults to now)
+ * @param {Array<string>} sighting.hashes - Perceptual hashes of its images
+ * @returns {Promise<Array<Object>>} Matching posts, closest match first,
+ *   each with `distanceKm` and `hashDistance` fields
+ */
+export async function findLikelyDuplicates({ location, sightedAt, hashes }) {
+  if (!location || hashes.length === 0) return [];
+
+  const nearby = await getPhotosNearby(location, DUPLICATE_RADIUS_M / 1000);
+  const reference = (sightedAt || new Date()).getTime();
+  const windowMs = DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000;
+
+  return nearby
+    // Only open posts can be confirmed; posts with limited visibility are never
+    // offered - the uploader may not be allowed to see them
+    .filter((post) => !getPostStatus(post.status).isClosed && post.visibility !== 'limited')
+    .filter((post) => {
+      const seen = toDate(post.sightedAt || post.createdAt);
+      return seen && Math.abs(seen.getTime() - reference) <= windowMs;
+    })
+    .map((post) => {
+      const postHashes = getPostHashes(post);
+      const distances = hashes.flatMap((hash) => postHashes.map((other) => hammingDistance(hash, other)));
+      return { ...post, hashDistance: distances.length > 0 ? Math.min(...distances) : Infinity };
+    })
+    .filter((post) => post.hashDistance <= DUPLICATE_MAX_HASH_DISTANCE)
+    .sort((a, b) => a.hashDistance - b.hashDistance || a.distanceKm - b.distanceKm);
+}
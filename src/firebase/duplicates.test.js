@@ -0,0 +1,65 @@
+import { findLikelyDuplicates } from './duplicates';
+import { getPhotosNearby } from './nearby';
+
+jest.mock('./nearby', () => ({ getPhotosNearby: jest.fn() }));
+
+const location = { latitude: 12.97, longitude: 77.59 };
+const sightedAt = new Date('2026-03-01T10:00:00Z');
+const hash = '0000000000000000';
+
+const post = (id, overrides = {}) => ({
+  id,
+  status: 'reported',
+  visibility: 'public',
+  distanceKm: 0.05,
+  sightedAt: new Date('2026-03-01T08:00:00Z'),
+  images: [{ phash: hash }],
+  ...overrides,
+});
+
+describe('findLikelyDuplicates', () => {
+  afterEach(() => {
+    getPhotosNearby.mockReset();
+  });
+
+  it('returns nothing without hashes and skips the nearby query', async () => {
+    await expect(findLikelyDuplicates({ location, sightedAt, hashes: [] })).resolves.toEqual([]);
+    expect(getPhotosNearby).not.toHaveBeenCalled();
+  });
+
+  it('ranks matches by hash distance, then by distance', async () => {
+    getPhotosNearby.mockResolvedValue([
+      post('far', { distanceKm: 0.12, images: [{ phash: '00000000000000ff' }] }),
+      post('close', { distanceKm: 0.1 }),
+      post('closest', { distanceKm: 0.02 }),
+    ]);
+
+    const matches = await findLikelyDuplicates({ location, sightedAt, hashes: [hash] });
+    expect(matches.map((match) => [match.id, match.hashDistance])).toEqual([
+      ['closest', 0],
+      ['close', 0],
+      ['far', 8],
+    ]);
+  });
+
+  it('uses the closest pair of images, including the clip poster', async () => {
+    getPhotosNearby.mockResolvedValue([
+      post('clip', { images: [{ phash: 'ffffffffffffffff' }], video: { poster: { phash: '0000000000000003' } } }),
+    ]);
+
+    const [match] = await findLikelyDuplicates({ location, sightedAt, hashes: ['ffffffffffffffff', hash] });
+    expect(match.hashDistance).toBe(0);
+  });
+
+  it('drops posts that look different, are old, closed, limited or unhashed', async () => {
+    getPhotosNearby.mockResolvedValue([
+      post('different', { images: [{ phash: '0000ffffffff0000' }] }),
+      post('old', { sightedAt: new Date('2026-02-27T10:00:00Z') }),
+      post('resolved', { status: 'resolved' }),
+      post('limited', { visibility: 'limited' }),
+      post('legacy', { images: undefined, imageURL: 'https://example.com/a.jpg' }),
+    ]);
+
+    await expect(findLikelyDuplicates({ location, sightedAt, hashes: [hash] })).resolves.toEqual([]);
+  });
+});
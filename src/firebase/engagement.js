@@ -0,0 +1,94 @@
+import { doc, collection, getDocs, runTransaction, setDoc, increment, serverTimestamp } from 'firebase/firestore';
+import { auth, db } from './config';
+import { VIEW_COUNTER_SHARDS } from '../config/engagement';
+
+/**
+ * Likes and Views
+ *
+ * Likes are recorded per user at users/{userId}/likes/{photoId}, so each
+ * user can like a post once and their liked posts can be restored on any
+ * device. The record and the post's `likes` counter change together in a
+ * transaction.
+ *
+ * Views are counted in a sharded counter - VIEW_COUNTER_SHARDS documents
+ * under photos/{photoId}/viewShards, each incremented at random - because
+ * a busy post is seen far more often than one document can be written.
+ * The total is the post's original `views` field plus every shard. Only
+ * views of signed-in users are counted - the security rules require it.
+ *
+ * Like record shape:
+ * {
+ *   photoId,
+ *   createdAt
+ * }
+ */
+
+/**
+ * Returns the like record of a user for a post
+ *
+ * @param {string} userId - User ID
+ * @param {string} photoId - Photo document ID
+ * @returns {DocumentReference} Like record reference
+ */
+export const likeRef = (userId, photoId) => doc(db, 'users', userId, 'likes', photoId);
+
+/**
+ * Likes a post, or removes the like if the user already liked it
+ *
+ * @param {string} photoId - Photo document ID
+ * @param {string} userId - User liking the post
+ * @returns {Promise<boolean>} True if the post is now liked
+ * @throws {Error} If the post no longer exists - its like record is removed
+ */
+export async function toggleLike(photoId, userId) {
+  const photoRef = doc(db, 'photos', photoId);
+  const recordRef = likeRef(userId, photoId);
+
+  const isLiked = await runTransaction(db, async (transaction) => {
+    const [photo, record] = await Promise.all([transaction.get(photoRef), transaction.get(recordRef)]);
+    if (!photo.exists()) {
+      // Like records stay behind when a post is deleted (see firebase/postEditing.js)
+      if (record.exists()) transaction.delete(recordRef);
+      return null;
+    }
+
+    if (record.exists()) {
+      transaction.delete(recordRef);
+      transaction.update(photoRef, { likes: increment(-1) });
+      return false;
+    }
+    transaction.set(recordRef, { photoId, createdAt: serverTimestamp() });
+    transaction.update(photoRef, { likes: increment(1) });
+    return true;
+  });
+
+  if (isLiked === null) {
+    throw new Error('This post no longer exists');
+  }
+  return isLiked;
+}
+
+/**
+ * Counts one view of a post on a random shard
+ * Does nothing for signed-out visitors.
+ *
+ * @param {string} photoId - Photo document ID
+ * @returns {Promise<void>}
+ */
+export async function recordView(photoId) {
+  if (!auth.currentUser) return;
+
+  const shard = Math.floor(Math.random() * VIEW_COUNTER_SHARDS);
+  await setDoc(doc(db, 'photos', photoId, 'viewShards', String(shard)), { count: increment(1) }, { merge: true });
+}
+
+/**
+ * Adds up the views of a post
+ *
+ * @param {Object} post - Photo document with `id`
+ * @returns {Promise<number>} Total number of views
+ */
+export async function getViewCount(post) {
+  const snapshot = await getDocs(collection(db, 'photos', post.id, 'viewShards'));
+  return snapshot.docs.reduce((total, shard) => total + (shard.data().count || 0), post.views || 0);
+}
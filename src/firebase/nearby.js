@@ -0,0 +1,76 @@
+import { collection, query, orderBy, startAt, endAt, getDocs } from 'firebase/firestore';
+import { geohashForLocation, geohashQueryBounds, distanceBetween } from 'geofire-common';
+import { db } from './config';
+import { visibilityConstraints } from './consent';
+
+/**
+ * Geospatial Photo Queries
+ *
+ * Helpers for storing and querying photo locations by geohash.
+ * Each photo document keeps a base-32 geohash in `location.geohash`,
+ * which lets Firestore answer "what's near me" with a handful of
+ * range queries instead of downloading the whole collection.
+ *
+ * How a radius query works:
+ * 1. The circle is covered by up to 9 geohash ranges
+ * 2. Each range becomes one ordered Firestore query
+ * 3. Results are merged and filtered by true distance, because
+ *    geohash cells are rectangles and over-fetch at the edges
+ */
+
+/**
+ * Computes the geohash stored on a photo document
+ *
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {string} Base-32 geohash (10 characters, roughly 1m precision)
+ */
+export function encodeGeohash(latitude, longitude) {
+  return geohashForLocation([latitude, longitude]);
+}
+
+/**
+ * Fetches photos within a radius of a point
+ *
+ * @param {Object} center - Centre point
+ * @param {number} center.latitude - Latitude in degrees
+ * @param {number} center.longitude - Longitude in degrees
+ * @param {number} radiusKm - Search radius in kilometres
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.isReviewer] - Include posts with limited visibility (moderators and NGOs only)
+ * @returns {Promise<Array<Object>>} Photos sorted nearest first, each with a `distanceKm` field
+ */
+export async function getPhotosNearby(center, radiusKm, { isReviewer = false } = {}) {
+  const centerPoint = [center.latitude, center.longitude];
+  const bounds = geohashQueryBounds(centerPoint, radiusKm * 1000);
+
+  // Run one range query per geohash bound in parallel
+  const snapshots = await Promise.all(
+    bounds.map(([start, end]) => getDocs(query(
+      collection(db, 'photos'),
+      ...visibilityConstraints(isReviewer),
+      orderBy('location.geohash'),
+      startAt(start),
+      endAt(end)
+    )))
+  );
+
+  // Merge results, dropping duplicates and false positives outside the circle
+  const photos = new Map();
+  snapshots.forEach((snapshot) => {
+    snapshot.forEach((doc) => {
+      if (photos.has(doc.id)) return;
+
+      const data = doc.data();
+      const { latitude, longitude } = data.location || {};
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return;
+
+      const distanceKm = distanceBetween([latitude, longitude], centerPoint);
+      if (distanceKm <= radiusKm) {
+        photos.set(doc.id, { id: doc.id, ...data, distanceKm });
+      }
+    });
+  });
+
+  return Array.from(photos.values()).sort((a, b) => a.distanceKm - b.distanceKm);
+}
@@ -0,0 +1,47 @@
+import { doc, collection, writeBatch, serverTimestamp } from 'firebase/firestore';
+import { db } from './config';
+
+/**
+ * Notifications
+ *
+ * Messages for a user, stored at users/{userId}/notifications and shown
+ * in the navbar. Other users create them (e.g. a comment on the user's
+ * post); only the recipient can read them or mark them as read.
+ *
+ * Notification shape:
+ * {
+ *   type,              // 'comment'
+ *   photoId,           // Post the notification is about
+ *   commentId,         // Comment that caused it - checked by the security rules
+ *   actorId,           // User who caused it, or null when they chose anonymity
+ *   actorName,         // Display name, or null when they chose anonymity
+ *   excerpt,           // Short quote, e.g. the start of the comment
+ *   read,              // False until the recipient opens it
+ *   createdAt
+ * }
+ */
+
+/**
+ * Returns a new notification reference for a user
+ *
+ * @param {string} userId - Recipient
+ * @returns {DocumentReference} Reference with a generated ID
+ */
+export const newNotificationRef = (userId) => doc(collection(db, 'users', userId, 'notifications'));
+
+/**
+ * Marks notifications as read
+ *
+ * @param {string} userId - Recipient
+ * @param {Array<string>} notificationIds - Notifications to mark
+ * @returns {Promise<void>}
+ */
+export async function markNotificationsRead(userId, notificationIds) {
+  if (notificationIds.length === 0) return;
+
+  const batch = writeBatch(db);
+  notificationIds.forEach((id) => {
+    batch.update(doc(db, 'users', userId, 'notifications', id), { read: true, readAt: serverTimestamp() });
+  });
+  await batch.commit();
+}
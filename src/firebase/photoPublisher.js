@@ -0,0 +1,444 @@
+import { collection, doc, getDoc, writeBatch, runTransaction, increment, serverTimestamp } from 'firebase/firestore';
+import { db } from './config';
+import { createUploadSession } from './storageUpload';
+import { encodeGeohash } from './nearby';
+import { registerCity } from './places';
+import { consentRecordRef, authorRecordRef, toConsentRecord } from './consent';
+import { toTimelineEntry } from './status';
+import { reverseGeocode } from '../utils/reverseGeocode';
+import { extensionForType } from '../utils/image';
+import { extensionForVideoType } from '../utils/video';
+import { summarizeRedactions } from '../utils/redaction';
+import { getLastSeenAt } from '../utils/freshness';
+import { toDate } from '../utils/time';
+import { DEFAULT_URGENCY } from '../config/needs';
+import { getConsentStatus } from '../config/consent';
+import { DEFAULT_STATUS } from '../config/status';
+
+/**
+ * Photo Publishing
+ *
+ * Turns a prepared submission into a live post: uploads every rendition to
+ * Firebase Storage, writes the photo document (with its private consent
+ * record and first timeline entry) to Firestore and registers the city. Used both by the upload modal and by the offline upload queue, so a
+ * queued post ends up exactly like one shared while online. Sightings that
+ * confirm an existing post are stored under that post instead.
+ *
+ * A submission only holds plain values and Blobs, which lets it be stored
+ * in IndexedDB as-is:
+ * {
+ *   userId, userEmail, username,
+ *   images: [{
+ *     renditions: {full, small, medium}: {blob, width, height},
+ *     blurhash, phash,                      // phash: perceptual hash for duplicate detection
+ *     redaction                             // Summary of what was hidden in this image (see utils/redaction.js)
+ *   }],                                     // Ordered, cover image first; empty for clip-only posts
+ *   clip: {
+ *     blob, duration, width, height,
+ *     poster: {renditions, blurhash, phash} // First frame, same shape as an image
+ *   } | null,
+ *   location: {latitude, longitude, accuracy, altitude, altitudeAccuracy, capturedAt, source, adjustedFrom},
+ *   place: {state, district, city} | null,
+ *   sightedAt: Date | null, sightedAtSource,
+ *   description, isAnonymous,
+ *   tags: Array<string>, urgency, peopleCount,
+ *   redaction: {applied, regionCount, detectedFaces, effects},
+ *   consent: {
+ *     status,                               // Consent status ID (see config/consent.js)
+ *     note,                                 // Private note, or null
+ *     photo: {blob, width, height} | null   // Private photo, e.g. a signed form
+ *   } | null,                               // Null for field checks without a photo and for
+ *                                           // posts queued before consent was recorded
+ *   confirmationOf: string | null,          // Existing post this sighting confirms (see publishConfirmation)
+ *   presence: 'still-here' | 'no-longer-here' | undefined,  // Field checks only (see config/freshness.js)
+ *   distanceM: number | undefined,          // Field checks only - metres from the post's location
+ *   documentId: string | undefined,         // Reserved ID of the photo or confirmation document (see reserveDocumentId)
+ *   submittedAt: Date
+ * }
+ */
+
+/**
+ * Reserves the Firestore ID a submission will be published under
+ * Queued submissions keep their ID, so publishing one again - from a
+ * second tab, or after a crash between the write and the queue update -
+ * finds the existing document instead of creating a duplicate.
+ *
+ * @param {Object} submission - Prepared post (see module docs)
+ * @returns {Object} The submission with `documentId` set
+ */
+export function reserveDocumentId(submission) {
+  if (submission.documentId) return submission;
+  return { ...submission, documentId: doc(collection(db, 'photos')).id };
+}
+
+/**
+ * Returns the Storage folder for the media of a poster's post
+ * Media of posts with limited visibility goes to limited/{userId}/, which
+ * only the poster, moderators and NGOs can read (see the Storage rules).
+ *
+ * @param {string} userId - Poster
+ * @param {string} visibility - Visibility of the post ('public' or 'limited')
+ * @returns {string} Storage folder
+ */
+export const mediaFolderFor = (userId, visibility) => (
+  visibility === 'limited' ? `limited/${userId}` : `photos/${userId}`
+);
+
+/**
+ * Uploads every image and the clip of a submission
+ * Also used on its own to upload replacement images when a post is edited
+ * (see firebase/postEditing.js).
+ *
+ * @param {Object} submission - Prepared post (see module docs)
+ * @param {Object} callbacks - Progress hooks (see publishPhoto)
+ * @param {Object} [folders] - Storage folders, see the Storage rules
+ * @param {string} [folders.mediaFolder] - Folder of the photos and clip, photos/{userId} by default
+ * @param {string} [folders.consentFolder] - Folder of the consent photo, consent/{userId} by default
+ * @returns {Promise<{images: Array<Object>, video: Object|null, consentPhotoPath: string|null}>}
+ *   Image entries in display order and the clip, as stored in Firestore,
+ *   and the Storage path of the private consent photo
+ */
+export async function uploadMedia(submission, { onProgress, onRetry, onSession } = {}, folders = {}) {
+  const {
+    mediaFolder = `photos/${submission.userId}`,
+    consentFolder = `consent/${submission.userId}`,
+  } = folders;
+
+  // Entries queued before multi-photo posts carry a single image at the top level
+  const images = submission.images || [{ renditions: submission.renditions, blurhash: submission.blurhash }];
+  const { clip, consent } = submission;
+
+  // Generate unique filenames - the original name is not reused
+  // The cover image keeps the single-photo layout (123.webp, 123_small.webp, ...);
+  // further images get a position suffix (123-2.webp, 123-2_small.webp, ...)
+  // and a clip is stored as 123-clip.webm with its poster at 123-clip_poster.webp
+  const timestamp = Date.now();
+  const basePath = `${mediaFolder}/${timestamp}`;
+
+  // Files to send - per image, the full rendition first, then each smaller one
+  const files = [];
+  const layoutImage = (image, imageBase) => {
+    const { full, ...variants } = image.renditions;
+    const extension = extensionForType(full.blob.type);
+    const entries = [
+      { name: 'full', path: `${imageBase}.${extension}`, rendition: full },
+      ...Object.keys(variants).map((name) => ({
+        name,
+        path: `${imageBase}_${name}.${extension}`,
+        rendition: variants[name],
+      })),
+    ].map((entry) => {
+      // Remember where each rendition sits in the session's URL list
+      files.push({
+        path: entry.path,
+        blob: entry.rendition.blob,
+        metadata: { contentType: entry.rendition.blob.type || 'image/jpeg' },
+      });
+      return { ...entry, fileIndex: files.length - 1 };
+    });
+    return { image, entries };
+  };
+  const layout = images.map((image, index) => (
+    layoutImage(image, index === 0 ? basePath : `${basePath}-${index + 1}`)
+  ));
+
+  // The clip file, followed by its poster renditions
+  let clipLayout = null;
+  if (clip) {
+    const clipPath = `${basePath}-clip.${extensionForVideoType(clip.blob.type)}`;
+    files.push({
+      path: clipPath,
+      blob: clip.blob,
+      metadata: { contentType: clip.blob.type.split(';')[0] || 'video/webm' },
+    });
+    clipLayout = {
+      path: clipPath,
+      fileIndex: files.length - 1,
+      poster: layoutImage(clip.poster, `${basePath}-clip_poster`),
+    };
+  }
+
+  // The consent photo goes to a separate, private folder - its URL is never stored
+  let consentPhotoPath = null;
+  if (consent && consent.photo) {
+    consentPhotoPath = `${consentFolder}/consent-${timestamp}.${extensionForType(consent.photo.blob.type)}`;
+    files.push({
+      path: consentPhotoPath,
+      blob: consent.photo.blob,
+      metadata: { contentType: consent.photo.blob.type || 'image/jpeg' },
+    });
+  }
+
+  // Upload all renditions of all images (and the clip) as one resumable session with combined progress
+  const session = createUploadSession(files, { onProgress, onRetry });
+  if (onSession) onSession(session);
+  const urls = await session.promise;
+
+  // Builds the document entry for an uploaded image
+  const toImageEntry = ({ image, entries }) => {
+    const [full, ...variantEntries] = entries;
+    const variants = {};
+    variantEntries.forEach((entry) => {
+      variants[entry.name] = {
+        url: urls[entry.fileIndex],
+        path: entry.path,
+        width: entry.rendition.width,
+        height: entry.rendition.height,
+      };
+    });
+    return {
+      url: urls[full.fileIndex],
+      path: full.path,
+      width: full.rendition.width,
+      height: full.rendition.height,
+      variants,                         // {small, medium}: {url, path, width, height}
+      blurhash: image.blurhash,
+      phash: image.phash || null,       // Perceptual hash (see utils/perceptualHash.js)
+      redaction: image.redaction || null, // What was hidden in this image - null for entries queued before it was kept
+    };
+  };
+
+  // Ordered image list for the document
+  const postImages = layout.map(toImageEntry);
+  const video = clipLayout && {
+    url: urls[clipLayout.fileIndex],
+    path: clipLayout.path,
+    contentType: files[clipLayout.fileIndex].metadata.contentType,
+    duration: clip.duration,
+    width: clip.width,
+    height: clip.height,
+    size: clip.blob.size,
+    poster: toImageEntry(clipLayout.poster),   // Same shape as an entry of images
+  };
+  return { images: postImages, video: video || null, consentPhotoPath };
+}
+
+/**
+ * Adds a submission to an existing post as a confirmation sighting
+ * Used when the upload looked like a duplicate of a recent nearby post and
+ * the user chose to confirm it rather than create a new post, and for field
+ * checks ("still here" / "no longer here") from people near the post. The
+ * media is stored in the post's `confirmations` subcollection, with its
+ * consent record beneath it. In the same transaction the post's counters
+ * and its `lastSeenAt` / `lastGoneAt` times are updated - a queued check
+ * that arrives late never moves them back.
+ *
+ * Files are stored under confirmations/{photoId}/{confirmationId}/ and the
+ * author in a private record, so an anonymous confirmation does not name
+ * its author anywhere the public can read. Photos taken without consent
+ * are only accepted on posts that are themselves limited to reviewers.
+ *
+ * @param {Object} submission - Prepared post with `confirmationOf` set
+ * @param {Object} [callbacks] - Progress hooks (see publishPhoto)
+ * @returns {Promise<string>} ID of the confirmed photo document
+ */
+export async function publishConfirmation(submission, callbacks = {}) {
+  const photoRef = doc(db, 'photos', submission.confirmationOf);
+  const confirmationRef = submission.documentId
+    ? doc(photoRef, 'confirmations', submission.documentId)
+    : doc(collection(photoRef, 'confirmations'));
+
+  // A queued confirmation that was already published is not sent again
+  if (submission.documentId && (await getDoc(confirmationRef)).exists()) {
+    return submission.confirmationOf;
+  }
+
+  // Checked before uploading too, so a refused photo is never sent
+  const { location, consent } = submission;
+  const isLimited = getConsentStatus(consent && consent.status)?.visibility === 'limited';
+  const assertVisibility = (post) => {
+    if (isLimited && post.visibility !== 'limited') {
+      throw new Error('Photos taken without consent cannot be added to a public post');
+    }
+  };
+  if (isLimited) {
+    const snapshot = await getDoc(photoRef);
+    if (snapshot.exists()) assertVisibility(snapshot.data());
+  }
+
+  const folder = `confirmations/${photoRef.id}/${confirmationRef.id}`;
+  const { images, video, consentPhotoPath } = await uploadMedia(submission, callbacks, {
+    mediaFolder: folder,
+    consentFolder: folder,
+  });
+
+  const isGoneReport = submission.presence === 'no-longer-here';
+  const sightedAt = toDate(submission.sightedAt || submission.submittedAt) || new Date();
+
+  const confirmationData = {
+    // The author of anonymous confirmations is only kept in the private author record
+    userId: submission.isAnonymous ? null : submission.userId,
+    username: submission.isAnonymous ? null : submission.username,
+    isAnonymous: submission.isAnonymous,
+    // 'duplicate-upload' for a detected duplicate, 'field-check' for a presence check
+    source: submission.presence ? 'field-check' : 'duplicate-upload',
+    presence: submission.presence || 'still-here',
+    distanceM: Number.isFinite(submission.distanceM) ? Math.round(submission.distanceM) : null,
+    images,
+    imageCount: images.length,
+    video,
+    location: {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      accuracy: location.accuracy ?? null,
+      source: location.source,
+    },
+    sightedAt,
+    description: submission.description || null,
+    redaction: submission.redaction || summarizeRedactions(),
+    consentStatus: consent ? consent.status : null,
+    // Lets the post's owner remove the file with the post - it stays private
+    consentPhotoPath,
+    createdAt: serverTimestamp(),
+  };
+
+  await runTransaction(db, async (transaction) => {
+    const [snapshot, existing] = await Promise.all([transaction.get(photoRef), transaction.get(confirmationRef)]);
+    if (!snapshot.exists()) {
+      throw new Error('This post no longer exists');
+    }
+    // Another tab published the same queued confirmation in the meantime
+    if (existing.exists()) return;
+    const post = snapshot.data();
+    assertVisibility(post);
+
+    // Sightings count as confirmations; "no longer here" checks are counted separately
+    // The security rules check the counters against the confirmation named here
+    const update = isGoneReport
+      ? { goneReportCount: increment(1), lastConfirmationId: confirmationRef.id }
+      : { confirmationCount: increment(1), lastConfirmedAt: serverTimestamp(), lastConfirmationId: confirmationRef.id };
+    if (isGoneReport) {
+      const lastGoneAt = toDate(post.lastGoneAt);
+      if (!lastGoneAt || sightedAt > lastGoneAt) update.lastGoneAt = sightedAt;
+    } else {
+      const lastSeenAt = getLastSeenAt(post);
+      if (!lastSeenAt || sightedAt > lastSeenAt) update.lastSeenAt = sightedAt;
+    }
+
+    transaction.set(confirmationRef, confirmationData);
+    transaction.set(authorRecordRef(confirmationRef), { userId: submission.userId, createdAt: serverTimestamp() });
+    if (consent) {
+      transaction.set(consentRecordRef(confirmationRef), toConsentRecord(submission, consentPhotoPath));
+    }
+    transaction.update(photoRef, update);
+  });
+
+  return submission.confirmationOf;
+}
+
+/**
+ * Uploads a submission and creates its photo document
+ * Submissions confirming an existing post are handed to publishConfirmation,
+ * so queued confirmations are published the same way as queued posts.
+ *
+ * @param {Object} submission - Prepared post (see module docs)
+ * @param {Object} [callbacks] - Optional progress hooks
+ * @param {function} [callbacks.onProgress] - Called with overall upload progress (0-1)
+ * @param {function} [callbacks.onRetry] - Called with (attempt, delayMs) before a retry
+ * @param {function} [callbacks.onSession] - Receives the upload session for pause/resume/cancel
+ * @returns {Promise<string>} ID of the new (or confirmed) photo document
+ */
+export async function publishPhoto(submission, callbacks = {}) {
+  if (submission.confirmationOf) {
+    return publishConfirmation(submission, callbacks);
+  }
+
+  const docRef = submission.documentId ? doc(db, 'photos', submission.documentId) : doc(collection(db, 'photos'));
+
+  // A queued post that was already published is not sent again
+  if (submission.documentId && (await getDoc(docRef)).exists()) {
+    return docRef.id;
+  }
+
+  // 'limited' posts are only listed for the poster, moderators and NGOs, and their media is private too
+  const { location, consent } = submission;
+  const visibility = (consent && getConsentStatus(consent.status)?.visibility) || 'public';
+
+  const { images: postImages, video, consentPhotoPath } = await uploadMedia(submission, callbacks, {
+    mediaFolder: mediaFolderFor(submission.userId, visibility),
+  });
+  // Clip-only posts use the poster frame as their cover
+  const cover = postImages[0] || video.poster;
+
+  // Resolve state/district/city if the preview lookup had not finished
+  const place = submission.place || await reverseGeocode(location);
+
+  // Prepare photo data for Firestore
+  const photoData = {
+    userId: submission.userId,
+    userEmail: submission.userEmail,
+    username: submission.username,
+    // Cover image - kept at the top level for single-image consumers (map popups, older clients)
+    imageURL: cover.url,
+    imagePath: cover.path,
+    imageWidth: cover.width,
+    imageHeight: cover.height,
+    imageVariants: cover.variants,              // {small, medium}: {url, path, width, height}
+    imageBlurhash: cover.blurhash,              // Blurred placeholder shown while loading
+    images: postImages,                         // Every image in display order, cover first
+    imageCount: postImages.length,
+    video,                                      // Silent clip {url, path, contentType, duration, width, height, size, poster}
+    location: {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      accuracy: location.accuracy ?? null,                 // Metres, from the GPS fix
+      altitude: location.altitude ?? null,
+      altitudeAccuracy: location.altitudeAccuracy ?? null,
+      capturedAt: location.capturedAt || null,             // Time of the GPS fix
+      source: location.source,                             // 'gps', 'exif' or 'manual' (pin dragged)
+      adjustedFrom: location.adjustedFrom || null,         // Original source of a manually adjusted pin
+      // Base-32 geohash for efficient geospatial queries (see firebase/nearby.js)
+      geohash: encodeGeohash(location.latitude, location.longitude)
+    },
+    // Administrative place names from offline reverse geocoding
+    state: place.state,
+    district: place.district,
+    city: place.city,
+    // When the person was seen - falls back to the time the post was submitted,
+    // which for queued posts is earlier than the time they reach the server
+    sightedAt: submission.sightedAt || submission.submittedAt || serverTimestamp(),
+    sightedAtSource: submission.sightedAt ? submission.sightedAtSource : 'upload',
+    // Last time the person was seen here - moved forward by "still here" checks (see utils/freshness.js)
+    lastSeenAt: submission.sightedAt || submission.submittedAt || serverTimestamp(),
+    description: submission.description || null,
+    // Need taxonomy (see config/needs.js) - tags holds category IDs
+    tags: submission.tags || [],
+    urgency: submission.urgency || DEFAULT_URGENCY,
+    peopleCount: submission.peopleCount || null,   // Approximate number of people
+    isAnonymous: submission.isAnonymous,
+    // Whether faces/identifying details were blurred into the image before upload
+    redaction: submission.redaction || summarizeRedactions(),
+    // How consent was obtained - the note and consent photo are in the private record
+    consentStatus: consent ? consent.status : null,
+    visibility,
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+    status: DEFAULT_STATUS,                     // Lifecycle status (see config/status.js)
+    statusUpdatedAt: serverTimestamp(),
+    confirmationCount: 0,                       // Duplicate sightings and "still here" checks
+    goneReportCount: 0,                         // "No longer here" checks
+    likes: 0,
+    views: 0
+  };
+
+  // Store photo metadata, the private consent record, the first timeline entry
+  // and the city behind "Cities Covered" in Firestore
+  const batch = writeBatch(db);
+  batch.set(docRef, photoData);
+  batch.set(doc(collection(docRef, 'timeline')), toTimelineEntry({
+    status: DEFAULT_STATUS,
+    previousStatus: null,
+    actor: {
+      id: submission.userId,
+      name: submission.isAnonymous ? null : submission.username,
+      role: 'poster',
+    },
+  }));
+  if (consent) {
+    batch.set(consentRecordRef(docRef), toConsentRecord(submission, consentPhotoPath));
+  }
+  registerCity(batch, docRef, place);
+  await batch.commit();
+
+  return docRef.id;
+}
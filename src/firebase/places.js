@@ -0,0 +1,55 @@
+import { doc, collection, getCountFromServer, serverTimestamp } from 'firebase/firestore';
+import { db } from './config';
+
+/**
+ * Place Registry
+ *
+ * Keeps one document per city that has at least one photo, in the
+ * `cities` collection. This lets the home page show a real
+ * "Cities Covered" count with a single aggregate query instead of
+ * scanning every photo. Cities are only written in the batch that creates
+ * a photo in them, which the security rules check.
+ */
+
+/**
+ * Builds a stable document ID for a city, e.g. "maharashtra--pune"
+ *
+ * @param {string} state - State name
+ * @param {string} city - City name
+ * @returns {string} Lowercase slug
+ */
+function cityId(state, city) {
+  const slug = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug(state)}--${slug(city)}`;
+}
+
+/**
+ * Adds the city of a new photo to the batch that creates the photo
+ * Does nothing when the city or state is unknown
+ *
+ * @param {WriteBatch} batch - Batch that creates the photo document
+ * @param {DocumentReference} photoRef - The new photo document
+ * @param {Object} place - Place returned by reverseGeocode
+ * @param {string|null} place.city - City name
+ * @param {string|null} place.district - District name
+ * @param {string|null} place.state - State name
+ */
+export function registerCity(batch, photoRef, { city, district, state }) {
+  if (!city || !state) return;
+
+  batch.set(
+    doc(db, 'cities', cityId(state, city)),
+    { city, district: district || null, state, photoId: photoRef.id, lastPhotoAt: serverTimestamp() },
+    { merge: true }
+  );
+}
+
+/**
+ * Counts the cities that have at least one photo
+ *
+ * @returns {Promise<number>} Number of registered cities
+ */
+export async function countCitiesCovered() {
+  const snapshot = await getCountFromServer(collection(db, 'cities'));
+  return snapshot.data().count;
+}
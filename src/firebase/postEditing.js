@@ -0,0 +1,303 @@
+import {
+  doc,
+  collection,
+  query,
+  where,
+  getDoc,
+  getDocs,
+  orderBy,
+  runTransaction,
+  writeBatch,
+  increment,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { ref, deleteObject } from 'firebase/storage';
+import { db, storage } from './config';
+import { uploadMedia, mediaFolderFor } from './photoPublisher';
+import { consentRecordRef, authorRecordRef } from './consent';
+import { anonymousCommentRef } from './comments';
+import { getPostImages } from '../utils/image';
+import { summarizePostRedactions } from '../utils/redaction';
+
+/**
+ * Post Editing
+ *
+ * Lets the person who shared a post correct or retract it. Edits can change
+ * the description, need tags and anonymity, and replace photos with newly
+ * redacted versions. Each edit adds an entry to the post's `versions`
+ * subcollection with the values it replaced, readable by the poster,
+ * moderators and NGOs. Replaced and deleted photos are removed from
+ * Storage, so an unredacted original does not stay reachable.
+ *
+ * Version entry shape:
+ * {
+ *   editorId,          // User who made the edit (always the poster)
+ *   fields,            // Names of the fields changed, e.g. ['description', 'images']
+ *   previous,          // Earlier values of description, tags and isAnonymous that changed
+ *   replacedImages,    // [{index, path}] - position and old Storage path of replaced photos
+ *   createdAt
+ * }
+ */
+
+// Fields the poster can change directly
+const EDITABLE_FIELDS = ['description', 'tags', 'isAnonymous'];
+
+// Subcollections removed together with a post - confirmations first, as
+// their files are listed from the documents
+const POST_SUBCOLLECTIONS = ['confirmations', 'comments', 'timeline', 'viewShards', 'versions'];
+
+// Most writes Firestore accepts in one batch
+const BATCH_LIMIT = 500;
+
+/**
+ * Lists the Storage paths of an image entry and its renditions
+ *
+ * @param {Object} image - Image entry of a photo document
+ * @returns {Array<string>} Storage paths
+ */
+function getImagePaths(image) {
+  return [image.path, ...Object.values(image.variants || {}).map((variant) => variant.path)];
+}
+
+/**
+ * Lists every Storage object of a post - photos, renditions, clip and poster
+ *
+ * @param {Object} post - Photo document
+ * @returns {Array<string>} Unique Storage paths
+ */
+export function getPostStoragePaths(post) {
+  const paths = getPostImages(post).flatMap(getImagePaths);
+  if (post.video) {
+    paths.push(post.video.path, ...getImagePaths(post.video.poster));
+  }
+  return [...new Set(paths.filter(Boolean))];
+}
+
+/**
+ * Deletes Storage objects, ignoring ones that are already gone
+ * Failures are logged and do not throw - the post itself is already updated.
+ *
+ * @param {Array<string>} paths - Storage paths
+ * @returns {Promise<void>}
+ */
+async function deleteStorageObjects(paths) {
+  const results = await Promise.allSettled(paths.map((path) => deleteObject(ref(storage, path))));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected' && result.reason?.code !== 'storage/object-not-found') {
+      console.error(`Error deleting ${paths[index]}:`, result.reason);
+    }
+  });
+}
+
+/**
+ * Deletes documents in batches of at most BATCH_LIMIT
+ *
+ * @param {Array<DocumentReference>} refs - Documents to delete
+ * @returns {Promise<void>}
+ */
+async function deleteDocuments(refs) {
+  for (let start = 0; start < refs.length; start += BATCH_LIMIT) {
+    const batch = writeBatch(db);
+    refs.slice(start, start + BATCH_LIMIT).forEach((docRef) => batch.delete(docRef));
+    await batch.commit();
+  }
+}
+
+/**
+ * Edits a post and records the previous values as a version
+ *
+ * @param {string} photoId - Photo document ID
+ * @param {Object} edit - The edit
+ * @param {Object} edit.changes - New values for any of description, tags and isAnonymous
+ * @param {Array<Object>} [edit.replacements] - Photos to replace:
+ *   [{index, image: {renditions, blurhash, phash, redaction}}] where redaction
+ *   is the summary of the regions burned into the new image
+ * @param {string} edit.editorId - User making the edit
+ * @param {Object} [callbacks] - Upload progress hooks (see publishPhoto)
+ * @returns {Promise<void>}
+ * @throws {Error} If the post is gone, belongs to someone else or nothing changed
+ */
+export async function editPost(photoId, { changes, replacements = [], editorId }, callbacks = {}) {
+  const photoRef = doc(db, 'photos', photoId);
+
+  // Upload the replacement photos first - the document only points at them once they exist
+  let uploaded = [];
+  if (replacements.length > 0) {
+    // Into the same folder as the post's media, which is private for limited posts
+    const current = await getDoc(photoRef);
+    if (!current.exists()) {
+      throw new Error('This post no longer exists');
+    }
+    const result = await uploadMedia({
+      userId: editorId,
+      images: replacements.map((replacement) => replacement.image),
+      clip: null,
+      consent: null,
+    }, callbacks, { mediaFolder: mediaFolderFor(editorId, current.data().visibility) });
+    uploaded = result.images;
+  }
+
+  // Timeline entries made as the poster carry their name, which follows the anonymity setting
+  const posterEntries = 'isAnonymous' in changes
+    ? await getDocs(query(collection(photoRef, 'timeline'), where('actorId', '==', editorId), where('actorRole', '==', 'poster')))
+    : null;
+
+  let replacedPaths = [];
+  try {
+    await runTransaction(db, async (transaction) => {
+      const snapshot = await transaction.get(photoRef);
+      if (!snapshot.exists()) {
+        throw new Error('This post no longer exists');
+      }
+      const post = snapshot.data();
+      replacedPaths = [];  // Transactions can run more than once
+      if (post.userId !== editorId) {
+        throw new Error('Only the person who shared this post can edit it');
+      }
+
+      // Keep only the fields that actually change
+      const fields = EDITABLE_FIELDS.filter((field) => (
+        field in changes && JSON.stringify(changes[field]) !== JSON.stringify(post[field] ?? null)
+      ));
+      if (fields.length === 0 && uploaded.length === 0) {
+        throw new Error('Nothing has changed');
+      }
+
+      const update = {};
+      const previous = {};
+      fields.forEach((field) => {
+        update[field] = changes[field];
+        previous[field] = post[field] ?? null;
+      });
+
+      // Swap in the replacement photos, keeping their positions
+      const replacedImages = [];
+      if (uploaded.length > 0) {
+        // Older posts rebuilt from the top-level fields can hold undefined values, which Firestore rejects
+        const images = getPostImages(post).map((image) => (
+          Object.fromEntries(Object.entries(image).filter(([, value]) => value !== undefined))
+        ));
+        replacements.forEach((replacement, index) => {
+          const old = images[replacement.index];
+          if (!old) {
+            throw new Error('The photo you replaced is no longer part of this post');
+          }
+          replacedImages.push({ index: replacement.index, path: old.path });
+          replacedPaths.push(...getImagePaths(old));
+          images[replacement.index] = uploaded[index];
+        });
+        update.images = images;
+        update.imageCount = images.length;
+        update.redaction = summarizePostRedactions(images, post.redaction);
+        fields.push('images');
+
+        // The cover is also kept at the top level for single-image consumers
+        const cover = images[0];
+        update.imageURL = cover.url;
+        update.imagePath = cover.path;
+        update.imageWidth = cover.width ?? null;
+        update.imageHeight = cover.height ?? null;
+        update.imageVariants = cover.variants || {};
+        update.imageBlurhash = cover.blurhash ?? null;
+      }
+
+      transaction.set(doc(collection(photoRef, 'versions')), {
+        editorId,
+        fields,
+        previous,
+        replacedImages,
+        createdAt: serverTimestamp(),
+      });
+      transaction.update(photoRef, {
+        ...update,
+        versionCount: increment(1),
+        editedAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+      if (posterEntries && fields.includes('isAnonymous')) {
+        posterEntries.docs.forEach((entry) => {
+          transaction.update(entry.ref, { actorName: changes.isAnonymous ? null : post.username });
+        });
+      }
+    });
+  } catch (error) {
+    // The edit was not saved - the new uploads are not referenced anywhere
+    await deleteStorageObjects(uploaded.flatMap(getImagePaths));
+    throw error;
+  }
+
+  await deleteStorageObjects(replacedPaths);
+}
+
+/**
+ * Deletes a post with its photos, clip and private consent record
+ * Confirmations (with their files, consent and author records), comments
+ * (with the authorship records of anonymous ones), timeline, view counters,
+ * versions and the owner's notifications about the post are deleted first,
+ * while the security rules can still check the post's owner. Reports on
+ * comments are kept for moderators.
+ *
+ * Some records of other users stay behind, as the owner cannot delete
+ * them: like records (readers only look up posts on screen, and toggleLike
+ * drops a record whose post is gone), and files of confirmations stored
+ * under their author's photos/ folder before confirmations got a folder
+ * of their own, which are only logged.
+ *
+ * @param {Object} post - Photo document with `id`
+ * @param {string} userId - User deleting the post
+ * @returns {Promise<void>}
+ * @throws {Error} If the post belongs to someone else
+ */
+export async function deletePost(post, userId) {
+  if (post.userId !== userId) {
+    throw new Error('Only the person who shared this post can delete it');
+  }
+
+  const photoRef = doc(db, 'photos', post.id);
+  const consentRef = consentRecordRef(photoRef);
+  const [consentSnapshot, notifications, ...subcollections] = await Promise.all([
+    getDoc(consentRef),
+    getDocs(query(collection(db, 'users', userId, 'notifications'), where('photoId', '==', post.id))),
+    ...POST_SUBCOLLECTIONS.map((name) => getDocs(collection(photoRef, name))),
+  ]);
+  const consentPhotoPath = consentSnapshot.exists() ? consentSnapshot.data().photoPath : null;
+
+  // Confirmations hold media and consent and author records of the person who added them
+  const confirmations = subcollections[0].docs;
+  const confirmationPaths = confirmations.flatMap((confirmation) => {
+    const data = confirmation.data();
+    return [...getPostStoragePaths(data), data.consentPhotoPath];
+  }).filter(Boolean);
+
+  // Authorship records of anonymous comments follow their comments, which the rules require to be gone
+  const comments = subcollections[POST_SUBCOLLECTIONS.indexOf('comments')].docs;
+  await deleteDocuments([
+    ...confirmations.flatMap((confirmation) => [consentRecordRef(confirmation.ref), authorRecordRef(confirmation.ref)]),
+    ...subcollections.flatMap((snapshot) => snapshot.docs.map((entry) => entry.ref)),
+    ...comments.filter((comment) => comment.data().isAnonymous).map((comment) => anonymousCommentRef(comment.id)),
+    ...notifications.docs.map((notification) => notification.ref),
+  ]);
+  await deleteStorageObjects(confirmationPaths);
+
+  // Remove the document before its files so the post disappears even if a file cannot be deleted
+  const batch = writeBatch(db);
+  if (consentSnapshot.exists()) {
+    batch.delete(consentRef);
+  }
+  batch.delete(photoRef);
+  await batch.commit();
+
+  await deleteStorageObjects([...getPostStoragePaths(post), consentPhotoPath].filter(Boolean));
+}
+
+/**
+ * Loads the edit history of a post, newest first
+ * Only succeeds for the poster, moderators and NGOs.
+ *
+ * @param {string} photoId - Photo document ID
+ * @returns {Promise<Array<Object>>} Version entries with `id`
+ */
+export async function getPostVersions(photoId) {
+  const snapshot = await getDocs(query(collection(db, 'photos', photoId, 'versions'), orderBy('createdAt', 'desc')));
+  return snapshot.docs.map((entry) => ({ id: entry.id, ...entry.data() }));
+}
@@ -0,0 +1,46 @@
+import { getPostStoragePaths } from './postEditing';
+
+jest.mock('./config', () => ({ db: {}, storage: {} }));
+
+const image = (base) => ({
+  url: `https://example.com/${base}.webp`,
+  path: `photos/u1/${base}.webp`,
+  variants: {
+    small: { path: `photos/u1/${base}_small.webp` },
+    medium: { path: `photos/u1/${base}_medium.webp` },
+  },
+});
+
+describe('getPostStoragePaths', () => {
+  it('lists every image with its renditions', () => {
+    expect(getPostStoragePaths({ images: [image('1'), image('1-2')] })).toEqual([
+      'photos/u1/1.webp',
+      'photos/u1/1_small.webp',
+      'photos/u1/1_medium.webp',
+      'photos/u1/1-2.webp',
+      'photos/u1/1-2_small.webp',
+      'photos/u1/1-2_medium.webp',
+    ]);
+  });
+
+  it('includes the clip and its poster frame of a clip-only post', () => {
+    const poster = image('1-clip_poster');
+    expect(getPostStoragePaths({ images: [], imagePath: poster.path, video: { path: 'photos/u1/1-clip.webm', poster } })).toEqual([
+      'photos/u1/1-clip.webm',
+      'photos/u1/1-clip_poster.webp',
+      'photos/u1/1-clip_poster_small.webp',
+      'photos/u1/1-clip_poster_medium.webp',
+    ]);
+  });
+
+  it('reads single-image posts from their top-level fields', () => {
+    expect(getPostStoragePaths({
+      imagePath: 'photos/u1/1.jpg',
+      imageVariants: { small: { path: 'photos/u1/1_small.jpg' } },
+    })).toEqual(['photos/u1/1.jpg', 'photos/u1/1_small.jpg']);
+  });
+
+  it('skips missing paths of very old posts', () => {
+    expect(getPostStoragePaths({ imageURL: 'https://example.com/old.jpg' })).toEqual([]);
+  });
+});
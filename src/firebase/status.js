@@ -0,0 +1,88 @@
+import { doc, collection, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db } from './config';
+import { STATUS_TRANSITIONS, normalizeStatus, getPostStatus } from '../config/status';
+
+/**
+ * Post Status Changes
+ *
+ * Moves a post along its lifecycle (see config/status.js). The new status
+ * is written to the photo document and a matching entry is added to the
+ * post's `timeline` subcollection in the same transaction, so the timeline
+ * always explains the current status.
+ *
+ * Timeline entry shape:
+ * {
+ *   status,            // Status the post moved to
+ *   previousStatus,    // Status before the change, or null for the first entry
+ *   actorId,           // User who made the change
+ *   actorName,         // Display name, or null for anonymous posters
+ *   actorRole,         // 'poster', 'moderator' or 'ngo'
+ *   note,              // Optional note, e.g. which shelter the person went to
+ *   createdAt
+ * }
+ */
+
+/**
+ * Builds a timeline entry
+ *
+ * @param {Object} change - The status change
+ * @param {string} change.status - New status ID
+ * @param {string|null} change.previousStatus - Old status ID
+ * @param {Object} change.actor - {id, name, role} of the user making the change
+ * @param {string|null} [change.note] - Optional note
+ * @returns {Object} Timeline entry data
+ */
+export function toTimelineEntry({ status, previousStatus, actor, note = null }) {
+  return {
+    status,
+    previousStatus,
+    actorId: actor.id,
+    actorName: actor.name || null,
+    actorRole: actor.role,
+    note: note || null,
+    createdAt: serverTimestamp(),
+  };
+}
+
+/**
+ * Changes the status of a post and records it on the timeline
+ *
+ * @param {string} photoId - Photo document ID
+ * @param {Object} change - The status change
+ * @param {string} change.status - New status ID
+ * @param {Object} change.actor - {id, name, role} of the user making the change
+ * @param {string} [change.note] - Optional note
+ * @returns {Promise<void>}
+ * @throws {Error} If the post is gone or the transition is not allowed
+ */
+export async function changePostStatus(photoId, { status, actor, note }) {
+  const photoRef = doc(db, 'photos', photoId);
+
+  await runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(photoRef);
+    if (!snapshot.exists()) {
+      throw new Error('This post no longer exists');
+    }
+
+    // Re-checked here - someone else may have changed the status meanwhile
+    const current = normalizeStatus(snapshot.data().status);
+    if (!STATUS_TRANSITIONS[current].includes(status)) {
+      throw new Error(`A post marked "${getPostStatus(current).label}" cannot be changed to "${getPostStatus(status).label}"`);
+    }
+
+    // The entry's ID lets the security rules check it is written in the same transaction
+    const entryRef = doc(collection(photoRef, 'timeline'));
+    transaction.update(photoRef, {
+      status,
+      statusUpdatedAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+      lastTimelineEntryId: entryRef.id,
+    });
+    transaction.set(entryRef, toTimelineEntry({
+      status,
+      previousStatus: current,
+      actor,
+      note,
+    }));
+  });
+}
@@ -0,0 +1,123 @@
+import { ref, uploadBytesResumable, getDownloadURL, deleteObject } from 'firebase/storage';
+import { storage } from './config';
+import { UPLOAD_MAX_RETRIES, UPLOAD_RETRY_BASE_DELAY_MS } from '../config/upload';
+
+/**
+ * Resumable Storage Uploads
+ *
+ * Uploads one or more files to Firebase Storage as a single session with
+ * combined progress, pause/resume/cancel controls and automatic retries.
+ *
+ * Retry behaviour:
+ * - Only transient errors (network drops, server hiccups) are retried
+ * - Each retry waits twice as long as the previous one
+ * - A retried file starts again from zero; its progress is reset
+ *
+ * If the session fails or is cancelled, files that did finish uploading
+ * are deleted so no orphaned objects are left in the bucket.
+ */
+
+// Storage error codes worth retrying - everything else fails immediately
+const TRANSIENT_ERROR_CODES = [
+  'storage/retry-limit-exceeded',
+  'storage/unknown',
+  'storage/server-file-wrong-size',
+];
+
+/**
+ * Checks whether a Storage error is likely to succeed on retry
+ *
+ * @param {Error} error - Error thrown by Firebase Storage
+ * @returns {boolean} True for transient errors
+ */
+export function isTransientStorageError(error) {
+  return !!error && TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Starts a resumable upload session
+ *
+ * @param {Array<{path: string, blob: Blob, metadata: Object}>} files - Files to upload
+ * @param {Object} [callbacks] - Optional listeners
+ * @param {function(number)} [callbacks.onProgress] - Called with overall progress between 0 and 1
+ * @param {function(number, number)} [callbacks.onRetry] - Called with (attempt, delayMs) before a retry
+ * @returns {{promise: Promise<Array<string>>, pause: function, resume: function, cancel: function}}
+ *   Session controls; `promise` resolves with download URLs in the order of `files`
+ */
+export function createUploadSession(files, { onProgress, onRetry } = {}) {
+  const totalBytes = files.reduce((sum, file) => sum + file.blob.size, 0) || 1;
+  const transferred = files.map(() => 0);  // Bytes sent per file
+  const tasks = files.map(() => null);     // Current upload task per file
+  const completed = [];                    // Storage refs that finished uploading
+  let paused = false;
+  let cancelled = false;
+
+  const reportProgress = () => {
+    if (onProgress) {
+      const sent = transferred.reduce((sum, bytes) => sum + bytes, 0);
+      onProgress(Math.min(1, sent / totalBytes));
+    }
+  };
+
+  // Runs one upload attempt for a file and resolves with its final snapshot
+  const runTask = (file, index) => new Promise((resolve, reject) => {
+    const task = uploadBytesResumable(ref(storage, file.path), file.blob, file.metadata);
+    tasks[index] = task;
+    if (paused) task.pause();
+
+    task.on(
+      'state_changed',
+      (snapshot) => {
+        transferred[index] = snapshot.bytesTransferred;
+        reportProgress();
+      },
+      reject,
+      () => resolve(task.snapshot)
+    );
+  });
+
+  // Uploads one file, retrying transient failures with exponential backoff
+  const uploadFile = async (file, index) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const snapshot = await runTask(file, index);
+        completed.push(snapshot.ref);
+        return getDownloadURL(snapshot.ref);
+      } catch (error) {
+        if (cancelled || !isTransientStorageError(error) || attempt > UPLOAD_MAX_RETRIES) {
+          throw error;
+        }
+        const delay = UPLOAD_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+        if (onRetry) onRetry(attempt, delay);
+        transferred[index] = 0;
+        reportProgress();
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        if (cancelled) throw error;
+      }
+    }
+  };
+
+  const promise = Promise.all(files.map(uploadFile)).catch(async (error) => {
+    // Stop the remaining uploads and remove anything that already finished
+    cancelled = true;
+    tasks.forEach((task) => task && task.cancel());
+    await Promise.all(completed.map((fileRef) => deleteObject(fileRef).catch(() => {})));
+    throw error;
+  });
+
+  return {
+    promise,
+    pause() {
+      paused = true;
+      tasks.forEach((task) => task && task.pause());
+    },
+    resume() {
+      paused = false;
+      tasks.forEach((task) => task && task.resume());
+    },
+    cancel() {
+      cancelled = true;
+      tasks.forEach((task) => task && task.cancel());
+    },
+  };
+}
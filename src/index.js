@@ -4,6 +4,7 @@ import { BrowserRouter } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 /**
  * Application Entry Point
@@ -17,6 +18,7 @@ import App from './App';
  * - BrowserRouter for client-side routing
  * - Global toast notification system
  * - Strict mode for development debugging
+ * - Service worker for offline app shell and background upload sync
  */
 
 // Create root element for React 18 concurrent features
@@ -59,3 +61,6 @@ root.render(
     </BrowserRouter>
   </React.StrictMode>
 );
+
+// Offline support - caches the app shell and wakes queued uploads on reconnect
+serviceWorkerRegistration.register();
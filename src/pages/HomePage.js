@@ -4,6 +4,7 @@ import { useAuth } from '../contexts/AuthContext';
 import ImageFeed from '../components/ImageFeed';
 import UploadModal from '../components/UploadModal';
 import WelcomeBanner from '../components/WelcomeBanner';
+import { countCitiesCovered } from '../firebase/places';
 import { Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
 
@@ -35,6 +36,7 @@ const HomePage = () => {
   const { currentUser } = useAuth();                    // Authentication context
   const [showUploadModal, setShowUploadModal] = useState(false);  // Upload modal visibility
   const [isLoading, setIsLoading] = useState(true);              // Page loading state
+  const [citiesCovered, setCitiesCovered] = useState(null);      // Number of cities with photos
 
   // ===== EFFECTS =====
   
@@ -48,6 +50,19 @@ const HomePage = () => {
     return () => clearTimeout(timer);  // Cleanup timer on unmount
   }, []);
 
+  /**
+   * Fetches the number of cities that have at least one photo
+   * Falls back to a placeholder if the count cannot be loaded
+   */
+  useEffect(() => {
+    countCitiesCovered()
+      .then(setCitiesCovered)
+      .catch((error) => console.error('Error counting cities:', error));
+  }, []);
+
+  // Display value for the "Cities Covered" statistic
+  const citiesCoveredLabel = citiesCovered !== null ? citiesCovered.toLocaleString() : '—';
+
   // ===== EVENT HANDLERS =====
   
   /**
@@ -132,7 +147,7 @@ const HomePage = () => {
                 <div className="flex items-center justify-center w-12 h-12 mx-auto mb-4 rounded-full bg-white/20">
                   <MapPin className="w-6 h-6 text-white" />
                 </div>
-                <div className="mb-2 text-3xl font-bold text-white">89</div>
+                <div className="mb-2 text-3xl font-bold text-white">{citiesCoveredLabel}</div>
                 <div className="text-white/80">Cities Covered</div>
               </div>
               
@@ -237,7 +252,7 @@ const HomePage = () => {
                   <div className="text-sm text-white/70">Photos Shared</div>
                 </div>
                 <div className="text-center">
-                  <div className="mb-1 text-3xl font-bold text-white">89</div>
+                  <div className="mb-1 text-3xl font-bold text-white">{citiesCoveredLabel}</div>
                   <div className="text-sm text-white/70">Cities Covered</div>
                 </div>
                 <div className="text-center">
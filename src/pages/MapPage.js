@@ -0,0 +1,273 @@
+import React, { useState, useEffect } from 'react';
+import { collection, query, limit, onSnapshot } from 'firebase/firestore';
+import { Link } from 'react-router-dom';
+import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import MarkerClusterGroup from 'react-leaflet-cluster';
+import { MapPin, Clock, Loader2, LocateFixed } from 'lucide-react';
+import toast from 'react-hot-toast';
+import '../utils/leafletSetup';
+import { db } from '../firebase/config';
+import { getPhotosNearby } from '../firebase/nearby';
+import { useAuth } from '../contexts/AuthContext';
+import { visibilityConstraints } from '../firebase/consent';
+import { TILE_LAYER, DEFAULT_CENTER, DEFAULT_ZOOM, MAP_PHOTO_LIMIT, NEARBY_RADIUS_KM } from '../config/map';
+import { formatTimestamp } from '../utils/time';
+import { formatPlaceName } from '../utils/reverseGeocode';
+import FreshnessBadge from '../components/FreshnessBadge';
+
+/**
+ * Moves the map view whenever the given center changes
+ * Must be rendered inside a MapContainer
+ *
+ * @param {Array<number>|null} center - [latitude, longitude] to focus on
+ */
+const RecenterMap = ({ center }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    if (center) {
+      map.setView(center, 13);
+    }
+  }, [center, map]);
+
+  return null;
+};
+
+/**
+ * Map Page Component
+ *
+ * Displays every geotagged photo on an interactive map. Nearby posts are
+ * grouped into clusters that expand as the user zooms in, and clicking a
+ * marker opens a popup card with the photo, time and description.
+ *
+ * Features:
+ * - Real-time data synchronization with Firestore
+ * - Marker clustering for dense areas
+ * - Popup cards with image preview, post details, freshness and a link to the post page
+ * - Configurable tile source (see src/config/map.js)
+ * - "Near me" lookup using geohash radius queries
+ * - Loading state while photos are fetched
+ */
+const MapPage = () => {
+  // ===== STATE MANAGEMENT =====
+  const [photos, setPhotos] = useState([]);      // Photos with valid coordinates
+  const [loading, setLoading] = useState(true); // Loading state
+  const [nearby, setNearby] = useState(null);    // Photos near the user, or null to show all
+  const [userCenter, setUserCenter] = useState(null); // User position for the "Near me" view
+  const [isLocating, setIsLocating] = useState(false); // Loading state for the nearby lookup
+  const { isCaseReviewer } = useAuth();                // Viewer, for posts with limited visibility
+
+  const isReviewer = isCaseReviewer();
+
+  // ===== FIRESTORE DATA FETCHING =====
+
+  /**
+   * Sets up real-time listener for photos from Firestore
+   * Keeps only posts that carry usable latitude/longitude values; posts with
+   * limited visibility are only fetched for moderators and NGOs
+   */
+  useEffect(() => {
+    const q = query(
+      collection(db, 'photos'),
+      ...visibilityConstraints(isReviewer),
+      limit(MAP_PHOTO_LIMIT)
+    );
+
+    const unsubscribe = onSnapshot(
+      q,
+      // Success callback - data received
+      (querySnapshot) => {
+        const photosData = [];
+        querySnapshot.forEach((doc) => {
+          const data = doc.data();
+          const { latitude, longitude } = data.location || {};
+          // Skip posts without a plottable position
+          if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+            photosData.push({ id: doc.id, ...data });
+          }
+        });
+        setPhotos(photosData);
+        setLoading(false);
+      },
+      // Error callback - show an empty map instead of failing
+      (error) => {
+        console.error('Error fetching photos for map:', error);
+        setPhotos([]);
+        setLoading(false);
+      }
+    );
+
+    // Cleanup function - unsubscribe when component unmounts or the viewer's role changes
+    return () => unsubscribe();
+  }, [isReviewer]);
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Finds photos within NEARBY_RADIUS_KM of the user's current position
+   * and focuses the map on that area
+   */
+  const handleNearMe = () => {
+    if (!navigator.geolocation) {
+      toast.error('Geolocation is not supported by this browser');
+      return;
+    }
+
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      async (position) => {
+        const { latitude, longitude } = position.coords;
+        try {
+          const results = await getPhotosNearby({ latitude, longitude }, NEARBY_RADIUS_KM, { isReviewer });
+          setNearby(results);
+          setUserCenter([latitude, longitude]);
+        } catch (error) {
+          console.error('Error fetching nearby photos:', error);
+          toast.error('Failed to load nearby photos. Please try again.');
+        } finally {
+          setIsLocating(false);
+        }
+      },
+      (error) => {
+        console.error('Error getting location:', error);
+        toast.error('Failed to get location. Please enable location access.');
+        setIsLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+    );
+  };
+
+  // Photos currently plotted - nearby results take precedence over the full set;
+  // removed posts are never plotted
+  const visiblePhotos = (nearby || photos).filter((photo) => photo.status !== 'removed');
+
+  // ===== RENDER =====
+
+  return (
+    <div className="min-h-screen">
+      {/* Hero section with page title */}
+      <section className="relative py-20 overflow-hidden hero-gradient">
+        <div className="absolute inset-0 bg-pattern opacity-20"></div>
+        <div className="relative z-10 px-4 mx-auto max-w-7xl sm:px-6 lg:px-8">
+          <div className="text-center">
+            <h1 className="mb-6 text-4xl font-bold text-white md:text-6xl">
+              Sightings <span className="text-gradient">Map</span>
+            </h1>
+            <p className="max-w-3xl mx-auto text-xl text-white/90">
+              Every geotagged photo shared by our community, in one place.
+              Zoom in to explore an area and tap a marker to see the details.
+            </p>
+          </div>
+        </div>
+      </section>
+
+      {/* Map section */}
+      <section className="py-12 bg-gradient-to-b from-white to-gray-50">
+        <div className="px-4 mx-auto max-w-7xl sm:px-6 lg:px-8">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            {/* Photo count / loading indicator */}
+            <div className="flex items-center space-x-2 text-gray-600">
+              {loading ? (
+                <>
+                  <Loader2 className="w-5 h-5 animate-spin text-primary-600" />
+                  <span>Loading photos...</span>
+                </>
+              ) : (
+                <>
+                  <MapPin className="w-5 h-5 text-primary-600" />
+                  <span>
+                    {visiblePhotos.length} photo{visiblePhotos.length === 1 ? '' : 's'}
+                    {nearby ? ` within ${NEARBY_RADIUS_KM} km of you` : ' on the map'}
+                  </span>
+                </>
+              )}
+            </div>
+
+            {/* Nearby toggle */}
+            {nearby ? (
+              <button
+                onClick={() => setNearby(null)}
+                className="btn-secondary"
+              >
+                Show All Photos
+              </button>
+            ) : (
+              <button
+                onClick={handleNearMe}
+                disabled={isLocating}
+                className="flex items-center space-x-2 btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isLocating ? (
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                ) : (
+                  <LocateFixed className="w-4 h-4" />
+                )}
+                <span>Near Me</span>
+              </button>
+            )}
+          </div>
+
+          {/* Leaflet map - z-0 keeps map panes below the fixed navbar */}
+          <div className="relative z-0 overflow-hidden shadow-lg rounded-2xl">
+            <MapContainer
+              center={DEFAULT_CENTER}
+              zoom={DEFAULT_ZOOM}
+              scrollWheelZoom={true}
+              className="w-full h-[70vh]"
+            >
+              <TileLayer
+                url={TILE_LAYER.url}
+                attribution={TILE_LAYER.attribution}
+                maxZoom={TILE_LAYER.maxZoom}
+              />
+
+              <RecenterMap center={userCenter} />
+
+              {/* Clustered markers - one per photo */}
+              <MarkerClusterGroup chunkedLoading>
+                {visiblePhotos.map((photo) => (
+                  <Marker
+                    key={photo.id}
+                    position={[photo.location.latitude, photo.location.longitude]}
+                  >
+                    <Popup minWidth={220} maxWidth={260}>
+                      <div className="space-y-2">
+                        <img
+                          src={photo.imageVariants?.small?.url || photo.imageURL}
+                          loading="lazy"
+                          alt="Location"
+                          className="object-cover w-full rounded-lg aspect-video"
+                        />
+                        {formatPlaceName(photo) && (
+                          <div className="flex items-center space-x-1 text-xs font-medium text-gray-700">
+                            <MapPin className="w-3 h-3 text-primary-600" />
+                            <span>{formatPlaceName(photo)}</span>
+                          </div>
+                        )}
+                        <div className="flex items-center space-x-1 text-xs text-gray-500">
+                          <Clock className="w-3 h-3" />
+                          <span>{formatTimestamp(photo.sightedAt || photo.createdAt)}</span>
+                          <FreshnessBadge post={photo} className="ml-auto" />
+                        </div>
+                        {photo.description && (
+                          <p className="text-sm leading-relaxed text-gray-700">
+                            {photo.description}
+                          </p>
+                        )}
+                        <Link to={`/photo/${photo.id}`} className="text-xs font-medium text-primary-600 hover:text-primary-700">
+                          View details
+                        </Link>
+                      </div>
+                    </Popup>
+                  </Marker>
+                ))}
+              </MarkerClusterGroup>
+            </MapContainer>
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default MapPage;
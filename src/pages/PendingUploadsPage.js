@@ -0,0 +1,251 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { MapPin, Clock, Loader2, RotateCw, Trash2, WifiOff, CloudOff, UploadCloud } from 'lucide-react';
+import { useUploadQueue } from '../contexts/UploadQueueContext';
+import { formatTimestamp } from '../utils/time';
+import { formatPlaceName } from '../utils/reverseGeocode';
+
+/**
+ * Status labels and colours for queue entries
+ */
+const STATUS_STYLES = {
+  pending: { label: 'Waiting for connection', className: 'bg-yellow-100 text-yellow-800' },
+  uploading: { label: 'Uploading', className: 'bg-blue-100 text-blue-800' },
+  failed: { label: 'Failed', className: 'bg-red-100 text-red-800' },
+};
+
+/**
+ * A single queued post with its thumbnail, status and actions
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.entry - Queue entry (see utils/uploadQueue.js)
+ * @param {number|undefined} props.progress - Upload progress (0-1) while uploading
+ * @param {function} props.onRetry - Called to retry a failed entry
+ * @param {function} props.onDiscard - Called to remove the entry
+ */
+const QueuedUploadItem = ({ entry, progress, onRetry, onDiscard }) => {
+  const [thumbnail, setThumbnail] = useState(null);  // Object URL for the stored image
+  const { submission } = entry;
+  // Entries left 'uploading' by a closed tab have no progress and count as waiting
+  const isUploading = entry.status === 'uploading' && progress !== undefined;
+  const status = STATUS_STYLES[isUploading || entry.status === 'failed' ? entry.status : 'pending'];
+
+  /**
+   * Creates a preview URL for the smallest stored rendition of the cover image
+   * and revokes it when the entry goes away
+   */
+  useEffect(() => {
+    // Entries queued before multi-photo posts carry a single image at the top level;
+    // clip-only posts show the clip's poster frame, field checks without a photo show nothing
+    const cover = submission.images ? submission.images[0] || (submission.clip && submission.clip.poster) : submission;
+    if (!cover) return undefined;
+    const { small, full } = cover.renditions;
+    const url = URL.createObjectURL((small || full).blob);
+    setThumbnail(url);
+    return () => URL.revokeObjectURL(url);
+  }, [submission]);
+
+  return (
+    <div className="flex flex-col overflow-hidden bg-white shadow-md sm:flex-row rounded-2xl">
+      {thumbnail && (
+        <img
+          src={thumbnail}
+          alt="Queued upload"
+          className="object-cover w-full h-48 sm:w-48 sm:h-auto"
+        />
+      )}
+
+      <div className="flex-1 p-5 space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <span className={`px-3 py-1 text-xs font-semibold rounded-full ${status.className}`}>
+            {status.label}
+          </span>
+          <span className="text-xs text-gray-500">
+            Queued {formatTimestamp(entry.queuedAt)}
+          </span>
+        </div>
+
+        {formatPlaceName(submission.place || {}) && (
+          <div className="flex items-center space-x-1 text-sm text-gray-700">
+            <MapPin className="w-4 h-4 text-primary-600" />
+            <span>{formatPlaceName(submission.place)}</span>
+          </div>
+        )}
+        <div className="flex items-center space-x-1 text-sm text-gray-500">
+          <Clock className="w-4 h-4" />
+          <span>Sighted {formatTimestamp(submission.sightedAt || submission.submittedAt)}</span>
+        </div>
+        {submission.confirmationOf && (
+          <p className="text-sm text-gray-500">
+            {submission.presence === 'no-longer-here' ? '"No longer here" check of an existing post'
+              : submission.presence ? '"Still here" check of an existing post'
+                : 'Confirmation of an existing post'}
+          </p>
+        )}
+        {submission.description && (
+          <p className="text-sm leading-relaxed text-gray-700">{submission.description}</p>
+        )}
+
+        {/* Upload progress for the entry being sent */}
+        {isUploading && (
+          <div className="w-full h-2 overflow-hidden bg-gray-200 rounded-full">
+            <div
+              className="h-full transition-all duration-300 bg-primary-600"
+              style={{ width: `${Math.round((progress || 0) * 100)}%` }}
+            />
+          </div>
+        )}
+
+        {entry.lastError && entry.status === 'failed' && (
+          <p className="text-xs text-red-600">Last error: {entry.lastError}</p>
+        )}
+
+        <div className="flex items-center space-x-3">
+          {entry.status === 'failed' && (
+            <button
+              onClick={() => onRetry(entry.id)}
+              className="flex items-center space-x-2 text-sm btn-primary"
+            >
+              <RotateCw className="w-4 h-4" />
+              <span>Retry</span>
+            </button>
+          )}
+          <button
+            onClick={() => onDiscard(entry.id)}
+            disabled={isUploading}
+            className="flex items-center space-x-2 text-sm btn-secondary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Trash2 className="w-4 h-4" />
+            <span>Discard</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Pending Uploads Page Component
+ *
+ * Lists posts saved on this device that have not reached the server yet -
+ * photos taken offline or whose upload was interrupted. They are sent
+ * automatically once the connection returns; posts that keep failing can
+ * be retried or discarded here.
+ *
+ * Features:
+ * - Thumbnail, place and sighting time for every queued post
+ * - Live status and progress while the queue is being processed
+ * - Retry for failed posts and discard for any post
+ * - Offline indicator
+ */
+const PendingUploadsPage = () => {
+  // ===== HOOKS AND STATE =====
+  const { pendingUploads, progress, isSyncing, retryUpload, discardUpload, processQueue } = useUploadQueue();
+  const [isOnline, setIsOnline] = useState(navigator.onLine);  // Current connectivity
+
+  /**
+   * Tracks connectivity changes for the offline banner
+   */
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // ===== EVENT HANDLERS =====
+
+  /**
+   * Confirms and removes a queued post
+   *
+   * @param {number} id - Entry ID
+   */
+  const handleDiscard = (id) => {
+    if (window.confirm('Discard this photo? It has not been shared and will be deleted from this device.')) {
+      discardUpload(id);
+    }
+  };
+
+  const hasPending = pendingUploads.some((entry) => entry.status !== 'failed');
+
+  // ===== RENDER =====
+
+  return (
+    <div className="min-h-screen">
+      {/* Hero section with page title */}
+      <section className="relative py-20 overflow-hidden hero-gradient">
+        <div className="absolute inset-0 bg-pattern opacity-20"></div>
+        <div className="relative z-10 px-4 mx-auto max-w-7xl sm:px-6 lg:px-8">
+          <div className="text-center">
+            <h1 className="mb-6 text-4xl font-bold text-white md:text-6xl">
+              Pending <span className="text-gradient">Uploads</span>
+            </h1>
+            <p className="max-w-3xl mx-auto text-xl text-white/90">
+              Photos saved on this device that have not been shared yet.
+              They upload automatically as soon as you are back online.
+            </p>
+          </div>
+        </div>
+      </section>
+
+      <section className="py-12 bg-gradient-to-b from-white to-gray-50">
+        <div className="max-w-4xl px-4 mx-auto space-y-6 sm:px-6 lg:px-8">
+          {/* Connectivity and sync status */}
+          <div className="flex flex-wrap items-center justify-between gap-4">
+            <div className="flex items-center space-x-2 text-gray-600">
+              {!isOnline ? (
+                <>
+                  <WifiOff className="w-5 h-5 text-yellow-600" />
+                  <span>You are offline</span>
+                </>
+              ) : isSyncing ? (
+                <>
+                  <Loader2 className="w-5 h-5 animate-spin text-primary-600" />
+                  <span>Uploading queued photos...</span>
+                </>
+              ) : (
+                <>
+                  <UploadCloud className="w-5 h-5 text-primary-600" />
+                  <span>
+                    {pendingUploads.length} photo{pendingUploads.length === 1 ? '' : 's'} waiting
+                  </span>
+                </>
+              )}
+            </div>
+
+            {isOnline && !isSyncing && hasPending && (
+              <button onClick={processQueue} className="btn-secondary">
+                Upload Now
+              </button>
+            )}
+          </div>
+
+          {pendingUploads.length === 0 ? (
+            <div className="py-16 text-center">
+              <CloudOff className="w-12 h-12 mx-auto mb-4 text-gray-400" />
+              <p className="mb-4 text-gray-600">Nothing is waiting to upload.</p>
+              <Link to="/" className="btn-primary">
+                Back to Home
+              </Link>
+            </div>
+          ) : (
+            pendingUploads.map((entry) => (
+              <QueuedUploadItem
+                key={entry.id}
+                entry={entry}
+                progress={progress[entry.id]}
+                onRetry={retryUpload}
+                onDiscard={handleDiscard}
+              />
+            ))
+          )}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default PendingUploadsPage;
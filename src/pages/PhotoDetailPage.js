@@ -0,0 +1,425 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate, useLocation } from 'react-router-dom';
+import { doc, onSnapshot } from 'firebase/firestore';
+import { MapContainer, TileLayer, Marker, Circle } from 'react-leaflet';
+import { MapPin, Clock, User, Users, UserCheck, Lock, AlertTriangle, ArrowLeft, ExternalLink, Loader2, SearchX, Ban, Heart } from 'lucide-react';
+import '../utils/leafletSetup';
+import { db } from '../firebase/config';
+import { useAuth } from '../contexts/AuthContext';
+import { useLikes } from '../contexts/LikesContext';
+import { getViewCount } from '../firebase/engagement';
+import { TILE_LAYER } from '../config/map';
+import { getNeedCategory, getUrgencyLevel } from '../config/needs';
+import { canViewPost } from '../config/consent';
+import { formatTimestamp, toDate } from '../utils/time';
+import { formatPlaceName } from '../utils/reverseGeocode';
+import { getPostImages } from '../utils/image';
+import { getLastSeenAt } from '../utils/freshness';
+import { countView } from '../utils/viewTracking';
+import PhotoCarousel from '../components/PhotoCarousel';
+import ShareActions from '../components/ShareActions';
+import ConsentRecord from '../components/ConsentRecord';
+import StatusBadge from '../components/StatusBadge';
+import StatusTimeline from '../components/StatusTimeline';
+import FreshnessBadge from '../components/FreshnessBadge';
+import FieldCheckList from '../components/FieldCheckList';
+import PostOwnerActions from '../components/PostOwnerActions';
+import VersionHistory from '../components/VersionHistory';
+import CommentThread from '../components/CommentThread';
+
+/**
+ * Page shown when a post cannot be displayed
+ *
+ * @param {Object} props - Component props
+ * @param {'missing'|'removed'} props.reason - Why the post is unavailable
+ */
+const PostUnavailable = ({ reason }) => {
+  const isRemoved = reason === 'removed';
+  const Icon = isRemoved ? Ban : SearchX;
+
+  return (
+    <div className="flex items-center justify-center min-h-[70vh] px-4">
+      <div className="max-w-md text-center">
+        <div className="flex items-center justify-center w-16 h-16 mx-auto mb-4 bg-gray-100 rounded-full">
+          <Icon className="w-8 h-8 text-gray-500" />
+        </div>
+        <h1 className="mb-2 text-2xl font-bold text-gray-900">
+          {isRemoved ? 'This post was removed' : 'Post not found'}
+        </h1>
+        <p className="mb-6 text-gray-600">
+          {isRemoved
+            ? 'The post is no longer available. It may have been taken down by its author or a moderator.'
+            : 'The link may be mistyped, or the post is not available to you.'}
+        </p>
+        <div className="flex justify-center space-x-4">
+          <Link to="/" className="btn-primary">Browse Recent Posts</Link>
+          <Link to="/map" className="btn-secondary">Open Map</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * A label/value row in the details list
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.label - Field name
+ * @param {React.ReactNode} props.children - Field value
+ */
+const DetailRow = ({ label, children }) => (
+  <div className="flex justify-between py-2 text-sm border-b border-gray-100 last:border-0">
+    <dt className="text-gray-500">{label}</dt>
+    <dd className="font-medium text-right text-gray-900">{children}</dd>
+  </div>
+);
+
+/**
+ * Photo Detail Page Component
+ *
+ * The page behind every shared link (/photo/:id). Loads a single photo
+ * document and keeps it up to date while open.
+ *
+ * Features:
+ * - Full-size photos and clip, shown uncropped
+ * - Map of the sighting with the GPS accuracy circle
+ * - Metadata: place, coordinates, sighting and posting times, poster
+ * - Needs, urgency, people count, confirmations and status
+ * - Freshness, recent field checks and a "Still here?" check for people nearby
+ * - Status timeline, with status changes for moderators and NGOs
+ * - Comment thread (linked as #comments from cards and notifications)
+ * - Like button, like and view counts - opening the page counts as a view
+ * - Share, copy-link and QR actions pointing at this page
+ * - Edit and delete for the poster, edit history for the poster, moderators and NGOs
+ * - Consent record for moderators, NGOs and the poster
+ * - Not found / removed page for missing, removed or restricted posts
+ */
+const PhotoDetailPage = () => {
+  // ===== STATE MANAGEMENT =====
+  const { id } = useParams();                          // Photo document ID from the URL
+  const navigate = useNavigate();
+  const { hash } = useLocation();                     // '#comments' when opened from a notification
+  const { currentUser, isCaseReviewer } = useAuth();  // Viewer, for consent and limited visibility
+  const [post, setPost] = useState(null);             // Photo document with `id`
+  const [loading, setLoading] = useState(true);       // Loading state
+  const [unavailable, setUnavailable] = useState(null); // 'missing' | 'removed' | null
+  const [viewCount, setViewCount] = useState(null);   // Total views, null until loaded
+  const { isLiked, isLikePending, toggleLike } = useLikes();
+
+  const viewerId = currentUser ? currentUser.uid : null;
+
+  // ===== FIRESTORE DATA FETCHING =====
+
+  /**
+   * Listens to the photo document so status changes show up live
+   * Re-subscribes when the viewer signs in or out, as posts with limited
+   * visibility can only be read by their poster, moderators and NGOs
+   */
+  useEffect(() => {
+    setLoading(true);
+    setUnavailable(null);
+
+    const unsubscribe = onSnapshot(
+      doc(db, 'photos', id),
+      (snapshot) => {
+        if (!snapshot.exists()) {
+          setPost(null);
+          setUnavailable('missing');
+        } else {
+          setPost({ id: snapshot.id, ...snapshot.data() });
+          setUnavailable(null);
+        }
+        setLoading(false);
+      },
+      // Invalid IDs and denied reads look the same to the visitor
+      (error) => {
+        console.error('Error fetching photo:', error);
+        setPost(null);
+        setUnavailable('missing');
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [id, viewerId]);
+
+  const postId = post ? post.id : null;
+  const baseViews = post ? post.views || 0 : 0;
+  // Posters do not count their own views; removed or restricted posts are not counted either
+  const isCountable = Boolean(post && post.status !== 'removed' && canViewPost(post, currentUser, isCaseReviewer())
+    && !(currentUser && post.userId === currentUser.uid));
+
+  /**
+   * Counts the visit as a view (once per session) and loads the total
+   */
+  useEffect(() => {
+    if (!postId) return undefined;
+    if (isCountable) countView(postId);
+
+    let cancelled = false;
+    getViewCount({ id: postId, views: baseViews })
+      .then((count) => {
+        if (!cancelled) setViewCount(count);
+      })
+      .catch((error) => {
+        console.error('Error fetching view count:', error);
+      });
+    return () => { cancelled = true; };
+  }, [postId, baseViews, isCountable]);
+
+  /**
+   * Scrolls to the comments once the post has loaded when the link asks for them
+   */
+  useEffect(() => {
+    if (!postId || hash !== '#comments') return;
+    const thread = document.getElementById('comments');
+    if (thread) thread.scrollIntoView({ behavior: 'smooth' });
+  }, [postId, hash]);
+
+  /**
+   * Names the browser tab after the sighting
+   */
+  useEffect(() => {
+    if (!post) return;
+    const previousTitle = document.title;
+    document.title = `${formatPlaceName(post) || 'Sighting'} - Destitutes of India`;
+    return () => { document.title = previousTitle; };
+  }, [post]);
+
+  // ===== RENDER STATES =====
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[70vh]">
+        <div className="flex items-center space-x-2">
+          <Loader2 className="w-6 h-6 animate-spin text-primary-600" />
+          <span className="text-gray-600">Loading post...</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (unavailable) {
+    return <PostUnavailable reason={unavailable} />;
+  }
+  // Moderators and NGOs can still open removed posts, e.g. to reopen them
+  if (post.status === 'removed' && !isCaseReviewer()) {
+    return <PostUnavailable reason="removed" />;
+  }
+  // Posts with limited visibility are treated as missing, so their existence is not revealed
+  if (!canViewPost(post, currentUser, isCaseReviewer())) {
+    return <PostUnavailable reason="missing" />;
+  }
+
+  // ===== RENDER =====
+
+  const urgencyLevel = getUrgencyLevel(post.urgency);
+  const isOwnPost = Boolean(currentUser && post.userId === currentUser.uid);
+  const { location } = post;
+  const hasPosition = location && Number.isFinite(location.latitude) && Number.isFinite(location.longitude);
+  const position = hasPosition ? [location.latitude, location.longitude] : null;
+  const sightedAt = toDate(post.sightedAt || post.createdAt);
+  const createdAt = toDate(post.createdAt);
+  const lastSeenAt = getLastSeenAt(post);
+
+  return (
+    <div className="min-h-screen py-8 bg-gradient-to-b from-white to-gray-50">
+      <div className="max-w-5xl px-4 mx-auto space-y-6 sm:px-6 lg:px-8">
+        {/* Back to the feed */}
+        <Link to="/" className="inline-flex items-center space-x-1 text-sm font-medium text-gray-600 hover:text-primary-600">
+          <ArrowLeft className="w-4 h-4" />
+          <span>All posts</span>
+        </Link>
+
+        {/* Photos and clip, uncropped */}
+        <div className="relative overflow-hidden bg-black shadow-lg group rounded-2xl">
+          <PhotoCarousel
+            images={getPostImages(post)}
+            video={post.video}
+            sizes="(min-width: 1024px) 1024px, 100vw"
+            fit="contain"
+          />
+          {urgencyLevel && (
+            <div className={`absolute top-4 left-4 flex items-center space-x-1 px-3 py-1 text-xs font-semibold rounded-full shadow ${urgencyLevel.className}`}>
+              {urgencyLevel.id === 'emergency' && <AlertTriangle className="w-3 h-3" />}
+              <span>{urgencyLevel.label}</span>
+            </div>
+          )}
+        </div>
+
+        {/* Title row with actions */}
+        <div className="flex flex-wrap items-start justify-between gap-4">
+          <div className="space-y-1">
+            <h1 className="flex items-center space-x-2 text-2xl font-bold text-gray-900">
+              <MapPin className="w-6 h-6 text-primary-600" />
+              <span>{formatPlaceName(post) || 'Unknown Location'}</span>
+            </h1>
+            <p className="flex items-center space-x-2 text-sm text-gray-500">
+              <Clock className="w-4 h-4" />
+              <span>Sighted {formatTimestamp(post.sightedAt || post.createdAt).toLowerCase()}</span>
+              {post.editedAt && <span>· Edited {formatTimestamp(post.editedAt).toLowerCase()}</span>}
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => toggleLike(post.id)}
+              disabled={isLikePending(post.id)}
+              className={`flex items-center space-x-2 btn-secondary ${isLiked(post.id) ? 'text-red-600' : ''}`}
+              aria-pressed={isLiked(post.id)}
+            >
+              <Heart className={`w-4 h-4 ${isLiked(post.id) ? 'fill-current' : ''}`} />
+              <span>{isLiked(post.id) ? 'Liked' : 'Like'}{post.likes > 0 ? ` · ${post.likes}` : ''}</span>
+            </button>
+            <ShareActions post={post} variant="toolbar" />
+            <PostOwnerActions post={post} variant="toolbar" onDeleted={() => navigate('/')} />
+          </div>
+        </div>
+
+        <div className="grid gap-6 lg:grid-cols-2">
+          {/* Description, needs and poster */}
+          <div className="p-6 space-y-4 bg-white shadow-md rounded-2xl">
+            {post.description && (
+              <p className="leading-relaxed text-gray-700">{post.description}</p>
+            )}
+
+            {post.tags && post.tags.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {post.tags.map((tag) => (
+                  <span key={tag} className="px-3 py-1 text-xs font-medium rounded-full bg-primary-100 text-primary-700">
+                    {getNeedCategory(tag)?.label || tag}
+                  </span>
+                ))}
+              </div>
+            )}
+
+            {post.peopleCount > 0 && (
+              <div className="flex items-center space-x-1 text-sm text-gray-600">
+                <Users className="w-4 h-4" />
+                <span>About {post.peopleCount} {post.peopleCount === 1 ? 'person' : 'people'}</span>
+              </div>
+            )}
+
+            {post.confirmationCount > 0 && (
+              <div className="flex items-center space-x-1 text-sm text-gray-600">
+                <UserCheck className="w-4 h-4" />
+                <span>
+                  Confirmed by {post.confirmationCount} other sighting{post.confirmationCount === 1 ? '' : 's'}
+                  {post.lastConfirmedAt && `, last ${formatTimestamp(post.lastConfirmedAt).toLowerCase()}`}
+                </span>
+              </div>
+            )}
+
+            <div className="flex items-center pt-4 space-x-3 border-t border-gray-100">
+              <div className="flex items-center justify-center w-8 h-8 rounded-full bg-gradient-to-r from-primary-500 to-primary-600">
+                <User className="w-4 h-4 text-white" />
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {post.isAnonymous ? 'Anonymous User' : (post.username || 'Unknown User')}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {post.isAnonymous ? 'Shared anonymously' : 'Shared publicly'}
+                </p>
+              </div>
+            </div>
+
+            {/* Consent status and limited visibility - for moderators, NGOs and the poster */}
+            {(isCaseReviewer() || isOwnPost) && (
+              <div className="pt-4 space-y-2 border-t border-gray-100">
+                {post.visibility === 'limited' && (
+                  <div className="flex items-center space-x-1 text-xs text-gray-500">
+                    <Lock className="w-3 h-3" />
+                    <span>Only visible to the poster, moderators and partner NGOs</span>
+                  </div>
+                )}
+                <ConsentRecord post={post} />
+                <VersionHistory post={post} />
+              </div>
+            )}
+          </div>
+
+          {/* Metadata */}
+          <div className="p-6 bg-white shadow-md rounded-2xl">
+            <h2 className="mb-2 text-lg font-semibold text-gray-900">Details</h2>
+            <dl>
+              <DetailRow label="Status">
+                <StatusBadge status={post.status} />
+              </DetailRow>
+              <DetailRow label="Freshness">
+                <FreshnessBadge post={post} />
+              </DetailRow>
+              {sightedAt && <DetailRow label="Sighted">{sightedAt.toLocaleString()}</DetailRow>}
+              {lastSeenAt && sightedAt && lastSeenAt > sightedAt && (
+                <DetailRow label="Last seen">{lastSeenAt.toLocaleString()}</DetailRow>
+              )}
+              {post.goneReportCount > 0 && (
+                <DetailRow label="Reported gone">
+                  {post.goneReportCount} time{post.goneReportCount === 1 ? '' : 's'}
+                </DetailRow>
+              )}
+              {createdAt && <DetailRow label="Posted">{createdAt.toLocaleString()}</DetailRow>}
+              {post.district && <DetailRow label="District">{post.district}</DetailRow>}
+              {post.state && <DetailRow label="State">{post.state}</DetailRow>}
+              {hasPosition && (
+                <DetailRow label="Coordinates">{location.latitude.toFixed(6)}, {location.longitude.toFixed(6)}</DetailRow>
+              )}
+              {hasPosition && Number.isFinite(location.accuracy) && (
+                <DetailRow label="GPS accuracy">±{Math.round(location.accuracy)} m</DetailRow>
+              )}
+              {hasPosition && location.source === 'manual' && (
+                <DetailRow label="Position">Pin adjusted by the poster</DetailRow>
+              )}
+              {viewCount !== null && (
+                <DetailRow label="Views">{viewCount}</DetailRow>
+              )}
+              {post.redaction && post.redaction.applied && (
+                <DetailRow label="Redaction">
+                  {post.redaction.regionCount} area{post.redaction.regionCount === 1 ? '' : 's'} hidden
+                </DetailRow>
+              )}
+            </dl>
+          </div>
+        </div>
+
+        {/* Whether the person is still there, from people nearby */}
+        <FieldCheckList post={post} />
+
+        {/* What happened since the sighting was shared */}
+        <StatusTimeline post={post} />
+
+        {/* Map of the sighting */}
+        {hasPosition && (
+          <div className="space-y-2">
+            <div className="relative z-0 overflow-hidden shadow-lg rounded-2xl">
+              <MapContainer center={position} zoom={16} scrollWheelZoom={false} className="w-full h-80">
+                <TileLayer
+                  url={TILE_LAYER.url}
+                  attribution={TILE_LAYER.attribution}
+                  maxZoom={TILE_LAYER.maxZoom}
+                />
+                <Marker position={position} />
+                {Number.isFinite(location.accuracy) && location.source !== 'manual' && (
+                  <Circle center={position} radius={location.accuracy} pathOptions={{ weight: 1 }} />
+                )}
+              </MapContainer>
+            </div>
+            <a
+              href={`https://www.google.com/maps?q=${location.latitude},${location.longitude}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center space-x-1 text-sm font-medium text-primary-600 hover:text-primary-700"
+            >
+              <span>Open in Google Maps</span>
+              <ExternalLink className="w-3 h-3" />
+            </a>
+          </div>
+        )}
+
+        {/* Notes from volunteers */}
+        <CommentThread post={post} />
+      </div>
+    </div>
+  );
+};
+
+export default PhotoDetailPage;
@@ -107,6 +107,11 @@ const PrivacyPolicyPage = () => {
                 <li>Any descriptions or captions you provide</li>
                 <li>Whether you choose to post anonymously</li>
               </ul>
+              <p className="mb-6 text-gray-700">
+                Before a photo leaves your device, it is re-encoded to remove embedded file
+                metadata such as camera model, serial numbers and any GPS data stored by the
+                camera. Only the location and time you confirm in the upload form are kept.
+              </p>
 
               <h2 className="mb-4 text-2xl font-bold text-gray-900">
                 How We Use Your Information
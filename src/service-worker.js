@@ -0,0 +1,76 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Service Worker
+ *
+ * Compiled by Create React App (Workbox InjectManifest) and registered from
+ * src/serviceWorkerRegistration.js in production builds.
+ *
+ * Responsibilities:
+ * - Precache the build output so the app shell opens without a connection
+ * - Serve index.html for client-side routes while offline
+ * - Cache the face detection library, which is served outside the build
+ * - Wake the app up for Background Sync so queued uploads are sent
+ *
+ * Uploads themselves happen in the page: the Firebase Storage SDK relies on
+ * XMLHttpRequest, which is not available in service workers. On a "sync"
+ * event the worker asks every open window to flush its upload queue.
+ */
+
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { StaleWhileRevalidate } from 'workbox-strategies';
+
+// Must match UPLOAD_QUEUE_SYNC_TAG in src/utils/uploadQueue.js
+const UPLOAD_QUEUE_SYNC_TAG = 'upload-queue';
+
+clientsClaim();
+
+// Precache all assets generated by the build
+precacheAndRoute(self.__WB_MANIFEST);
+
+// App shell routing - navigations are answered with index.html, except
+// for URLs starting with /_ and URLs that look like files (contain a dot)
+const fileExtensionRegexp = new RegExp('/[^/?]+\\.[^/]+$');
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + '/index.html')
+);
+
+// Face detection library copied to /vendor (see scripts/copy-face-api.js) -
+// not part of the precache manifest, so it is cached the first time it loads
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && url.pathname.startsWith(process.env.PUBLIC_URL + '/vendor/'),
+  new StaleWhileRevalidate({ cacheName: 'vendor' })
+);
+
+/**
+ * Asks open windows to process the upload queue
+ * Rejects when no window is open so the browser retries the sync later.
+ */
+async function notifyClientsToSync() {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length === 0) {
+    throw new Error('No open window to process the upload queue');
+  }
+  windows.forEach((client) => client.postMessage({ type: 'PROCESS_UPLOAD_QUEUE' }));
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === UPLOAD_QUEUE_SYNC_TAG) {
+    event.waitUntil(notifyClientsToSync());
+  }
+});
+
+// Lets the page activate a waiting worker immediately
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
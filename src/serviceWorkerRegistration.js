@@ -0,0 +1,91 @@
+/**
+ * Service Worker Registration
+ *
+ * Registers src/service-worker.js in production builds. Development builds
+ * skip registration so cached assets never mask code changes.
+ *
+ * On localhost the worker is only registered if the file actually exists,
+ * to avoid a stale worker from another project taking over the origin.
+ */
+
+const isLocalhost = Boolean(
+  window.location.hostname === 'localhost' ||
+    // [::1] is the IPv6 localhost address
+    window.location.hostname === '[::1]' ||
+    // 127.0.0.0/8 are considered localhost for IPv4
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+/**
+ * Registers the service worker once the page has loaded
+ */
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  // The worker cannot serve assets from a different origin than the page
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl);
+    } else {
+      registerValidSW(swUrl);
+    }
+  });
+}
+
+/**
+ * Registers the worker at swUrl
+ *
+ * @param {string} swUrl - URL of the compiled service worker
+ */
+function registerValidSW(swUrl) {
+  navigator.serviceWorker.register(swUrl).catch((error) => {
+    console.error('Error during service worker registration:', error);
+  });
+}
+
+/**
+ * Registers the worker only if it can be found, otherwise removes any
+ * existing registration and reloads
+ *
+ * @param {string} swUrl - URL of the compiled service worker
+ */
+function checkValidServiceWorker(swUrl) {
+  fetch(swUrl, { headers: { 'Service-Worker': 'script' } })
+    .then((response) => {
+      const contentType = response.headers.get('content-type');
+      if (response.status === 404 || (contentType && contentType.indexOf('javascript') === -1)) {
+        navigator.serviceWorker.ready.then((registration) => {
+          registration.unregister().then(() => {
+            window.location.reload();
+          });
+        });
+      } else {
+        registerValidSW(swUrl);
+      }
+    })
+    .catch(() => {
+      console.log('No internet connection found. App is running in offline mode.');
+    });
+}
+
+/**
+ * Removes the service worker registration
+ */
+export function unregister() {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => {
+        console.error(error.message);
+      });
+  }
+}
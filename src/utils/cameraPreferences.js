@@ -0,0 +1,53 @@
+import { CAMERA_RESOLUTIONS, DEFAULT_CAMERA_RESOLUTION } from '../config/upload';
+
+/**
+ * Camera Preferences
+ *
+ * Remembers the camera and resolution last chosen in the camera view, so
+ * the next capture starts on the same lens. Stored in localStorage - the
+ * values are tiny and needed synchronously when the camera opens.
+ *
+ * Shape: {deviceId: string | null, resolution: string, showGrid: boolean, showLevel: boolean}
+ */
+
+const STORAGE_KEY = 'camera-preferences';
+
+const DEFAULT_PREFERENCES = {
+  deviceId: null,                          // null - let the browser pick the rear camera
+  resolution: DEFAULT_CAMERA_RESOLUTION,
+  showGrid: false,
+  showLevel: false,
+};
+
+/**
+ * Reads the saved preferences, falling back to defaults
+ *
+ * @returns {Object} Camera preferences (see module docs)
+ */
+export function loadCameraPreferences() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    const preferences = { ...DEFAULT_PREFERENCES, ...saved };
+    // Drop a resolution that is no longer offered
+    if (!CAMERA_RESOLUTIONS.some((resolution) => resolution.id === preferences.resolution)) {
+      preferences.resolution = DEFAULT_CAMERA_RESOLUTION;
+    }
+    return preferences;
+  } catch (error) {
+    // Private browsing modes may block storage - preferences are optional
+    return { ...DEFAULT_PREFERENCES };
+  }
+}
+
+/**
+ * Merges changes into the saved preferences
+ *
+ * @param {Object} changes - Fields to overwrite
+ */
+export function saveCameraPreferences(changes) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...loadCameraPreferences(), ...changes }));
+  } catch (error) {
+    console.warn('Camera preferences could not be saved:', error);
+  }
+}
@@ -0,0 +1,47 @@
+/**
+ * EXIF Metadata Utilities
+ *
+ * Reads the capture position and time embedded by the camera in JPEG and
+ * HEIC files. Gallery uploads are often taken hours earlier somewhere
+ * else, so the photo's own metadata is a better default than the
+ * uploader's current GPS position.
+ */
+
+/**
+ * Extracts GPS position and original capture time from an image file
+ * Never throws - missing or unreadable metadata simply yields nulls
+ *
+ * @param {File|Blob} file - Image file picked by the user
+ * @returns {Promise<{location: Object|null, takenAt: Date|null}>}
+ *   `location` has latitude, longitude, altitude and accuracy (metres) when present
+ */
+export async function readPhotoMetadata(file) {
+  try {
+    // Loaded on demand so the parser is not part of the main bundle
+    const { default: exifr } = await import('exifr');
+    const data = await exifr.parse(file, { gps: true });
+    if (!data) return { location: null, takenAt: null };
+
+    const { latitude, longitude } = data;
+    const hasPosition = Number.isFinite(latitude) && Number.isFinite(longitude)
+      // 0,0 is a common placeholder written by cameras without a fix
+      && !(latitude === 0 && longitude === 0);
+
+    const location = hasPosition ? {
+      latitude,
+      longitude,
+      altitude: Number.isFinite(data.GPSAltitude) ? data.GPSAltitude : null,
+      altitudeAccuracy: null,
+      accuracy: Number.isFinite(data.GPSHPositioningError) ? data.GPSHPositioningError : null,
+    } : null;
+
+    // Prefer the shutter time, then the file creation time recorded by the camera
+    const taken = data.DateTimeOriginal || data.CreateDate || null;
+    const takenAt = taken instanceof Date && !Number.isNaN(taken.getTime()) ? taken : null;
+
+    return { location, takenAt };
+  } catch (error) {
+    console.error('Error reading EXIF metadata:', error);
+    return { location: null, takenAt: null };
+  }
+}
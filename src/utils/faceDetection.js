@@ -0,0 +1,104 @@
+import detectorManifest from '@vladmandic/face-api/model/tiny_face_detector_model-weights_manifest.json';
+import detectorWeightsUrl from '@vladmandic/face-api/model/tiny_face_detector_model.bin';
+
+/**
+ * On-device Face Detection
+ *
+ * Suggests face regions to redact before a photo is posted. Uses the Tiny
+ * Face Detector from face-api (TensorFlow.js) with its weights bundled into
+ * the build, running on the CPU backend - photos are never sent anywhere
+ * for analysis and no GPU or network access is required.
+ *
+ * The library (~300 KB gzipped) is loaded lazily the first time detection
+ * runs, so it does not weigh down the initial bundle. Its prebuilt browser
+ * ESM bundle is served from public/vendor (copied there by
+ * scripts/copy-face-api.js) rather than bundled, as webpack cannot
+ * statically analyse the bundle's `require` shim.
+ */
+
+// Browser bundle of face-api, cached by the service worker for offline use
+const FACE_API_URL = `${process.env.PUBLIC_URL}/vendor/face-api.esm.js`;
+
+// Longest edge (pixels) the photo is scaled to before detection
+const DETECTION_MAX_DIMENSION = 640;
+
+// Network input size - must be divisible by 32; larger finds smaller faces but is slower
+const DETECTOR_INPUT_SIZE = 416;
+
+// Minimum confidence for a detection to be suggested
+const DETECTOR_SCORE_THRESHOLD = 0.35;
+
+// Boxes are grown by this fraction on each side so hair, ears and chin are covered
+const BOX_PADDING = 0.2;
+
+// Cached promise for the loaded library and model
+let detectorPromise = null;
+
+/**
+ * Loads face-api, switches it to the CPU backend and loads the bundled
+ * detector weights (once)
+ *
+ * @returns {Promise<Object>} The face-api module, ready for detection
+ */
+function loadDetector() {
+  if (!detectorPromise) {
+    detectorPromise = (async () => {
+      const faceapi = await import(/* webpackIgnore: true */ FACE_API_URL);
+      await faceapi.tf.setBackend('cpu');
+      await faceapi.tf.ready();
+
+      const response = await fetch(detectorWeightsUrl);
+      if (!response.ok) {
+        throw new Error('Failed to load face detection model');
+      }
+      const weightMap = faceapi.tf.io.decodeWeights(await response.arrayBuffer(), detectorManifest[0].weights);
+      faceapi.nets.tinyFaceDetector.loadFromWeightMap(weightMap);
+      return faceapi;
+    })().catch((error) => {
+      // Allow a later attempt to retry the load
+      detectorPromise = null;
+      throw error;
+    });
+  }
+  return detectorPromise;
+}
+
+/**
+ * Finds faces in a decoded image
+ *
+ * @param {Object} image - Decoded image from decodeImage (utils/image.js)
+ * @returns {Promise<Array<{x: number, y: number, width: number, height: number, score: number}>>}
+ *   Padded face boxes in normalised coordinates (0-1 of the image width/height)
+ */
+export async function detectFaces(image) {
+  const faceapi = await loadDetector();
+
+  // Detection runs on a downscaled copy - faster and accurate enough for suggestions
+  const scale = Math.min(1, DETECTION_MAX_DIMENSION / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.width * scale));
+  canvas.height = Math.max(1, Math.round(image.height * scale));
+  canvas.getContext('2d').drawImage(image.source, 0, 0, canvas.width, canvas.height);
+
+  const detections = await faceapi.detectAllFaces(
+    canvas,
+    new faceapi.TinyFaceDetectorOptions({
+      inputSize: DETECTOR_INPUT_SIZE,
+      scoreThreshold: DETECTOR_SCORE_THRESHOLD,
+    })
+  );
+
+  return detections.map(({ box, score }) => {
+    const padX = box.width * BOX_PADDING;
+    const padY = box.height * BOX_PADDING;
+    const x = Math.max(0, box.x - padX);
+    const y = Math.max(0, box.y - padY);
+    return {
+      x: x / canvas.width,
+      y: y / canvas.height,
+      width: Math.min(canvas.width - x, box.width + padX * 2) / canvas.width,
+      height: Math.min(canvas.height - y, box.height + padY * 2) / canvas.height,
+      score,
+    };
+  });
+}
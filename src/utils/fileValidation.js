@@ -0,0 +1,268 @@
+import { decodeImage, sanitizeImage, formatBytes } from './image';
+import {
+  IMAGE_MAX_FILE_BYTES,
+  IMAGE_MIN_DIMENSION,
+  IMAGE_MAX_PIXELS,
+  IMAGE_MAX_ASPECT_RATIO,
+} from '../config/upload';
+
+/**
+ * Image File Validation
+ *
+ * Checks gallery files before they enter the upload form. The browser's
+ * MIME type comes from the file extension and cannot be trusted, so the
+ * format is identified from the file's leading bytes ("magic bytes").
+ *
+ * Accepted: JPEG, PNG, WebP, GIF, BMP and HEIC/HEIF (converted to JPEG
+ * in the browser). Rejected: animations (GIF, APNG, animated WebP, HEIC
+ * and AVIF sequences), AVIF, TIFF, SVG and anything unrecognised, plus
+ * files outside the size and dimension limits in config/upload.js.
+ *
+ * Every rejection is an Error whose message can be shown to the user.
+ */
+
+// Bytes read for format detection - enough to reach the size fields of
+// JPEGs with large EXIF/XMP blocks before the frame header
+const SNIFF_BYTES = 256 * 1024;
+
+// ISO base media brands (HEIF family)
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1'];
+const SEQUENCE_BRANDS = ['msf1', 'hevs', 'avis'];
+
+const SUPPORTED_FORMATS_TEXT = 'Please use a JPEG, PNG, WebP or HEIC photo.';
+
+/**
+ * Reads an ASCII tag from a byte array
+ *
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} offset - Start of the tag
+ * @param {number} length - Tag length
+ * @returns {string} Tag text
+ */
+const readTag = (bytes, offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+/**
+ * Identifies an image format from its leading bytes
+ *
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {string|null} 'jpeg', 'png', 'webp', 'gif', 'bmp', 'heic',
+ *   'avif' or 'sequence' (HEIF/AVIF image sequence), or null when unknown
+ */
+export function detectImageFormat(bytes) {
+  if (bytes.length < 12) return null;
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpeg';
+  if (readTag(bytes, 0, 8) === '\x89PNG\r\n\x1a\n') return 'png';
+  if (readTag(bytes, 0, 4) === 'RIFF' && readTag(bytes, 8, 4) === 'WEBP') return 'webp';
+  if (readTag(bytes, 0, 6) === 'GIF87a' || readTag(bytes, 0, 6) === 'GIF89a') return 'gif';
+  if (readTag(bytes, 0, 2) === 'BM') return 'bmp';
+
+  // HEIF family - "ftyp" box with a major brand and a list of compatible brands
+  if (readTag(bytes, 4, 4) === 'ftyp') {
+    const boxSize = (bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3];
+    const majorBrand = readTag(bytes, 8, 4);
+    const brands = [majorBrand];
+    for (let offset = 16; offset + 4 <= Math.min(boxSize, bytes.length); offset += 4) {
+      brands.push(readTag(bytes, offset, 4));
+    }
+    if (SEQUENCE_BRANDS.includes(majorBrand)) return 'sequence';
+    if (brands.includes('avif')) return 'avif';
+    if (brands.some((brand) => HEIC_BRANDS.includes(brand))) return 'heic';
+  }
+  return null;
+}
+
+/**
+ * Checks whether a GIF, PNG or WebP holds more than one frame
+ *
+ * @param {string} format - Format from detectImageFormat
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {boolean} True for animations
+ */
+export function isAnimatedImage(format, bytes) {
+  if (format === 'sequence') return true;
+
+  if (format === 'gif') {
+    // Count graphic control extensions that are followed by an image
+    let frames = 0;
+    for (let i = 0; i < bytes.length - 9; i++) {
+      if (bytes[i] === 0x21 && bytes[i + 1] === 0xf9 && bytes[i + 2] === 0x04 && bytes[i + 7] === 0x00 &&
+        (bytes[i + 8] === 0x2c || bytes[i + 8] === 0x21)) {
+        frames++;
+        if (frames > 1) return true;
+      }
+    }
+    return false;
+  }
+
+  if (format === 'png') {
+    // APNG - an animation control chunk appears before the first image data
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+      const length = ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+      const type = readTag(bytes, offset + 4, 4);
+      if (type === 'acTL') return true;
+      if (type === 'IDAT') return false;
+      offset += 12 + length;
+    }
+    return false;
+  }
+
+  if (format === 'webp') {
+    // Extended WebP - animation flag in the VP8X header
+    return readTag(bytes, 12, 4) === 'VP8X' && (bytes[20] & 0x02) !== 0;
+  }
+
+  return false;
+}
+
+/**
+ * Reads image dimensions from the file header without decoding the pixels
+ * Lets oversized images be rejected before they exhaust a phone's memory.
+ *
+ * @param {string} format - Format from detectImageFormat
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {{width: number, height: number}|null} Dimensions, or null if the header could not be read
+ */
+export function readImageDimensions(format, bytes) {
+  const uint16BE = (offset) => (bytes[offset] << 8) | bytes[offset + 1];
+  const uint16LE = (offset) => bytes[offset] | (bytes[offset + 1] << 8);
+  const uint24LE = (offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+  const uint32BE = (offset) => ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+  const int32LE = (offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24);
+
+  switch (format) {
+    case 'jpeg': {
+      // Walk the segments up to the start-of-frame marker
+      let offset = 2;
+      while (offset + 9 < bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+        if (isStartOfFrame) {
+          return { width: uint16BE(offset + 7), height: uint16BE(offset + 5) };
+        }
+        offset += 2 + uint16BE(offset + 2);
+      }
+      return null;
+    }
+    case 'png':
+      return { width: uint32BE(16), height: uint32BE(20) };
+    case 'gif':
+      return { width: uint16LE(6), height: uint16LE(8) };
+    case 'bmp':
+      return { width: Math.abs(int32LE(18)), height: Math.abs(int32LE(22)) };
+    case 'webp': {
+      const chunk = readTag(bytes, 12, 4);
+      if (chunk === 'VP8X') {
+        return { width: uint24LE(24) + 1, height: uint24LE(27) + 1 };
+      }
+      if (chunk === 'VP8 ') {
+        return { width: uint16LE(26) & 0x3fff, height: uint16LE(28) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const [b0, b1, b2, b3] = bytes.subarray(21, 25);
+        return {
+          width: 1 + (((b1 & 0x3f) << 8) | b0),
+          height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6)),
+        };
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks decoded dimensions against the configured limits
+ *
+ * @param {string} name - File name for the message
+ * @param {{width: number, height: number}} dimensions - Image size in pixels
+ */
+function checkDimensions(name, { width, height }) {
+  const shortEdge = Math.min(width, height);
+  const longEdge = Math.max(width, height);
+  if (shortEdge < IMAGE_MIN_DIMENSION) {
+    throw new Error(`${name} is only ${width}×${height} pixels - photos need to be at least ${IMAGE_MIN_DIMENSION} pixels on each side`);
+  }
+  if (width * height > IMAGE_MAX_PIXELS) {
+    throw new Error(`${name} is ${Math.round((width * height) / 1e6)} megapixels - the limit is ${Math.round(IMAGE_MAX_PIXELS / 1e6)} megapixels`);
+  }
+  if (longEdge / shortEdge > IMAGE_MAX_ASPECT_RATIO) {
+    throw new Error(`${name} is too long and narrow - panoramas are not supported`);
+  }
+}
+
+/**
+ * Converts a HEIC/HEIF photo to JPEG
+ * Browsers that decode HEIC natively (Safari) are used directly; others
+ * load the heic2any decoder on demand, as it adds over 1 MB to the app.
+ *
+ * @param {File} file - HEIC file
+ * @returns {Promise<File>} JPEG version of the photo
+ */
+async function convertHeicToJpeg(file) {
+  const name = file.name.replace(/\.(heic|heif)$/i, '') + '.jpg';
+
+  try {
+    const { blob } = await sanitizeImage(file, { type: 'image/jpeg', quality: 0.92 });
+    return new File([blob], name, { type: 'image/jpeg' });
+  } catch (error) {
+    // No native HEIC support - fall back to the bundled decoder
+  }
+
+  try {
+    const { default: heic2any } = await import('heic2any');
+    const result = await heic2any({ blob: file, toType: 'image/jpeg', quality: 0.92 });
+    const blob = Array.isArray(result) ? result[0] : result;
+    return new File([blob], name, { type: 'image/jpeg' });
+  } catch (error) {
+    console.error('Error converting HEIC:', error);
+    throw new Error(`${file.name} could not be converted from HEIC. Please export it as JPEG and try again.`);
+  }
+}
+
+/**
+ * Validates a gallery file and prepares it for the upload form
+ *
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<File>} The file itself, or a JPEG conversion of a HEIC photo
+ * @throws {Error} With a user-facing message when the file is rejected
+ */
+export async function validateImageFile(file) {
+  if (file.size === 0) {
+    throw new Error(`${file.name} is empty`);
+  }
+  if (file.size > IMAGE_MAX_FILE_BYTES) {
+    throw new Error(`${file.name} is ${formatBytes(file.size)} - photos can be up to ${formatBytes(IMAGE_MAX_FILE_BYTES)}`);
+  }
+
+  const bytes = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+  const format = detectImageFormat(bytes);
+  if (!format || format === 'avif') {
+    throw new Error(`${file.name} is not a supported image. ${SUPPORTED_FORMATS_TEXT}`);
+  }
+  if (isAnimatedImage(format, bytes)) {
+    throw new Error(`${file.name} is animated - please choose a still photo`);
+  }
+
+  // Reject oversized images from their header, before decoding them
+  const headerDimensions = readImageDimensions(format, bytes);
+  if (headerDimensions) {
+    checkDimensions(file.name, headerDimensions);
+  }
+
+  const imageFile = format === 'heic' ? await convertHeicToJpeg(file) : file;
+
+  // A full decode catches truncated or corrupt files
+  let image;
+  try {
+    image = await decodeImage(imageFile);
+  } catch (error) {
+    throw new Error(`${file.name} could not be read - the file may be damaged. ${SUPPORTED_FORMATS_TEXT}`);
+  }
+  const dimensions = { width: image.width, height: image.height };
+  image.release();
+  checkDimensions(file.name, dimensions);
+
+  return imageFile;
+}
@@ -0,0 +1,54 @@
+import { toDate } from './time';
+import { getPostStatus } from '../config/status';
+import { FRESHNESS_HALF_LIFE_HOURS, FRESHNESS_GONE_FACTOR, FRESHNESS_LEVELS } from '../config/freshness';
+
+/**
+ * Freshness Scoring
+ *
+ * Scores how likely the person still is where a post says, from 1 (just
+ * seen) towards 0. The score decays exponentially from the last time the
+ * person was seen at the spot - the original sighting or the latest
+ * "still here" field check - and drops sharply when a later field check
+ * reports them gone. Computed on the device, so it keeps decaying without
+ * any writes.
+ */
+
+/**
+ * Finds when the person was last seen at the post's location
+ *
+ * @param {Object} post - Photo document
+ * @returns {Date|null} Latest sighting or "still here" check
+ */
+export function getLastSeenAt(post) {
+  return toDate(post.lastSeenAt || post.sightedAt || post.createdAt);
+}
+
+/**
+ * Scores the freshness of a post
+ *
+ * @param {Object} post - Photo document
+ * @param {Date} [now] - Time to score at
+ * @returns {{score: number, level: Object, lastSeenAt: Date, isReportedGone: boolean}|null}
+ *   Score between 0 and 1 with its level (see config/freshness.js), or
+ *   null for closed posts and posts without a time
+ */
+export function computeFreshness(post, now = new Date()) {
+  if (getPostStatus(post.status).isClosed) return null;
+
+  const lastSeenAt = getLastSeenAt(post);
+  if (!lastSeenAt) return null;
+
+  // Clock skew can put fresh server timestamps slightly in the future
+  const ageHours = Math.max(0, now - lastSeenAt) / (1000 * 60 * 60);
+  let score = 0.5 ** (ageHours / FRESHNESS_HALF_LIFE_HOURS);
+
+  // A "no longer here" check newer than the last sighting outweighs it
+  const lastGoneAt = toDate(post.lastGoneAt);
+  const isReportedGone = Boolean(lastGoneAt && lastGoneAt >= lastSeenAt);
+  if (isReportedGone) {
+    score *= FRESHNESS_GONE_FACTOR;
+  }
+
+  const level = FRESHNESS_LEVELS.find((candidate) => score >= candidate.minScore);
+  return { score, level, lastSeenAt, isReportedGone };
+}
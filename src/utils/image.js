@@ -0,0 +1,251 @@
+import { encode as encodeBlurhash } from 'blurhash';
+import { applyRedactions } from './redaction';
+import { computeDifferenceHash } from './perceptualHash';
+
+/**
+ * Image Processing Utilities
+ *
+ * Browser-side helpers that prepare photos for upload. Every image is
+ * decoded and redrawn onto a canvas before it leaves the device. A canvas
+ * export carries only pixels, so EXIF, XMP and IPTC blocks (camera model,
+ * serial numbers, embedded GPS, editing history) are dropped. The EXIF
+ * orientation is applied while decoding, so the pixels keep their upright
+ * orientation without the tag.
+ */
+
+/**
+ * Decodes an image file with its EXIF orientation applied
+ *
+ * @param {File|Blob} file - Image file to decode
+ * @returns {Promise<{source: CanvasImageSource, width: number, height: number, release: function}>}
+ *   Drawable image, its upright dimensions and a cleanup callback
+ */
+export async function decodeImage(file) {
+  // Preferred path - createImageBitmap can apply orientation explicitly
+  if (typeof createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+      return {
+        source: bitmap,
+        width: bitmap.width,
+        height: bitmap.height,
+        release: () => bitmap.close(),
+      };
+    } catch (error) {
+      // Fall through to the <img> path (e.g. older Safari rejects the options bag)
+    }
+  }
+
+  // Fallback - <img> elements honour EXIF orientation by default in modern browsers
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.src = url;
+  try {
+    await img.decode();
+  } catch (error) {
+    URL.revokeObjectURL(url);
+    throw new Error('This image format cannot be processed by your browser');
+  }
+  return {
+    source: img,
+    width: img.naturalWidth,
+    height: img.naturalHeight,
+    release: () => URL.revokeObjectURL(url),
+  };
+}
+
+/**
+ * Promise wrapper around canvas.toBlob
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to export
+ * @param {string} type - Output MIME type
+ * @param {number} quality - Encoder quality between 0 and 1
+ * @returns {Promise<Blob>} Encoded image
+ */
+export function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('Failed to encode image'));
+      }
+    }, type, quality);
+  });
+}
+
+/**
+ * Draws an image onto a new canvas, downscaled so its longest edge fits
+ * maxDimension (images are never scaled up)
+ *
+ * @param {Object} image - Decoded image from decodeImage
+ * @param {number} maxDimension - Longest edge in pixels
+ * @returns {HTMLCanvasElement} Canvas holding the scaled pixels
+ */
+export function drawScaled(image, maxDimension) {
+  const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.width * scale));
+  canvas.height = Math.max(1, Math.round(image.height * scale));
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(image.source, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+/**
+ * Re-encodes an image so that no embedded metadata survives
+ * Throws if the image cannot be decoded - callers must not fall back to
+ * uploading the original file, as that would leak its metadata.
+ *
+ * @param {File|Blob} file - Image selected or captured by the user
+ * @param {Object} [options] - Encoder options
+ * @param {string} [options.type='image/jpeg'] - Output MIME type
+ * @param {number} [options.quality=0.92] - Encoder quality between 0 and 1
+ * @param {number} [options.maxDimension] - Longest edge in pixels; larger images are downscaled
+ * @returns {Promise<{blob: Blob, width: number, height: number}>}
+ *   Metadata-free image with orientation applied to the pixels
+ */
+export async function sanitizeImage(file, { type = 'image/jpeg', quality = 0.92, maxDimension = Infinity } = {}) {
+  const image = await decodeImage(file);
+  try {
+    const canvas = drawScaled(image, maxDimension);
+    const blob = await canvasToBlob(canvas, type, quality);
+    return { blob, width: canvas.width, height: canvas.height };
+  } finally {
+    image.release();
+  }
+}
+
+/**
+ * Computes a BlurHash string - a ~30 character preview of the image
+ * that cards render as a blurred placeholder while the photo loads
+ *
+ * @param {Object} image - Decoded image from decodeImage, or a canvas in the same shape
+ * @returns {string} BlurHash string
+ */
+function computeBlurhash(image) {
+  const canvas = drawScaled(image, 32);
+  const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+  return encodeBlurhash(data, canvas.width, canvas.height, 4, 3);
+}
+
+/**
+ * Produces every rendition of a photo needed for upload from a single decode
+ * Each rendition is downscaled, compressed and free of embedded metadata.
+ * Encodes to WebP, falling back to JPEG on browsers without a WebP encoder
+ * (they silently return PNG from canvas.toBlob instead).
+ * Redactions are burned into every rendition, the BlurHash and the
+ * perceptual hash used for duplicate detection.
+ *
+ * @param {File|Blob} file - Image selected or captured by the user
+ * @param {Object} options - Rendition options
+ * @param {Object<string, number>} options.sizes - Longest edge per rendition, e.g. {small: 400, full: 1920}
+ * @param {number} options.quality - Encoder quality between 0 and 1
+ * @param {Array<Object>} [options.redactions] - Regions to blur or pixelate (see utils/redaction.js)
+ * @returns {Promise<{renditions: Object<string, {blob: Blob, width: number, height: number}>, blurhash: string, phash: string}>}
+ */
+export async function createRenditions(file, { sizes, quality, redactions = [] }) {
+  const image = await decodeImage(file);
+  try {
+    let type = 'image/webp';
+    const renditions = {};
+    let largest = null;
+
+    // Encode largest first so the WebP support check happens on the main image
+    const names = Object.keys(sizes).sort((a, b) => sizes[b] - sizes[a]);
+    for (const name of names) {
+      const canvas = drawScaled(image, sizes[name]);
+      applyRedactions(canvas, redactions);
+      largest = largest || canvas;
+      let blob = await canvasToBlob(canvas, type, quality);
+      if (blob.type !== type) {
+        type = 'image/jpeg';
+        blob = await canvasToBlob(canvas, type, quality);
+      }
+      renditions[name] = { blob, width: canvas.width, height: canvas.height };
+    }
+
+    // Placeholder and perceptual hash are computed from redacted pixels too
+    const blurhashSource = { source: largest, width: largest.width, height: largest.height };
+    return {
+      renditions,
+      blurhash: computeBlurhash(blurhashSource),
+      phash: computeDifferenceHash(largest),
+    };
+  } finally {
+    image.release();
+  }
+}
+
+/**
+ * Lists the images of a photo document in display order
+ * Multi-photo posts carry an `images` array; older single-photo posts
+ * only have the top-level image fields, which describe the cover image.
+ * Clip-only posts have an empty `images` array - their top-level fields
+ * describe the clip's poster frame, which is not listed as a photo.
+ *
+ * @param {Object} post - Photo document
+ * @returns {Array<{url: string, path: string, width: number, height: number, variants: Object, blurhash: string}>}
+ *   Images of the post, cover first
+ */
+export function getPostImages(post) {
+  if (Array.isArray(post.images)) {
+    return post.images;
+  }
+  return [{
+    url: post.imageURL,
+    path: post.imagePath,
+    width: post.imageWidth,
+    height: post.imageHeight,
+    variants: post.imageVariants || {},
+    blurhash: post.imageBlurhash,
+  }];
+}
+
+/**
+ * Builds srcset/sizes-ready values for one image of a post
+ * Older images without renditions fall back to the single full image
+ *
+ * @param {Object} image - Image entry from getPostImages
+ * @returns {{src: string, srcSet: string|undefined}} Attributes for an <img> element
+ */
+export function getImageSources(image) {
+  const variants = image.variants || {};
+  const candidates = [variants.small, variants.medium]
+    .filter(Boolean)
+    .map((variant) => `${variant.url} ${variant.width}w`);
+
+  if (candidates.length === 0) {
+    return { src: image.url, srcSet: undefined };
+  }
+  if (image.width) {
+    candidates.push(`${image.url} ${image.width}w`);
+  }
+  return {
+    src: (variants.medium || variants.small).url,
+    srcSet: candidates.join(', '),
+  };
+}
+
+/**
+ * Returns the file extension for an encoded image type
+ *
+ * @param {string} type - MIME type such as "image/webp"
+ * @returns {string} Extension without the dot
+ */
+export function extensionForType(type) {
+  return type === 'image/webp' ? 'webp' : 'jpg';
+}
+
+/**
+ * Formats a byte count for display, e.g. 8421376 -> "8.0 MB"
+ *
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Human-readable size
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
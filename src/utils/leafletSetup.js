@@ -0,0 +1,21 @@
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png';
+import markerIcon from 'leaflet/dist/images/marker-icon.png';
+import markerShadow from 'leaflet/dist/images/marker-shadow.png';
+
+/**
+ * Leaflet Setup
+ *
+ * Loads the Leaflet stylesheet and points the default marker icon at the
+ * bundled image files. Leaflet guesses icon URLs from its CSS location,
+ * which breaks once webpack renames the assets. Import this module once
+ * from any component that renders a map.
+ */
+
+delete L.Icon.Default.prototype._getIconUrl;
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl: markerIcon2x,
+  iconUrl: markerIcon,
+  shadowUrl: markerShadow,
+});
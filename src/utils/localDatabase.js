@@ -0,0 +1,45 @@
+import { openDB } from 'idb';
+
+/**
+ * Local Database
+ *
+ * The app's single IndexedDB database, shared by everything that keeps
+ * data on the device. Each feature owns one object store:
+ * - uploadQueue: posts waiting to be sent (see utils/uploadQueue.js)
+ * - drafts: the unfinished upload form, one per user (see utils/uploadDraft.js)
+ *
+ * Bump DB_VERSION and add a step to upgrade() when a store is added.
+ */
+
+const DB_NAME = 'destitutesofindia';
+const DB_VERSION = 2;
+
+export const UPLOAD_QUEUE_STORE = 'uploadQueue';
+export const DRAFTS_STORE = 'drafts';
+
+// Cached database connection
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates or upgrades) the IndexedDB database
+ *
+ * @returns {Promise<IDBPDatabase>} Database handle
+ */
+export function getDatabase() {
+  if (!dbPromise) {
+    dbPromise = openDB(DB_NAME, DB_VERSION, {
+      upgrade(database, oldVersion) {
+        // Version 1 - offline upload queue
+        if (oldVersion < 1) {
+          const store = database.createObjectStore(UPLOAD_QUEUE_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('userId', 'submission.userId');
+        }
+        // Version 2 - upload form drafts
+        if (oldVersion < 2) {
+          database.createObjectStore(DRAFTS_STORE, { keyPath: 'userId' });
+        }
+      },
+    });
+  }
+  return dbPromise;
+}
@@ -0,0 +1,67 @@
+/**
+ * Perceptual Hash Utilities
+ *
+ * Difference hashes (dHash) for spotting photos of the same scene. The image
+ * is shrunk to 9x8 grey pixels and each bit records whether a pixel is
+ * brighter than its right-hand neighbour. Re-encoding, resizing and small
+ * colour changes leave most bits untouched, so two photos of the same
+ * person at the same spot differ in only a few bits, while unrelated photos
+ * differ in about half of them.
+ *
+ * Hashes are stored as 16-character hex strings (64 bits).
+ */
+
+const HASH_WIDTH = 9;   // One extra column - each bit compares two neighbours
+const HASH_HEIGHT = 8;
+
+/**
+ * Computes the difference hash of an image
+ *
+ * @param {CanvasImageSource} source - Drawable image, e.g. a canvas holding the upload
+ * @returns {string} 64-bit hash as 16 hex characters
+ */
+export function computeDifferenceHash(source) {
+  const canvas = document.createElement('canvas');
+  canvas.width = HASH_WIDTH;
+  canvas.height = HASH_HEIGHT;
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(source, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+  const { data } = context.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT);
+
+  // Rec. 601 luma per pixel
+  const luma = (x, y) => {
+    const offset = (y * HASH_WIDTH + x) * 4;
+    return data[offset] * 0.299 + data[offset + 1] * 0.587 + data[offset + 2] * 0.114;
+  };
+
+  let hash = '';
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    // Eight bits per row - exactly two hex digits
+    let byte = 0;
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      byte = (byte << 1) | (luma(x, y) > luma(x + 1, y) ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return hash;
+}
+
+/**
+ * Counts the bits that differ between two hashes
+ *
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash of the same length
+ * @returns {number} Hamming distance (0 = identical, 64 = opposite)
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
@@ -0,0 +1,17 @@
+import { hammingDistance } from './perceptualHash';
+
+describe('hammingDistance', () => {
+  it('is zero for identical hashes', () => {
+    expect(hammingDistance('0f0f0f0f0f0f0f0f', '0f0f0f0f0f0f0f0f')).toBe(0);
+  });
+
+  it('counts every differing bit', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000001')).toBe(1);
+    expect(hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+  });
+
+  it('ignores the case of hex digits', () => {
+    expect(hammingDistance('ABCDEF0123456789', 'abcdef0123456789')).toBe(0);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Redaction Utilities
+ *
+ * Burns blur or pixelation into regions of an image so faces, number plates
+ * and other identifying features cannot be recovered from the upload.
+ *
+ * Region shapes (all coordinates normalised to 0-1 of the image, so the same
+ * list applies to every rendition size):
+ * - box:   {id, type: 'box', effect, source, x, y, width, height}
+ * - brush: {id, type: 'brush', effect, source, points: [{x, y}], size}
+ *          where size is the brush diameter as a fraction of the longest edge
+ *
+ * effect is 'blur' or 'pixelate'; source is 'detected' (face detector
+ * suggestion) or 'manual' (drawn by the user).
+ */
+
+// Number of cells across the smaller side of a region - fewer cells hide more detail
+const PIXELATE_CELLS = 8;
+const BLUR_CELLS = 5;
+
+/**
+ * Builds the clip path for a region in canvas pixels
+ *
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {Object} region - Redaction region
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {{x: number, y: number, width: number, height: number, feature: number}}
+ *   Pixel bounding box of the region and its characteristic feature size
+ */
+function traceRegion(context, region, width, height) {
+  context.beginPath();
+
+  if (region.type === 'box') {
+    const x = region.x * width;
+    const y = region.y * height;
+    const w = region.width * width;
+    const h = region.height * height;
+    context.rect(x, y, w, h);
+    return { x, y, width: w, height: h, feature: Math.min(w, h) };
+  }
+
+  // Brush strokes are stamped as overlapping circles along the path
+  const radius = (region.size * Math.max(width, height)) / 2;
+  const step = Math.max(1, radius / 2);
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  const stamp = (px, py) => {
+    context.moveTo(px + radius, py);
+    context.arc(px, py, radius, 0, Math.PI * 2);
+    minX = Math.min(minX, px - radius);
+    minY = Math.min(minY, py - radius);
+    maxX = Math.max(maxX, px + radius);
+    maxY = Math.max(maxY, py + radius);
+  };
+
+  region.points.forEach((point, index) => {
+    const px = point.x * width;
+    const py = point.y * height;
+    if (index === 0) {
+      stamp(px, py);
+      return;
+    }
+    // Fill gaps between pointer samples so fast strokes stay continuous
+    const previous = region.points[index - 1];
+    const fromX = previous.x * width;
+    const fromY = previous.y * height;
+    const distance = Math.hypot(px - fromX, py - fromY);
+    const steps = Math.max(1, Math.ceil(distance / step));
+    for (let i = 1; i <= steps; i++) {
+      stamp(fromX + ((px - fromX) * i) / steps, fromY + ((py - fromY) * i) / steps);
+    }
+  });
+
+  return { x: minX, y: minY, width: maxX - minX, height: maxY - minY, feature: radius * 2 };
+}
+
+/**
+ * Applies every redaction to a canvas in place
+ * Each region is shrunk to a handful of cells and stretched back - with
+ * smoothing for blur, without it for pixelation - then clipped to its shape.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas holding the image pixels
+ * @param {Array<Object>} regions - Redaction regions (see module docs)
+ */
+export function applyRedactions(canvas, regions) {
+  if (!regions || regions.length === 0) return;
+
+  const context = canvas.getContext('2d');
+  const scratch = document.createElement('canvas');
+  const scratchContext = scratch.getContext('2d');
+
+  regions.forEach((region) => {
+    context.save();
+    const bounds = traceRegion(context, region, canvas.width, canvas.height);
+    context.clip();
+
+    // Clamp the working area to the canvas
+    const x = Math.max(0, Math.floor(bounds.x));
+    const y = Math.max(0, Math.floor(bounds.y));
+    const w = Math.min(canvas.width, Math.ceil(bounds.x + bounds.width)) - x;
+    const h = Math.min(canvas.height, Math.ceil(bounds.y + bounds.height)) - y;
+    if (w <= 0 || h <= 0) {
+      context.restore();
+      return;
+    }
+
+    const cells = region.effect === 'pixelate' ? PIXELATE_CELLS : BLUR_CELLS;
+    const cellSize = Math.max(2, bounds.feature / cells);
+    scratch.width = Math.max(1, Math.round(w / cellSize));
+    scratch.height = Math.max(1, Math.round(h / cellSize));
+    scratchContext.imageSmoothingEnabled = true;
+    scratchContext.drawImage(canvas, x, y, w, h, 0, 0, scratch.width, scratch.height);
+
+    context.imageSmoothingEnabled = region.effect !== 'pixelate';
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(scratch, 0, 0, scratch.width, scratch.height, x, y, w, h);
+    context.restore();
+  });
+}
+
+/**
+ * Summarises redactions for the photo document
+ *
+ * @param {Array<Object>} regions - Redaction regions
+ * @returns {{applied: boolean, regionCount: number, detectedFaces: number, effects: Array<string>}}
+ *   Record of what was hidden - no coordinates are stored
+ */
+export function summarizeRedactions(regions = []) {
+  return {
+    applied: regions.length > 0,
+    regionCount: regions.length,
+    detectedFaces: regions.filter((region) => region.source === 'detected').length,
+    effects: [...new Set(regions.map((region) => region.effect))],
+  };
+}
+
+/**
+ * Summarises redactions for a post from the summaries of its images
+ * Images shared before summaries were kept per image have none - the
+ * post's previous summary stands in for all of them, counted once while
+ * any remain. It may still count regions of a photo replaced since.
+ *
+ * @param {Array<Object>} images - Image entries of the post, each with a `redaction` summary or none
+ * @param {Object} [previous] - Redaction summary stored on the post before
+ * @returns {{applied: boolean, regionCount: number, detectedFaces: number, effects: Array<string>}}
+ *   Summary covering every image of the post
+ */
+export function summarizePostRedactions(images, previous) {
+  const summaries = images.map((image) => image.redaction);
+  const hasLegacyImages = summaries.some((summary) => !summary);
+  return [...summaries.filter(Boolean), ...(hasLegacyImages && previous ? [previous] : [])]
+    .reduce((combined, summary) => ({
+      applied: combined.applied || summary.applied,
+      regionCount: combined.regionCount + summary.regionCount,
+      detectedFaces: combined.detectedFaces + summary.detectedFaces,
+      effects: [...new Set([...combined.effects, ...summary.effects])],
+    }), summarizeRedactions());
+}
@@ -0,0 +1,44 @@
+import { summarizeRedactions, summarizePostRedactions } from './redaction';
+
+const face = { type: 'box', effect: 'blur', source: 'detected' };
+const plate = { type: 'box', effect: 'pixelate', source: 'manual' };
+
+describe('summarizeRedactions', () => {
+  it('counts regions and detected faces without storing coordinates', () => {
+    expect(summarizeRedactions([face, face, plate])).toEqual({
+      applied: true,
+      regionCount: 3,
+      detectedFaces: 2,
+      effects: ['blur', 'pixelate'],
+    });
+  });
+
+  it('records that nothing was hidden', () => {
+    expect(summarizeRedactions()).toEqual({ applied: false, regionCount: 0, detectedFaces: 0, effects: [] });
+  });
+});
+
+describe('summarizePostRedactions', () => {
+  it('adds up the summaries of every image', () => {
+    const images = [
+      { redaction: summarizeRedactions([face]) },
+      { redaction: summarizeRedactions([plate]) },
+    ];
+    expect(summarizePostRedactions(images)).toEqual(summarizeRedactions([face, plate]));
+  });
+
+  it('no longer counts a photo that was replaced', () => {
+    const previous = summarizeRedactions([face, face, plate]);
+    const images = [
+      { redaction: summarizeRedactions([face]) },
+      { redaction: summarizeRedactions() },   // Replaced the photo with the other face and the plate
+    ];
+    expect(summarizePostRedactions(images, previous)).toEqual(summarizeRedactions([face]));
+  });
+
+  it('keeps the previous summary once for images without their own', () => {
+    const previous = summarizeRedactions([face, plate]);
+    const images = [{}, {}, { redaction: summarizeRedactions([face]) }];
+    expect(summarizePostRedactions(images, previous)).toEqual(summarizeRedactions([face, plate, face]));
+  });
+});
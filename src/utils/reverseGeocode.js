@@ -0,0 +1,155 @@
+import { distanceBetween } from 'geofire-common';
+
+/**
+ * Offline Reverse Geocoding
+ *
+ * Turns raw coordinates into a readable Indian place (state, district and
+ * city) using datasets bundled with the app, so it works without network
+ * access and never sends a reporter's position to a third-party API.
+ *
+ * Lookup strategy:
+ * 1. State - point-in-polygon test against state boundaries; the simplified
+ *    boundaries miss some coasts and islands (e.g. Mumbai, Kavaratti), so
+ *    points outside every state take the state of a nearby town
+ * 2. District - district of the nearest town in the gazetteer within that
+ *    state, accepted only if it lies within the configured distance
+ * 3. City - nearest town in the gazetteer within that state, accepted only
+ *    if it lies within the configured distance
+ *
+ * The datasets live in src/data/india and are loaded lazily on first use
+ * so they do not weigh down the initial bundle.
+ */
+
+// Maximum distance to the nearest town for it to count as the city
+const CITY_MATCH_RADIUS_KM = 25;
+
+// Maximum distance to the nearest town for its district to be used
+const DISTRICT_MATCH_RADIUS_KM = 60;
+
+// Maximum distance to the nearest town for its state to be used when the
+// point lies outside every state boundary
+const STATE_MATCH_RADIUS_KM = 60;
+
+// Cached promise for the lazily loaded datasets
+let datasetsPromise = null;
+
+/**
+ * Loads the bundled boundary and town datasets once
+ *
+ * @returns {Promise<{states: Object, towns: Array<Object>}>} Parsed datasets
+ */
+function loadDatasets() {
+  if (!datasetsPromise) {
+    datasetsPromise = Promise.all([
+      import('../data/india/states.json'),
+      import('../data/india/towns.json'),
+    ]).then(([states, towns]) => ({
+      states: states.default || states,
+      towns: towns.default || towns,
+    }));
+  }
+  return datasetsPromise;
+}
+
+/**
+ * Ray-casting test for a point inside a single polygon ring
+ *
+ * @param {number} x - Longitude of the point
+ * @param {number} y - Latitude of the point
+ * @param {Array<Array<number>>} ring - Closed ring of [longitude, latitude] pairs
+ * @returns {boolean} True if the point lies inside the ring
+ */
+function isInRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Tests a point against a GeoJSON Polygon or MultiPolygon geometry
+ * Holes (inner rings) are respected
+ *
+ * @param {number} x - Longitude of the point
+ * @param {number} y - Latitude of the point
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {boolean} True if the point lies inside the geometry
+ */
+function isInGeometry(x, y, geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.some(([outer, ...holes]) => (
+    isInRing(x, y, outer) && !holes.some((hole) => isInRing(x, y, hole))
+  ));
+}
+
+/**
+ * Finds the town closest to a point
+ *
+ * @param {Array<Object>} towns - Gazetteer entries
+ * @param {number} latitude - Latitude of the point
+ * @param {number} longitude - Longitude of the point
+ * @param {string|null} state - Only consider towns in this state, if set
+ * @returns {{town: Object|null, distance: number}} Nearest town and its distance in km
+ */
+function findNearestTown(towns, latitude, longitude, state) {
+  let town = null;
+  let distance = Infinity;
+  towns.forEach((candidate) => {
+    if (state && candidate.state !== state) return;
+    const candidateDistance = distanceBetween([latitude, longitude], [candidate.latitude, candidate.longitude]);
+    if (candidateDistance < distance) {
+      town = candidate;
+      distance = candidateDistance;
+    }
+  });
+  return { town, distance };
+}
+
+/**
+ * Resolves coordinates to a state, district and city
+ *
+ * @param {Object} location - Location to resolve
+ * @param {number} location.latitude - Latitude in degrees
+ * @param {number} location.longitude - Longitude in degrees
+ * @returns {Promise<{state: string|null, district: string|null, city: string|null}>}
+ *   Place names, with null for any level that could not be determined
+ */
+export async function reverseGeocode({ latitude, longitude }) {
+  const { states, towns } = await loadDatasets();
+
+  const stateFeature = states.features.find((feature) => (
+    isInGeometry(longitude, latitude, feature.geometry)
+  ));
+  let state = stateFeature ? stateFeature.properties.name : null;
+
+  // Find the closest town, preferring towns in the same state
+  const { town: nearest, distance: nearestDistance } = findNearestTown(towns, latitude, longitude, state);
+
+  // Outside every boundary - a coast or island the simplified polygons miss
+  if (!state && nearest && nearestDistance <= STATE_MATCH_RADIUS_KM) {
+    state = nearest.state;
+  }
+
+  return {
+    state,
+    district: nearest && nearestDistance <= DISTRICT_MATCH_RADIUS_KM ? nearest.district : null,
+    city: nearest && nearestDistance <= CITY_MATCH_RADIUS_KM ? nearest.name : null,
+  };
+}
+
+/**
+ * Builds a readable place label such as "Mumbai, Maharashtra"
+ * Repeated names (e.g. city and district both "Pune") are shown once
+ *
+ * @param {Object} place - Object carrying optional city, district and state fields
+ * @returns {string|null} Comma-separated place label or null if nothing is known
+ */
+export function formatPlaceName({ city, district, state } = {}) {
+  const parts = [city || district, state].filter(Boolean);
+  const unique = parts.filter((part, index) => parts.indexOf(part) === index);
+  return unique.length > 0 ? unique.join(', ') : null;
+}
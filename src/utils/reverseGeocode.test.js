@@ -0,0 +1,42 @@
+import { reverseGeocode, formatPlaceName } from './reverseGeocode';
+
+describe('reverseGeocode', () => {
+  it('resolves a point inside a state boundary', async () => {
+    await expect(reverseGeocode({ latitude: 28.6139, longitude: 77.209 })).resolves.toEqual({
+      state: 'Delhi',
+      district: 'New Delhi',
+      city: 'Delhi',
+    });
+  });
+
+  it.each([
+    ['Mumbai', 18.9388, 72.8354, 'Maharashtra'],
+    ['Vasco da Gama', 15.386, 73.844, 'Goa'],
+    ['Kavaratti', 10.5593, 72.6358, 'Lakshadweep'],
+    ['Diu', 20.7144, 70.9874, 'Daman and Diu'],
+  ])('resolves %s on the coast to its state', async (city, latitude, longitude, state) => {
+    const place = await reverseGeocode({ latitude, longitude });
+    expect(place.state).toBe(state);
+    expect(place.city).toBe(city);
+  });
+
+  it('leaves every level empty far away from any town', async () => {
+    await expect(reverseGeocode({ latitude: 15, longitude: 65 })).resolves.toEqual({
+      state: null,
+      district: null,
+      city: null,
+    });
+  });
+});
+
+describe('formatPlaceName', () => {
+  it('prefers the city and shows repeated names once', () => {
+    expect(formatPlaceName({ city: 'Pune', district: 'Pune', state: 'Maharashtra' })).toBe('Pune, Maharashtra');
+    expect(formatPlaceName({ city: null, district: 'Pune', state: 'Maharashtra' })).toBe('Pune, Maharashtra');
+  });
+
+  it('returns null when nothing is known', () => {
+    expect(formatPlaceName({})).toBeNull();
+    expect(formatPlaceName()).toBeNull();
+  });
+});
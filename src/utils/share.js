@@ -0,0 +1,56 @@
+/**
+ * Post Sharing Utilities
+ *
+ * Every post has its own page at /photo/:id. Share, copy-link and QR actions
+ * all point there, so a shared link opens the actual sighting rather than
+ * the home page.
+ */
+
+/**
+ * Builds the absolute URL of a post's detail page
+ *
+ * @param {string} postId - Photo document ID
+ * @returns {string} Deep link to the post
+ */
+export const getPostUrl = (postId) => `${window.location.origin}/photo/${postId}`;
+
+/**
+ * Copies a post's link to the clipboard
+ *
+ * @param {string} postId - Photo document ID
+ * @returns {Promise<void>} Rejects when clipboard access is denied
+ */
+export function copyPostLink(postId) {
+  if (!navigator.clipboard) {
+    return Promise.reject(new Error('Clipboard is not available in this browser'));
+  }
+  return navigator.clipboard.writeText(getPostUrl(postId));
+}
+
+/**
+ * Shares a post with the native share sheet, or copies its link
+ *
+ * @param {Object} post - Photo document with `id`
+ * @returns {Promise<'shared'|'copied'|'cancelled'>} What happened
+ */
+export async function sharePost(post) {
+  const url = getPostUrl(post.id);
+
+  if (navigator.share) {
+    try {
+      await navigator.share({
+        title: 'Destitutes of India',
+        text: post.description || 'Check out this location that needs attention',
+        url,
+      });
+      return 'shared';
+    } catch (error) {
+      // The user closed the share sheet
+      if (error.name === 'AbortError') return 'cancelled';
+      console.warn('Native share failed, copying link instead:', error);
+    }
+  }
+
+  await copyPostLink(post.id);
+  return 'copied';
+}
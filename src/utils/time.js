@@ -0,0 +1,54 @@
+/**
+ * Time Utilities
+ *
+ * Helpers for turning Firestore timestamps into human-readable text.
+ */
+
+/**
+ * Converts a Firestore timestamp, Date or epoch value into a Date
+ *
+ * @param {Object|Date|number} timestamp - Firestore timestamp or date-like value
+ * @returns {Date|null} Date instance or null when no timestamp is given
+ */
+export const toDate = (timestamp) => {
+  if (!timestamp) return null;
+  return timestamp.toDate ? timestamp.toDate() : new Date(timestamp);  // Handle both Firestore timestamp and regular Date
+};
+
+/**
+ * Formats timestamp into human-readable relative time
+ * Converts Firestore timestamp to "X hours/days ago" format
+ *
+ * @param {Object} timestamp - Firestore timestamp object
+ * @returns {string} Formatted time string
+ */
+export const formatTimestamp = (timestamp) => {
+  if (!timestamp) return 'Recently';
+
+  const date = toDate(timestamp);
+  const now = new Date();
+  const diffInHours = Math.floor((now - date) / (1000 * 60 * 60));  // Calculate hours difference
+
+  // Return appropriate time format based on duration
+  if (diffInHours < 1) {
+    return 'Just now';
+  } else if (diffInHours < 24) {
+    return `${diffInHours} hour${diffInHours > 1 ? 's' : ''} ago`;
+  } else {
+    const diffInDays = Math.floor(diffInHours / 24);
+    return `${diffInDays} day${diffInDays > 1 ? 's' : ''} ago`;
+  }
+};
+
+/**
+ * Formats a Date for an <input type="datetime-local"> value
+ * The input works in local time, so the timezone offset is removed first
+ *
+ * @param {Date|null} date - Date to format
+ * @returns {string} Value in "YYYY-MM-DDTHH:mm" form, or '' when no date is given
+ */
+export const toDateTimeLocalValue = (date) => {
+  if (!date) return '';
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
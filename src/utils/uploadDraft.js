@@ -0,0 +1,67 @@
+import { getDatabase, DRAFTS_STORE as STORE } from './localDatabase';
+import { DRAFT_MAX_AGE_HOURS } from '../config/upload';
+
+/**
+ * Upload Form Drafts
+ *
+ * The upload form is saved to IndexedDB as the user fills it in, so closing
+ * the modal, switching apps or a browser crash on a low-memory phone does
+ * not lose the photos, location and description. Each user has at most one
+ * draft, keyed by user ID.
+ *
+ * Draft shape:
+ * {
+ *   userId,
+ *   photos: [{file, redactions}],      // Original files - renditions are rebuilt on resume
+ *   metadataPhotoIndex,                // Photo whose metadata pre-filled the form, or -1
+ *   clip,                              // {blob, mimeType, duration, start, end} | null
+ *   location, exifLocation, place,
+ *   sightedAt, sightedAtSource,
+ *   description, needs, urgency, peopleCount, isAnonymous,
+ *   consentStatus, consentNote,
+ *   consentPhoto,                      // File | null - private photo of the consent
+ *   savedAt                            // Date of the last save
+ * }
+ */
+
+/**
+ * Saves (or replaces) a user's draft
+ *
+ * @param {string} userId - Owner of the draft
+ * @param {Object} draft - Form fields (see module docs)
+ * @returns {Promise<void>}
+ */
+export async function saveDraft(userId, draft) {
+  const database = await getDatabase();
+  await database.put(STORE, { ...draft, userId, savedAt: new Date() });
+}
+
+/**
+ * Loads a user's draft, discarding it if it has expired
+ *
+ * @param {string} userId - Owner of the draft
+ * @returns {Promise<Object|null>} Draft, or null when there is none to resume
+ */
+export async function loadDraft(userId) {
+  const database = await getDatabase();
+  const draft = await database.get(STORE, userId);
+  if (!draft) return null;
+
+  const ageMs = Date.now() - draft.savedAt.getTime();
+  if (ageMs > DRAFT_MAX_AGE_HOURS * 60 * 60 * 1000) {
+    await database.delete(STORE, userId);
+    return null;
+  }
+  return draft;
+}
+
+/**
+ * Removes a user's draft
+ *
+ * @param {string} userId - Owner of the draft
+ * @returns {Promise<void>}
+ */
+export async function clearDraft(userId) {
+  const database = await getDatabase();
+  await database.delete(STORE, userId);
+}
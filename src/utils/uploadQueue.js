@@ -0,0 +1,156 @@
+import { getDatabase, UPLOAD_QUEUE_STORE as STORE } from './localDatabase';
+import { UPLOAD_QUEUE_CLAIM_TIMEOUT_MS } from '../config/upload';
+
+/**
+ * Offline Upload Queue
+ *
+ * Posts made without a connection (or whose upload failed on a flaky
+ * network) are kept in IndexedDB until they can be sent. Each entry holds
+ * the full submission accepted by publishPhoto, including the compressed
+ * image Blobs, so nothing has to be re-processed later.
+ *
+ * Entry shape:
+ * {
+ *   id,                 // Auto-incremented key
+ *   submission,         // See firebase/photoPublisher.js
+ *   status,             // 'pending' | 'uploading' | 'failed'
+ *   attempts,           // Number of upload attempts so far
+ *   lastError,          // Message of the last failure, if any
+ *   claimedAt,          // Time (ms) the entry was last claimed for upload
+ *   queuedAt            // Date the post was queued
+ * }
+ *
+ * The queue is processed by UploadQueueContext - on app start, when the
+ * browser comes back online and when the service worker fires a
+ * background sync event. Several tabs can process it at once, so each
+ * entry is sent under a cross-tab lock and claimed in a readwrite
+ * transaction before its upload starts.
+ */
+
+// Background Sync tag registered with the service worker
+export const UPLOAD_QUEUE_SYNC_TAG = 'upload-queue';
+
+/**
+ * Asks the service worker to wake the app up once connectivity returns
+ * Browsers without Background Sync rely on the "online" event instead.
+ */
+async function requestBackgroundSync() {
+  try {
+    if (!('serviceWorker' in navigator)) return;
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) {
+      await registration.sync.register(UPLOAD_QUEUE_SYNC_TAG);
+    }
+  } catch (error) {
+    // Sync registration is best effort - the queue is still flushed on reconnect
+    console.warn('Background sync unavailable:', error);
+  }
+}
+
+/**
+ * Adds a submission to the queue
+ *
+ * @param {Object} submission - Prepared post (see firebase/photoPublisher.js)
+ * @param {string} [lastError] - Reason the immediate upload did not happen
+ * @returns {Promise<number>} ID of the queued entry
+ */
+export async function enqueueUpload(submission, lastError = null) {
+  const database = await getDatabase();
+  const id = await database.add(STORE, {
+    submission,
+    status: 'pending',
+    attempts: 0,
+    lastError,
+    queuedAt: new Date(),
+  });
+  requestBackgroundSync();
+  return id;
+}
+
+/**
+ * Lists queued entries for a user, oldest first
+ *
+ * @param {string} userId - Owner of the entries
+ * @returns {Promise<Array<Object>>} Queue entries
+ */
+export async function listQueuedUploads(userId) {
+  const database = await getDatabase();
+  return database.getAllFromIndex(STORE, 'userId', userId);
+}
+
+/**
+ * Merges changes into a queued entry
+ *
+ * @param {number} id - Entry ID
+ * @param {Object} changes - Fields to overwrite
+ * @returns {Promise<void>}
+ */
+export async function updateQueuedUpload(id, changes) {
+  const database = await getDatabase();
+  const transaction = database.transaction(STORE, 'readwrite');
+  const entry = await transaction.store.get(id);
+  if (entry) {
+    await transaction.store.put({ ...entry, ...changes });
+  }
+  await transaction.done;
+}
+
+/**
+ * Runs a task while holding a cross-tab lock on a queued entry
+ * The lock is released when the task ends or its tab closes, so entries
+ * left "uploading" by a crashed tab can be taken over straight away.
+ * Browsers without the Web Locks API run the task unlocked and rely on
+ * the claim timeout instead (see claimQueuedUpload).
+ *
+ * @param {number} id - Entry ID
+ * @param {function} task - Async task, called with true if the lock is held
+ * @returns {Promise<void>} Resolves without running the task if another tab holds the lock
+ */
+export async function withQueuedUploadLock(id, task) {
+  if (!navigator.locks) {
+    await task(false);
+    return;
+  }
+  await navigator.locks.request(`${STORE}-${id}`, { ifAvailable: true }, async (lock) => {
+    if (lock) await task(true);
+  });
+}
+
+/**
+ * Claims an entry for upload and counts the attempt
+ * Runs in one readwrite transaction, so two tabs can never both claim it.
+ *
+ * @param {number} id - Entry ID
+ * @param {boolean} isLocked - True if the caller holds the entry's lock
+ * @returns {Promise<Object|null>} The claimed entry, or null if it was sent,
+ *   discarded, failed or is being sent by another tab
+ */
+export async function claimQueuedUpload(id, isLocked) {
+  const database = await getDatabase();
+  const transaction = database.transaction(STORE, 'readwrite');
+  const entry = await transaction.store.get(id);
+  const now = Date.now();
+
+  // Without a lock, a recent claim means another tab is still uploading
+  const isClaimedElsewhere = entry && entry.status === 'uploading' && !isLocked
+    && now - (entry.claimedAt || 0) < UPLOAD_QUEUE_CLAIM_TIMEOUT_MS;
+
+  let claimed = null;
+  if (entry && entry.status !== 'failed' && !isClaimedElsewhere) {
+    claimed = { ...entry, status: 'uploading', attempts: entry.attempts + 1, claimedAt: now };
+    await transaction.store.put(claimed);
+  }
+  await transaction.done;
+  return claimed;
+}
+
+/**
+ * Removes an entry from the queue
+ *
+ * @param {number} id - Entry ID
+ * @returns {Promise<void>}
+ */
+export async function removeQueuedUpload(id) {
+  const database = await getDatabase();
+  await database.delete(STORE, id);
+}
@@ -0,0 +1,103 @@
+import { claimQueuedUpload, withQueuedUploadLock } from './uploadQueue';
+import { UPLOAD_QUEUE_CLAIM_TIMEOUT_MS } from '../config/upload';
+
+// In-memory stand-in for the IndexedDB store
+const mockEntries = new Map();
+
+jest.mock('./localDatabase', () => ({
+  UPLOAD_QUEUE_STORE: 'uploadQueue',
+  getDatabase: async () => ({
+    transaction: () => ({
+      store: {
+        get: async (id) => mockEntries.get(id),
+        put: async (entry) => { mockEntries.set(entry.id, entry); },
+      },
+      done: Promise.resolve(),
+    }),
+  }),
+}));
+
+const NOW = 1_700_000_000_000;
+
+const queue = (entry) => mockEntries.set(entry.id, { id: 1, status: 'pending', attempts: 0, ...entry });
+
+describe('claimQueuedUpload', () => {
+  beforeEach(() => {
+    mockEntries.clear();
+    jest.spyOn(Date, 'now').mockReturnValue(NOW);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('marks a pending entry as uploading and counts the attempt', async () => {
+    queue({ id: 1 });
+
+    const claimed = await claimQueuedUpload(1, true);
+    expect(claimed).toMatchObject({ id: 1, status: 'uploading', attempts: 1, claimedAt: NOW });
+    expect(mockEntries.get(1)).toEqual(claimed);
+  });
+
+  it('does not claim entries that were sent, discarded or failed', async () => {
+    queue({ id: 2, status: 'failed', attempts: 5 });
+
+    await expect(claimQueuedUpload(1, true)).resolves.toBeNull();
+    await expect(claimQueuedUpload(2, true)).resolves.toBeNull();
+    expect(mockEntries.get(2).attempts).toBe(5);
+  });
+
+  it('leaves a recent claim to the tab uploading it when unlocked', async () => {
+    queue({ id: 1, status: 'uploading', attempts: 1, claimedAt: NOW - 1000 });
+
+    await expect(claimQueuedUpload(1, false)).resolves.toBeNull();
+    expect(mockEntries.get(1).attempts).toBe(1);
+  });
+
+  it('takes over a claim that timed out', async () => {
+    queue({ id: 1, status: 'uploading', attempts: 1, claimedAt: NOW - UPLOAD_QUEUE_CLAIM_TIMEOUT_MS });
+
+    await expect(claimQueuedUpload(1, false)).resolves.toMatchObject({ attempts: 2, claimedAt: NOW });
+  });
+
+  it('takes over any claim while holding the lock - the tab that made it is gone', async () => {
+    queue({ id: 1, status: 'uploading', attempts: 1, claimedAt: NOW - 1000 });
+
+    await expect(claimQueuedUpload(1, true)).resolves.toMatchObject({ attempts: 2 });
+  });
+});
+
+describe('withQueuedUploadLock', () => {
+  const originalLocks = navigator.locks;
+
+  afterEach(() => {
+    Object.defineProperty(navigator, 'locks', { value: originalLocks, configurable: true });
+  });
+
+  it('runs the task unlocked without the Web Locks API', async () => {
+    Object.defineProperty(navigator, 'locks', { value: undefined, configurable: true });
+    const task = jest.fn();
+
+    await withQueuedUploadLock(1, task);
+    expect(task).toHaveBeenCalledWith(false);
+  });
+
+  it('skips the task while another tab holds the lock', async () => {
+    const request = jest.fn((name, options, callback) => callback(null));
+    Object.defineProperty(navigator, 'locks', { value: { request }, configurable: true });
+    const task = jest.fn();
+
+    await withQueuedUploadLock(7, task);
+    expect(request).toHaveBeenCalledWith('uploadQueue-7', { ifAvailable: true }, expect.any(Function));
+    expect(task).not.toHaveBeenCalled();
+  });
+
+  it('runs the task with the lock held', async () => {
+    const request = jest.fn((name, options, callback) => callback({ name }));
+    Object.defineProperty(navigator, 'locks', { value: { request }, configurable: true });
+    const task = jest.fn();
+
+    await withQueuedUploadLock(7, task);
+    expect(task).toHaveBeenCalledWith(true);
+  });
+});
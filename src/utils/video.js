@@ -0,0 +1,210 @@
+import { canvasToBlob, createRenditions, drawScaled } from './image';
+import { VIDEO_MIME_TYPES, VIDEO_FRAME_RATE } from '../config/upload';
+
+/**
+ * Video Clip Utilities
+ *
+ * Browser-side helpers for the short clips recorded in the camera view.
+ * Clips are recorded with MediaRecorder from the camera stream, which only
+ * carries a video track - clips have no sound, so voices and conversations
+ * nearby are never published. Recorded clips contain no location metadata.
+ */
+
+/**
+ * Picks the recording format for MediaRecorder
+ *
+ * @returns {string|null} Supported MIME type, '' to let the browser choose,
+ *   or null when the browser cannot record video at all
+ */
+export function getRecorderMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  if (typeof MediaRecorder.isTypeSupported !== 'function') return '';
+  return VIDEO_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+/**
+ * Returns the file extension for a recorded clip
+ *
+ * @param {string} type - MIME type such as "video/webm;codecs=vp9"
+ * @returns {string} Extension without the dot
+ */
+export function extensionForVideoType(type) {
+  return type && type.startsWith('video/mp4') ? 'mp4' : 'webm';
+}
+
+/**
+ * Formats a clip length for display, e.g. 7.4 -> "0:07"
+ *
+ * @param {number} seconds - Length in seconds
+ * @returns {string} Minutes and seconds
+ */
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Resolves once an element fires an event, rejecting on its error event
+ *
+ * @param {HTMLMediaElement} element - Element to listen on
+ * @param {string} eventName - Event to wait for
+ * @returns {Promise<void>}
+ */
+function waitForEvent(element, eventName) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      element.removeEventListener(eventName, handleEvent);
+      element.removeEventListener('error', handleError);
+    };
+    const handleEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const handleError = () => {
+      cleanup();
+      reject(element.error || new Error('Video could not be read'));
+    };
+    element.addEventListener(eventName, handleEvent);
+    element.addEventListener('error', handleError);
+  });
+}
+
+/**
+ * Seeks a video and waits for the frame to be available
+ *
+ * @param {HTMLVideoElement} video - Loaded video element
+ * @param {number} time - Position in seconds
+ */
+async function seekTo(video, time) {
+  const seeked = waitForEvent(video, 'seeked');
+  video.currentTime = time;
+  await seeked;
+}
+
+/**
+ * Loads a clip into a detached, muted video element
+ * Chrome writes WebM recordings without a duration; seeking past the end
+ * makes it scan the file so later seeks and the duration are reliable.
+ *
+ * @param {Blob} blob - Recorded clip
+ * @returns {Promise<{video: HTMLVideoElement, release: function}>}
+ *   Video ready for seeking and a cleanup callback
+ */
+export async function loadVideo(blob) {
+  const url = URL.createObjectURL(blob);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+  const release = () => {
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(url);
+  };
+
+  try {
+    const loaded = waitForEvent(video, 'loadeddata');
+    video.src = url;
+    await loaded;
+    if (!Number.isFinite(video.duration)) {
+      await seekTo(video, Number.MAX_SAFE_INTEGER);
+      await seekTo(video, 0);
+    }
+  } catch (error) {
+    release();
+    throw new Error('This clip cannot be played by your browser');
+  }
+  return { video, release };
+}
+
+/**
+ * Cuts a clip down to [start, end] by replaying that section onto a canvas
+ * and recording it again. MediaRecorder output cannot be cut without
+ * re-encoding, so this takes about as long as the trimmed clip plays.
+ *
+ * @param {Blob} blob - Recorded clip
+ * @param {Object} options - Trim options
+ * @param {number} options.start - First second to keep
+ * @param {number} options.end - Last second to keep
+ * @param {string} [options.mimeType] - Recorder format (see getRecorderMimeType)
+ * @param {number} [options.bitsPerSecond] - Target encoder bitrate
+ * @returns {Promise<Blob>} Trimmed clip
+ */
+export async function trimVideo(blob, { start, end, mimeType, bitsPerSecond }) {
+  const { video, release } = await loadVideo(blob);
+  let stream = null;
+  let frameRequest = null;
+  try {
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const context = canvas.getContext('2d');
+
+    await seekTo(video, start);
+    context.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    stream = canvas.captureStream(VIDEO_FRAME_RATE);
+    const recorder = new MediaRecorder(stream, {
+      ...(mimeType ? { mimeType } : {}),
+      videoBitsPerSecond: bitsPerSecond,
+    });
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise((resolve, reject) => {
+      recorder.onstop = resolve;
+      recorder.onerror = (event) => reject(event.error || new Error('Clip could not be trimmed'));
+    });
+
+    // Copy frames until the end point is reached
+    const drawFrame = () => {
+      context.drawImage(video, 0, 0, canvas.width, canvas.height);
+      if (video.currentTime >= end || video.ended) {
+        video.pause();
+        if (recorder.state !== 'inactive') recorder.stop();
+        return;
+      }
+      frameRequest = requestAnimationFrame(drawFrame);
+    };
+
+    recorder.start();
+    await video.play();
+    drawFrame();
+    await stopped;
+
+    return new Blob(chunks, { type: recorder.mimeType || mimeType || blob.type });
+  } finally {
+    if (frameRequest) cancelAnimationFrame(frameRequest);
+    if (stream) stream.getTracks().forEach((track) => track.stop());
+    release();
+  }
+}
+
+/**
+ * Produces the poster image for a clip from its first frame
+ * The poster gets the same renditions and BlurHash as a photo, so it can
+ * stand in as the cover image of posts that only have a clip.
+ *
+ * @param {Blob} blob - Clip to take the frame from
+ * @param {Object} options - Rendition options (see createRenditions)
+ * @param {Object<string, number>} options.sizes - Longest edge per rendition
+ * @param {number} options.quality - Encoder quality between 0 and 1
+ * @returns {Promise<{renditions: Object, blurhash: string, width: number, height: number, duration: number}>}
+ *   Poster renditions plus the clip's dimensions and length
+ */
+export async function createVideoPoster(blob, { sizes, quality }) {
+  const { video, release } = await loadVideo(blob);
+  try {
+    // Skip the very first frame - some encoders start on a black frame
+    await seekTo(video, Math.min(0.1, video.duration / 2));
+    const width = video.videoWidth;
+    const height = video.videoHeight;
+    const canvas = drawScaled({ source: video, width, height }, Math.max(...Object.values(sizes)));
+    const frame = await canvasToBlob(canvas, 'image/jpeg', 0.95);
+    const poster = await createRenditions(frame, { sizes, quality });
+    return { ...poster, width, height, duration: video.duration };
+  } finally {
+    release();
+  }
+}
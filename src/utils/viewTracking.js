@@ -0,0 +1,82 @@
+import { recordView } from '../firebase/engagement';
+import { VIEW_MIN_VISIBLE_RATIO, VIEW_MIN_VISIBLE_MS } from '../config/engagement';
+
+/**
+ * View Tracking
+ *
+ * Decides when a post counts as viewed. A card counts once it has been at
+ * least VIEW_MIN_VISIBLE_RATIO on screen for VIEW_MIN_VISIBLE_MS, and each
+ * post counts at most once per browser session, however often the feed
+ * re-renders or the user scrolls past it again.
+ */
+
+// sessionStorage key holding the IDs of posts already counted this session
+const VIEWED_POSTS_KEY = 'viewedPosts';
+
+/**
+ * Reads the posts counted this session
+ *
+ * @returns {Set<string>} Photo document IDs
+ */
+function loadViewedPosts() {
+  try {
+    return new Set(JSON.parse(sessionStorage.getItem(VIEWED_POSTS_KEY)) || []);
+  } catch (error) {
+    return new Set();
+  }
+}
+
+/**
+ * Counts a view of a post unless it was already counted this session
+ * Failures are logged only - a missed view must not disturb the page.
+ *
+ * @param {string} photoId - Photo document ID
+ */
+export function countView(photoId) {
+  const viewed = loadViewedPosts();
+  if (viewed.has(photoId)) return;
+
+  viewed.add(photoId);
+  try {
+    sessionStorage.setItem(VIEWED_POSTS_KEY, JSON.stringify([...viewed]));
+  } catch (error) {
+    // Storage full or blocked - the view is still counted once for this page
+  }
+  recordView(photoId).catch((error) => {
+    console.error('Error recording view:', error);
+  });
+}
+
+/**
+ * Calls onSeen once the element has stayed on screen long enough
+ *
+ * @param {Element} element - Element to watch, e.g. a feed card
+ * @param {function} onSeen - Called once when the element counts as seen
+ * @returns {function} Stops watching
+ */
+export function observeView(element, onSeen) {
+  // Without IntersectionObserver there is no way to tell - do not count
+  if (!element || typeof IntersectionObserver !== 'function') return () => {};
+
+  let timer = null;
+  const observer = new IntersectionObserver(([entry]) => {
+    if (entry.isIntersecting && entry.intersectionRatio >= VIEW_MIN_VISIBLE_RATIO) {
+      if (!timer) {
+        timer = setTimeout(() => {
+          observer.disconnect();
+          onSeen();
+        }, VIEW_MIN_VISIBLE_MS);
+      }
+    } else if (timer) {
+      // Scrolled away before the view counted
+      clearTimeout(timer);
+      timer = null;
+    }
+  }, { threshold: VIEW_MIN_VISIBLE_RATIO });
+
+  observer.observe(element);
+  return () => {
+    clearTimeout(timer);
+    observer.disconnect();
+  };
+}